@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+
+// Form modes: creating an account keeps the guest's data, signing in switches to another account's data
+const FORM_MODES = {
+    upgrade: {
+        title: 'Create an account',
+        description: 'Your classes, students and history stay with you and become available on any device.',
+        submitLabel: 'Create Account',
+    },
+    signIn: {
+        title: 'Sign in',
+        description: 'Signing in switches to that account\'s classes. Anything made as a guest on this browser stays with the guest account.',
+        submitLabel: 'Sign In',
+    },
+};
+
+// Account bar shown under the title: who is signed in, with buttons to create an account, sign in or sign out.
+// Each `on...` callback resolves to null on success or an error message to show in the form.
+const AccountPanel = ({
+    account,
+    onUpgradeWithEmail,
+    onUpgradeWithGoogle,
+    onSignInWithEmail,
+    onSignInWithGoogle,
+    onResendVerification,
+    onRefreshVerification,
+    onSignOut,
+}) => {
+    const [formMode, setFormMode] = useState(null); // null when the form is closed
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    // Function to open the form in the given mode
+    const openForm = (mode) => {
+        setFormMode(mode);
+        setPassword('');
+        setError('');
+    };
+
+    // Helper function to run an auth action, closing the form if it succeeds
+    const runAction = async (action) => {
+        setBusy(true);
+        const actionError = await action();
+        setBusy(false);
+        if (actionError) {
+            setError(actionError);
+        } else {
+            setFormMode(null);
+        }
+    };
+
+    if (!account) return null;
+
+    return (
+        <div className="text-sm text-center text-gray-600 mb-4">
+            {account.isAnonymous ? (
+                <p>
+                    You're using a guest account: your data is only kept in this browser.{' '}
+                    <button onClick={() => openForm('upgrade')} className="text-indigo-600 hover:text-indigo-800 font-semibold">
+                        Create an account
+                    </button>
+                    {' or '}
+                    <button onClick={() => openForm('signIn')} className="text-indigo-600 hover:text-indigo-800 font-semibold">
+                        sign in
+                    </button>
+                </p>
+            ) : (
+                <p>
+                    Signed in as <span className="font-semibold">{account.email || account.displayName}</span>
+                    {account.email && !account.emailVerified && (
+                        <>
+                            {' '}(unverified:{' '}
+                            <button onClick={onResendVerification} className="text-indigo-600 hover:text-indigo-800 font-semibold">
+                                resend email
+                            </button>
+                            {' · '}
+                            <button onClick={onRefreshVerification} className="text-indigo-600 hover:text-indigo-800 font-semibold">
+                                I've verified it
+                            </button>)
+                        </>
+                    )}
+                    {' · '}
+                    <button onClick={onSignOut} className="text-indigo-600 hover:text-indigo-800 font-semibold">
+                        Sign out
+                    </button>
+                </p>
+            )}
+            <p className="text-xs text-gray-400 mt-1">
+                User ID: <span className="font-mono">{account.uid}</span>
+            </p>
+
+            {formMode && (
+                <div className="modal-overlay">
+                    <div className="modal-content text-left w-full max-w-md">
+                        <h3 className="text-xl font-bold mb-2">{FORM_MODES[formMode].title}</h3>
+                        <p className="text-sm text-gray-500 mb-4">{FORM_MODES[formMode].description}</p>
+                        <form
+                            onSubmit={(e) => {
+                                e.preventDefault();
+                                runAction(() => (formMode === 'upgrade'
+                                    ? onUpgradeWithEmail(email, password)
+                                    : onSignInWithEmail(email, password)));
+                            }}
+                            className="space-y-2 mb-4"
+                        >
+                            <input
+                                type="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                placeholder="Email"
+                                autoComplete="email"
+                                required
+                                className="w-full border border-gray-300 rounded-lg p-2 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+                            />
+                            <input
+                                type="password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                placeholder="Password"
+                                autoComplete={formMode === 'upgrade' ? 'new-password' : 'current-password'}
+                                required
+                                className="w-full border border-gray-300 rounded-lg p-2 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+                            />
+                            <button
+                                type="submit"
+                                disabled={busy}
+                                className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg"
+                            >
+                                {FORM_MODES[formMode].submitLabel}
+                            </button>
+                        </form>
+                        <button
+                            onClick={() => runAction(formMode === 'upgrade' ? onUpgradeWithGoogle : onSignInWithGoogle)}
+                            disabled={busy}
+                            className="w-full bg-white border border-gray-300 hover:bg-gray-100 disabled:opacity-50 text-gray-700 font-bold py-2 px-4 rounded-lg mb-2"
+                        >
+                            Continue with Google
+                        </button>
+                        {error && <p className="text-sm text-red-600 mb-2" role="alert">{error}</p>}
+                        <div className="flex justify-between items-center mt-4">
+                            <button
+                                onClick={() => openForm(formMode === 'upgrade' ? 'signIn' : 'upgrade')}
+                                className="text-sm text-indigo-600 hover:text-indigo-800"
+                            >
+                                {formMode === 'upgrade' ? 'I already have an account' : 'Create an account instead'}
+                            </button>
+                            <button
+                                onClick={() => setFormMode(null)}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-5 rounded-lg shadow-md"
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AccountPanel;
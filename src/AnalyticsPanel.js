@@ -0,0 +1,157 @@
+import React, { useMemo } from 'react';
+import {
+    buildJobMatrix,
+    exportJobMatrix,
+    findFairnessFlags,
+    measureJobSpread,
+    REPEAT_FLAG_COUNT,
+    SKIP_FLAG_WEEKS,
+} from './analytics';
+import { datedFileName, downloadTextFile, MIME_TYPES } from './fileUtils';
+import { getStudentName, getStudentShortName } from './students';
+
+// Helper function to get a heatmap cell's background: darker the more often the job was held
+const heatmapColor = (count, maxCount) => (count > 0
+    ? `rgba(124, 58, 237, ${0.15 + 0.75 * (count / Math.max(maxCount, 1))})`
+    : 'transparent');
+
+// Helper function to pick the bar colour for a job's evenness
+const evennessColor = (evenness) => {
+    if (evenness >= 0.9) return 'bg-green-500';
+    if (evenness >= 0.7) return 'bg-yellow-500';
+    return 'bg-red-500';
+};
+
+// Fairness analytics for the class: flags for students who got the same job too often or went without a job for
+// many weeks, a student × job heatmap with each student's total, and how evenly each job has been spread.
+// Built from `studentJobHistory` and the weeks archive (`weeks`, oldest first).
+const AnalyticsPanel = ({ students, jobs, studentJobHistory, weeks }) => {
+    const matrix = useMemo(() => buildJobMatrix(studentJobHistory, students, jobs), [studentJobHistory, students, jobs]);
+    const flags = useMemo(() => findFairnessFlags(matrix, weeks, students), [matrix, weeks, students]);
+    const spread = useMemo(() => measureJobSpread(matrix, students), [matrix, students]);
+
+    if (matrix.studentIds.every(studentId => matrix.totals[studentId] === 0)) {
+        return <p className="text-gray-500 italic">No job history yet. Analytics appear after the first draw.</p>;
+    }
+
+    const totals = matrix.studentIds.map(studentId => matrix.totals[studentId]);
+    const assignedSpread = spread.filter(row => row.timesAssigned > 0);
+
+    return (
+        <div className="space-y-6">
+            <p className="text-sm text-gray-600">
+                Jobs per student range from {Math.min(...totals)} to {Math.max(...totals)} over {weeks.length} archived
+                week{weeks.length === 1 ? '' : 's'}.
+            </p>
+
+            {/* Flags */}
+            <section>
+                <h4 className="font-semibold text-gray-700 mb-2">Flags</h4>
+                {flags.length > 0 ? (
+                    <ul className="list-disc list-inside text-sm text-gray-700 space-y-1">
+                        {flags.map(flag => (
+                            <li key={`${flag.type}-${flag.studentId}-${flag.job || ''}`}>
+                                <span className="font-semibold">{getStudentName(students, flag.studentId)}</span>
+                                {flag.type === 'repeatedJob'
+                                    ? ` has had "${flag.job}" ${flag.count} times.`
+                                    : ` went ${flag.weeks} weeks in a row without a job${flag.endWeek ? ` (until ${flag.endWeek})` : ''}.`}
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="text-sm text-green-700">
+                        No student has had the same job {REPEAT_FLAG_COUNT} or more times, and nobody went
+                        {' '}{SKIP_FLAG_WEEKS} or more weeks in a row without a job.
+                    </p>
+                )}
+            </section>
+
+            {/* Student × job heatmap */}
+            <section>
+                <div className="flex items-center justify-between mb-2">
+                    <h4 className="font-semibold text-gray-700">Who has had which job</h4>
+                    <button
+                        onClick={() => downloadTextFile(datedFileName('job-fairness', 'csv'), exportJobMatrix(matrix, students), MIME_TYPES.csv)}
+                        className="text-sm text-indigo-600 hover:text-indigo-800 font-semibold"
+                    >
+                        Download CSV
+                    </button>
+                </div>
+                <div className="overflow-auto max-h-96 border border-gray-200 rounded-md">
+                    <table className="text-xs border-collapse">
+                        <thead className="sticky top-0 bg-white">
+                            <tr>
+                                <th className="sticky left-0 bg-white p-1 text-left">Student</th>
+                                {matrix.jobTitles.map(job => (
+                                    <th key={job} className="p-1 font-medium text-gray-600 align-bottom" title={job}>
+                                        <div className="w-8 h-24 flex items-end justify-center">
+                                            <span className="whitespace-nowrap" style={{ writingMode: 'vertical-rl', transform: 'rotate(180deg)' }}>
+                                                {job}
+                                            </span>
+                                        </div>
+                                    </th>
+                                ))}
+                                <th className="p-1 text-gray-600">Total</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {matrix.studentIds.map(studentId => (
+                                <tr key={studentId} className="border-t border-gray-100">
+                                    <td className="sticky left-0 bg-white p-1 font-medium whitespace-nowrap">
+                                        {getStudentShortName(students, studentId)}
+                                    </td>
+                                    {matrix.jobTitles.map(job => {
+                                        const count = matrix.counts[studentId][job] || 0;
+                                        return (
+                                            <td
+                                                key={job}
+                                                title={`${getStudentName(students, studentId)} – ${job}: ${count}`}
+                                                className={`w-8 h-6 text-center ${count >= REPEAT_FLAG_COUNT ? 'text-white font-bold' : 'text-gray-800'}`}
+                                                style={{ backgroundColor: heatmapColor(count, matrix.maxCount) }}
+                                            >
+                                                {count || ''}
+                                            </td>
+                                        );
+                                    })}
+                                    <td className="p-1 text-center font-semibold">{matrix.totals[studentId]}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </section>
+
+            {/* Job spread */}
+            <section>
+                <h4 className="font-semibold text-gray-700 mb-1">How evenly each job has been spread</h4>
+                <p className="text-xs text-gray-500 mb-2">
+                    100% means nobody had a job a second time before every student had it once.
+                </p>
+                <ul className="space-y-1">
+                    {assignedSpread.map(row => (
+                        <li key={row.job} className="flex items-center gap-2 text-sm">
+                            <span className="w-40 truncate" title={row.job}>{row.job}</span>
+                            <div className="flex-grow bg-gray-100 rounded h-4">
+                                <div
+                                    className={`h-4 rounded ${evennessColor(row.evenness)}`}
+                                    style={{ width: `${Math.round(row.evenness * 100)}%` }}
+                                />
+                            </div>
+                            <span className="w-12 text-right font-semibold">{Math.round(row.evenness * 100)}%</span>
+                            <span className="w-44 text-xs text-gray-500">
+                                {row.distinctStudents} student{row.distinctStudents === 1 ? '' : 's'} in {row.timesAssigned} turn{row.timesAssigned === 1 ? '' : 's'}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+                {assignedSpread.length < spread.length && (
+                    <p className="text-xs text-gray-500 mt-2">
+                        Not assigned yet: {spread.filter(row => row.timesAssigned === 0).map(row => row.job).join(', ')}
+                    </p>
+                )}
+            </section>
+        </div>
+    );
+};
+
+export default AnalyticsPanel;
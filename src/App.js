@@ -1,99 +1,438 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
 import { 
+    connectAuthEmulator,
     getAuth, 
     signInAnonymously, 
     signInWithCustomToken, 
     onAuthStateChanged
 } from 'firebase/auth';
-import { getFirestore, doc, setDoc, updateDoc, onSnapshot } from 'firebase/firestore';
+import {
+    connectFirestoreEmulator,
+    initializeFirestore,
+    persistentLocalCache,
+    persistentMultipleTabManager,
+} from 'firebase/firestore';
+import {
+    getAuthErrorMessage,
+    refreshAccount,
+    resendVerification,
+    signInWithEmail,
+    signInWithGoogle,
+    signOutOfAccount,
+    toAccount,
+    upgradeWithEmail,
+    upgradeWithGoogle,
+} from './account';
+import AccountPanel from './AccountPanel';
+import AnalyticsPanel from './AnalyticsPanel';
+import {
+    ASSIGNMENT_STRATEGIES,
+    DEFAULT_STRATEGY,
+    FAIRNESS_CONSTRAINTS,
+    findReassignmentProblem,
+    reassignJob,
+    revertAssignments,
+} from './assignmentEngine';
+import {
+    canEditClass,
+    chooseClassKey,
+    CLASS_ROLES,
+    createClassRecord,
+    FIRST_CLASS_NAME,
+    getClassKey,
+    getCopyName,
+    LEGACY_CLASS_ID,
+    SHARE_ROLES,
+} from './classes';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import { getWeekDiagnostics } from './diagnostics';
+import DraftModal from './DraftModal';
+import { describeReassignmentProblem, drawAssignments } from './draws';
+import { readFileAsText } from './fileUtils';
+import { createFirestoreRepository } from './firestoreRepository';
+import ImportExportPanel from './ImportExportPanel';
+import JobChart from './JobChart';
+import JobEditor from './JobEditor';
+import { createJob, describeHistoryEntry, getJobTitles, moveJob, normalizeJobs, removeStudentFromJobs } from './jobs';
+import UndoToast from './UndoToast';
+import useBackup from './useBackup';
+import useDiagnostics from './useDiagnostics';
+import useDraft from './useDraft';
+import useDueRotations from './useDueRotations';
+import useInvites from './useInvites';
+import usePreferences from './usePreferences';
+import useUndoActions from './useUndoActions';
+import useUndoHistory from './useUndoHistory';
+import { createAbsence, fromISODate, getAssignmentWeek, getUnavailableStudentIds, pruneAbsences, toISODate } from './absences';
+import {
+    describePreferences,
+    getStudentPreferences,
+    removeJobFromPreferences,
+} from './preferences';
+import PreferencesEditor from './PreferencesEditor';
+import { parseSeed, shuffleArray } from './random';
+import { createLocalRepository, isOnline } from './repository';
+import {
+    DEFAULT_SCHEDULE,
+    describeSchedule,
+    getNextRotation,
+    getRotationPeriod,
+    normalizeSchedule,
+    SCHEDULE_MODES,
+    SCHOOL_WEEKDAYS,
+    WEEKDAY_NAMES,
+} from './schedule';
+import {
+    CALENDAR_EVENT_KINDS,
+    createCalendarEntry,
+    DEFAULT_CALENDAR,
+    importCalendarEvents,
+    listSchoolWeeks,
+    normalizeCalendar,
+    parseIcs,
+    suggestEventKind,
+} from './schoolCalendar';
+import { prepareStateSave } from './stateMerge';
+import { exportJobs, exportStudents, parseJobImport, parseStudentImport } from './rosterIO';
+import {
+    createStudent,
+    getActiveStudentIds,
+    getStudentName,
+    getStudentShortName,
+    nextStudentId,
+    normalizeStudents,
+} from './students';
+import { buildStudentView, createShareToken } from './studentLinks';
+import StudentView from './StudentView';
+import WeekTimeline from './WeekTimeline';
 
 // Global variables provided by the Canvas environment
 // These are placeholders for the actual values that will be injected by the environment
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+// Set REACT_APP_USE_EMULATORS=true to run against the local Firebase emulators configured in firebase.json
+const useEmulators = process.env.REACT_APP_USE_EMULATORS === 'true';
+// Config used with the emulators when none is injected (a "demo-" project ID never reaches real Firebase)
+const EMULATOR_CONFIG = { apiKey: 'demo-api-key', projectId: 'demo-job-assigner' };
+const firebaseConfig = typeof __firebase_config !== 'undefined'
+    ? JSON.parse(__firebase_config)
+    : (useEmulators ? EMULATOR_CONFIG : {});
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-
-// Initialize Firebase outside the component to avoid re-initialization on re-renders
-let app, db, auth;
-try {
-    app = initializeApp(firebaseConfig);
-    db = getFirestore(app);
-    auth = getAuth(app);
-} catch (error) {
-    console.error("Failed to initialize Firebase:", error);
-    // Optionally, set a state to show an error message in the UI if Firebase init fails
+// ID the app uses for the one teacher of a browser when there is no Firebase project (see usingLocalStore)
+const LOCAL_USER_ID = 'local';
+
+// Initialize Firebase outside the component to avoid re-initialization on re-renders.
+// Without a Firebase project (or if Firebase fails to start) everything is kept in this browser instead.
+// All data is read and written through `repository` (see repository.js).
+let app, auth, repository;
+let usingLocalStore = typeof __firebase_config === 'undefined' && !useEmulators;
+if (!usingLocalStore) {
+    try {
+        app = initializeApp(firebaseConfig);
+        // Firestore keeps a copy of the data in IndexedDB, so the app keeps working offline
+        // and writes made meanwhile are sent once the connection returns
+        const db = initializeFirestore(app, {
+            localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+        });
+        auth = getAuth(app);
+        if (useEmulators) {
+            connectAuthEmulator(auth, 'http://localhost:9099', { disableWarnings: true });
+            connectFirestoreEmulator(db, 'localhost', 8080);
+        }
+        repository = createFirestoreRepository(db, appId);
+    } catch (error) {
+        console.error("Failed to initialize Firebase, keeping data in this browser instead:", error);
+        usingLocalStore = true;
+    }
 }
+if (usingLocalStore) {
+    repository = createLocalRepository(appId);
+}
+
+// How the connection to the data is described in the status badge
+const SYNC_STATUSES = {
+    online: { label: 'Online', description: 'All changes are saved.', className: 'bg-green-100 text-green-800' },
+    syncing: { label: 'Syncing…', description: 'Sending your latest changes.', className: 'bg-yellow-100 text-yellow-800' },
+    offline: {
+        label: 'Offline',
+        description: 'Changes are kept on this device and sync when the connection returns.',
+        className: 'bg-gray-200 text-gray-700',
+    },
+    local: {
+        label: 'This device only',
+        description: 'No cloud project is set up, so data is saved in this browser only.',
+        className: 'bg-blue-100 text-blue-800',
+    },
+};
 
 // Default values for students and jobs (hardcoded fallback if Firestore data is empty)
-const DEFAULT_STUDENTS = Array.from({ length: 23 }, (_, i) => i + 1);
-const DEFAULT_JOB_TITLES = [
-    'Line Leader', 'Door Holder', 'Caboose', 'Calendar Helper', 'Weather Reporter',
-    'Pencil Monitor', 'Snack Helper', 'Table Washer', 'Librarian', 'Supply Manager',
-    'Chair Stacker', 'Plant Waterer', 'Pet Helper', 'Board Eraser', 'Technology Helper',
-    'Recycling Monitor', 'Paper Passer', 'Greeter', 'Messenger', 'Quiet Captain',
-    'Time Keeper', 'Flag Holder', 'Classroom Helper'
-];
-
-// Helper function to shuffle an array (Fisher-Yates shuffle algorithm)
-const shuffleArray = (array) => {
-    let currentIndex = array.length, randomIndex;
-    // While there remain elements to shuffle.
-    while (currentIndex !== 0) {
-        // Pick a remaining element.
-        randomIndex = Math.floor(Math.random() * currentIndex);
-        currentIndex--;
-        // And swap it with the current element.
-        [array[currentIndex], array[randomIndex]] = [array[randomIndex], array[currentIndex]];
+const DEFAULT_STUDENTS = Array.from({ length: 23 }, (_, i) => createStudent(i + 1));
+// The default job catalogue: [title, category, workload weight, duties]
+const DEFAULT_JOBS = [
+    ['Line Leader', 'line', 2, 'Leads the class line and sets a calm pace in the halls.'],
+    ['Door Holder', 'line', 1, 'Holds the door open until everyone has gone through.'],
+    ['Caboose', 'line', 1, 'Walks at the back of the line, turns off the lights and closes the door.'],
+    ['Calendar Helper', 'classroom', 1, 'Updates the date and leads the calendar routine each morning.'],
+    ['Weather Reporter', 'classroom', 1, 'Checks the weather and reports it to the class.'],
+    ['Pencil Monitor', 'materials', 2, 'Sharpens pencils and keeps the pencil cups full.'],
+    ['Snack Helper', 'classroom', 2, 'Hands out snacks and collects the wrappers afterwards.'],
+    ['Table Washer', 'cleaning', 3, 'Wipes down the tables at the end of the day.'],
+    ['Librarian', 'materials', 2, 'Keeps the class library tidy and returns books to their bins.'],
+    ['Supply Manager', 'materials', 3, 'Hands out and puts away supplies for lessons.'],
+    ['Chair Stacker', 'cleaning', 3, 'Stacks the chairs at the end of the day.'],
+    ['Plant Waterer', 'care', 1, 'Waters the class plants on the scheduled days.'],
+    ['Pet Helper', 'care', 2, 'Feeds the class pet and checks its water.'],
+    ['Board Eraser', 'cleaning', 2, 'Cleans the board when the teacher asks.'],
+    ['Technology Helper', 'tech', 2, 'Hands out and collects devices and plugs them in to charge.'],
+    ['Recycling Monitor', 'cleaning', 2, 'Empties the recycling bin and sorts anything in the wrong bin.'],
+    ['Paper Passer', 'materials', 1, 'Hands out worksheets and papers.'],
+    ['Greeter', 'messages', 1, 'Welcomes visitors and shows them where to go.'],
+    ['Messenger', 'messages', 2, 'Takes notes and messages to the office and other classrooms.'],
+    ['Quiet Captain', 'classroom', 1, 'Gives the quiet signal when the room gets too loud.'],
+    ['Time Keeper', 'classroom', 1, 'Watches the clock and warns the class before transitions.'],
+    ['Flag Holder', 'classroom', 1, 'Holds the flag during the morning routine.'],
+    ['Classroom Helper', 'other', 2, 'Helps the teacher with whatever needs doing that day.'],
+].map(([title, category, weight, description]) => createJob(title, { category, weight, description }));
+
+// Defaults for every field of the state document other than the student and job lists.
+// Used to fill in fields missing from older documents when they are loaded or restored.
+const STATE_DEFAULTS = {
+    version: 0, // Incremented by every save, so a save can tell whether someone else saved first
+    currentAssignments: {}, // Current week's student-to-job assignments
+    remainingStudentsInCycle: [], // Students yet to be assigned in the current cycle
+    studentJobHistory: {}, // History of jobs assigned to each student
+    lastAssignmentDate: null, // Timestamp of the last job assignment
+    assignmentStrategy: DEFAULT_STRATEGY, // Strategy used by the assignment engine
+    lastDraw: null, // Seed, strategy and pre-draw cycle of the last draw (used to re-run it)
+    absences: [], // Planned absences: { id, studentId, startDate, endDate, reason }
+    priorityStudents: [], // Students owed priority at the next draw (e.g. absent for the last one)
+    rotationSchedule: DEFAULT_SCHEDULE, // When new jobs are due: { mode, weekday, intervalDays, startDate, autoGenerate }
+    schoolCalendar: DEFAULT_CALENDAR, // Terms and holidays: { terms, holidays }
+    currentWeek: null, // School week the current assignments are for: { startDate, endDate, number, termName, label }
+    studentPreferences: {}, // Favourite and never-assign jobs by student: { [studentId]: { favorites, exclusions } }
+};
+
+// Fields of the app state that live in the defaults document, so they are never written to the state document
+const DEFAULTS_ONLY_FIELDS = ['userDefaultStudents', 'userDefaultJobs'];
+// How many recently seen versions of the state document to keep as merge bases for saves
+const KNOWN_VERSIONS_LIMIT = 20;
+// Names of the state fields, for describing save conflicts
+const STATE_FIELD_LABELS = {
+    students: 'Students',
+    jobs: 'Jobs',
+    currentAssignments: "This week's assignments",
+    remainingStudentsInCycle: 'Students left in the cycle',
+    studentJobHistory: 'Job history',
+    lastAssignmentDate: 'Last assignment date',
+    assignmentStrategy: 'Assignment strategy',
+    lastDraw: 'Last draw',
+    absences: 'Absences',
+    priorityStudents: 'Priority list',
+    rotationSchedule: 'Rotation schedule',
+    schoolCalendar: 'School calendar',
+    currentWeek: "This week's dates",
+    studentPreferences: 'Job preferences',
+};
+
+// Helper function to get the part of the app state that is stored in the state document
+const toStoredState = (state) => {
+    const storedState = { ...state };
+    DEFAULTS_ONLY_FIELDS.forEach(field => delete storedState[field]);
+    return storedState;
+};
+
+// Helper function to read the job list from a stored document.
+// Older documents kept a `jobTitles` list of strings, which is upgraded to job objects (`migrated` is then true).
+const loadJobs = (data, fallback) => {
+    if (Array.isArray(data.jobs)) {
+        return normalizeJobs(data.jobs);
     }
-    return array;
+    return { jobs: normalizeJobs(data.jobTitles || fallback).jobs, migrated: Array.isArray(data.jobTitles) };
+};
+
+// Function to build a fresh state document for a roster, with a newly shuffled cycle
+const createInitialState = (students, jobs) => ({
+    ...STATE_DEFAULTS,
+    students,
+    jobs,
+    remainingStudentsInCycle: shuffleArray(getActiveStudentIds(students)),
+});
+
+// App state shown before a class's data has loaded
+const INITIAL_APP_STATE = {
+    ...STATE_DEFAULTS,
+    students: DEFAULT_STUDENTS,
+    jobs: DEFAULT_JOBS,
+    userDefaultStudents: [], // User-defined default student list
+    userDefaultJobs: [], // User-defined default job list
+};
+
+// localStorage key (suffixed with the user ID) remembering the class last shown on this device
+const SELECTED_CLASS_KEY = 'jobAssigner.selectedClass';
+
+// Display options read from the URL: `view=chart` shows the classroom job chart instead of the admin screens
+// (e.g. left open on the classroom projector), `class=<ownerId>/<classId>` picks the class to show
+// and `icons=off` hides the job icons on the chart. `view=students&link=<token>` opens a class's read-only
+// student view link instead of any class of the visitor's own.
+const URL_PARAMS = new URLSearchParams(window.location.search);
+const CHART_VIEW = URL_PARAMS.get('view') === 'chart';
+const STUDENT_LINK_TOKEN = URL_PARAMS.get('view') === 'students' ? URL_PARAMS.get('link') : null;
+
+// Function to get the link to a class's job chart, or (with `chart` false) to its admin screens
+const getViewUrl = (classKey, chart = true) => {
+    const params = new URLSearchParams(chart ? { view: 'chart' } : {});
+    if (classKey) params.set('class', classKey);
+    return `${window.location.pathname}?${params}`;
 };
 
+// Function to get the full address of a student view link, to copy for students and families
+const getStudentLinkUrl = (token) => (
+    `${window.location.origin}${window.location.pathname}?${new URLSearchParams({ view: 'students', link: token })}`
+);
+
 const App = () => {
     // State to hold the current user's unique ID for Firestore operations
     const [userId, setUserId] = useState(null); 
+    // The signed-in account (guest or real), as returned by toAccount
+    const [account, setAccount] = useState(null);
     // State to manage the loading status of the application
     const [loading, setLoading] = useState(true);
     // Main application state, holding all data related to students, jobs, and assignments
-    const [appState, setAppState] = useState({
-        students: DEFAULT_STUDENTS,
-        jobTitles: DEFAULT_JOB_TITLES,
-        currentAssignments: {}, // Current week's student-to-job assignments
-        remainingStudentsInCycle: [], // Students yet to be assigned in the current cycle
-        studentJobHistory: {}, // History of jobs assigned to each student
-        lastAssignmentDate: null, // Timestamp of the last job assignment
-        userDefaultStudents: [], // User-defined default student list
-        userDefaultJobTitles: [], // User-defined default job title list
-    });
+    const [appState, setAppState] = useState(INITIAL_APP_STATE);
+    // The teacher's own classes ({ id, name, archived, createdAt, members }, oldest first)
+    // and the classes other teachers have shared with them ({ id, ownerId, classId, name, role, ownerEmail })
+    const [ownClasses, setOwnClasses] = useState([]);
+    const [sharedClasses, setSharedClasses] = useState([]);
+    // Both lists together, each class tagged with its owner, switcher key and the user's role in it
+    const classes = useMemo(() => [
+        ...ownClasses.map(classRecord => ({
+            ...classRecord,
+            ownerId: userId,
+            key: getClassKey(userId, classRecord.id),
+            role: CLASS_ROLES.OWNER,
+        })),
+        ...sharedClasses.map(shared => ({
+            id: shared.classId,
+            name: shared.name,
+            archived: false,
+            ownerId: shared.ownerId,
+            ownerEmail: shared.ownerEmail,
+            key: getClassKey(shared.ownerId, shared.classId),
+            role: shared.role,
+            sharedDocId: shared.id,
+        })),
+    ], [ownClasses, sharedClasses, userId]);
+    // Key of the class being shown, and that class
+    const [classKey, setClassKey] = useState(null);
+    const currentClass = classes.find(classRecord => classRecord.key === classKey) || null;
+    // Viewers of a shared class can look but not change anything
+    const readOnly = currentClass !== null && !canEditClass(currentClass.role);
+    // Reference to the selected class's data for the repository ({ ownerId, classId }, null until a class is selected)
+    const classOwnerId = currentClass?.ownerId;
+    const classId = currentClass?.id;
+    const classRef = useMemo(() => (classId ? { ownerId: classOwnerId, classId } : null), [classOwnerId, classId]);
+    // Archived weekly rosters from the weeks subcollection, oldest first
+    const [weeks, setWeeks] = useState([]);
+    // Student view opened through a share link (undefined while loading, null if the link was revoked)
+    const [studentLinkView, setStudentLinkView] = useState(undefined);
+    // Class whose state document has been loaded (its classRef), so due rotations are only worked out from real data
+    const [stateLoadedFor, setStateLoadedFor] = useState(null);
+    // Today's date ("YYYY-MM-DD"), kept current so a chart left open overnight picks up the morning's rotation
+    const [today, setToday] = useState(() => toISODate(new Date()));
+    // Undo/redo stacks of { state, weeks } snapshots, one entry per saveState call
+    const undoHistory = useUndoHistory();
+    const { record: recordUndoEntry, clear: clearUndoHistory } = undoHistory;
+    // Toast offering to undo the last destructive action (null when hidden)
+    const [undoToast, setUndoToast] = useState(null);
+    // Recently seen versions of the state document (version -> stored state), so that a save built from an
+    // older version can be merged with whatever was saved since
+    const knownStatesRef = useRef(new Map());
+    const rememberState = useCallback((state) => {
+        const knownStates = knownStatesRef.current;
+        knownStates.set(state.version, toStoredState(state));
+        if (knownStates.size > KNOWN_VERSIONS_LIMIT) {
+            knownStates.delete(knownStates.keys().next().value); // Forget the oldest
+        }
+    }, []);
+    // Save that clashed with someone else's changes, waiting for the user to choose what to keep
+    // ({ label, conflicts, mine, theirs, latest, options }, or null)
+    const [saveConflict, setSaveConflict] = useState(null);
+    // Refs to the latest state and archive, so snapshots never come from a stale closure
+    const appStateRef = useRef(appState);
+    const weeksRef = useRef(weeks);
+    useEffect(() => {
+        appStateRef.current = appState;
+        weeksRef.current = weeks;
+    }, [appState, weeks]);
     // State for displaying messages to the user
     const [message, setMessage] = useState('');
+    // Whether the browser is online, and whether the selected class has changes not yet sent to the server
+    const [online, setOnline] = useState(isOnline);
+    const [hasPendingWrites, setHasPendingWrites] = useState(false);
+    // Connection status shown in the status badge (a key of SYNC_STATUSES)
+    let syncStatus = 'online';
+    if (usingLocalStore) {
+        syncStatus = 'local';
+    } else if (!online) {
+        syncStatus = 'offline';
+    } else if (hasPendingWrites) {
+        syncStatus = 'syncing';
+    }
     // States to control the visibility of confirmation modals
     const [showResetConfirm, setShowResetConfirm] = useState(false);
     const [showResetHistoryConfirm, setShowResetHistoryConfirm] = useState(false);
     // States to control the visibility of management modals
-    const [showJobTitlesModal, setShowJobTitlesModal] = useState(false);
-    const [newJobTitle, setNewJobTitle] = useState(''); // Input for adding new job titles
+    const [showJobsModal, setShowJobsModal] = useState(false);
+    const [newJobTitle, setNewJobTitle] = useState(''); // Input for adding new jobs
     const [showStudentsModal, setShowStudentsModal] = useState(false);
-    const [newStudentNumber, setNewStudentNumber] = useState(''); // Input for adding new student numbers
-
-    // Refs for drag and drop functionality (to store indices of dragged/hovered items)
-    const dragItem = useRef(null);
-    const dragOverItem = useRef(null);
-    // State to hold assignments for display, allowing reordering via drag-and-drop
-    const [displayAssignments, setDisplayAssignments] = useState([]);
-
-    // Effect to update displayAssignments whenever currentAssignments in appState changes
-    useEffect(() => {
-        const assignmentsArray = Object.entries(appState.currentAssignments)
-            .map(([studentNum, jobTitle]) => ({ studentNum: parseInt(studentNum), jobTitle }))
-            .sort((a, b) => a.studentNum - b.studentNum); // Sort by student number for consistent display
-        setDisplayAssignments(assignmentsArray);
-    }, [appState.currentAssignments]);
+    const [showAbsencesModal, setShowAbsencesModal] = useState(false);
+    const [showClassesModal, setShowClassesModal] = useState(false);
+    const [showAnalyticsModal, setShowAnalyticsModal] = useState(false);
+    const [showScheduleModal, setShowScheduleModal] = useState(false);
+    const [showCalendarModal, setShowCalendarModal] = useState(false);
+    const [showStudentLinkModal, setShowStudentLinkModal] = useState(false);
+    // Inputs for adding a term or holiday to the school calendar
+    const [newCalendarEntry, setNewCalendarEntry] = useState({ kind: 'holidays', name: '', startDate: '', endDate: '' });
+    // Events read from an .ics file, waiting for the teacher to choose which to import ({ fileName, events }, or null)
+    const [calendarImport, setCalendarImport] = useState(null);
+    const [newClassName, setNewClassName] = useState(''); // Input for adding new classes
+    // Inputs for adding a new absence (defaults to the whole of the week being assigned)
+    const [newAbsence, setNewAbsence] = useState(() => ({ studentId: '', ...getAssignmentWeek(), reason: '' }));
+    const [newStudentName, setNewStudentName] = useState(''); // Input for adding new student names
+    const [newStudentNickname, setNewStudentNickname] = useState(''); // Optional nickname/initials for new students
+    const [seedInput, setSeedInput] = useState(''); // Input for re-running a draw from a saved seed
+    // Draw waiting to be published, or null (see useDraft)
+    const {
+        draft,
+        startDraft,
+        discardDraft,
+        rerollDraft,
+        toggleDraftLock,
+        changeDraftJob,
+        getDraftJobOptions,
+        getDraftOverrides,
+    } = useDraft(setMessage);
+
+    // Ref for drag and drop reassignment (the job being dragged and who currently holds it)
+    const dragSource = useRef(null);
+    // Student currently hovered as a drop target, for highlighting
+    const [dropTarget, setDropTarget] = useState(null);
+
+    // Assignments for display, sorted by student number for consistent display
+    const displayAssignments = Object.entries(appState.currentAssignments)
+        .map(([studentNum, jobTitle]) => ({ studentNum: parseInt(studentNum), jobTitle }))
+        .sort((a, b) => a.studentNum - b.studentNum);
 
     // Effect for Firebase Authentication (Anonymous or Custom Token)
     useEffect(() => {
+        // Without Firebase there are no accounts: the browser's one teacher uses a fixed ID
+        if (usingLocalStore) {
+            setUserId(LOCAL_USER_ID);
+            setLoading(false);
+            return;
+        }
         // Check if Firebase instances are available
-        if (!auth || !db) {
+        if (!auth) {
             setMessage("Firebase not initialized. Please check your console for errors.");
             setLoading(false); // Stop loading if Firebase isn't ready
             return;
@@ -101,6 +440,7 @@ const App = () => {
 
         // Listener for authentication state changes
         const unsubscribeAuth = onAuthStateChanged(auth, async (user) => {
+            setAccount(toAccount(user));
             if (user) {
                 // If a user is already authenticated (e.g., from a previous session or custom token)
                 setUserId(user.uid);
@@ -127,348 +467,974 @@ const App = () => {
 
         // Cleanup function for the auth state listener
         return () => unsubscribeAuth();
-    }, [auth, db, initialAuthToken]); // Dependencies for this effect
+    }, [auth, initialAuthToken]); // Dependencies for this effect
 
-    // Effect for loading application data from Firestore (dependent on userId)
+    // Effect for loading the teacher's own and shared class lists (dependent on userId)
     useEffect(() => {
-        // Only proceed if userId and db are available
-        if (!userId || !db) {
+        // A different user means different classes
+        setOwnClasses([]);
+        setSharedClasses([]);
+        setClassKey(null);
+        // Visitors opening a student view link only see that view, and mustn't get a first class of their own
+        if (!userId || STUDENT_LINK_TOKEN) {
             return;
         }
+        const unsubscribeClasses = repository.subscribeClasses(userId, (classRecords, { fromCache }) => {
+            if (classRecords.length === 0) {
+                if (fromCache) {
+                    return; // Offline with nothing cached yet: the classes may well exist on the server
+                }
+                // No classes yet: any data saved before classes existed becomes the first class
+                repository.setClass(userId, LEGACY_CLASS_ID, createClassRecord(FIRST_CLASS_NAME))
+                    .catch(error => console.error("Error creating first class:", error));
+                return;
+            }
+            setOwnClasses(classRecords);
+        }, (error) => {
+            console.error("Error listening to classes:", error);
+            setMessage("Error loading classes. Please check console.");
+        });
+        const unsubscribeShared = repository.subscribeSharedClasses(userId, setSharedClasses, (error) => {
+            console.error("Error listening to shared classes:", error);
+        });
 
-        let stateLoaded = false;
-        let defaultsLoaded = false;
+        return () => {
+            unsubscribeClasses();
+            unsubscribeShared();
+        };
+    }, [userId]); // Dependencies for this effect
 
-        // Helper function to check if both state and defaults are loaded
-        const checkLoadingComplete = () => {
-            if (stateLoaded && defaultsLoaded) {
-                // This function is primarily for internal tracking within this effect.
-                // The main app loading state is controlled by the auth effect.
+    // Effect to keep a valid class selected as the class lists change: keep the current class, or fall back
+    // to the one last shown on this device (or the first active one), e.g. when the shown class is archived
+    useEffect(() => {
+        if (ownClasses.length === 0) {
+            return; // Wait for the teacher's own classes
+        }
+        setClassKey(prevKey => chooseClassKey(
+            classes,
+            prevKey ?? URL_PARAMS.get('class') ?? localStorage.getItem(`${SELECTED_CLASS_KEY}.${userId}`)
+        ));
+    }, [classes, ownClasses.length, userId]); // Dependencies for this effect
+
+    // Effect to start each class from a clean slate: its data arrives from the listeners below,
+    // and undo steps and merge bases only make sense in the class they were made in
+    useEffect(() => {
+        setAppState(INITIAL_APP_STATE);
+        setWeeks([]);
+        clearUndoHistory();
+        setUndoToast(null);
+        knownStatesRef.current = new Map();
+        setSaveConflict(null);
+        discardDraft();
+        if (userId && classKey) {
+            localStorage.setItem(`${SELECTED_CLASS_KEY}.${userId}`, classKey);
+        }
+    }, [userId, classKey, clearUndoHistory, discardDraft]); // Dependencies for this effect
+
+    // Invitations waiting for this user's answer and the sharing settings of their own classes (see useInvites)
+    const {
+        pendingInvites,
+        sharingClassKey,
+        setSharingClassKey,
+        classInvites,
+        newInvite,
+        setNewInvite,
+        inviteToClass,
+        revokeInvite,
+        setMemberRole,
+        acceptInvite,
+        declineInvite,
+        leaveClass,
+    } = useInvites({ repository, userId, account, classes, setClassKey, setMessage });
+
+    // Effect for loading the student view opened through a share link (once signed in, as reading it requires)
+    useEffect(() => {
+        if (!STUDENT_LINK_TOKEN || !userId) {
+            return;
+        }
+        const unsubscribeView = repository.subscribeStudentView(STUDENT_LINK_TOKEN, (view, { fromCache }) => {
+            if (view || !fromCache) {
+                setStudentLinkView(view);
             }
-        };
+        }, (error) => {
+            console.error("Error listening to student view:", error);
+            setStudentLinkView(null);
+        });
+        return () => unsubscribeView();
+    }, [userId]); // Dependencies for this effect
+
+    // Effect to keep the student view of a class with a share link up to date as its jobs and students change.
+    // Only the owner publishes it; the last view published is remembered so unrelated changes don't rewrite it.
+    const shareToken = currentClass?.role === CLASS_ROLES.OWNER ? currentClass.shareToken : null;
+    const className = currentClass?.name;
+    const lastPublishedViewRef = useRef(null);
+    useEffect(() => {
+        if (!shareToken || stateLoadedFor !== classRef || !classRef) {
+            return;
+        }
+        const view = buildStudentView({ ...classRef, className }, appState);
+        const viewKey = `${shareToken}:${JSON.stringify(view)}`;
+        if (viewKey === lastPublishedViewRef.current) {
+            return;
+        }
+        lastPublishedViewRef.current = viewKey;
+        repository.publishStudentView(shareToken, view)
+            .catch(error => console.error("Error publishing student view:", error));
+    }, [shareToken, className, stateLoadedFor, classRef, appState]); // Dependencies for this effect
 
-        // Document references for the main app state and user-defined defaults
-        const stateDocRef = doc(db, `artifacts/${appId}/users/${userId}/job_assigner`, 'state');
-        const defaultsDocRef = doc(db, `artifacts/${appId}/users/${userId}/job_assigner`, 'defaults');
+    // Effect for loading the selected class's data from the repository (dependent on the selected class)
+    useEffect(() => {
+        // Only proceed if a class is selected
+        if (!classRef) {
+            return;
+        }
 
         // Subscribe to real-time updates for the main app state document
-        const unsubscribeState = onSnapshot(stateDocRef, (docSnap) => {
-            if (docSnap.exists()) {
-                const data = docSnap.data();
+        const unsubscribeState = repository.subscribeState(classRef, (storedState, { fromCache }) => {
+            if (storedState) {
+                // The old `jobTitles` field is replaced by `jobs`, so it isn't carried into the app state
+                const { jobTitles, ...data } = storedState;
+                // Migrate older documents that stored students as bare numbers or jobs as bare titles
+                const { students, migrated } = normalizeStudents(data.students || DEFAULT_STUDENTS);
+                const { jobs, migrated: jobsMigrated } = loadJobs({ jobs: data.jobs, jobTitles }, DEFAULT_JOBS);
+                if (migrated) {
+                    repository.updateState(classRef, { students })
+                        .then(() => setMessage('Student list upgraded to named students.'))
+                        .catch(error => console.error("Error migrating students:", error));
+                }
+                if (jobsMigrated) {
+                    repository.updateState(classRef, { jobs }, ['jobTitles'])
+                        .then(() => setMessage('Job list upgraded with the latest job settings.'))
+                        .catch(error => console.error("Error migrating jobs:", error));
+                }
                 // Update appState with fetched data, using defaults if fields are missing
-                setAppState(prevState => ({
-                    ...prevState,
+                const loadedState = {
+                    ...STATE_DEFAULTS,
                     ...data,
-                    students: data.students || DEFAULT_STUDENTS,
-                    jobTitles: data.jobTitles || DEFAULT_JOB_TITLES,
-                    remainingStudentsInCycle: data.remainingStudentsInCycle || [],
-                    currentAssignments: data.currentAssignments || {},
-                    studentJobHistory: data.studentJobHistory || {},
-                }));
+                    students,
+                    jobs,
+                    assignmentStrategy: ASSIGNMENT_STRATEGIES[data.assignmentStrategy] ? data.assignmentStrategy : DEFAULT_STRATEGY,
+                    rotationSchedule: normalizeSchedule(data.rotationSchedule),
+                    schoolCalendar: normalizeCalendar(data.schoolCalendar),
+                };
+                rememberState(loadedState);
+                setAppState(prevState => ({ ...prevState, ...loadedState }));
+                setStateLoadedFor(classRef);
                 setMessage('State loaded successfully!');
-            } else {
+            } else if (!fromCache) {
                 // If state document doesn't exist, initialize it with default values
+                // (only once the server confirms it, as an offline cache may simply not have it yet)
                 // Prioritize user-defined defaults if they exist, otherwise use hardcoded defaults
                 const initialStudents = appState.userDefaultStudents.length > 0 ? appState.userDefaultStudents : DEFAULT_STUDENTS;
-                const initialJobs = appState.userDefaultJobTitles.length > 0 ? appState.userDefaultJobTitles : DEFAULT_JOB_TITLES;
+                const initialJobs = appState.userDefaultJobs.length > 0 ? appState.userDefaultJobs : DEFAULT_JOBS;
                 
-                setDoc(stateDocRef, {
-                    students: initialStudents,
-                    jobTitles: initialJobs,
-                    currentAssignments: {},
-                    remainingStudentsInCycle: shuffleArray([...initialStudents]),
-                    studentJobHistory: {},
-                    lastAssignmentDate: null,
-                })
+                repository.createState(classRef, createInitialState(initialStudents, initialJobs))
                     .then(() => setMessage('Initialized default state.'))
                     .catch(error => console.error("Error setting initial state document:", error));
             }
-            stateLoaded = true;
-            checkLoadingComplete();
         }, (error) => {
             console.error("Error listening to state document:", error);
-            setMessage("Error loading state. Please check console.");
-            stateLoaded = true;
-            checkLoadingComplete();
+            setMessage(error.code === 'permission-denied'
+                ? "You don't have access to this class any more. You can leave it from Manage Classes."
+                : "Error loading state. Please check console.");
         });
 
         // Subscribe to real-time updates for the user defaults document
-        const unsubscribeDefaults = onSnapshot(defaultsDocRef, (docSnap) => {
-            if (docSnap.exists()) {
-                const data = docSnap.data();
-                // Update appState with user-defined default students and job titles
+        const unsubscribeDefaults = repository.subscribeDefaults(classRef, (data, { fromCache }) => {
+            if (data) {
+                // Migrate saved default students the same way as the main state
+                const { students, migrated } = normalizeStudents(data.students || []);
+                if (migrated) {
+                    repository.updateDefaults(classRef, { students })
+                        .catch(error => console.error("Error migrating default students:", error));
+                }
+                const { jobs, migrated: jobsMigrated } = loadJobs(data, []);
+                if (jobsMigrated) {
+                    repository.updateDefaults(classRef, { jobs }, ['jobTitles'])
+                        .catch(error => console.error("Error migrating default jobs:", error));
+                }
+                // Update appState with user-defined default students and jobs
                 setAppState(prevState => ({
                     ...prevState,
-                    userDefaultStudents: data.students || [],
-                    userDefaultJobTitles: data.jobTitles || [],
+                    userDefaultStudents: students,
+                    userDefaultJobs: jobs,
                 }));
-            } else {
-                // If defaults document doesn't exist, create it with empty arrays
-                setDoc(defaultsDocRef, { students: [], jobTitles: [] })
+            } else if (!fromCache) {
+                // If defaults document doesn't exist (on the server, not just in an offline cache), create it with empty arrays
+                repository.setDefaults(classRef, { students: [], jobs: [] })
                     .catch(error => console.error("Error setting initial defaults document:", error));
             }
-            defaultsLoaded = true;
-            checkLoadingComplete();
         }, (error) => {
             console.error("Error listening to defaults document:", error);
-            defaultsLoaded = true;
-            checkLoadingComplete();
         });
 
-        // Cleanup function for Firestore listeners
+        // Subscribe to the archive of generated weeks, stored as a subcollection of the state document
+        const unsubscribeWeeks = repository.subscribeWeeks(classRef, setWeeks, (error) => {
+            console.error("Error listening to weeks archive:", error);
+        });
+
+        // Cleanup function for the listeners
         return () => {
             unsubscribeState();
             unsubscribeDefaults();
+            unsubscribeWeeks();
+        };
+    }, [classRef, appState.userDefaultStudents, appState.userDefaultJobs, rememberState]); // Dependencies for this effect
+
+    // Effect to follow the browser going online and offline
+    useEffect(() => {
+        const updateOnline = () => setOnline(isOnline());
+        window.addEventListener('online', updateOnline);
+        window.addEventListener('offline', updateOnline);
+        return () => {
+            window.removeEventListener('online', updateOnline);
+            window.removeEventListener('offline', updateOnline);
         };
-    }, [userId, db, appState.userDefaultStudents, appState.userDefaultJobTitles]); // Dependencies for this effect
+    }, []); // Dependencies for this effect
+
+    // Effect to move `today` on when the date changes (checked every few minutes)
+    useEffect(() => {
+        const timer = setInterval(() => setToday(toISODate(new Date())), 5 * 60 * 1000);
+        return () => clearInterval(timer);
+    }, []); // Dependencies for this effect
 
-    // Function to save the current app state to Firestore
-    const saveState = useCallback(async (newState) => {
-        // Ensure userId and db are available before attempting to save
-        if (!userId || !db) {
-            setMessage("Cannot save: User not authenticated or Firestore not ready.");
+    // Effect to follow whether the selected class's state, defaults or weeks have writes waiting to reach the server
+    useEffect(() => {
+        setHasPendingWrites(false);
+        if (!classRef) {
             return;
         }
-        const docRef = doc(db, `artifacts/${appId}/users/${userId}/job_assigner`, 'state');
+        return repository.subscribePendingWrites(classRef, setHasPendingWrites);
+    }, [classRef]); // Dependencies for this effect
+
+    // Function to save the current app state (resolves to the saved state, or false if the save didn't go through).
+    // Every save records the previous state on the undo stack under `undoLabel`, unless `recordUndo` is false.
+    // `previousWeeks` overrides the archive snapshot for actions that change the archive before saving,
+    // and `offerUndo` shows the undo toast (used for destructive actions).
+    // Saves are checked against the stored state and write only the changed fields. `newState.version` says which
+    // version of the document the edit was made from: if someone else has saved since, the two edits are merged, and
+    // if both changed the same thing the save stops and the user chooses which changes to keep. Offline, the save is
+    // checked against the cached copy instead and queued, and Firestore applies it once the connection returns.
+    const saveState = useCallback(async (newState, {
+        undoLabel = 'Change',
+        recordUndo = true,
+        previousWeeks = weeksRef.current,
+        offerUndo = false,
+    } = {}) => {
+        // Ensure a class is selected before attempting to save
+        if (!classRef) {
+            setMessage("Cannot save: no class is loaded yet.");
+            return false;
+        }
+        if (readOnly) {
+            setMessage("This class is shared with you read-only, so changes can't be saved.");
+            return false;
+        }
+        const previousState = appStateRef.current;
+        const mine = toStoredState(newState);
+        const base = knownStatesRef.current.get(mine.version) || toStoredState(previousState);
         try {
-            await setDoc(docRef, newState); // Use setDoc to overwrite or create the document
-            setAppState(newState); // Update local state after successful save
-            setMessage('State saved successfully!');
+            const outcome = await repository.saveState(classRef, (stored) => prepareStateSave(stored, mine, base, userId));
+
+            if (outcome.conflict) {
+                setSaveConflict({ label: undoLabel, ...outcome.conflict, options: { undoLabel, recordUndo, previousWeeks, offerUndo } });
+                setMessage("Someone else changed this class while you were editing. Choose which changes to keep.");
+                return false;
+            }
+            if (recordUndo) {
+                recordUndoEntry({ label: undoLabel, state: previousState, weeks: previousWeeks });
+                setUndoToast(offerUndo ? undoLabel : null);
+            }
+            rememberState(outcome.state);
+            const savedState = { ...newState, ...outcome.state };
+            setAppState(savedState); // Update local state after successful save
+            setMessage(outcome.merged ? 'Saved, together with changes made elsewhere in the meantime.' : 'State saved successfully!');
+            return savedState;
         } catch (error) {
             console.error("Error saving state:", error);
             setMessage("Error saving state. Please try again.");
+            return false;
+        }
+    }, [classRef, readOnly, userId, recordUndoEntry, rememberState]); // Dependencies for this memoized function
+
+    // Students' job preferences, edited from the students modal (see usePreferences)
+    const { preferencesStudent, togglePreferences, closePreferences, updateStudentPreferences } = usePreferences(appState, saveState);
+    // Checks on the roster and dismissing archived weeks' checks (see useDiagnostics)
+    const { rosterDiagnostics, dismissDiagnostic } = useDiagnostics({ repository, classRef, appState, weeks, setMessage });
+
+    // Function to settle a save conflict: keep my side or theirs where both changed the same thing
+    // (changes that don't clash are kept either way), or drop my edit altogether
+    const resolveSaveConflict = async (choice) => {
+        const { mine, theirs, latest, options } = saveConflict;
+        setSaveConflict(null);
+        if (choice === 'discard') {
+            setMessage("Your change was discarded. You're now seeing the latest version.");
+            return;
+        }
+        const resolvedState = choice === 'mine' ? mine : theirs;
+        await saveState({ ...appStateRef.current, ...resolvedState, version: latest.version || 0 }, options);
+    };
+
+    // Helper function to describe one save conflict, e.g. "Job history: Ava, Ben"
+    const describeConflict = ({ field, keys }) => {
+        const label = STATE_FIELD_LABELS[field] || field;
+        if (['students', 'studentJobHistory', 'currentAssignments'].includes(field)) {
+            return keys.length > 0 ? `${label}: ${keys.map(key => getStudentName(appState.students, key)).join(', ')}` : label;
         }
-    }, [userId, db]); // Dependencies for this memoized function
+        return field === 'jobs' && keys.length > 0 ? `${label}: ${keys.join(', ')}` : label;
+    };
 
-    // Function to save user-defined default students or job titles to Firestore
+    // Function to save user-defined default students or jobs
     const saveDefaults = useCallback(async (type) => {
-        // Ensure userId and db are available before attempting to save defaults
-        if (!userId || !db) {
-            setMessage("Cannot save defaults: User not authenticated or Firestore not ready.");
+        // Ensure a class is selected before attempting to save defaults
+        if (!classRef) {
+            setMessage("Cannot save defaults: no class is loaded yet.");
             return;
         }
-        const defaultsDocRef = doc(db, `artifacts/${appId}/users/${userId}/job_assigner`, 'defaults');
         try {
             if (type === 'students') {
                 // Update only the 'students' field in the defaults document
-                await updateDoc(defaultsDocRef, { students: appState.students });
+                await repository.updateDefaults(classRef, { students: appState.students });
                 setMessage('Current students saved as new defaults!');
             } else if (type === 'jobs') {
-                // Update only the 'jobTitles' field in the defaults document
-                await updateDoc(defaultsDocRef, { jobTitles: appState.jobTitles });
-                setMessage('Current job titles saved as new defaults!');
+                // Update only the 'jobs' field in the defaults document
+                await repository.updateDefaults(classRef, { jobs: appState.jobs });
+                setMessage('Current jobs saved as new defaults!');
             }
             // Update local state to reflect the new user defaults
             setAppState(prevState => ({
                 ...prevState,
                 userDefaultStudents: type === 'students' ? prevState.students : prevState.userDefaultStudents,
-                userDefaultJobTitles: type === 'jobs' ? prevState.jobTitles : prevState.userDefaultJobTitles,
+                userDefaultJobs: type === 'jobs' ? prevState.jobs : prevState.userDefaultJobs,
             }));
         } catch (error) {
             console.error("Error saving defaults:", error);
             setMessage("Error saving defaults. Please try again.");
         }
-    }, [userId, db, appState.students, appState.jobTitles]); // Dependencies for this memoized function
+    }, [classRef, appState.students, appState.jobs]); // Dependencies for this memoized function
 
-    // Function to generate new weekly assignments
-    const generateWeeklyAssignments = useCallback(() => {
-        setMessage(''); // Clear previous messages
+    // Helper function to check a class name is filled in and not already used by another class
+    const validateClassName = (name, exceptClassKey = null) => {
+        if (!name) {
+            setMessage("Please enter a class name.");
+            return false;
+        }
+        if (classes.some(c => c.key !== exceptClassKey && c.name.toLowerCase() === name.toLowerCase())) {
+            setMessage("A class with that name already exists.");
+            return false;
+        }
+        return true;
+    };
 
-        let { students, jobTitles, studentJobHistory } = appState;
+    // Function to create a class with the given state and defaults documents, then switch to it
+    const createClass = async (name, classState, classDefaults) => {
+        try {
+            const newClassId = await repository.createClass(userId, createClassRecord(name), classState, classDefaults);
+            setClassKey(getClassKey(userId, newClassId));
+            return true;
+        } catch (error) {
+            console.error("Error creating class:", error);
+            setMessage("Error creating class. Please try again.");
+            return false;
+        }
+    };
 
-        // Basic validation
-        if (students.length === 0 || jobTitles.length === 0) {
-            setMessage("Please add students and job titles before assigning jobs.");
-            return;
+    // Function to add a new class with the default roster and jobs
+    const addClass = async () => {
+        const name = newClassName.trim();
+        if (!validateClassName(name)) return;
+        if (await createClass(name, createInitialState(DEFAULT_STUDENTS, DEFAULT_JOBS), { students: [], jobs: [] })) {
+            setNewClassName('');
+            setMessage(`Created class "${name}".`);
         }
+    };
 
-        if (students.length < jobTitles.length) {
-            setMessage("Warning: More job titles than students. Some jobs may not be assigned.");
+    // Function to copy a class's students, jobs, strategy and defaults into a new class of the user's own
+    // (shared classes can be copied too). The copy starts with a fresh cycle and no history, absences or archived weeks.
+    const duplicateClass = async (classRecord) => {
+        try {
+            const source = await repository.loadClassData({ ownerId: classRecord.ownerId, classId: classRecord.id });
+            const sourceState = source.state || {};
+            const sourceDefaults = source.defaults || {};
+            const students = normalizeStudents(sourceState.students || DEFAULT_STUDENTS).students;
+            const name = getCopyName(classes, classRecord.name);
+            const created = await createClass(name, {
+                ...createInitialState(students, loadJobs(sourceState, DEFAULT_JOBS).jobs),
+                assignmentStrategy: sourceState.assignmentStrategy || DEFAULT_STRATEGY,
+            }, {
+                students: normalizeStudents(sourceDefaults.students || []).students,
+                jobs: loadJobs(sourceDefaults, []).jobs,
+            });
+            if (created) {
+                setMessage(`Copied "${classRecord.name}" to "${name}" (students and jobs only, no history).`);
+            }
+        } catch (error) {
+            console.error("Error duplicating class:", error);
+            setMessage("Error duplicating class. Please try again.");
         }
+    };
 
-        let newCurrentAssignments = {};
-        let newStudentJobHistory = { ...studentJobHistory };
-        let newRemainingStudentsInCycle = [...appState.remainingStudentsInCycle];
+    // Function to rename one of the user's own classes
+    const renameClass = async (classRecord, newName) => {
+        const name = newName.trim();
+        if (name === classRecord.name || !validateClassName(name, classRecord.key)) return;
+        try {
+            await repository.updateClass(userId, classRecord.id, { name });
+        } catch (error) {
+            console.error("Error renaming class:", error);
+            setMessage("Error renaming class. Please try again.");
+        }
+    };
 
-        // If no students are left in the current cycle, start a new one
-        if (newRemainingStudentsInCycle.length === 0) {
-            newRemainingStudentsInCycle = shuffleArray([...students]);
-            setMessage("Starting a new cycle: All students are now available for assignment.");
+    // Function to archive one of the user's own classes (hiding it from the switcher without deleting its data)
+    // or bring it back. Archiving the class being shown switches to another active class.
+    const setClassArchived = async (classRecord, archived) => {
+        if (archived && ownClasses.filter(c => !c.archived).length <= 1) {
+            setMessage("You can't archive your only active class.");
+            return;
+        }
+        try {
+            await repository.updateClass(userId, classRecord.id, { archived });
+            setMessage(archived ? `Archived "${classRecord.name}".` : `Restored "${classRecord.name}".`);
+        } catch (error) {
+            console.error("Error archiving class:", error);
+            setMessage("Error updating class. Please try again.");
         }
+    };
 
-        // Create a shuffled list of available students for this week
-        let availableStudentsForThisWeek = shuffleArray([...students]);
-        let studentsAssignedThisWeek = new Set(); // Track students already assigned this week
+    // Function to create a read-only student view link for the class being shown, publishing its current jobs
+    const createStudentLink = async () => {
+        const token = createShareToken();
+        try {
+            await repository.createStudentLink(userId, currentClass.id, token,
+                buildStudentView({ ...classRef, className: currentClass.name }, appState));
+        } catch (error) {
+            console.error("Error creating student link:", error);
+            setMessage("Error creating the student link. Please try again.");
+        }
+    };
 
-        const shuffledJobTitles = shuffleArray([...jobTitles]); // Shuffle job titles for fairness
+    // Function to revoke the class's student view link, so anyone who has it can no longer see the class's jobs
+    const revokeStudentLink = async () => {
+        try {
+            await repository.revokeStudentLink(userId, currentClass.id, currentClass.shareToken);
+            setMessage("Student link revoked. It no longer shows this class's jobs.");
+        } catch (error) {
+            console.error("Error revoking student link:", error);
+            setMessage("Error revoking the student link. Please try again.");
+        }
+    };
 
-        shuffledJobTitles.forEach(job => {
-            let assignedStudent = null;
-            let bestStudentCandidate = null;
-            let bestStudentCandidateHistory = [];
+    // Function to copy the class's student view link to the clipboard
+    const copyStudentLink = async () => {
+        try {
+            await navigator.clipboard.writeText(getStudentLinkUrl(currentClass.shareToken));
+            setMessage("Student link copied.");
+        } catch (error) {
+            console.error("Error copying student link:", error);
+            setMessage("Couldn't copy the link. Please select and copy it instead.");
+        }
+    };
 
-            // Filter students who haven't been assigned a job yet this week
-            const eligibleStudentsForJob = availableStudentsForThisWeek.filter(
-                studentNum => !studentsAssignedThisWeek.has(studentNum)
-            );
+    // Helper function to run an account action for the account panel, resolving to null or an error message
+    const runAccountAction = async (action, successMessage) => {
+        try {
+            await action();
+            setAccount(toAccount(auth.currentUser)); // Linking keeps the same user, so no auth event refreshes this
+            if (successMessage) setMessage(successMessage);
+            return null;
+        } catch (error) {
+            console.error("Account action failed:", error);
+            return getAuthErrorMessage(error);
+        }
+    };
 
-            if (eligibleStudentsForJob.length === 0) {
-                setMessage(prev => prev + (prev ? " " : "") + "Not enough unique students to assign all jobs this week. Some jobs were skipped.");
-                return; // Skip this job if no eligible students
-            }
+    // Function to archive a generated week as its own dated record in the weeks archive, under an ID from
+    // repository.createWeekId or an existing week's ID to overwrite that record (used when a draw is re-run).
+    // Called once the assignments are saved, so a failed save never leaves a week behind (resolves to true on success).
+    const archiveWeek = useCallback(async (weekRecord, weekId) => {
+        try {
+            await repository.saveWeek(classRef, weekId, weekRecord);
+            return true;
+        } catch (error) {
+            console.error("Error archiving week:", error);
+            setMessage("Assignments were saved, but archiving this week failed.");
+            return false;
+        }
+    }, [classRef]); // Dependencies for this memoized function
 
-            // Try to find a student who hasn't had this job recently (last 2 assignments)
-            for (const studentNum of eligibleStudentsForJob) {
-                const history = newStudentJobHistory[studentNum] || [];
-                const recentHistoryJobs = history.slice(-2); // Get last 2 jobs
+    // Function to replace the whole weeks archive (resolves to true on success).
+    // Called with no weeks by the reset actions to clear the archive, or with a backup's weeks when restoring.
+    const replaceWeekArchive = useCallback(async (newWeeks = []) => {
+        try {
+            await repository.replaceWeeks(classRef, newWeeks);
+            return true;
+        } catch (error) {
+            console.error("Error replacing weeks archive:", error);
+            setMessage("Error updating the weeks archive. Please try again.");
+            return false;
+        }
+    }, [classRef]); // Dependencies for this memoized function
+
+    // Function to save a draw (see drawAssignments) made from a given state: save the new assignments, history and
+    // cycle, then archive its week (resolves to the saved state, or false if nothing was saved). Pass the ID of an
+    // archived week to replace that week's record instead of adding a new one, `drawDate` for a draw made for a
+    // past rotation the app is catching up on, and `manualOverrides` for changes made by hand in a draft.
+    const saveDraw = useCallback(async (baseState, draw, weekIdToReplace = null, drawDate = new Date(), manualOverrides = []) => {
+        const { result, assignmentWeek, schoolWeek } = draw;
+        const previousWeeks = weeksRef.current;
+
+        // Build the user-facing summary from the engine's result
+        const messages = [];
+        if (result.cycleStarted) {
+            messages.push("Starting a new cycle: All students are now available for assignment.");
+        }
+        if (result.preferredJobs.requested > 0) {
+            messages.push(`${result.preferredJobs.granted} of ${result.preferredJobs.requested} students with favourite jobs got one.`);
+        }
+        // Problems are listed with the week rather than spelled out here
+        const problemCount = result.diagnostics.filter(diagnostic => diagnostic.severity !== 'info').length;
+        if (problemCount > 0) {
+            messages.push(`${problemCount} problem${problemCount === 1 ? '' : 's'} found; see this week's checks.`);
+        }
+        if (result.cycleCompleted) {
+            messages.push(result.remainingStudentsInCycle.length === 0
+                ? "All students have received a job in this cycle. Next assignment will start a new cycle."
+                : "All students who could take part have received a job in this cycle, so a new cycle has started.");
+        }
 
-                if (!recentHistoryJobs.includes(job)) {
-                    bestStudentCandidate = studentNum;
-                    bestStudentCandidateHistory = history;
-                    break; // Found a good candidate, break loop
-                }
-            }
+        // The week's record ID is chosen up front so it can be kept with the draw
+        const assignmentDate = drawDate.toISOString();
+        const weekId = weekIdToReplace || repository.createWeekId(classRef);
+        const weekRecord = {
+            createdAt: assignmentDate,
+            weekStart: assignmentWeek.startDate,
+            weekEnd: assignmentWeek.endDate,
+            weekLabel: schoolWeek.label,
+            weekNumber: schoolWeek.number,
+            termName: schoolWeek.termName,
+            assignments: result.assignments,
+            absentStudents: result.skippedStudents,
+            // Names at the time of the draw, so the archive still reads correctly after students leave
+            studentNames: Object.fromEntries(Object.keys(result.assignments)
+                .map(studentId => [studentId, getStudentName(baseState.students, studentId)])),
+            seed: result.seed,
+            strategy: result.strategy,
+            fairness: result.fairness,
+            preferredJobs: result.preferredJobs,
+            diagnostics: result.diagnostics,
+            dismissedDiagnostics: [],
+            ...(manualOverrides.length > 0 && { manualOverrides }),
+        };
 
-            // If no student found who hasn't had it recently, try finding one who hasn't had it at all
-            if (bestStudentCandidate === null) {
-                for (const studentNum of eligibleStudentsForJob) {
-                    const history = newStudentJobHistory[studentNum] || [];
-                    if (!history.includes(job)) {
-                        bestStudentCandidate = studentNum;
-                        bestStudentCandidateHistory = history;
-                        setMessage(prev => prev + (prev ? " " : "") + `Warning: Student ${studentNum} was assigned job "${job}" even though it's in their recent history, as no better option was available.`);
-                        break;
-                    }
-                }
-            }
+        // Save the updated state to Firestore
+        const saved = await saveState({
+            ...baseState,
+            currentAssignments: result.assignments,
+            remainingStudentsInCycle: result.remainingStudentsInCycle,
+            studentJobHistory: result.studentJobHistory,
+            priorityStudents: result.priorityStudents,
+            lastAssignmentDate: assignmentDate, // Record assignment date
+            currentWeek: {
+                startDate: schoolWeek.startDate,
+                endDate: schoolWeek.endDate,
+                number: schoolWeek.number,
+                termName: schoolWeek.termName,
+                label: schoolWeek.label,
+            },
+            // Keep what the draw started from so it can be re-run with the same seed
+            lastDraw: {
+                seed: result.seed,
+                strategy: result.strategy,
+                fairness: result.fairness,
+                preferredJobs: result.preferredJobs,
+                weekId,
+                remainingStudentsInCycle: baseState.remainingStudentsInCycle,
+                priorityStudents: baseState.priorityStudents,
+                previousAssignments: baseState.currentAssignments,
+                // Students who took part, so their "no job" history entries can be taken back out too
+                studentIds: getActiveStudentIds(baseState.students),
+            },
+        }, { undoLabel: weekIdToReplace ? 'Re-run draw' : 'Assign jobs', previousWeeks });
+        // Archive the week only once its assignments are saved, so a failed or conflicting save leaves no orphan week
+        if (saved && await archiveWeek(weekRecord, weekId)) {
+            setMessage([`Assigned jobs using seed ${result.seed}.`, ...messages].join(' '));
+        }
+        return saved;
+    }, [classRef, saveState, archiveWeek]); // Dependencies for this memoized function
+
+    // Function to run the assignment engine against a given state and save the result straight away, without a
+    // draft (used for scheduled rotations). Resolves to the saved state, or false if nothing was saved.
+    const runDraw = useCallback(async (baseState, seed, weekIdToReplace = null, drawDate = new Date()) => {
+        const draw = drawAssignments(baseState, seed, drawDate);
+        if (!draw) {
+            setMessage("Please add students and jobs before assigning jobs.");
+            return false;
+        }
+        return saveDraw(baseState, draw, weekIdToReplace, drawDate);
+    }, [saveDraw]); // Dependencies for this memoized function
 
-            // If still no ideal candidate, just pick the first eligible student (they've had it before)
-            if (bestStudentCandidate === null && eligibleStudentsForJob.length > 0) {
-                bestStudentCandidate = eligibleStudentsForJob[0];
-                bestStudentCandidateHistory = newStudentJobHistory[bestStudentCandidate] || [];
-                setMessage(prev => prev + (prev ? " " : "") + `Warning: Student ${bestStudentCandidate} was assigned job "${job}" even though they've had it before, as all eligible students have had this job.`);
-            }
+    // Function to generate a draft of new weekly assignments with a fresh seed
+    const generateWeeklyAssignments = useCallback(() => {
+        setMessage(''); // Clear previous messages
+        startDraft(appState);
+    }, [appState, startDraft]); // Dependencies for this memoized function
+
+    // Function to publish the draft: save its assignments, history and cycle, noting any changes made by hand
+    const publishDraft = async () => {
+        const { baseState, draw, weekIdToReplace, drawDate } = draft;
+        if (await saveDraw(baseState, draw, weekIdToReplace, drawDate, getDraftOverrides())) {
+            discardDraft();
+        }
+    };
 
-            assignedStudent = bestStudentCandidate;
+    // Scheduled rotations that are due but haven't been drawn, drawn by hand or by themselves (see useDueRotations)
+    const { dueRotations, rotationsDismissed, generateDueRotations, dismissDueRotations } = useDueRotations({
+        classRef, stateLoadedFor, appState, appStateRef, today, readOnly, runDraw, setMessage,
+    });
 
-            // If a student was assigned, update assignments and history
-            if (assignedStudent !== null) {
-                newCurrentAssignments[assignedStudent] = job;
-                studentsAssignedThisWeek.add(assignedStudent); // Mark student as assigned for this week
+    // Function to save the rotation schedule settings
+    const updateRotationSchedule = (changes, undoLabel = 'Change rotation schedule') => {
+        const rotationSchedule = { ...appState.rotationSchedule, ...changes };
+        // Every-few-days schedules count school days from a fixed start, which defaults to today
+        if (rotationSchedule.mode === 'everyNDays' && !rotationSchedule.startDate) {
+            rotationSchedule.startDate = today;
+        }
+        saveState({ ...appState, rotationSchedule }, { undoLabel });
+    };
 
-                // Add the new job to the student's history
-                newStudentJobHistory[assignedStudent] = [...(bestStudentCandidateHistory || []), job];
+    // Function to add a term or holiday to the school calendar (`kind` is 'terms' or 'holidays')
+    const addCalendarEntry = () => {
+        const { kind, name, startDate, endDate } = newCalendarEntry;
+        if (!startDate || !endDate) {
+            setMessage(`Please choose the dates of the ${kind === 'terms' ? 'term' : 'holiday'}.`);
+            return;
+        }
+        const schoolCalendar = normalizeCalendar(appState.schoolCalendar);
+        saveState({
+            ...appState,
+            schoolCalendar: { ...schoolCalendar, [kind]: [...schoolCalendar[kind], createCalendarEntry(name, startDate, endDate)] },
+        }, { undoLabel: kind === 'terms' ? 'Add term' : 'Add holiday' });
+        setNewCalendarEntry(prev => ({ ...prev, name: '', startDate: '', endDate: '' }));
+    };
 
-                // Remove the assigned student from the remaining students in the cycle
-                const indexInCycle = newRemainingStudentsInCycle.indexOf(assignedStudent);
-                if (indexInCycle > -1) {
-                    newRemainingStudentsInCycle.splice(indexInCycle, 1);
-                }
+    // Function to remove a term or holiday from the school calendar
+    const removeCalendarEntry = (kind, entryId) => {
+        const schoolCalendar = normalizeCalendar(appState.schoolCalendar);
+        saveState({
+            ...appState,
+            schoolCalendar: { ...schoolCalendar, [kind]: schoolCalendar[kind].filter(entry => entry.id !== entryId) },
+        }, { undoLabel: kind === 'terms' ? 'Remove term' : 'Remove holiday' });
+    };
+
+    // Function to read an iCalendar (.ics) file, e.g. the school district's calendar, and preview its events so the
+    // teacher can choose which become terms or holidays (school events like "Picture Day" aren't imported by default)
+    const importCalendarFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Let the same file be chosen again
+        if (!file) {
+            return;
+        }
+        try {
+            const events = parseIcs(await readFileAsText(file));
+            if (events.length === 0) {
+                setMessage(`No events found in ${file.name}.`);
+                return;
             }
-        });
+            setCalendarImport({
+                fileName: file.name,
+                events: [...events]
+                    .sort((a, b) => a.startDate.localeCompare(b.startDate))
+                    .map(event => ({ ...event, kind: suggestEventKind(event) })),
+            });
+        } catch (error) {
+            console.error("Error importing calendar:", error);
+            setMessage("Couldn't read that calendar file. Please choose an .ics file.");
+        }
+    };
+
+    // Function to change how one previewed event is imported (a key of CALENDAR_EVENT_KINDS)
+    const setCalendarImportKind = (index, kind) => {
+        setCalendarImport(prev => ({
+            ...prev,
+            events: prev.events.map((event, i) => (i === index ? { ...event, kind } : event)),
+        }));
+    };
 
-        // Add a message if a new cycle is completed
-        if (newRemainingStudentsInCycle.length === 0 && students.length > 0) {
-            setMessage(prev => prev + (prev ? " " : "") + "All students have received a job in this cycle. Next assignment will start a new cycle.");
+    // Function to import the previewed events the teacher chose
+    const confirmCalendarImport = async () => {
+        const { fileName, events } = calendarImport;
+        const { calendar, termsAdded, holidaysAdded } = importCalendarEvents(appState.schoolCalendar, events);
+        if (termsAdded + holidaysAdded === 0) {
+            setMessage(events.some(event => event.kind !== 'skip')
+                ? `Everything chosen from ${fileName} is already in the calendar.`
+                : `Nothing was chosen to import from ${fileName}.`);
+            setCalendarImport(null);
+            return;
         }
+        const saved = await saveState({ ...appState, schoolCalendar: calendar }, { undoLabel: 'Import calendar' });
+        if (saved) {
+            setCalendarImport(null);
+            setMessage(`Imported ${termsAdded} term${termsAdded === 1 ? '' : 's'} and ${holidaysAdded} holiday${holidaysAdded === 1 ? '' : 's'} from ${fileName}.`);
+        }
+    };
 
-        // Save the updated state to Firestore
-        saveState({
+    // Function to undo the last draw and draft it again from a saved (or entered) seed
+    const rerunLastDraw = useCallback(() => {
+        const { lastDraw } = appState;
+        if (!lastDraw) {
+            setMessage("There is no draw to re-run yet.");
+            return;
+        }
+        const seed = seedInput.trim() === '' ? lastDraw.seed : parseSeed(seedInput);
+        if (seed === null) {
+            setMessage("Invalid seed. Must be a whole number between 0 and 4294967295.");
+            return;
+        }
+        // Restore the history and cycle to how they were before the last draw
+        const baseState = {
             ...appState,
-            currentAssignments: newCurrentAssignments,
-            remainingStudentsInCycle: newRemainingStudentsInCycle,
-            studentJobHistory: newStudentJobHistory,
-            lastAssignmentDate: new Date().toISOString(), // Record assignment date
-        });
+            currentAssignments: lastDraw.previousAssignments || {},
+            remainingStudentsInCycle: (lastDraw.remainingStudentsInCycle || [])
+                .filter(studentNum => getActiveStudentIds(appState.students).includes(studentNum)),
+            studentJobHistory: revertAssignments(appState.currentAssignments, appState.studentJobHistory, lastDraw.studentIds || []),
+            priorityStudents: lastDraw.priorityStudents || [],
+        };
+        setSeedInput('');
+        startDraft(baseState, seed, lastDraw.weekId);
+    }, [appState, seedInput, startDraft]); // Dependencies for this memoized function
 
-    }, [appState, saveState]); // Dependencies for this memoized function
+    // Function to change the strategy used by the assignment engine
+    const changeAssignmentStrategy = (strategy) => {
+        saveState({ ...appState, assignmentStrategy: strategy }, { undoLabel: 'Change strategy' });
+    };
 
-    // Function to reset all assignment history (current assignments, remaining cycle, and job history)
-    const resetAssignmentHistory = useCallback(() => {
-        const studentsToUse = appState.students; // Use current students list
+    // Function to reset all assignment history (current assignments, remaining cycle, and job history).
+    // The weeks archive is only cleared once the reset state has been saved.
+    const resetAssignmentHistory = useCallback(async () => {
+        const studentsToUse = getActiveStudentIds(appState.students); // Use current active students
         const newState = {
             ...appState,
             currentAssignments: {}, // Clear current assignments
             remainingStudentsInCycle: shuffleArray([...studentsToUse]), // Reset and shuffle remaining students
             studentJobHistory: {}, // Clear all job history
             lastAssignmentDate: null, // Clear last assignment date
+            currentWeek: null, // Clear the week the assignments were for
+            lastDraw: null, // Nothing left to re-run
+            priorityStudents: [], // Nobody is owed a job any more
         };
-        saveState(newState); // Save the reset state
-        setMessage("Student assignment history has been reset.");
         setShowResetHistoryConfirm(false); // Close confirmation modal
-    }, [saveState, appState]); // Dependencies for this memoized function
+        if (!(await saveState(newState, { undoLabel: 'Reset assignment history', offerUndo: true }))) {
+            return; // saveState has already said why
+        }
+        if (await replaceWeekArchive()) { // Archived weeks are part of the history
+            setMessage("Student assignment history has been reset.");
+        }
+    }, [saveState, replaceWeekArchive, appState]); // Dependencies for this memoized function
 
-    // Function to reset ALL app data to default (or user-defined defaults)
-    const resetAll = useCallback(() => {
+    // Function to reset ALL app data to default (or user-defined defaults), clearing the weeks archive once saved
+    const resetAll = useCallback(async () => {
         // Determine which student and job lists to use for reset
         const studentsToUse = appState.userDefaultStudents.length > 0 ? appState.userDefaultStudents : DEFAULT_STUDENTS;
-        const jobsToUse = appState.userDefaultJobTitles.length > 0 ? appState.userDefaultJobTitles : DEFAULT_JOB_TITLES;
+        const jobsToUse = appState.userDefaultJobs.length > 0 ? appState.userDefaultJobs : DEFAULT_JOBS;
 
         const newState = {
-            students: studentsToUse,
-            jobTitles: jobsToUse,
-            currentAssignments: {},
-            remainingStudentsInCycle: shuffleArray([...studentsToUse]),
-            studentJobHistory: {},
-            lastAssignmentDate: null,
+            ...createInitialState(studentsToUse, jobsToUse),
+            version: appState.version, // Replaces the version being shown
+            assignmentStrategy: appState.assignmentStrategy, // Keep the chosen strategy
+            rotationSchedule: appState.rotationSchedule, // Keep the rotation schedule and school calendar
+            schoolCalendar: appState.schoolCalendar,
             userDefaultStudents: appState.userDefaultStudents, // Keep user defaults
-            userDefaultJobTitles: appState.userDefaultJobTitles, // Keep user defaults
+            userDefaultJobs: appState.userDefaultJobs, // Keep user defaults
         };
-        saveState(newState); // Save the completely reset state
-        setMessage("All data has been reset to defaults (user-defined or original).");
         setShowResetConfirm(false); // Close confirmation modal
-    }, [saveState, appState.userDefaultStudents, appState.userDefaultJobTitles, appState]); // Dependencies for this memoized function
+        if (!(await saveState(newState, { undoLabel: 'Reset all data', offerUndo: true }))) {
+            return; // saveState has already said why
+        }
+        if (await replaceWeekArchive()) {
+            setMessage("All data has been reset to defaults (user-defined or original).");
+        }
+    }, [saveState, replaceWeekArchive, appState.userDefaultStudents, appState.userDefaultJobs, appState]); // Dependencies for this memoized function
+
+    // Backing the class up to a file and restoring it from one (see useBackup)
+    const { restorePreview, downloadBackup, chooseBackupFile, closeRestorePreview, restoreBackup } = useBackup({
+        repository,
+        classRef,
+        appState,
+        weeks,
+        appStateRef,
+        weeksRef,
+        stateDefaults: STATE_DEFAULTS,
+        saveState,
+        setSaveConflict,
+        setMessage,
+    });
 
     // Function to clear only the current week's assignments
-    const clearCurrentAssignments = useCallback(() => {
-        saveState({
+    const clearCurrentAssignments = useCallback(async () => {
+        const saved = await saveState({
             ...appState,
             currentAssignments: {}, // Clear only current assignments
-            lastAssignmentDate: null, // Clear last assignment date
-        });
-        setMessage("Current week's assignments cleared.");
+            currentWeek: null, // No week is assigned any more (the last draw's date stays, for the rotation schedule)
+            lastDraw: null, // The cleared draw can no longer be re-run
+        }, { undoLabel: "Clear this week's assignments", offerUndo: true });
+        if (saved) {
+            setMessage("Current week's assignments cleared.");
+        }
     }, [appState, saveState]); // Dependencies for this memoized function
 
-    // Function to add a new job title
-    const addJobTitle = () => {
-        if (newJobTitle.trim() && !appState.jobTitles.includes(newJobTitle.trim())) {
-            const updatedJobTitles = [...appState.jobTitles, newJobTitle.trim()];
-            saveState({ ...appState, jobTitles: updatedJobTitles }); // Save updated list
+    // Function to add a new job (one student, open to everyone)
+    const addJob = () => {
+        const title = newJobTitle.trim();
+        if (title && !getJobTitles(appState.jobs).includes(title)) {
+            saveState({ ...appState, jobs: [...appState.jobs, createJob(title)] }, { undoLabel: `Add "${title}"` }); // Save updated list
             setNewJobTitle(''); // Clear input field
-        } else if (appState.jobTitles.includes(newJobTitle.trim())) {
+        } else if (getJobTitles(appState.jobs).includes(title)) {
             setMessage("Job title already exists.");
         }
     };
 
-    // Function to remove a job title
-    const removeJobTitle = (jobToRemove) => {
-        const updatedJobTitles = appState.jobTitles.filter(job => job !== jobToRemove);
-        saveState({ ...appState, jobTitles: updatedJobTitles }); // Save updated list
+    // Function to update a job's details, headcount, eligibility or pinned students
+    const updateJob = (title, changes) => {
+        saveState(
+            { ...appState, jobs: appState.jobs.map(job => (job.title === title ? { ...job, ...changes } : job)) },
+            { undoLabel: `Edit "${title}"` }
+        );
+    };
+
+    // Function to move a job up or down the list (the order used by the job chart and the round-robin strategy)
+    const moveJobInList = (index, offset) => {
+        saveState({ ...appState, jobs: moveJob(appState.jobs, index, offset) }, { undoLabel: `Move "${appState.jobs[index].title}"` });
+    };
+
+    // Function to remove a job (and take it out of students' preferences)
+    const removeJob = (titleToRemove) => {
+        const updatedJobs = appState.jobs.filter(job => job.title !== titleToRemove);
+        saveState({
+            ...appState,
+            jobs: updatedJobs,
+            studentPreferences: removeJobFromPreferences(appState.studentPreferences, titleToRemove),
+        }, { undoLabel: `Remove "${titleToRemove}"`, offerUndo: true }); // Save updated list
+    };
+
+    // Function to add the new jobs from a validated import
+    const importJobs = (rows) => {
+        saveState(
+            {
+                ...appState,
+                jobs: [...appState.jobs, ...rows.map(({ title, headcount, description, icon, category, weight }) => (
+                    createJob(title, { headcount, description, icon, category, weight })
+                ))],
+            },
+            { undoLabel: 'Import jobs' }
+        );
+        setMessage(`Imported ${rows.length} job${rows.length === 1 ? '' : 's'}.`);
     };
 
-    // Function to add a new student number
+    // Function to add a new named student
     const addStudent = () => {
-        const num = parseInt(newStudentNumber.trim(), 10); // Parse input as integer
-        if (!isNaN(num) && num > 0 && !appState.students.includes(num)) {
-            const updatedStudents = [...appState.students, num].sort((a, b) => a - b); // Add and sort
-            saveState({ ...appState, students: updatedStudents }); // Save updated list
-            setNewStudentNumber(''); // Clear input field
-        } else if (appState.students.includes(num)) {
-            setMessage("Student number already exists.");
-        } else {
-            setMessage("Invalid student number. Must be a positive integer.");
+        const name = newStudentName.trim();
+        if (!name) {
+            setMessage("Please enter a student name.");
+            return;
+        }
+        if (appState.students.some(student => student.name.toLowerCase() === name.toLowerCase())) {
+            setMessage("A student with that name already exists.");
+            return;
+        }
+        const student = createStudent(nextStudentId(appState.students), name, newStudentNickname);
+        saveState({
+            ...appState,
+            students: [...appState.students, student],
+            // New students join the current cycle so they get a job before it ends
+            remainingStudentsInCycle: [...appState.remainingStudentsInCycle, student.id],
+        }, { undoLabel: `Add ${student.name}` });
+        setNewStudentName(''); // Clear input fields
+        setNewStudentNickname('');
+    };
+
+    // Function to add the new students from a validated import
+    const importStudents = (rows) => {
+        let nextId = nextStudentId(appState.students);
+        const importedStudents = rows.map(row => createStudent(nextId++, row.name, row.nickname, row.active));
+        saveState({
+            ...appState,
+            students: [...appState.students, ...importedStudents],
+            // Active imported students join the current cycle, like students added by hand
+            remainingStudentsInCycle: [...appState.remainingStudentsInCycle, ...getActiveStudentIds(importedStudents)],
+        }, { undoLabel: 'Import students' });
+        setMessage(`Imported ${rows.length} student${rows.length === 1 ? '' : 's'}.`);
+    };
+
+    // Function to update a student's name, nickname or active flag
+    const updateStudent = (studentId, changes) => {
+        const student = appState.students.find(s => s.id === studentId);
+        if (!student) return;
+        const updatedStudent = { ...student, ...changes };
+        updatedStudent.name = updatedStudent.name.trim() || student.name; // Names can't be blanked
+        updatedStudent.nickname = updatedStudent.nickname.trim();
+
+        // Inactive students leave the cycle; reactivated students rejoin it
+        let updatedRemainingStudents = appState.remainingStudentsInCycle;
+        if (!updatedStudent.active) {
+            updatedRemainingStudents = updatedRemainingStudents.filter(s => s !== studentId);
+        } else if (!student.active && !updatedRemainingStudents.includes(studentId)) {
+            updatedRemainingStudents = [...updatedRemainingStudents, studentId];
         }
+
+        saveState({
+            ...appState,
+            students: appState.students.map(s => (s.id === studentId ? updatedStudent : s)),
+            remainingStudentsInCycle: updatedRemainingStudents,
+        }, { undoLabel: `Edit ${student.name}` });
+    };
+
+    // Function to record a student absence for a date range
+    const addAbsence = () => {
+        const studentId = parseInt(newAbsence.studentId, 10);
+        if (isNaN(studentId)) {
+            setMessage("Please choose a student.");
+            return;
+        }
+        if (!newAbsence.startDate || !newAbsence.endDate) {
+            setMessage("Please choose the dates of the absence.");
+            return;
+        }
+        const absence = createAbsence(studentId, newAbsence.startDate, newAbsence.endDate, newAbsence.reason);
+        saveState(
+            { ...appState, absences: [...appState.absences, absence] },
+            { undoLabel: `Mark ${getStudentName(appState.students, studentId)} absent` }
+        );
+        setNewAbsence(prev => ({ ...prev, studentId: '', reason: '' })); // Keep the dates for the next entry
+    };
+
+    // Function to remove a recorded absence
+    const removeAbsence = (absenceId) => {
+        saveState(
+            { ...appState, absences: appState.absences.filter(absence => absence.id !== absenceId) },
+            { undoLabel: 'Remove absence' }
+        );
+    };
+
+    // Function to drop absences that have already ended
+    const clearPastAbsences = () => {
+        saveState(
+            { ...appState, absences: pruneAbsences(appState.absences, toISODate(new Date())) },
+            { undoLabel: 'Clear past absences' }
+        );
     };
 
     // Function to remove a student
     const removeStudent = (studentToRemove) => {
-        const updatedStudents = appState.students.filter(s => s !== studentToRemove);
+        const updatedStudents = appState.students.filter(s => s.id !== studentToRemove);
         // Also remove from remaining cycle, current assignments, and history
         const updatedRemainingStudents = appState.remainingStudentsInCycle.filter(s => s !== studentToRemove);
         const updatedAssignments = { ...appState.currentAssignments };
         delete updatedAssignments[studentToRemove];
         const updatedHistory = { ...appState.studentJobHistory };
         delete updatedHistory[studentToRemove];
+        const updatedPreferences = { ...appState.studentPreferences };
+        delete updatedPreferences[studentToRemove];
 
         saveState({
             ...appState,
@@ -476,35 +1442,118 @@ const App = () => {
             remainingStudentsInCycle: updatedRemainingStudents,
             currentAssignments: updatedAssignments,
             studentJobHistory: updatedHistory,
-        });
-    };
-
-    // Drag and Drop Handlers for reordering current assignments display
-    const handleDragStart = (e, index) => {
-        dragItem.current = index; // Store the index of the dragged item
+            studentPreferences: updatedPreferences,
+            absences: appState.absences.filter(absence => absence.studentId !== studentToRemove),
+            priorityStudents: appState.priorityStudents.filter(s => s !== studentToRemove),
+            jobs: removeStudentFromJobs(appState.jobs, studentToRemove),
+        }, { undoLabel: `Remove ${getStudentName(appState.students, studentToRemove)}`, offerUndo: true });
     };
 
-    const handleDragEnter = (e, index) => {
-        dragOverItem.current = index; // Store the index of the item being dragged over
-    };
+    // Undo and redo, by button or keyboard shortcut (see useUndoActions)
+    const { undo, redo } = useUndoActions({
+        undoHistory,
+        appStateRef,
+        weeksRef,
+        saveState,
+        replaceWeekArchive,
+        setSaveConflict,
+        setUndoToast,
+        setMessage,
+    });
 
-    const handleDragEnd = () => {
-        if (dragItem.current === null || dragOverItem.current === null) return;
+    // Stable callback for the toast's auto-dismiss timer
+    const dismissUndoToast = useCallback(() => setUndoToast(null), []);
 
-        const copiedListItems = [...displayAssignments];
-        const draggedItemContent = copiedListItems[dragItem.current];
-        copiedListItems.splice(dragItem.current, 1); // Remove dragged item from its original position
-        copiedListItems.splice(dragOverItem.current, 0, draggedItemContent); // Insert it at the new position
+    // Function to hand a job to another student by hand, saving it and marking it as a manual override
+    const reassignJobManually = useCallback(async (job, fromStudent, toStudent) => {
+        // Drops that would give either student a job they can't have are refused, like changes in a draft
+        const problem = findReassignmentProblem(appState, job, fromStudent, toStudent);
+        if (problem) {
+            setMessage(describeReassignmentProblem(appState.students, problem));
+            return;
+        }
+        const result = reassignJob(appState, job, fromStudent, toStudent);
+        if (!result) return;
+        const { overrides, ...changes } = result;
+        const previousWeeks = weeksRef.current;
+
+        const toName = getStudentName(appState.students, toStudent);
+        const saved = await saveState({ ...appState, ...changes }, { undoLabel: `Give "${job}" to ${toName}`, previousWeeks });
+        if (!saved) return;
+
+        // Keep this week's archived record in step and note the override there
+        const week = weeks.find(w => w.id === appState.lastDraw?.weekId);
+        if (week) {
+            const { id, ...weekRecord } = week;
+            const overriddenAt = new Date().toISOString();
+            const archived = await archiveWeek({
+                ...weekRecord,
+                assignments: changes.currentAssignments,
+                studentNames: { ...weekRecord.studentNames, [toStudent]: toName },
+                manualOverrides: [
+                    ...(weekRecord.manualOverrides || []),
+                    ...overrides.map(override => ({ ...override, overriddenAt })),
+                ],
+            }, id);
+            if (!archived) return;
+        }
+        setMessage(`"${job}" is now ${toName}'s job (manual override).`);
+    }, [appState, weeks, archiveWeek, saveState]); // Dependencies for this memoized function
+
+    // Drag and Drop Handlers for reassigning jobs: drag a job onto a student to give it to them
+    const handleDragStart = (e, job, fromStudent) => {
+        dragSource.current = { job, fromStudent }; // Store the dragged job and its current holder
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', job); // Required by some browsers to start a drag
+    };
 
-        dragItem.current = null; // Reset refs
-        dragOverItem.current = null;
-        setDisplayAssignments(copiedListItems); // Update display order
+    const handleDragEnter = (e, studentNum) => {
+        setDropTarget(studentNum); // Highlight the student being dragged over
     };
 
     const handleDragOver = (e) => {
         e.preventDefault(); // Prevent default to allow dropping
     };
 
+    const handleDrop = (e, toStudent) => {
+        e.preventDefault();
+        const source = dragSource.current;
+        dragSource.current = null; // Reset drag state
+        setDropTarget(null);
+        if (source) {
+            reassignJobManually(source.job, source.fromStudent, toStudent);
+        }
+    };
+
+    const handleDragEnd = () => {
+        dragSource.current = null;
+        setDropTarget(null);
+    };
+
+    // Students marked as manual overrides in this week's archived record
+    const currentWeek = weeks.find(week => week.id === appState.lastDraw?.weekId);
+    const currentWeekOverrides = new Set((currentWeek?.manualOverrides || [])
+        .filter(override => override.job !== null)
+        .map(override => override.student));
+    // Active students and jobs left out of this week's assignments (drop targets and drag sources for reassignment)
+    const unassignedStudents = getActiveStudentIds(appState.students)
+        .filter(studentNum => appState.currentAssignments[studentNum] === undefined);
+    // (a job needing several students is listed once per empty place)
+    const assignedJobs = Object.values(appState.currentAssignments);
+    const unfilledJobs = appState.jobs.flatMap(job => Array(
+        Math.max(0, job.headcount - assignedJobs.filter(title => title === job.title).length)
+    ).fill(job.title));
+
+    // Students absent during the week (or rotation) the next draw is for
+    const absentNextDraw = getUnavailableStudentIds(
+        appState.absences,
+        getRotationPeriod(appState.rotationSchedule, appState.schoolCalendar)
+    );
+    // Next scheduled rotation after today ("YYYY-MM-DD", or null for manual schedules)
+    const nextRotation = getNextRotation(appState.rotationSchedule, appState.schoolCalendar, fromISODate(today));
+    // School week the current assignments are for
+    const assignedWeek = appState.currentWeek;
+
     // Display a loading message while the app is initializing
     if (loading) {
         return (
@@ -514,17 +1563,32 @@ const App = () => {
         );
     }
 
+    // Read-only student view opened through a share link
+    if (STUDENT_LINK_TOKEN) {
+        return <StudentView view={studentLinkView} />;
+    }
+
+    // Classroom job chart, for the projector or printing
+    if (CHART_VIEW) {
+        return (
+            <JobChart
+                className={currentClass?.name}
+                jobs={appState.jobs}
+                students={appState.students}
+                assignments={appState.currentAssignments}
+                week={assignedWeek}
+                showIcons={URL_PARAMS.get('icons') !== 'off'}
+                adminUrl={getViewUrl(classKey, false)}
+            />
+        );
+    }
+
     // Main application UI
     return (
         <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4 font-inter text-gray-800">
-            {/* Tailwind CSS and Inter font loading */}
-            <script src="https://cdn.tailwindcss.com"></script>
-            <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap" rel="stylesheet" />
-
-            {/* Custom CSS for modals and draggable items */}
+            {/* Custom CSS for modals and draggable items (Tailwind and the Inter font load in public/index.html) */}
             <style>
                 {`
-                body { font-family: 'Inter', sans-serif; }
                 .modal-overlay {
                     position: fixed;
                     top: 0;
@@ -561,13 +1625,106 @@ const App = () => {
                     Student Job Assigner
                 </h1>
 
-                {/* Display User ID (for anonymous persistence) */}
-                {userId && (
-                    <p className="text-sm text-center text-gray-500 mb-4">
-                        Your User ID: <span className="font-mono text-xs bg-gray-100 px-2 py-1 rounded">{userId}</span>
+                {/* Connection status: online, syncing, offline, or kept on this device only */}
+                <p className="text-center mb-2" role="status">
+                    <span
+                        title={SYNC_STATUSES[syncStatus].description}
+                        className={`inline-block text-xs font-semibold px-2 py-0.5 rounded ${SYNC_STATUSES[syncStatus].className}`}
+                    >
+                        {SYNC_STATUSES[syncStatus].label}
+                    </span>
+                    {syncStatus !== 'online' && (
+                        <span className="text-xs text-gray-500 ml-2">{SYNC_STATUSES[syncStatus].description}</span>
+                    )}
+                </p>
+
+                {/* Account status, with sign-in and account upgrade */}
+                <AccountPanel
+                    account={account}
+                    onUpgradeWithEmail={(email, password) => runAccountAction(
+                        () => upgradeWithEmail(auth, email, password),
+                        "Account created. Your data is kept, and we've sent you an email to verify your address."
+                    )}
+                    onUpgradeWithGoogle={() => runAccountAction(() => upgradeWithGoogle(auth), "Account created. Your data is kept.")}
+                    onSignInWithEmail={(email, password) => runAccountAction(() => signInWithEmail(auth, email, password))}
+                    onSignInWithGoogle={() => runAccountAction(() => signInWithGoogle(auth))}
+                    onResendVerification={() => runAccountAction(() => resendVerification(auth), "Verification email sent.")}
+                    onRefreshVerification={() => runAccountAction(() => refreshAccount(auth))}
+                    onSignOut={() => runAccountAction(() => signOutOfAccount(auth))}
+                />
+
+                {/* Class switcher */}
+                {classes.length > 0 && (
+                    <div className="flex items-center justify-center gap-2 mb-4">
+                        <label htmlFor="class-switcher" className="text-sm font-medium text-gray-600">Class</label>
+                        <select
+                            id="class-switcher"
+                            value={classKey || ''}
+                            onChange={(e) => setClassKey(e.target.value)}
+                            className="border border-gray-300 rounded-lg p-2 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-400"
+                        >
+                            {classes.filter(c => c.role === CLASS_ROLES.OWNER && !c.archived).map(c => (
+                                <option key={c.key} value={c.key}>{c.name}</option>
+                            ))}
+                            {sharedClasses.length > 0 && (
+                                <optgroup label="Shared with me">
+                                    {classes.filter(c => c.role !== CLASS_ROLES.OWNER).map(c => (
+                                        <option key={c.key} value={c.key}>{c.name}{c.ownerEmail ? ` (${c.ownerEmail})` : ''}</option>
+                                    ))}
+                                </optgroup>
+                            )}
+                        </select>
+                        <button
+                            onClick={() => setShowClassesModal(true)}
+                            className="text-sm text-indigo-600 hover:text-indigo-800 font-semibold"
+                        >
+                            Manage Classes
+                        </button>
+                    </div>
+                )}
+
+                {/* Invitations to other teachers' classes */}
+                {pendingInvites.map(invite => (
+                    <div key={invite.id} className="flex flex-wrap items-center justify-center gap-2 bg-indigo-50 border border-indigo-200 text-indigo-800 px-4 py-2 rounded-lg mb-4 text-sm">
+                        <span>
+                            {invite.ownerEmail || 'A teacher'} invited you to "{invite.className}" as {invite.role === CLASS_ROLES.EDITOR ? 'an editor' : 'a viewer'}.
+                        </span>
+                        <button onClick={() => acceptInvite(invite)} className="font-semibold text-indigo-700 hover:text-indigo-900">Accept</button>
+                        <button onClick={() => declineInvite(invite)} className="text-gray-500 hover:text-gray-700">Decline</button>
+                    </div>
+                ))}
+
+                {/* Read-only notice for viewers of a shared class */}
+                {readOnly && (
+                    <p className="bg-gray-100 border border-gray-300 text-gray-700 px-4 py-2 rounded-lg mb-4 text-sm text-center">
+                        You're viewing "{currentClass.name}" read-only. Ask its owner for editor access to make changes.
                     </p>
                 )}
 
+                {/* Scheduled rotations waiting for the teacher's go-ahead */}
+                {!readOnly && dueRotations.length > 0 && !rotationsDismissed && (
+                    <div className="bg-amber-50 border border-amber-300 text-amber-800 px-4 py-3 rounded-lg mb-4 flex flex-wrap items-center justify-between gap-2">
+                        <span>
+                            {dueRotations.length === 1 ? 'A scheduled rotation is' : `${dueRotations.length} scheduled rotations are`} due:
+                            {' '}{dueRotations.map(date => fromISODate(date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })).join(', ')}.
+                        </span>
+                        <span className="flex gap-2">
+                            <button
+                                onClick={generateDueRotations}
+                                className="bg-amber-500 hover:bg-amber-600 text-white font-bold py-1 px-3 rounded-lg"
+                            >
+                                Draw {dueRotations.length === 1 ? 'It' : 'Them'} Now
+                            </button>
+                            <button
+                                onClick={dismissDueRotations}
+                                className="bg-white border border-amber-300 hover:bg-amber-100 text-amber-800 font-bold py-1 px-3 rounded-lg"
+                            >
+                                Not Now
+                            </button>
+                        </span>
+                    </div>
+                )}
+
                 {/* Display general messages */}
                 {message && (
                     <div className="bg-blue-100 border border-blue-400 text-blue-700 px-4 py-3 rounded-lg mb-6 text-center" role="alert">
@@ -578,44 +1735,233 @@ const App = () => {
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
                     {/* Current Assignments Section */}
                     <div className="bg-purple-50 p-6 rounded-lg shadow-md">
-                        <h2 className="text-2xl font-semibold text-purple-700 mb-4">Current Week's Assignments</h2>
-                        {displayAssignments.length > 0 ? (
-                            <ul className="space-y-2">
-                                {displayAssignments.map((assignment, index) => (
-                                    <li
-                                        key={assignment.studentNum}
-                                        draggable
-                                        onDragStart={(e) => handleDragStart(e, index)}
-                                        onDragEnter={(e) => handleDragEnter(e, index)}
-                                        onDragEnd={handleDragEnd}
-                                        onDragOver={handleDragOver}
-                                        className="draggable-item flex items-center justify-between bg-white p-3 rounded-md shadow-sm border border-gray-200"
+                        <div className="flex items-baseline justify-between gap-2 mb-4">
+                            <h2 className="text-2xl font-semibold text-purple-700">Current Week's Assignments</h2>
+                            <div className="flex flex-col items-end gap-1">
+                                <a
+                                    href={getViewUrl(classKey)}
+                                    target="_blank"
+                                    rel="noreferrer"
+                                    title="Full-screen chart for the projector, or to print for the bulletin board"
+                                    className="text-sm text-purple-600 hover:text-purple-800 font-semibold whitespace-nowrap"
+                                >
+                                    Classroom chart ↗
+                                </a>
+                                {currentClass?.role === CLASS_ROLES.OWNER && (
+                                    <button
+                                        onClick={() => setShowStudentLinkModal(true)}
+                                        title="Read-only link where students look up their jobs, e.g. on a classroom tablet"
+                                        className="text-sm text-purple-600 hover:text-purple-800 font-semibold whitespace-nowrap"
                                     >
-                                        <span className="font-medium text-lg text-gray-700">Student {assignment.studentNum}</span>
-                                        <span className="text-purple-600 font-semibold">{assignment.jobTitle}</span>
-                                    </li>
-                                ))}
-                            </ul>
+                                        Student link…
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                        {assignedWeek && (
+                            <p className="text-sm font-semibold text-purple-600 -mt-3 mb-3">
+                                {assignedWeek.label}
+                                {assignedWeek.termName && <span className="font-normal text-gray-500"> · {assignedWeek.termName}</span>}
+                            </p>
+                        )}
+                        {displayAssignments.length > 0 ? (
+                            <>
+                                {!readOnly && (
+                                    <p className="text-xs text-gray-500 mb-2">Drag a job onto another student to reassign or swap it.</p>
+                                )}
+                                <ul className="space-y-2">
+                                    {displayAssignments.map((assignment) => (
+                                        <li
+                                            key={assignment.studentNum}
+                                            draggable={!readOnly}
+                                            onDragStart={(e) => handleDragStart(e, assignment.jobTitle, assignment.studentNum)}
+                                            onDragEnter={(e) => handleDragEnter(e, assignment.studentNum)}
+                                            onDragOver={handleDragOver}
+                                            onDrop={(e) => handleDrop(e, assignment.studentNum)}
+                                            onDragEnd={handleDragEnd}
+                                            className={`draggable-item flex items-center justify-between bg-white p-3 rounded-md shadow-sm border ${dropTarget === assignment.studentNum ? 'border-purple-500' : 'border-gray-200'}`}
+                                        >
+                                            <span className="font-medium text-lg text-gray-700">
+                                                {getStudentName(appState.students, assignment.studentNum)}
+                                                {currentWeekOverrides.has(assignment.studentNum) && (
+                                                    <span className="ml-2 text-xs font-semibold bg-yellow-100 text-yellow-700 px-2 py-0.5 rounded">manual</span>
+                                                )}
+                                            </span>
+                                            <span className="text-purple-600 font-semibold">{assignment.jobTitle}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                                {unassignedStudents.length > 0 && (
+                                    <>
+                                        <h3 className="text-sm font-medium text-gray-600 mt-4 mb-2">Students without a job this week</h3>
+                                        <ul className="flex flex-wrap gap-2">
+                                            {unassignedStudents.map(studentNum => (
+                                                <li
+                                                    key={`unassigned-${studentNum}`}
+                                                    onDragEnter={(e) => handleDragEnter(e, studentNum)}
+                                                    onDragOver={handleDragOver}
+                                                    onDrop={(e) => handleDrop(e, studentNum)}
+                                                    className={`bg-white text-sm text-gray-700 px-3 py-1 rounded-md border border-dashed ${dropTarget === studentNum ? 'border-purple-500' : 'border-gray-300'}`}
+                                                >
+                                                    {getStudentName(appState.students, studentNum)}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </>
+                                )}
+                                {unfilledJobs.length > 0 && (
+                                    <>
+                                        <h3 className="text-sm font-medium text-gray-600 mt-4 mb-2">Jobs nobody has this week</h3>
+                                        <ul className="flex flex-wrap gap-2">
+                                            {unfilledJobs.map((job, index) => (
+                                                <li
+                                                    key={`unfilled-${job}-${index}`}
+                                                    draggable={!readOnly}
+                                                    onDragStart={(e) => handleDragStart(e, job, null)}
+                                                    onDragEnd={handleDragEnd}
+                                                    className="draggable-item bg-white text-sm text-purple-600 font-semibold px-3 py-1 rounded-md border border-gray-300"
+                                                >
+                                                    {job}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </>
+                                )}
+                            </>
                         ) : (
                             <p className="text-gray-500 italic">No assignments yet for this week.</p>
                         )}
-                        {appState.lastAssignmentDate && (
+                        {assignedWeek && appState.lastAssignmentDate && (
                             <p className="text-sm text-gray-500 mt-4">
-                                Last assigned: {new Date(appState.lastAssignmentDate).toLocaleString()}
+                                Drawn for {assignedWeek.label} on {new Date(appState.lastAssignmentDate).toLocaleDateString()}
+                            </p>
+                        )}
+                        {appState.lastDraw && (
+                            <p className="text-sm text-gray-500 mt-1">
+                                Seed: <span className="font-mono">{appState.lastDraw.seed}</span>
+                                {' '}({ASSIGNMENT_STRATEGIES[appState.lastDraw.strategy]?.label || appState.lastDraw.strategy})
                             </p>
                         )}
+                        {appState.lastDraw?.fairness && (
+                            <div className="text-sm text-gray-500 mt-1">
+                                <p>
+                                    Fairness score: <span className="font-semibold">{appState.lastDraw.fairness.totalCost}</span> (lower is fairer)
+                                </p>
+                                {Object.entries(appState.lastDraw.fairness.relaxedConstraints)
+                                    .filter(([, relaxedFor]) => relaxedFor.length > 0)
+                                    .map(([constraint, relaxedFor]) => (
+                                        <p key={constraint} className="text-orange-600">
+                                            Relaxed "{FAIRNESS_CONSTRAINTS[constraint] || constraint}" for{' '}
+                                            {relaxedFor.map(({ student, job }) => `${getStudentName(appState.students, student)} (${job})`).join(', ')}
+                                        </p>
+                                    ))}
+                                {appState.lastDraw.preferredJobs?.requested > 0 && (
+                                    <p>
+                                        Favourite jobs: {appState.lastDraw.preferredJobs.granted} of {appState.lastDraw.preferredJobs.requested} students
+                                        {' '}who listed favourites got one
+                                    </p>
+                                )}
+                            </div>
+                        )}
+                        {currentWeek && getWeekDiagnostics(currentWeek).length > 0 && (
+                            <div className="bg-white border border-purple-200 rounded-md p-3 mt-3">
+                                <DiagnosticsPanel
+                                    key={currentWeek.id}
+                                    title="This week's checks"
+                                    diagnostics={getWeekDiagnostics(currentWeek)}
+                                    dismissedIds={currentWeek.dismissedDiagnostics}
+                                    onDismiss={readOnly ? null : (diagnosticId) => dismissDiagnostic(currentWeek.id, diagnosticId)}
+                                />
+                            </div>
+                        )}
                     </div>
 
-                    {/* Controls Section */}
-                    <div className="bg-green-50 p-6 rounded-lg shadow-md flex flex-col justify-between">
+                    {/* Controls Section (disabled as a whole for viewers of a shared class) */}
+                    <fieldset
+                        disabled={readOnly}
+                        className={`min-w-0 bg-green-50 p-6 rounded-lg shadow-md flex flex-col justify-between ${readOnly ? 'opacity-60' : ''}`}
+                    >
                         <div>
-                            <h2 className="text-2xl font-semibold text-green-700 mb-4">Actions</h2>
+                            <div className="flex items-center justify-between mb-4">
+                                <h2 className="text-2xl font-semibold text-green-700">Actions</h2>
+                                <div className="flex gap-2">
+                                    <button
+                                        onClick={undo}
+                                        disabled={!undoHistory.canUndo}
+                                        title={undoHistory.canUndo ? `Undo: ${undoHistory.undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+                                        className="bg-white border border-green-300 hover:bg-green-100 disabled:opacity-50 text-green-700 font-bold py-1 px-3 rounded-lg"
+                                    >
+                                        &#8630; Undo
+                                    </button>
+                                    <button
+                                        onClick={redo}
+                                        disabled={!undoHistory.canRedo}
+                                        title={undoHistory.canRedo ? `Redo: ${undoHistory.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                                        className="bg-white border border-green-300 hover:bg-green-100 disabled:opacity-50 text-green-700 font-bold py-1 px-3 rounded-lg"
+                                    >
+                                        &#8631; Redo
+                                    </button>
+                                </div>
+                            </div>
+                            <label htmlFor="assignment-strategy" className="block text-sm font-medium text-gray-600 mb-1">
+                                Assignment strategy
+                            </label>
+                            <select
+                                id="assignment-strategy"
+                                value={appState.assignmentStrategy}
+                                onChange={(e) => changeAssignmentStrategy(e.target.value)}
+                                className="w-full border border-gray-300 rounded-lg p-2 mb-1 focus:outline-none focus:ring-2 focus:ring-green-500"
+                            >
+                                {Object.entries(ASSIGNMENT_STRATEGIES).map(([key, strategy]) => (
+                                    <option key={key} value={key}>{strategy.label}</option>
+                                ))}
+                            </select>
+                            <p className="text-xs text-gray-500 mb-4">
+                                {ASSIGNMENT_STRATEGIES[appState.assignmentStrategy]?.description}
+                            </p>
+                            {rosterDiagnostics.length > 0 && (
+                                <div className="bg-white border border-green-200 rounded-md p-3 mb-4">
+                                    <DiagnosticsPanel title="Roster check" diagnostics={rosterDiagnostics} />
+                                </div>
+                            )}
                             <button
-                                onClick={generateWeeklyAssignments}
+                                onClick={() => generateWeeklyAssignments()}
+                                title="Draws a draft to check and change before publishing"
                                 className="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg shadow-lg transform transition duration-300 ease-in-out hover:scale-105 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-opacity-75 mb-4"
                             >
                                 Assign All Jobs for the Week
                             </button>
+                            <p className="text-xs text-gray-500 -mt-2 mb-4 flex justify-between gap-2">
+                                <span>
+                                    Rotation: {describeSchedule(appState.rotationSchedule)}
+                                    {nextRotation && `, next on ${fromISODate(nextRotation).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}`}
+                                </span>
+                                <span className="flex gap-2 whitespace-nowrap">
+                                    <button onClick={() => setShowScheduleModal(true)} className="text-green-700 hover:text-green-900 font-semibold">
+                                        Schedule…
+                                    </button>
+                                    <button onClick={() => setShowCalendarModal(true)} className="text-green-700 hover:text-green-900 font-semibold">
+                                        Calendar…
+                                    </button>
+                                </span>
+                            </p>
+                            <div className="mb-4 flex">
+                                <input
+                                    type="text"
+                                    inputMode="numeric"
+                                    value={seedInput}
+                                    onChange={(e) => setSeedInput(e.target.value)}
+                                    placeholder={appState.lastDraw ? `Seed (last: ${appState.lastDraw.seed})` : 'Seed'}
+                                    className="flex-grow min-w-0 border border-gray-300 rounded-l-lg p-2 focus:outline-none focus:ring-2 focus:ring-green-500"
+                                />
+                                <button
+                                    onClick={rerunLastDraw}
+                                    disabled={!appState.lastDraw}
+                                    className="bg-green-500 hover:bg-green-600 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-r-lg"
+                                >
+                                    Re-run Draw
+                                </button>
+                            </div>
                             <button
                                 onClick={clearCurrentAssignments}
                                 className="w-full bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg transform transition duration-300 ease-in-out hover:scale-105 focus:outline-none focus:ring-2 focus:ring-yellow-400 focus:ring-opacity-75 mb-4"
@@ -623,16 +1969,34 @@ const App = () => {
                                 Clear Current Week's Assignments
                             </button>
                             <button
-                                onClick={() => setShowJobTitlesModal(true)}
+                                onClick={() => setShowJobsModal(true)}
                                 className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg transform transition duration-300 ease-in-out hover:scale-105 focus:outline-none focus:ring-2 focus:ring-blue-400 focus:ring-opacity-75 mb-4"
                             >
-                                Manage Job Titles ({appState.jobTitles.length})
+                                Manage Jobs ({appState.jobs.length})
                             </button>
                             <button
                                 onClick={() => setShowStudentsModal(true)}
                                 className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg transform transition duration-300 ease-in-out hover:scale-105 focus:outline-none focus:ring-2 focus:ring-blue-400 focus:ring-opacity-75 mb-4"
                             >
-                                Manage Students ({appState.students.length})
+                                Manage Students ({getActiveStudentIds(appState.students).length})
+                            </button>
+                            <div className="flex gap-2 mb-4">
+                                <button
+                                    onClick={downloadBackup}
+                                    className="flex-1 bg-teal-500 hover:bg-teal-600 text-white font-bold py-2 px-3 rounded-lg shadow-lg focus:outline-none focus:ring-2 focus:ring-teal-400 focus:ring-opacity-75"
+                                >
+                                    Download Backup
+                                </button>
+                                <label className="flex-1 text-center cursor-pointer bg-teal-500 hover:bg-teal-600 text-white font-bold py-2 px-3 rounded-lg shadow-lg focus-within:ring-2 focus-within:ring-teal-400">
+                                    Restore from Backup
+                                    <input type="file" accept=".json,application/json" onChange={chooseBackupFile} className="hidden" />
+                                </label>
+                            </div>
+                            <button
+                                onClick={() => setShowAbsencesModal(true)}
+                                className="w-full bg-blue-500 hover:bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg transform transition duration-300 ease-in-out hover:scale-105 focus:outline-none focus:ring-2 focus:ring-blue-400 focus:ring-opacity-75 mb-4"
+                            >
+                                Manage Absences ({absentNextDraw.length} this week)
                             </button>
                             <button
                                 onClick={() => setShowResetHistoryConfirm(true)}
@@ -647,7 +2011,7 @@ const App = () => {
                         >
                             Reset All Data
                         </button>
-                    </div>
+                    </fieldset>
                 </div>
 
                 {/* Debug/Info Section (Shows remaining students in cycle and job history) */}
@@ -658,19 +2022,35 @@ const App = () => {
                             <h3 className="text-lg font-medium text-gray-600 mb-2">Remaining Students in Cycle:</h3>
                             <p className="text-gray-800">
                                 {appState.remainingStudentsInCycle.length > 0
-                                    ? appState.remainingStudentsInCycle.join(', ')
+                                    ? appState.remainingStudentsInCycle.map(studentNum => getStudentShortName(appState.students, studentNum)).join(', ')
                                     : 'All students have been assigned in this cycle. Next assignment will start a new cycle.'}
                             </p>
+                            {appState.priorityStudents.length > 0 && (
+                                <>
+                                    <h3 className="text-lg font-medium text-gray-600 mt-4 mb-2">Priority Next Draw:</h3>
+                                    <p className="text-gray-800">
+                                        {appState.priorityStudents.map(studentNum => getStudentShortName(appState.students, studentNum)).join(', ')}
+                                    </p>
+                                </>
+                            )}
                         </div>
                         <div>
-                            <h3 className="text-lg font-medium text-gray-600 mb-2">Student Job History:</h3>
+                            <div className="flex items-baseline justify-between gap-2 mb-2">
+                                <h3 className="text-lg font-medium text-gray-600">Student Job History:</h3>
+                                <button
+                                    onClick={() => setShowAnalyticsModal(true)}
+                                    className="text-sm text-indigo-600 hover:text-indigo-800 font-semibold"
+                                >
+                                    Fairness analytics
+                                </button>
+                            </div>
                             <div className="max-h-48 overflow-y-auto bg-white p-3 rounded-md border border-gray-200">
                                 {Object.keys(appState.studentJobHistory).length > 0 ? (
                                     Object.entries(appState.studentJobHistory)
                                         .sort(([s1], [s2]) => parseInt(s1) - parseInt(s2)) // Sort history by student number
                                         .map(([studentNum, history]) => (
                                             <p key={`history-${studentNum}`} className="text-sm text-gray-700">
-                                                <span className="font-semibold">Student {studentNum}:</span> {history.join(', ')}
+                                                <span className="font-semibold">{getStudentName(appState.students, studentNum)}:</span> {history.map(describeHistoryEntry).join(', ')}
                                             </p>
                                         ))
                                 ) : (
@@ -679,9 +2059,217 @@ const App = () => {
                             </div>
                         </div>
                     </div>
+                    <div className="mt-4">
+                        <h3 className="text-lg font-medium text-gray-600 mb-2">Assignment Timeline:</h3>
+                        <WeekTimeline weeks={weeks} students={appState.students} onDismiss={readOnly ? null : dismissDiagnostic} />
+                    </div>
                 </div>
             </div>
 
+            {/* Undo toast after destructive actions */}
+            {undoToast && (
+                <UndoToast message={`${undoToast}.`} onUndo={undo} onDismiss={dismissUndoToast} />
+            )}
+
+            {/* Draft Assignments Modal: the proposed jobs next to last week's, to check before publishing */}
+            {draft && (
+                <DraftModal
+                    draft={draft}
+                    getJobOptions={getDraftJobOptions}
+                    onChangeJob={changeDraftJob}
+                    onToggleLock={toggleDraftLock}
+                    onDiscard={discardDraft}
+                    onReroll={rerollDraft}
+                    onPublish={publishDraft}
+                />
+            )}
+
+            {/* Student Link Modal */}
+            {showStudentLinkModal && currentClass && (
+                <div className="modal-overlay">
+                    <div className="modal-content w-full max-w-lg">
+                        <h3 className="text-xl font-bold mb-4">Student Link</h3>
+                        <p className="text-sm text-gray-600 mb-4">
+                            A read-only page where students tap their name to see their job, what it involves and
+                            their past jobs. It shows names and jobs only, and can't change anything.
+                        </p>
+                        {usingLocalStore && (
+                            <p className="text-sm text-amber-700 mb-4">
+                                Classes are saved in this browser only, so the link only works on this device.
+                            </p>
+                        )}
+                        {currentClass.shareToken ? (
+                            <>
+                                <input
+                                    type="text"
+                                    readOnly
+                                    value={getStudentLinkUrl(currentClass.shareToken)}
+                                    onFocus={(e) => e.target.select()}
+                                    className="w-full p-2 border border-gray-300 rounded-md text-sm mb-3"
+                                />
+                                <div className="flex flex-wrap gap-2">
+                                    <button
+                                        onClick={copyStudentLink}
+                                        className="bg-indigo-500 hover:bg-indigo-600 text-white font-semibold py-2 px-4 rounded-lg shadow"
+                                    >
+                                        Copy Link
+                                    </button>
+                                    <a
+                                        href={getStudentLinkUrl(currentClass.shareToken)}
+                                        target="_blank"
+                                        rel="noreferrer"
+                                        className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-2 px-4 rounded-lg shadow"
+                                    >
+                                        Open ↗
+                                    </a>
+                                    <button
+                                        onClick={revokeStudentLink}
+                                        className="bg-red-500 hover:bg-red-600 text-white font-semibold py-2 px-4 rounded-lg shadow"
+                                    >
+                                        Revoke Link
+                                    </button>
+                                </div>
+                                <p className="text-xs text-gray-500 mt-3">
+                                    Revoking stops the link working straight away; a new link can be made afterwards.
+                                </p>
+                            </>
+                        ) : (
+                            <button
+                                onClick={createStudentLink}
+                                className="bg-indigo-500 hover:bg-indigo-600 text-white font-semibold py-2 px-4 rounded-lg shadow"
+                            >
+                                Create Link
+                            </button>
+                        )}
+                        <div className="flex justify-end mt-6">
+                            <button
+                                onClick={() => setShowStudentLinkModal(false)}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-5 rounded-lg shadow-md"
+                            >
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Fairness Analytics Modal */}
+            {showAnalyticsModal && (
+                <div className="modal-overlay">
+                    <div className="modal-content w-full max-w-5xl">
+                        <h3 className="text-xl font-bold mb-4">Fairness Analytics</h3>
+                        <AnalyticsPanel
+                            students={appState.students}
+                            jobs={appState.jobs}
+                            studentJobHistory={appState.studentJobHistory}
+                            weeks={weeks}
+                        />
+                        <div className="flex justify-end mt-6">
+                            <button
+                                onClick={() => setShowAnalyticsModal(false)}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-5 rounded-lg shadow-md"
+                            >
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Restore From Backup Modal */}
+            {restorePreview && (
+                <div className="modal-overlay">
+                    <div className="modal-content">
+                        <h3 className="text-xl font-bold mb-4">Restore from Backup</h3>
+                        <p className="text-sm text-gray-500 mb-4">{restorePreview.fileName}</p>
+                        {restorePreview.error ? (
+                            <p className="text-red-600 mb-6">{restorePreview.error}</p>
+                        ) : (
+                            <>
+                                <p className="mb-4">
+                                    This backup was made on {new Date(restorePreview.backup.createdAt).toLocaleString()}.
+                                    Restoring it will replace all current students, jobs, history, defaults and archived weeks:
+                                </p>
+                                <table className="w-full text-sm mb-6">
+                                    <thead>
+                                        <tr className="text-left text-gray-500">
+                                            <th className="py-1"></th>
+                                            <th className="py-1">Now</th>
+                                            <th className="py-1">Backup</th>
+                                            <th className="py-1">Change</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {restorePreview.diff.map(row => (
+                                            <tr key={row.label} className="border-t border-gray-200">
+                                                <td className="py-1 font-medium">{row.label}</td>
+                                                <td className="py-1">{row.current}</td>
+                                                <td className="py-1">{row.backup}</td>
+                                                <td className="py-1 text-gray-500">{row.change || (row.current === row.backup ? 'unchanged' : '')}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </>
+                        )}
+                        <div className="flex justify-center space-x-4">
+                            {restorePreview.backup && (
+                                <button
+                                    onClick={restoreBackup}
+                                    className="bg-teal-600 hover:bg-teal-700 text-white font-bold py-2 px-5 rounded-lg shadow-md"
+                                >
+                                    Yes, Restore
+                                </button>
+                            )}
+                            <button
+                                onClick={closeRestorePreview}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-5 rounded-lg shadow-md"
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Save Conflict Modal */}
+            {saveConflict && (
+                <div className="modal-overlay">
+                    <div className="modal-content">
+                        <h3 className="text-xl font-bold mb-4">Someone Else Changed This Class</h3>
+                        <p className="mb-2">
+                            While you were working on "{saveConflict.label}", this class was saved from another device or by a co-teacher.
+                            Changes that don't overlap are kept either way. These were changed on both sides:
+                        </p>
+                        <ul className="list-disc list-inside text-sm text-gray-700 mb-6">
+                            {saveConflict.conflicts.map(conflict => (
+                                <li key={conflict.field}>{describeConflict(conflict)}</li>
+                            ))}
+                        </ul>
+                        <div className="flex justify-center flex-wrap gap-2">
+                            <button
+                                onClick={() => resolveSaveConflict('mine')}
+                                className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-5 rounded-lg shadow-md"
+                            >
+                                Keep My Changes
+                            </button>
+                            <button
+                                onClick={() => resolveSaveConflict('theirs')}
+                                className="bg-teal-600 hover:bg-teal-700 text-white font-bold py-2 px-5 rounded-lg shadow-md"
+                            >
+                                Keep Their Changes
+                            </button>
+                            <button
+                                onClick={() => resolveSaveConflict('discard')}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-5 rounded-lg shadow-md"
+                            >
+                                Discard My Changes
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {/* Reset All Data Confirmation Modal */}
             {showResetConfirm && (
                 <div className="modal-overlay">
@@ -711,7 +2299,7 @@ const App = () => {
                 <div className="modal-overlay">
                     <div className="modal-content text-center">
                         <h3 className="text-xl font-bold mb-4">Confirm Reset Assignment History</h3>
-                        <p className="mb-6">Are you sure you want to clear only the current assignments and all student job history? Your student list and job titles will remain unchanged.</p>
+                        <p className="mb-6">Are you sure you want to clear only the current assignments, all student job history and the archive of past weeks? Your student list and job titles will remain unchanged.</p>
                         <div className="flex justify-center space-x-4">
                             <button
                                 onClick={resetAssignmentHistory}
@@ -730,11 +2318,15 @@ const App = () => {
                 </div>
             )}
 
-            {/* Manage Job Titles Modal */}
-            {showJobTitlesModal && (
+            {/* Manage Jobs Modal */}
+            {showJobsModal && (
                 <div className="modal-overlay">
                     <div className="modal-content">
-                        <h3 className="text-xl font-bold mb-4">Manage Job Titles</h3>
+                        <h3 className="text-xl font-bold mb-2">Manage Jobs</h3>
+                        <p className="text-sm text-gray-500 mb-4">
+                            Click a job to set its duties, icon, category and workload, how many students it needs, who can
+                            do it and who is pinned to it. Heavy jobs are spread out so nobody gets too many in a row.
+                        </p>
                         <div className="mb-4 flex">
                             <input
                                 type="text"
@@ -744,27 +2336,35 @@ const App = () => {
                                 className="flex-grow border border-gray-300 rounded-l-lg p-2 focus:outline-none focus:ring-2 focus:ring-blue-400"
                             />
                             <button
-                                onClick={addJobTitle}
+                                onClick={addJob}
                                 className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-r-lg"
                             >
                                 Add
                             </button>
                         </div>
-                        <ul className="space-y-2 max-h-60 overflow-y-auto mb-4 border border-gray-200 p-2 rounded-md">
-                            {appState.jobTitles.length > 0 ? (
-                                appState.jobTitles.map((job, index) => (
-                                    <li key={index} className="flex justify-between items-center bg-gray-50 p-2 rounded-md">
-                                        <span>{job}</span>
-                                        <button
-                                            onClick={() => removeJobTitle(job)}
-                                            className="text-red-500 hover:text-red-700 font-bold ml-4"
-                                        >
-                                            &times;
-                                        </button>
-                                    </li>
+                        <ImportExportPanel
+                            itemLabel="jobs"
+                            fileBaseName="jobs"
+                            parse={(text, format) => parseJobImport(text, format, getJobTitles(appState.jobs))}
+                            describeRow={(row) => (row.headcount > 1 ? `${row.title} (${row.headcount} students)` : row.title)}
+                            exportItems={(format) => exportJobs(appState.jobs, format)}
+                            onImport={importJobs}
+                        />
+                        <ul className="space-y-2 max-h-96 overflow-y-auto mb-4 border border-gray-200 p-2 rounded-md">
+                            {appState.jobs.length > 0 ? (
+                                appState.jobs.map((job, index) => (
+                                    <JobEditor
+                                        key={job.title}
+                                        job={job}
+                                        students={appState.students}
+                                        onChange={(changes) => updateJob(job.title, changes)}
+                                        onRemove={() => removeJob(job.title)}
+                                        onMoveUp={index > 0 ? () => moveJobInList(index, -1) : null}
+                                        onMoveDown={index < appState.jobs.length - 1 ? () => moveJobInList(index, 1) : null}
+                                    />
                                 ))
                             ) : (
-                                <p className="text-gray-500 italic">No job titles defined.</p>
+                                <p className="text-gray-500 italic">No jobs defined.</p>
                             )}
                         </ul>
                         <div className="flex justify-end space-x-2 mt-4">
@@ -775,7 +2375,527 @@ const App = () => {
                                 Save Current as Default
                             </button>
                             <button
-                                onClick={() => setShowJobTitlesModal(false)}
+                                onClick={() => setShowJobsModal(false)}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-5 rounded-lg shadow-md"
+                            >
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Manage Classes Modal */}
+            {showClassesModal && (
+                <div className="modal-overlay">
+                    <div className="modal-content">
+                        <h3 className="text-xl font-bold mb-2">Manage Classes</h3>
+                        <p className="text-sm text-gray-500 mb-4">
+                            Each class has its own students, jobs, cycle, history and defaults. Archived classes are
+                            hidden from the switcher but keep all their data. Share a class to let co-teachers or
+                            substitutes edit or view it.
+                        </p>
+                        <div className="mb-4 flex">
+                            <input
+                                type="text"
+                                value={newClassName}
+                                onChange={(e) => setNewClassName(e.target.value)}
+                                placeholder="Add new class name"
+                                className="flex-grow border border-gray-300 rounded-l-lg p-2 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                            />
+                            <button
+                                onClick={addClass}
+                                className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-r-lg"
+                            >
+                                Add
+                            </button>
+                        </div>
+                        <ul className="space-y-2 max-h-96 overflow-y-auto mb-4 border border-gray-200 p-2 rounded-md">
+                            {[
+                                ...classes.filter(c => c.role === CLASS_ROLES.OWNER && !c.archived),
+                                ...classes.filter(c => c.role === CLASS_ROLES.OWNER && c.archived),
+                            ].map(classRecord => (
+                                <li key={classRecord.key} className={`bg-gray-50 p-2 rounded-md ${classRecord.archived ? 'opacity-60' : ''}`}>
+                                    <div className="flex items-center gap-2">
+                                        {/* Uncontrolled and saved on blur, so typing doesn't write on every keystroke */}
+                                        <input
+                                            type="text"
+                                            defaultValue={classRecord.name}
+                                            onBlur={(e) => renameClass(classRecord, e.target.value)}
+                                            aria-label={`Name of class ${classRecord.name}`}
+                                            className="flex-grow min-w-0 bg-transparent border border-transparent hover:border-gray-300 rounded p-1"
+                                        />
+                                        {classRecord.key === classKey && (
+                                            <span className="text-xs font-semibold bg-indigo-100 text-indigo-700 px-2 py-0.5 rounded">current</span>
+                                        )}
+                                        {classRecord.archived && (
+                                            <span className="text-xs font-semibold bg-gray-200 text-gray-600 px-2 py-0.5 rounded">archived</span>
+                                        )}
+                                        {/* Sharing needs accounts, which only exist with a server-backed store */}
+                                        {repository.remote && (
+                                            <button
+                                                onClick={() => setSharingClassKey(sharingClassKey === classRecord.key ? null : classRecord.key)}
+                                                className="text-sm text-indigo-600 hover:text-indigo-800 font-semibold"
+                                            >
+                                                Share{Object.keys(classRecord.members || {}).length > 0 && ` (${Object.keys(classRecord.members).length})`}
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={() => duplicateClass(classRecord)}
+                                            className="text-sm text-blue-600 hover:text-blue-800 font-semibold"
+                                        >
+                                            Duplicate
+                                        </button>
+                                        <button
+                                            onClick={() => setClassArchived(classRecord, !classRecord.archived)}
+                                            className="text-sm text-orange-600 hover:text-orange-800 font-semibold"
+                                        >
+                                            {classRecord.archived ? 'Restore' : 'Archive'}
+                                        </button>
+                                    </div>
+                                    {sharingClassKey === classRecord.key && (
+                                        <div className="mt-2 ml-1 p-2 border-l-2 border-indigo-200 text-sm space-y-2">
+                                            {Object.entries(classRecord.members || {}).map(([memberId, member]) => (
+                                                <div key={memberId} className="flex items-center gap-2">
+                                                    <span className="flex-grow">{member.email}</span>
+                                                    <select
+                                                        value={member.role}
+                                                        onChange={(e) => setMemberRole(classRecord, memberId, e.target.value)}
+                                                        className="border border-gray-300 rounded p-1"
+                                                    >
+                                                        {Object.entries(SHARE_ROLES).map(([role, label]) => (
+                                                            <option key={role} value={role}>{label}</option>
+                                                        ))}
+                                                    </select>
+                                                    <button
+                                                        onClick={() => setMemberRole(classRecord, memberId, null)}
+                                                        className="text-red-500 hover:text-red-700 font-semibold"
+                                                    >
+                                                        Remove
+                                                    </button>
+                                                </div>
+                                            ))}
+                                            {classInvites.map(invite => (
+                                                <div key={invite.id} className="flex items-center gap-2 text-gray-500">
+                                                    <span className="flex-grow">{invite.email} (invited as {invite.role})</span>
+                                                    <button
+                                                        onClick={() => revokeInvite(invite)}
+                                                        className="text-red-500 hover:text-red-700 font-semibold"
+                                                    >
+                                                        Withdraw
+                                                    </button>
+                                                </div>
+                                            ))}
+                                            <div className="flex">
+                                                <input
+                                                    type="email"
+                                                    value={newInvite.email}
+                                                    onChange={(e) => setNewInvite(prev => ({ ...prev, email: e.target.value }))}
+                                                    placeholder="Co-teacher's email"
+                                                    className="flex-grow min-w-0 border border-gray-300 rounded-l-lg p-1"
+                                                />
+                                                <select
+                                                    value={newInvite.role}
+                                                    onChange={(e) => setNewInvite(prev => ({ ...prev, role: e.target.value }))}
+                                                    className="border-t border-b border-gray-300 p-1"
+                                                >
+                                                    {Object.entries(SHARE_ROLES).map(([role, label]) => (
+                                                        <option key={role} value={role}>{label}</option>
+                                                    ))}
+                                                </select>
+                                                <button
+                                                    onClick={() => inviteToClass(classRecord)}
+                                                    className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-1 px-3 rounded-r-lg"
+                                                >
+                                                    Invite
+                                                </button>
+                                            </div>
+                                            <p className="text-xs text-gray-500">
+                                                They'll see the invitation after signing in with this address (verified).
+                                            </p>
+                                        </div>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                        {sharedClasses.length > 0 && (
+                            <>
+                                <h4 className="font-semibold text-gray-700 mb-2">Shared with me</h4>
+                                <ul className="space-y-2 max-h-48 overflow-y-auto mb-4 border border-gray-200 p-2 rounded-md">
+                                    {classes.filter(c => c.role !== CLASS_ROLES.OWNER).map(classRecord => (
+                                        <li key={classRecord.key} className="flex items-center gap-2 bg-gray-50 p-2 rounded-md">
+                                            <span className="flex-grow">
+                                                {classRecord.name}
+                                                <span className="block text-xs text-gray-500">
+                                                    {SHARE_ROLES[classRecord.role] || classRecord.role}{classRecord.ownerEmail && `, owned by ${classRecord.ownerEmail}`}
+                                                </span>
+                                            </span>
+                                            <button
+                                                onClick={() => duplicateClass(classRecord)}
+                                                className="text-sm text-blue-600 hover:text-blue-800 font-semibold"
+                                            >
+                                                Copy to My Classes
+                                            </button>
+                                            <button
+                                                onClick={() => leaveClass(classRecord)}
+                                                className="text-sm text-red-500 hover:text-red-700 font-semibold"
+                                            >
+                                                Leave
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </>
+                        )}
+                        <div className="flex justify-end mt-4">
+                            <button
+                                onClick={() => setShowClassesModal(false)}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-5 rounded-lg shadow-md"
+                            >
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Rotation Schedule Modal */}
+            {showScheduleModal && (
+                <div className="modal-overlay">
+                    <div className="modal-content">
+                        <h3 className="text-xl font-bold mb-2">Rotation Schedule</h3>
+                        <p className="text-sm text-gray-500 mb-4">
+                            When new jobs are due. Rotations only fall on school days: weekends and holidays are skipped.
+                        </p>
+                        <label htmlFor="schedule-mode" className="block text-sm font-medium text-gray-600 mb-1">Rotate</label>
+                        <select
+                            id="schedule-mode"
+                            value={appState.rotationSchedule.mode}
+                            onChange={(e) => updateRotationSchedule({ mode: e.target.value })}
+                            className="w-full border border-gray-300 rounded-lg p-2 mb-3 focus:outline-none focus:ring-2 focus:ring-green-500"
+                        >
+                            {Object.entries(SCHEDULE_MODES).map(([mode, label]) => (
+                                <option key={mode} value={mode}>{label}</option>
+                            ))}
+                        </select>
+                        {appState.rotationSchedule.mode === 'weekly' && (
+                            <label className="block text-sm text-gray-600 mb-3">
+                                On
+                                <select
+                                    value={appState.rotationSchedule.weekday}
+                                    onChange={(e) => updateRotationSchedule({ weekday: Number(e.target.value) })}
+                                    className="w-full border border-gray-300 rounded-lg p-2"
+                                >
+                                    {SCHOOL_WEEKDAYS.map(weekday => (
+                                        <option key={weekday} value={weekday}>{WEEKDAY_NAMES[weekday]}</option>
+                                    ))}
+                                </select>
+                                <span className="text-xs text-gray-500">If that day is a holiday, the rotation moves to the next school day of the week.</span>
+                            </label>
+                        )}
+                        {appState.rotationSchedule.mode === 'everyNDays' && (
+                            <div className="grid grid-cols-2 gap-2 mb-3">
+                                <label className="text-sm text-gray-600">
+                                    Every (school days)
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        max="60"
+                                        value={appState.rotationSchedule.intervalDays}
+                                        onChange={(e) => {
+                                            const intervalDays = parseInt(e.target.value, 10);
+                                            if (intervalDays >= 1) updateRotationSchedule({ intervalDays });
+                                        }}
+                                        className="w-full border border-gray-300 rounded-lg p-2"
+                                    />
+                                </label>
+                                <label className="text-sm text-gray-600">
+                                    Starting
+                                    <input
+                                        type="date"
+                                        value={appState.rotationSchedule.startDate || ''}
+                                        onChange={(e) => e.target.value && updateRotationSchedule({ startDate: e.target.value })}
+                                        className="w-full border border-gray-300 rounded-lg p-2"
+                                    />
+                                </label>
+                            </div>
+                        )}
+                        {appState.rotationSchedule.mode !== 'manual' && (
+                            <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+                                <input
+                                    type="checkbox"
+                                    checked={appState.rotationSchedule.autoGenerate}
+                                    onChange={(e) => updateRotationSchedule({ autoGenerate: e.target.checked })}
+                                />
+                                Draw due rotations as soon as the app opens (otherwise ask me first)
+                            </label>
+                        )}
+                        <p className="text-sm text-gray-500 mb-4">
+                            Terms and holidays come from the{' '}
+                            <button
+                                onClick={() => {
+                                    setShowScheduleModal(false);
+                                    setShowCalendarModal(true);
+                                }}
+                                className="text-green-700 hover:text-green-900 font-semibold underline"
+                            >
+                                school calendar
+                            </button>.
+                        </p>
+                        <div className="flex justify-end mt-4">
+                            <button
+                                onClick={() => setShowScheduleModal(false)}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-5 rounded-lg shadow-md"
+                            >
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* School Calendar Modal */}
+            {showCalendarModal && (
+                <div className="modal-overlay">
+                    <div className="modal-content">
+                        <h3 className="text-xl font-bold mb-2">School Calendar</h3>
+                        <p className="text-sm text-gray-500 mb-4">
+                            Terms and holidays decide which days are school days: draws are named after the school week they
+                            are for (e.g. "Week 7, Oct 13–17"), and scheduled rotations skip holidays. Once terms are added,
+                            the days between them count as holidays too.
+                        </p>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-2">
+                            <select
+                                value={newCalendarEntry.kind}
+                                onChange={(e) => setNewCalendarEntry(prev => ({ ...prev, kind: e.target.value }))}
+                                className="border border-gray-300 rounded-lg p-2 focus:outline-none focus:ring-2 focus:ring-green-500"
+                            >
+                                <option value="holidays">Holiday</option>
+                                <option value="terms">Term</option>
+                            </select>
+                            <input
+                                type="text"
+                                value={newCalendarEntry.name}
+                                onChange={(e) => setNewCalendarEntry(prev => ({ ...prev, name: e.target.value }))}
+                                placeholder={newCalendarEntry.kind === 'terms' ? 'Name, e.g. Autumn term' : 'Name, e.g. Winter break'}
+                                className="border border-gray-300 rounded-lg p-2 focus:outline-none focus:ring-2 focus:ring-green-500"
+                            />
+                            <label className="text-sm text-gray-600">
+                                From
+                                <input
+                                    type="date"
+                                    value={newCalendarEntry.startDate}
+                                    onChange={(e) => setNewCalendarEntry(prev => ({ ...prev, startDate: e.target.value }))}
+                                    className="w-full border border-gray-300 rounded-lg p-2"
+                                />
+                            </label>
+                            <label className="text-sm text-gray-600">
+                                To
+                                <input
+                                    type="date"
+                                    value={newCalendarEntry.endDate}
+                                    min={newCalendarEntry.startDate}
+                                    onChange={(e) => setNewCalendarEntry(prev => ({ ...prev, endDate: e.target.value }))}
+                                    className="w-full border border-gray-300 rounded-lg p-2"
+                                />
+                            </label>
+                        </div>
+                        <div className="flex items-center gap-4 mb-4">
+                            <button
+                                onClick={addCalendarEntry}
+                                className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg"
+                            >
+                                Add {newCalendarEntry.kind === 'terms' ? 'Term' : 'Holiday'}
+                            </button>
+                            <label className="text-sm text-green-700 hover:text-green-900 font-semibold cursor-pointer">
+                                Import from .ics file…
+                                <input type="file" accept=".ics,text/calendar" onChange={importCalendarFile} className="hidden" />
+                            </label>
+                        </div>
+                        {calendarImport && (
+                            <div className="border border-green-200 bg-green-50 rounded-md p-3 mb-4 text-sm">
+                                <p className="font-semibold text-gray-700 mb-1">Import from {calendarImport.fileName}</p>
+                                <p className="text-xs text-gray-500 mb-2">
+                                    Choose what each event is. Holidays are days without school, so only import events that close
+                                    the school; events like "Picture Day" are left out unless you pick them.
+                                </p>
+                                <ul className="space-y-1 max-h-48 overflow-y-auto mb-2">
+                                    {calendarImport.events.map((event, index) => (
+                                        <li key={`${event.name}-${event.startDate}-${index}`} className="flex items-center gap-2 bg-white rounded p-1">
+                                            <span className="flex-grow">
+                                                <span className="font-semibold">{event.name} </span>
+                                                {fromISODate(event.startDate).toLocaleDateString()}
+                                                {event.endDate !== event.startDate && ` – ${fromISODate(event.endDate).toLocaleDateString()}`}
+                                                {!event.allDay && <span className="text-gray-500"> (timed event)</span>}
+                                            </span>
+                                            <select
+                                                value={event.kind}
+                                                onChange={(e) => setCalendarImportKind(index, e.target.value)}
+                                                aria-label={`Import ${event.name} as`}
+                                                className="border border-gray-300 rounded p-1"
+                                            >
+                                                {Object.entries(CALENDAR_EVENT_KINDS).map(([kind, label]) => (
+                                                    <option key={kind} value={kind}>{label}</option>
+                                                ))}
+                                            </select>
+                                        </li>
+                                    ))}
+                                </ul>
+                                <div className="flex justify-end gap-2">
+                                    <button
+                                        onClick={() => setCalendarImport(null)}
+                                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-3 rounded-lg"
+                                    >
+                                        Cancel
+                                    </button>
+                                    <button
+                                        onClick={confirmCalendarImport}
+                                        className="bg-green-600 hover:bg-green-700 text-white font-bold py-1 px-3 rounded-lg"
+                                    >
+                                        Import {calendarImport.events.filter(event => event.kind !== 'skip').length} chosen
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                        {[['terms', 'Terms', 'No terms added: every weekday outside a holiday is a school day.'], ['holidays', 'Holidays', 'No holidays added.']]
+                            .map(([kind, heading, emptyText]) => (
+                                <div key={kind}>
+                                    <h4 className="font-semibold text-gray-700 mb-2">{heading}</h4>
+                                    <ul className="space-y-2 max-h-40 overflow-y-auto mb-4 border border-gray-200 p-2 rounded-md">
+                                        {appState.schoolCalendar[kind].length > 0 ? (
+                                            [...appState.schoolCalendar[kind]]
+                                                .sort((a, b) => a.startDate.localeCompare(b.startDate))
+                                                .map(entry => (
+                                                    <li key={entry.id} className="flex justify-between items-center bg-gray-50 p-2 rounded-md">
+                                                        <span>
+                                                            {entry.name && <span className="font-semibold">{entry.name} </span>}
+                                                            {fromISODate(entry.startDate).toLocaleDateString()}
+                                                            {entry.endDate !== entry.startDate && ` – ${fromISODate(entry.endDate).toLocaleDateString()}`}
+                                                        </span>
+                                                        <button
+                                                            onClick={() => removeCalendarEntry(kind, entry.id)}
+                                                            className="text-red-500 hover:text-red-700 font-bold ml-4"
+                                                        >
+                                                            &times;
+                                                        </button>
+                                                    </li>
+                                                ))
+                                        ) : (
+                                            <p className="text-gray-500 italic">{emptyText}</p>
+                                        )}
+                                    </ul>
+                                </div>
+                            ))}
+                        <h4 className="font-semibold text-gray-700 mb-2">Coming weeks</h4>
+                        <ul className="text-sm text-gray-700 space-y-1 mb-4">
+                            {listSchoolWeeks(appState.schoolCalendar, fromISODate(today), 6).map(week => (
+                                <li key={week.startDate} className={week.schoolDays.length < 5 ? 'text-orange-600' : ''}>
+                                    {week.label}
+                                    {week.termName && <span className="text-gray-500"> · {week.termName}</span>}
+                                </li>
+                            ))}
+                        </ul>
+                        <div className="flex justify-end mt-4">
+                            <button
+                                onClick={() => {
+                                    setShowCalendarModal(false);
+                                    setCalendarImport(null);
+                                }}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-5 rounded-lg shadow-md"
+                            >
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Manage Absences Modal */}
+            {showAbsencesModal && (
+                <div className="modal-overlay">
+                    <div className="modal-content">
+                        <h3 className="text-xl font-bold mb-2">Manage Absences</h3>
+                        <p className="text-sm text-gray-500 mb-4">
+                            Absent students are skipped for any week their absence touches, keep their place in the cycle
+                            and get priority at the next draw.
+                        </p>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-2">
+                            <select
+                                value={newAbsence.studentId}
+                                onChange={(e) => setNewAbsence(prev => ({ ...prev, studentId: e.target.value }))}
+                                className="border border-gray-300 rounded-lg p-2 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                            >
+                                <option value="">Choose a student…</option>
+                                {appState.students.filter(student => student.active).map(student => (
+                                    <option key={student.id} value={student.id}>{student.name}</option>
+                                ))}
+                            </select>
+                            <input
+                                type="text"
+                                value={newAbsence.reason}
+                                onChange={(e) => setNewAbsence(prev => ({ ...prev, reason: e.target.value }))}
+                                placeholder="Reason (optional), e.g. field trip"
+                                className="border border-gray-300 rounded-lg p-2 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                            />
+                            <label className="text-sm text-gray-600">
+                                From
+                                <input
+                                    type="date"
+                                    value={newAbsence.startDate}
+                                    onChange={(e) => setNewAbsence(prev => ({ ...prev, startDate: e.target.value }))}
+                                    className="w-full border border-gray-300 rounded-lg p-2"
+                                />
+                            </label>
+                            <label className="text-sm text-gray-600">
+                                To
+                                <input
+                                    type="date"
+                                    value={newAbsence.endDate}
+                                    min={newAbsence.startDate}
+                                    onChange={(e) => setNewAbsence(prev => ({ ...prev, endDate: e.target.value }))}
+                                    className="w-full border border-gray-300 rounded-lg p-2"
+                                />
+                            </label>
+                        </div>
+                        <button
+                            onClick={addAbsence}
+                            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg mb-4"
+                        >
+                            Add Absence
+                        </button>
+                        <ul className="space-y-2 max-h-60 overflow-y-auto mb-4 border border-gray-200 p-2 rounded-md">
+                            {appState.absences.length > 0 ? (
+                                [...appState.absences]
+                                    .sort((a, b) => a.startDate.localeCompare(b.startDate))
+                                    .map(absence => (
+                                        <li key={absence.id} className="flex justify-between items-center bg-gray-50 p-2 rounded-md">
+                                            <span>
+                                                <span className="font-semibold">{getStudentName(appState.students, absence.studentId)}</span>
+                                                {' '}{fromISODate(absence.startDate).toLocaleDateString()}
+                                                {absence.endDate !== absence.startDate && ` – ${fromISODate(absence.endDate).toLocaleDateString()}`}
+                                                {absence.reason && <span className="text-gray-500"> ({absence.reason})</span>}
+                                            </span>
+                                            <button
+                                                onClick={() => removeAbsence(absence.id)}
+                                                className="text-red-500 hover:text-red-700 font-bold ml-4"
+                                            >
+                                                &times;
+                                            </button>
+                                        </li>
+                                    ))
+                            ) : (
+                                <p className="text-gray-500 italic">No absences recorded.</p>
+                            )}
+                        </ul>
+                        <div className="flex justify-end space-x-2 mt-4">
+                            <button
+                                onClick={clearPastAbsences}
+                                className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-5 rounded-lg shadow-md"
+                            >
+                                Clear Past Absences
+                            </button>
+                            <button
+                                onClick={() => setShowAbsencesModal(false)}
                                 className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-5 rounded-lg shadow-md"
                             >
                                 Close
@@ -792,12 +2912,19 @@ const App = () => {
                         <h3 className="text-xl font-bold mb-4">Manage Students</h3>
                         <div className="mb-4 flex">
                             <input
-                                type="number"
-                                value={newStudentNumber}
-                                onChange={(e) => setNewStudentNumber(e.target.value)}
-                                placeholder="Add new student number"
+                                type="text"
+                                value={newStudentName}
+                                onChange={(e) => setNewStudentName(e.target.value)}
+                                placeholder="Add new student name"
                                 className="flex-grow border border-gray-300 rounded-l-lg p-2 focus:outline-none focus:ring-2 focus:ring-blue-400"
                             />
+                            <input
+                                type="text"
+                                value={newStudentNickname}
+                                onChange={(e) => setNewStudentNickname(e.target.value)}
+                                placeholder="Nickname/initials"
+                                className="w-36 border-t border-b border-gray-300 p-2 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                            />
                             <button
                                 onClick={addStudent}
                                 className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-r-lg"
@@ -805,14 +2932,65 @@ const App = () => {
                                 Add
                             </button>
                         </div>
+                        <ImportExportPanel
+                            itemLabel="students"
+                            fileBaseName="students"
+                            parse={(text, format) => parseStudentImport(text, format, appState.students)}
+                            describeRow={(row) => [row.name, row.nickname && `(${row.nickname})`, !row.active && '— inactive']
+                                .filter(Boolean).join(' ')}
+                            exportItems={(format) => exportStudents(appState.students, format)}
+                            onImport={importStudents}
+                        />
+                        {preferencesStudent && (
+                            <PreferencesEditor
+                                key={preferencesStudent.id}
+                                studentName={preferencesStudent.name}
+                                jobs={appState.jobs}
+                                preferences={getStudentPreferences(appState.studentPreferences, preferencesStudent.id)}
+                                onChange={(preferences) => updateStudentPreferences(preferencesStudent.id, preferences)}
+                                onClose={closePreferences}
+                            />
+                        )}
                         <ul className="space-y-2 max-h-60 overflow-y-auto mb-4 border border-gray-200 p-2 rounded-md">
                             {appState.students.length > 0 ? (
-                                appState.students.map((student, index) => (
-                                    <li key={index} className="flex justify-between items-center bg-gray-50 p-2 rounded-md">
-                                        <span>Student {student}</span>
+                                appState.students.map((student) => (
+                                    <li key={student.id} className={`flex items-center gap-2 bg-gray-50 p-2 rounded-md ${student.active ? '' : 'opacity-60'}`}>
+                                        <span className="text-xs text-gray-400 w-8">#{student.id}</span>
+                                        {/* Inputs are uncontrolled and save on blur, so typing doesn't write on every keystroke */}
+                                        <input
+                                            type="text"
+                                            defaultValue={student.name}
+                                            onBlur={(e) => e.target.value.trim() !== student.name && updateStudent(student.id, { name: e.target.value })}
+                                            aria-label={`Name of student ${student.id}`}
+                                            className="flex-grow min-w-0 bg-transparent border border-transparent hover:border-gray-300 rounded p-1"
+                                        />
+                                        <input
+                                            type="text"
+                                            defaultValue={student.nickname}
+                                            onBlur={(e) => e.target.value.trim() !== student.nickname && updateStudent(student.id, { nickname: e.target.value })}
+                                            placeholder="Nickname"
+                                            aria-label={`Nickname of student ${student.id}`}
+                                            className="w-24 bg-transparent border border-transparent hover:border-gray-300 rounded p-1 text-sm"
+                                        />
+                                        <button
+                                            onClick={() => togglePreferences(student.id)}
+                                            title="Favourite jobs and jobs never to assign"
+                                            className="text-xs text-blue-600 hover:text-blue-800 font-semibold whitespace-nowrap"
+                                        >
+                                            {describePreferences(getStudentPreferences(appState.studentPreferences, student.id))}
+                                        </button>
+                                        <label className="flex items-center text-sm text-gray-600">
+                                            <input
+                                                type="checkbox"
+                                                checked={student.active}
+                                                onChange={(e) => updateStudent(student.id, { active: e.target.checked })}
+                                                className="mr-1"
+                                            />
+                                            Active
+                                        </label>
                                         <button
-                                            onClick={() => removeStudent(student)}
-                                            className="text-red-500 hover:text-red-700 font-bold ml-4"
+                                            onClick={() => removeStudent(student.id)}
+                                            className="text-red-500 hover:text-red-700 font-bold ml-2"
                                         >
                                             &times;
                                         </button>
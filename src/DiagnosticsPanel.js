@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { countBySeverity, DIAGNOSTIC_RULES, SEVERITIES } from './diagnostics';
+
+// Colours of each severity's badge and filter button
+const SEVERITY_STYLES = {
+    error: 'bg-red-100 text-red-700 border-red-300',
+    warning: 'bg-amber-100 text-amber-800 border-amber-300',
+    info: 'bg-blue-100 text-blue-700 border-blue-300',
+};
+
+// List of diagnostics (see diagnostics.js) that can be filtered by severity and rule. With `onDismiss`, each
+// diagnostic can be dismissed; `dismissedIds` are hidden unless the teacher asks to see them again.
+const DiagnosticsPanel = ({ title, diagnostics, dismissedIds = [], onDismiss = null, emptyText = 'No problems found.' }) => {
+    const [severityFilter, setSeverityFilter] = useState('all');
+    const [ruleFilter, setRuleFilter] = useState('all');
+    const [showDismissed, setShowDismissed] = useState(false);
+
+    const dismissed = new Set(dismissedIds);
+    const dismissedCount = diagnostics.filter(diagnostic => dismissed.has(diagnostic.id)).length;
+    const shown = diagnostics.filter(diagnostic => showDismissed || !dismissed.has(diagnostic.id));
+    const counts = countBySeverity(shown);
+    const rules = [...new Set(shown.map(diagnostic => diagnostic.rule))];
+    const visible = shown.filter(diagnostic => (severityFilter === 'all' || diagnostic.severity === severityFilter)
+        && (ruleFilter === 'all' || diagnostic.rule === ruleFilter));
+
+    return (
+        <div className="text-sm">
+            <div className="flex flex-wrap items-center gap-1 mb-2">
+                {title && <span className="font-semibold text-gray-700 mr-1">{title}</span>}
+                <button
+                    onClick={() => setSeverityFilter('all')}
+                    aria-pressed={severityFilter === 'all'}
+                    className={`text-xs px-2 py-0.5 rounded-full border ${severityFilter === 'all' ? 'bg-gray-700 border-gray-700 text-white' : 'bg-white border-gray-300 text-gray-700'}`}
+                >
+                    All {shown.length}
+                </button>
+                {Object.entries(SEVERITIES).filter(([severity]) => counts[severity] > 0).map(([severity, label]) => (
+                    <button
+                        key={severity}
+                        onClick={() => setSeverityFilter(severity)}
+                        aria-pressed={severityFilter === severity}
+                        className={`text-xs px-2 py-0.5 rounded-full border ${SEVERITY_STYLES[severity]} ${severityFilter === severity ? 'ring-2 ring-offset-1 ring-gray-400' : ''}`}
+                    >
+                        {label}s {counts[severity]}
+                    </button>
+                ))}
+                {rules.length > 1 && (
+                    <select
+                        value={ruleFilter}
+                        onChange={(e) => setRuleFilter(e.target.value)}
+                        aria-label="Filter by rule"
+                        className="text-xs border border-gray-300 rounded p-0.5 ml-auto"
+                    >
+                        <option value="all">Every rule</option>
+                        {rules.map(rule => (
+                            <option key={rule} value={rule}>{DIAGNOSTIC_RULES[rule]?.label || rule}</option>
+                        ))}
+                    </select>
+                )}
+            </div>
+            {visible.length > 0 ? (
+                <ul className="space-y-1 max-h-48 overflow-y-auto">
+                    {visible.map(diagnostic => (
+                        <li key={diagnostic.id} className={`flex items-start gap-2 p-1 rounded ${dismissed.has(diagnostic.id) ? 'opacity-50' : ''}`}>
+                            <span className={`text-xs px-1 rounded border whitespace-nowrap ${SEVERITY_STYLES[diagnostic.severity]}`}>
+                                {SEVERITIES[diagnostic.severity]}
+                            </span>
+                            <span className="flex-grow text-gray-700" title={DIAGNOSTIC_RULES[diagnostic.rule]?.label}>
+                                {diagnostic.message}
+                            </span>
+                            {onDismiss && !dismissed.has(diagnostic.id) && (
+                                <button
+                                    onClick={() => onDismiss(diagnostic.id)}
+                                    aria-label="Dismiss"
+                                    title="Dismiss"
+                                    className="text-gray-400 hover:text-gray-600 font-bold"
+                                >
+                                    &times;
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-gray-500 italic">{shown.length > 0 ? 'Nothing matches this filter.' : emptyText}</p>
+            )}
+            {dismissedCount > 0 && (
+                <button
+                    onClick={() => setShowDismissed(prev => !prev)}
+                    className="text-xs text-gray-500 hover:text-gray-700 mt-1"
+                >
+                    {showDismissed ? 'Hide dismissed' : `Show ${dismissedCount} dismissed`}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default DiagnosticsPanel;
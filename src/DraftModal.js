@@ -0,0 +1,106 @@
+import React from 'react';
+import { ASSIGNMENT_STRATEGIES } from './assignmentEngine';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import { getActiveStudentIds, getStudentName } from './students';
+
+// Modal showing a draft of new assignments (see useDraft) next to last week's jobs, to check before publishing.
+// Each row's job can be changed (to one of `getJobOptions(studentId)`) or locked against re-rolling.
+const DraftModal = ({ draft, getJobOptions, onChangeJob, onToggleLock, onDiscard, onReroll, onPublish }) => (
+    <div className="modal-overlay">
+        <div className="modal-content w-full max-w-3xl">
+            <h3 className="text-xl font-bold mb-1">Draft Assignments</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                {draft.draw.schoolWeek.label} · Nothing is saved until you publish. Lock rows to keep them when re-rolling;
+                changing a job locks its row.
+            </p>
+            {draft.draw.result.diagnostics.length > 0 && (
+                <div className="border border-gray-200 rounded-md p-3 mb-4">
+                    <DiagnosticsPanel title="Checks" diagnostics={draft.draw.result.diagnostics} />
+                </div>
+            )}
+            <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-md mb-3">
+                <table className="w-full text-sm">
+                    <thead className="sticky top-0 bg-gray-100 text-left">
+                        <tr>
+                            <th className="p-2">Student</th>
+                            <th className="p-2">Last week</th>
+                            <th className="p-2">Proposed</th>
+                            <th className="p-2 text-center">Lock</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {getActiveStudentIds(draft.baseState.students).map(studentId => {
+                            const studentName = getStudentName(draft.baseState.students, studentId);
+                            const lastJob = draft.baseState.currentAssignments[studentId];
+                            const proposedJob = draft.draw.result.assignments[studentId];
+                            const absent = draft.draw.result.skippedStudents.includes(studentId);
+                            const locked = draft.locked.includes(studentId);
+                            return (
+                                <tr key={studentId} className={`border-t border-gray-100 ${locked ? 'bg-blue-50' : ''}`}>
+                                    <td className="p-2 font-medium">{studentName}</td>
+                                    <td className="p-2 text-gray-500">{lastJob || '—'}</td>
+                                    <td className="p-2">
+                                        {absent ? (
+                                            <span className="text-gray-400 italic">Absent</span>
+                                        ) : (
+                                            <select
+                                                value={proposedJob || ''}
+                                                onChange={(e) => onChangeJob(studentId, e.target.value)}
+                                                aria-label={`Job for ${studentName}`}
+                                                className={`w-full border rounded p-1 ${proposedJob && proposedJob === lastJob ? 'border-orange-400 text-orange-700' : 'border-gray-300'}`}
+                                            >
+                                                {!proposedJob && <option value="" disabled>No job</option>}
+                                                {getJobOptions(studentId).map(job => (
+                                                    <option key={job.title} value={job.title}>{job.title}</option>
+                                                ))}
+                                            </select>
+                                        )}
+                                    </td>
+                                    <td className="p-2 text-center">
+                                        <input
+                                            type="checkbox"
+                                            checked={locked}
+                                            disabled={absent || !proposedJob}
+                                            onChange={() => onToggleLock(studentId)}
+                                            aria-label={`Lock ${studentName}'s job`}
+                                        />
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+            <p className="text-xs text-gray-500 mb-4">
+                Seed <span className="font-mono">{draft.draw.result.seed}</span>
+                {' '}({ASSIGNMENT_STRATEGIES[draft.draw.result.strategy]?.label || draft.draw.result.strategy})
+                {' '}· Fairness score {draft.draw.result.fairness.totalCost}
+                {draft.draw.result.preferredJobs.requested > 0
+                    && ` · ${draft.draw.result.preferredJobs.granted} of ${draft.draw.result.preferredJobs.requested} favourites met`}
+                {' '}· Jobs in orange repeat last week's.
+            </p>
+            <div className="flex justify-end flex-wrap gap-2">
+                <button
+                    onClick={onDiscard}
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-5 rounded-lg shadow-md"
+                >
+                    Discard
+                </button>
+                <button
+                    onClick={onReroll}
+                    className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-5 rounded-lg shadow-md"
+                >
+                    Re-roll
+                </button>
+                <button
+                    onClick={onPublish}
+                    className="bg-green-700 hover:bg-green-800 text-white font-bold py-2 px-5 rounded-lg shadow-md"
+                >
+                    Publish
+                </button>
+            </div>
+        </div>
+    </div>
+);
+
+export default DraftModal;
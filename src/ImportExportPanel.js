@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { datedFileName, downloadTextFile, MIME_TYPES, readFileAsText } from './fileUtils';
+import { detectFormat, IMPORT_FORMATS, ROW_STATUS } from './rosterIO';
+
+// Colours for each row status in the import preview
+const STATUS_STYLES = {
+    [ROW_STATUS.NEW]: 'bg-green-100 text-green-700',
+    [ROW_STATUS.DUPLICATE]: 'bg-yellow-100 text-yellow-700',
+    [ROW_STATUS.INVALID]: 'bg-red-100 text-red-700',
+};
+
+// Import/export section shared by the Manage Students and Manage Job Titles modals.
+// `parse(text, format)` validates the input, `describeRow(row)` labels a preview row,
+// `exportItems(format)` serialises the current list and `onImport(rows)` saves the new rows.
+const ImportExportPanel = ({ itemLabel, fileBaseName, parse, describeRow, exportItems, onImport }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [text, setText] = useState(''); // Pasted or uploaded content
+    const [fileName, setFileName] = useState(''); // Name of the uploaded file, used to detect its format
+    const [format, setFormat] = useState('auto');
+    const [preview, setPreview] = useState(null); // { rows, error } from the last preview
+
+    // Function to load an uploaded file into the text area
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            setText(await readFileAsText(file));
+            setFileName(file.name);
+            setPreview(null);
+        } catch (error) {
+            console.error("Error reading import file:", error);
+            setPreview({ rows: [], error: 'Could not read the selected file.' });
+        }
+    };
+
+    // Function to validate the input and show the preview
+    const showPreview = () => {
+        const resolvedFormat = format === 'auto' ? detectFormat(text, fileName) : format;
+        setPreview(parse(text, resolvedFormat));
+    };
+
+    // Function to save the valid rows and reset the panel
+    const confirmImport = () => {
+        onImport(preview.rows.filter(row => row.status === ROW_STATUS.NEW));
+        setText('');
+        setFileName('');
+        setPreview(null);
+    };
+
+    // Function to download the current list in the given format
+    const download = (exportFormat) => {
+        downloadTextFile(datedFileName(fileBaseName, exportFormat), exportItems(exportFormat), MIME_TYPES[exportFormat]);
+    };
+
+    if (!isOpen) {
+        return (
+            <button
+                onClick={() => setIsOpen(true)}
+                className="text-sm text-blue-600 hover:text-blue-800 underline mb-4"
+            >
+                Import / Export {itemLabel}
+            </button>
+        );
+    }
+
+    const newCount = preview ? preview.rows.filter(row => row.status === ROW_STATUS.NEW).length : 0;
+
+    return (
+        <div className="border border-blue-200 bg-blue-50 rounded-lg p-3 mb-4">
+            <div className="flex justify-between items-center mb-2">
+                <h4 className="font-semibold text-blue-700">Import / Export {itemLabel}</h4>
+                <button onClick={() => setIsOpen(false)} className="text-gray-500 hover:text-gray-700 font-bold">
+                    &times;
+                </button>
+            </div>
+            <div className="flex flex-wrap gap-2 mb-3">
+                {IMPORT_FORMATS.map(exportFormat => (
+                    <button
+                        key={exportFormat}
+                        onClick={() => download(exportFormat)}
+                        className="bg-white border border-blue-300 hover:bg-blue-100 text-blue-700 text-sm font-semibold py-1 px-3 rounded-lg"
+                    >
+                        Download {exportFormat.toUpperCase()}
+                    </button>
+                ))}
+            </div>
+            <textarea
+                value={text}
+                onChange={(e) => { setText(e.target.value); setPreview(null); }}
+                placeholder={`Paste ${itemLabel} as CSV or JSON, or choose a file below`}
+                rows={5}
+                className="w-full border border-gray-300 rounded-lg p-2 font-mono text-sm mb-2 focus:outline-none focus:ring-2 focus:ring-blue-400"
+            />
+            <div className="flex flex-wrap items-center gap-2 mb-2">
+                <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} className="text-sm" />
+                <select
+                    value={format}
+                    onChange={(e) => { setFormat(e.target.value); setPreview(null); }}
+                    className="border border-gray-300 rounded-lg p-1 text-sm"
+                >
+                    <option value="auto">Detect format</option>
+                    {IMPORT_FORMATS.map(importFormat => (
+                        <option key={importFormat} value={importFormat}>{importFormat.toUpperCase()}</option>
+                    ))}
+                </select>
+                <button
+                    onClick={showPreview}
+                    disabled={!text.trim()}
+                    className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white text-sm font-bold py-1 px-3 rounded-lg"
+                >
+                    Preview
+                </button>
+            </div>
+            {preview && (
+                <div>
+                    {preview.error ? (
+                        <p className="text-red-600 text-sm">{preview.error}</p>
+                    ) : (
+                        <>
+                            <p className="text-sm text-gray-600 mb-1">
+                                {newCount} new, {preview.rows.filter(row => row.status === ROW_STATUS.DUPLICATE).length} duplicate,
+                                {' '}{preview.rows.filter(row => row.status === ROW_STATUS.INVALID).length} invalid.
+                                {' '}Only new rows will be imported.
+                            </p>
+                            <ul className="max-h-40 overflow-y-auto bg-white border border-gray-200 rounded-md p-2 mb-2 space-y-1">
+                                {preview.rows.map(row => (
+                                    <li key={row.line} className="flex justify-between items-center text-sm">
+                                        <span>
+                                            <span className="text-gray-400 mr-2">{row.line}.</span>
+                                            {describeRow(row) || <em className="text-gray-400">(blank)</em>}
+                                        </span>
+                                        <span className={`text-xs font-semibold px-2 py-0.5 rounded ${STATUS_STYLES[row.status]}`}>
+                                            {row.reason || row.status}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                            <button
+                                onClick={confirmImport}
+                                disabled={newCount === 0}
+                                className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white text-sm font-bold py-1 px-3 rounded-lg"
+                            >
+                                Import {newCount} {itemLabel}
+                            </button>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ImportExportPanel;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { fromISODate } from './absences';
+import { getJobIcon } from './jobs';
+import { getStudentName } from './students';
+
+// Print layout: landscape pages with only the chart, and cards that never split across pages
+const PRINT_STYLES = `
+@media print {
+    @page { size: landscape; margin: 1cm; }
+    body { background: white !important; }
+    .job-chart-controls { display: none !important; }
+    .job-chart { min-height: auto !important; padding: 0 !important; background: white !important; }
+    .job-chart-card { break-inside: avoid; box-shadow: none !important; border: 2px solid #d1d5db !important; }
+}
+`;
+
+// Helper function to describe a week, e.g. "Mon, Oct 6 – Fri, Oct 10, 2025"
+const formatWeekRange = ({ startDate, endDate }) => {
+    const options = { weekday: 'short', month: 'short', day: 'numeric' };
+    const start = fromISODate(startDate).toLocaleDateString(undefined, options);
+    const end = fromISODate(endDate).toLocaleDateString(undefined, { ...options, year: 'numeric' });
+    return `${start} – ${end}`;
+};
+
+// Classroom job chart: every job with the students who hold it, in large type for a projector or a printed
+// bulletin board. `assignments` maps student IDs to job titles; jobs appear in the order of `jobs`, followed by
+// any assigned job no longer in the list. `week` ({ startDate, endDate, label }) is the school week the jobs are for,
+// if known; its label (e.g. "Week 7, Oct 13–17") is shown when it has one.
+// `adminUrl` is the link back to the admin screens.
+const JobChart = ({ className, jobs, students, assignments, week, showIcons, adminUrl }) => {
+    // Students holding each job title
+    const holders = {};
+    Object.entries(assignments).forEach(([studentId, jobTitle]) => {
+        holders[jobTitle] = [...(holders[jobTitle] || []), Number(studentId)];
+    });
+    const knownTitles = new Set(jobs.map(job => job.title));
+    const chartJobs = [
+        ...jobs.filter(job => holders[job.title]),
+        ...Object.keys(holders).filter(title => !knownTitles.has(title)).map(title => ({ title })),
+    ];
+
+    // Function to show the chart full screen (e.g. on the classroom projector)
+    const enterFullScreen = () => {
+        document.documentElement.requestFullscreen?.().catch(error => console.error("Full screen failed:", error));
+    };
+
+    return (
+        <div className="job-chart min-h-screen bg-indigo-50 p-6 md:p-10 font-sans">
+            <style>{PRINT_STYLES}</style>
+            <div className="job-chart-controls flex justify-end gap-2 mb-4">
+                <button
+                    onClick={enterFullScreen}
+                    className="bg-white hover:bg-gray-100 text-gray-700 font-semibold py-1 px-3 rounded-lg shadow"
+                >
+                    Full Screen
+                </button>
+                <button
+                    onClick={() => window.print()}
+                    className="bg-white hover:bg-gray-100 text-gray-700 font-semibold py-1 px-3 rounded-lg shadow"
+                >
+                    Print
+                </button>
+                <a href={adminUrl} className="bg-white hover:bg-gray-100 text-gray-700 font-semibold py-1 px-3 rounded-lg shadow">
+                    Back to Admin
+                </a>
+            </div>
+            <header className="text-center mb-8">
+                <h1 className="text-5xl font-bold text-indigo-800">{className ? `${className} Jobs` : 'Class Jobs'}</h1>
+                {week && <p className="text-2xl text-indigo-600 mt-2">{week.label || formatWeekRange(week)}</p>}
+            </header>
+            {chartJobs.length > 0 ? (
+                <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-4">
+                    {chartJobs.map(job => (
+                        <div key={job.title} className="job-chart-card bg-white rounded-xl shadow-md p-4 text-center">
+                            {showIcons && <div className="text-5xl mb-2" aria-hidden="true">{getJobIcon(job)}</div>}
+                            <div className="text-2xl font-bold text-indigo-700">{job.title}</div>
+                            {job.description && <div className="text-base text-gray-500">{job.description}</div>}
+                            <div className="text-3xl font-semibold text-gray-800 mt-2">
+                                {holders[job.title].map(studentId => (
+                                    <div key={studentId}>{getStudentName(students, studentId)}</div>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            ) : (
+                <p className="text-3xl text-center text-gray-500 mt-16">No jobs have been assigned yet.</p>
+            )}
+        </div>
+    );
+};
+
+export default JobChart;
@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import { getJobIcon, JOB_CATEGORIES, JOB_WEIGHTS } from './jobs';
+import { getStudentShortName } from './students';
+
+// Who a job is open to: everyone, only the listed students (eligibleStudents) or everyone but them (ineligibleStudents)
+const ELIGIBILITY_MODES = {
+    everyone: 'Everyone',
+    only: 'Only these students',
+    except: 'Everyone except',
+};
+
+// Helper function to work out a job's eligibility mode from its stored lists
+const getEligibilityMode = (job) => {
+    if (job.eligibleStudents.length > 0) return 'only';
+    if (job.ineligibleStudents.length > 0) return 'except';
+    return 'everyone';
+};
+
+// Helper function to describe a job in one line, e.g. "Cleaning · Heavy · 2 students · 3 eligible · pinned: Ava"
+const describeConstraints = (job, students) => {
+    const parts = [
+        JOB_CATEGORIES[job.category],
+        JOB_WEIGHTS[job.weight],
+        `${job.headcount} student${job.headcount === 1 ? '' : 's'}`,
+    ];
+    if (job.eligibleStudents.length > 0) {
+        parts.push(`only ${job.eligibleStudents.length} eligible`);
+    } else if (job.ineligibleStudents.length > 0) {
+        parts.push(`${job.ineligibleStudents.length} excluded`);
+    }
+    if (job.pinnedStudents.length > 0) {
+        parts.push(`pinned: ${job.pinnedStudents.map(id => getStudentShortName(students, id)).join(', ')}`);
+    }
+    return parts.join(' · ');
+};
+
+// One row of the job list, expandable to edit the job's duties, icon, category, workload, headcount, who may do it
+// and who is pinned to it. `onMoveUp`/`onMoveDown` move the job along the list (null at either end).
+const JobEditor = ({ job, students, onChange, onRemove, onMoveUp, onMoveDown }) => {
+    const [expanded, setExpanded] = useState(false);
+    // Kept locally so "Only these students" can be chosen before any student is ticked
+    const [mode, setMode] = useState(() => getEligibilityMode(job));
+    const listField = mode === 'only' ? 'eligibleStudents' : 'ineligibleStudents';
+
+    // Function to switch eligibility mode, clearing the student lists that no longer apply
+    const changeMode = (newMode) => {
+        setMode(newMode);
+        if (job.eligibleStudents.length > 0 || job.ineligibleStudents.length > 0) {
+            onChange({ eligibleStudents: [], ineligibleStudents: [] });
+        }
+    };
+
+    // Function to add or remove a student from one of the job's student lists
+    const toggleStudent = (field, studentId) => {
+        const list = job[field];
+        onChange({ [field]: list.includes(studentId) ? list.filter(id => id !== studentId) : [...list, studentId] });
+    };
+
+    // Helper to render a row of toggleable student chips for one of the job's lists
+    const renderStudentChips = (field, isDisabled = () => false) => (
+        <div className="flex flex-wrap gap-1">
+            {students.map(student => {
+                const selected = job[field].includes(student.id);
+                return (
+                    <button
+                        key={student.id}
+                        type="button"
+                        onClick={() => toggleStudent(field, student.id)}
+                        disabled={!selected && isDisabled(student.id)}
+                        aria-pressed={selected}
+                        className={`text-xs px-2 py-0.5 rounded-full border disabled:opacity-40 ${selected ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'} ${student.active ? '' : 'italic'}`}
+                    >
+                        {getStudentShortName(students, student.id)}
+                    </button>
+                );
+            })}
+        </div>
+    );
+
+    return (
+        <li className="bg-gray-50 p-2 rounded-md">
+            <div className="flex justify-between items-center">
+                <span className="text-2xl mr-2" aria-hidden="true">{getJobIcon(job)}</span>
+                <button type="button" onClick={() => setExpanded(!expanded)} className="text-left flex-grow" aria-expanded={expanded}>
+                    <span className="font-medium">{job.title}</span>
+                    <span className="block text-xs text-gray-500">{describeConstraints(job, students)}</span>
+                </button>
+                <button
+                    onClick={onMoveUp}
+                    disabled={!onMoveUp}
+                    aria-label={`Move ${job.title} up`}
+                    className="text-gray-500 hover:text-gray-800 disabled:opacity-30 px-1"
+                >
+                    &#9650;
+                </button>
+                <button
+                    onClick={onMoveDown}
+                    disabled={!onMoveDown}
+                    aria-label={`Move ${job.title} down`}
+                    className="text-gray-500 hover:text-gray-800 disabled:opacity-30 px-1"
+                >
+                    &#9660;
+                </button>
+                <button
+                    onClick={onRemove}
+                    aria-label={`Remove ${job.title}`}
+                    className="text-red-500 hover:text-red-700 font-bold ml-4"
+                >
+                    &times;
+                </button>
+            </div>
+            {expanded && (
+                <div className="mt-2 space-y-3 text-sm">
+                    <label className="block">
+                        Duties
+                        {/* Uncontrolled and saved on blur, like the fields below */}
+                        <textarea
+                            defaultValue={job.description}
+                            rows={2}
+                            placeholder="What does this job involve?"
+                            onBlur={(e) => {
+                                const description = e.target.value.trim();
+                                if (description !== job.description) onChange({ description });
+                            }}
+                            className="w-full border border-gray-300 rounded p-1"
+                        />
+                    </label>
+                    <div className="flex flex-wrap gap-4">
+                        <label className="flex items-center gap-2">
+                            Icon
+                            <input
+                                type="text"
+                                defaultValue={job.icon}
+                                maxLength={8}
+                                placeholder={getJobIcon({ ...job, icon: '' })}
+                                title="An emoji for the job chart (leave empty to pick one from the title)"
+                                onBlur={(e) => {
+                                    const icon = e.target.value.trim();
+                                    if (icon !== job.icon) onChange({ icon });
+                                }}
+                                className="w-14 border border-gray-300 rounded p-1 text-center"
+                            />
+                        </label>
+                        <label className="flex items-center gap-2">
+                            Category
+                            <select
+                                value={job.category}
+                                onChange={(e) => onChange({ category: e.target.value })}
+                                className="border border-gray-300 rounded p-1"
+                            >
+                                {Object.entries(JOB_CATEGORIES).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="flex items-center gap-2">
+                            Workload
+                            <select
+                                value={job.weight}
+                                onChange={(e) => onChange({ weight: Number(e.target.value) })}
+                                className="border border-gray-300 rounded p-1"
+                            >
+                                {Object.entries(JOB_WEIGHTS).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </label>
+                    </div>
+                    <label className="flex items-center gap-2">
+                        Students needed
+                        {/* Uncontrolled and saved on blur, so typing doesn't write on every keystroke */}
+                        <input
+                            type="number"
+                            min="1"
+                            defaultValue={job.headcount}
+                            onBlur={(e) => {
+                                const headcount = Math.max(1, parseInt(e.target.value, 10) || 1);
+                                e.target.value = headcount;
+                                if (headcount !== job.headcount) onChange({ headcount });
+                            }}
+                            className="w-16 border border-gray-300 rounded p-1"
+                        />
+                    </label>
+                    <div>
+                        <label className="flex items-center gap-2 mb-1">
+                            Who can do it
+                            <select
+                                value={mode}
+                                onChange={(e) => changeMode(e.target.value)}
+                                className="border border-gray-300 rounded p-1"
+                            >
+                                {Object.entries(ELIGIBILITY_MODES).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        {mode !== 'everyone' && renderStudentChips(listField)}
+                    </div>
+                    <div>
+                        <p className="mb-1">
+                            Pinned students <span className="text-gray-500">(always get this job while they are present)</span>
+                        </p>
+                        {renderStudentChips('pinnedStudents', () => job.pinnedStudents.length >= job.headcount)}
+                    </div>
+                </div>
+            )}
+        </li>
+    );
+};
+
+export default JobEditor;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { getJobIcon } from './jobs';
+import { MAX_FAVORITES } from './preferences';
+
+// Panel for editing one student's job preferences (see preferences.js): up to MAX_FAVORITES ranked favourite jobs,
+// which draws lean towards, and the jobs they must never be given. `preferences` is { favorites, exclusions } and
+// `onChange` receives the whole updated object.
+const PreferencesEditor = ({ studentName, jobs, preferences, onChange, onClose }) => {
+    const { favorites, exclusions } = preferences;
+
+    // Function to move a favourite up (offset -1) or down (offset 1) the ranking
+    const moveFavorite = (index, offset) => {
+        const reordered = [...favorites];
+        [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+        onChange({ favorites: reordered, exclusions });
+    };
+
+    // Function to add a job to the student's exclusions (dropping it from their favourites) or take it off them
+    const toggleExclusion = (title) => {
+        if (exclusions.includes(title)) {
+            onChange({ favorites, exclusions: exclusions.filter(excluded => excluded !== title) });
+        } else {
+            onChange({ favorites: favorites.filter(favorite => favorite !== title), exclusions: [...exclusions, title] });
+        }
+    };
+
+    const availableFavorites = jobs.filter(job => !favorites.includes(job.title) && !exclusions.includes(job.title));
+
+    return (
+        <div className="border border-blue-200 bg-blue-50 rounded-md p-3 mb-4 space-y-3 text-sm">
+            <div className="flex items-center justify-between">
+                <h4 className="font-semibold text-gray-800">Job preferences for {studentName}</h4>
+                <button onClick={onClose} className="text-gray-500 hover:text-gray-700 font-bold" aria-label="Close preferences">
+                    &times;
+                </button>
+            </div>
+            <div>
+                <p className="font-semibold text-gray-700 mb-1">Favourite jobs</p>
+                <p className="text-xs text-gray-500 mb-2">
+                    Draws give a favourite job when it's no less fair than the alternatives; the first favourite counts most.
+                </p>
+                {favorites.length > 0 && (
+                    <ol className="space-y-1 mb-2">
+                        {favorites.map((title, index) => (
+                            <li key={title} className="flex items-center gap-2 bg-white rounded p-1">
+                                <span className="text-xs text-gray-400 w-4">{index + 1}.</span>
+                                <span className="flex-grow">{title}</span>
+                                <button
+                                    onClick={() => moveFavorite(index, -1)}
+                                    disabled={index === 0}
+                                    aria-label={`Rank ${title} higher`}
+                                    className="text-gray-500 hover:text-gray-700 disabled:opacity-30 px-1"
+                                >
+                                    &uarr;
+                                </button>
+                                <button
+                                    onClick={() => moveFavorite(index, 1)}
+                                    disabled={index === favorites.length - 1}
+                                    aria-label={`Rank ${title} lower`}
+                                    className="text-gray-500 hover:text-gray-700 disabled:opacity-30 px-1"
+                                >
+                                    &darr;
+                                </button>
+                                <button
+                                    onClick={() => onChange({ favorites: favorites.filter(favorite => favorite !== title), exclusions })}
+                                    aria-label={`Remove ${title} from favourites`}
+                                    className="text-red-500 hover:text-red-700 font-bold px-1"
+                                >
+                                    &times;
+                                </button>
+                            </li>
+                        ))}
+                    </ol>
+                )}
+                {favorites.length < MAX_FAVORITES && availableFavorites.length > 0 && (
+                    <select
+                        value=""
+                        onChange={(e) => e.target.value && onChange({ favorites: [...favorites, e.target.value], exclusions })}
+                        aria-label="Add a favourite job"
+                        className="w-full border border-gray-300 rounded p-1"
+                    >
+                        <option value="">Add a favourite ({MAX_FAVORITES - favorites.length} left)…</option>
+                        {availableFavorites.map(job => (
+                            <option key={job.title} value={job.title}>{getJobIcon(job)} {job.title}</option>
+                        ))}
+                    </select>
+                )}
+            </div>
+            <div>
+                <p className="font-semibold text-gray-700 mb-1">Never assign</p>
+                <p className="text-xs text-gray-500 mb-2">
+                    For jobs the student can't do, e.g. because of an allergy. Draws never give these, even when pinned.
+                </p>
+                <div className="flex flex-wrap gap-1">
+                    {jobs.map(job => {
+                        const excluded = exclusions.includes(job.title);
+                        return (
+                            <button
+                                key={job.title}
+                                type="button"
+                                onClick={() => toggleExclusion(job.title)}
+                                aria-pressed={excluded}
+                                className={`text-xs px-2 py-0.5 rounded-full border ${excluded ? 'bg-red-600 border-red-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+                            >
+                                {job.title}
+                            </button>
+                        );
+                    })}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PreferencesEditor;
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { getHeldJobs } from './jobs';
+
+// Read-only class job page opened from a student view link (see studentLinks.js), e.g. on a classroom tablet or
+// at home. Lists every student with their job; tapping a name shows that student's job, what it involves and their
+// past jobs. `view` is the published student view, null once the link has been revoked, or undefined while loading.
+const StudentView = ({ view }) => {
+    // Student whose jobs are open (null shows the class list)
+    const [selectedId, setSelectedId] = useState(null);
+
+    if (view === undefined) {
+        return (
+            <div className="flex items-center justify-center min-h-screen bg-indigo-50">
+                <p className="text-lg font-semibold text-gray-700">Loading class jobs...</p>
+            </div>
+        );
+    }
+    if (view === null) {
+        return (
+            <div className="flex items-center justify-center min-h-screen bg-indigo-50 p-6">
+                <p className="text-xl text-center text-gray-700">
+                    This link is no longer active. Ask your teacher for a new one.
+                </p>
+            </div>
+        );
+    }
+
+    const jobsByTitle = new Map(view.jobs.map(job => [job.title, job]));
+    // Helper function to get a job's details (jobs removed since keep just their title and a plain icon)
+    const findJob = (title) => jobsByTitle.get(title) || { title, description: '', icon: '⭐' };
+    const selectedStudent = view.students.find(student => student.id === selectedId);
+
+    // Page for one student: their current job, its duties and their past jobs (most recent first)
+    if (selectedStudent) {
+        const currentTitle = view.currentAssignments[selectedStudent.id];
+        // Weeks without a job aren't listed, and the history ends with the current job, which is shown on its own
+        const history = getHeldJobs(view.studentJobHistory[selectedStudent.id] || []);
+        const pastJobs = (currentTitle && history[history.length - 1] === currentTitle ? history.slice(0, -1) : history)
+            .slice()
+            .reverse();
+        const currentJob = currentTitle ? findJob(currentTitle) : null;
+        return (
+            <div className="min-h-screen bg-indigo-50 p-6 md:p-10 font-sans">
+                <button
+                    onClick={() => setSelectedId(null)}
+                    className="bg-white hover:bg-gray-100 text-gray-700 font-semibold py-2 px-4 rounded-lg shadow mb-6"
+                >
+                    &larr; All students
+                </button>
+                <div className="max-w-xl mx-auto">
+                    <h1 className="text-4xl font-bold text-indigo-800 text-center mb-6">{selectedStudent.name}</h1>
+                    {currentJob ? (
+                        <div className="bg-white rounded-xl shadow-md p-6 text-center mb-6">
+                            <p className="text-lg text-gray-500">{view.weekLabel ? `Your job for ${view.weekLabel}` : 'Your job'}</p>
+                            <div className="text-6xl my-3" aria-hidden="true">{currentJob.icon}</div>
+                            <p className="text-3xl font-bold text-indigo-700">{currentJob.title}</p>
+                            {currentJob.description && <p className="text-lg text-gray-700 mt-3">{currentJob.description}</p>}
+                        </div>
+                    ) : (
+                        <p className="bg-white rounded-xl shadow-md p-6 text-center text-xl text-gray-600 mb-6">
+                            No job this week.
+                        </p>
+                    )}
+                    <h2 className="text-xl font-semibold text-gray-700 mb-2">Past jobs</h2>
+                    {pastJobs.length > 0 ? (
+                        <ul className="bg-white rounded-xl shadow-md divide-y divide-gray-100">
+                            {pastJobs.map((title, index) => (
+                                <li key={`${title}-${index}`} className="flex items-center gap-3 p-3 text-lg">
+                                    <span aria-hidden="true">{findJob(title).icon}</span>
+                                    {title}
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <p className="text-gray-500 italic">No past jobs yet.</p>
+                    )}
+                </div>
+            </div>
+        );
+    }
+
+    // Class list: every student with their job, largest type first for a tablet on the wall
+    return (
+        <div className="min-h-screen bg-indigo-50 p-6 md:p-10 font-sans">
+            <div className="flex justify-end mb-4">
+                <button
+                    onClick={() => document.documentElement.requestFullscreen?.().catch(error => console.error("Full screen failed:", error))}
+                    className="bg-white hover:bg-gray-100 text-gray-700 font-semibold py-1 px-3 rounded-lg shadow"
+                >
+                    Full Screen
+                </button>
+            </div>
+            <header className="text-center mb-8">
+                <h1 className="text-4xl md:text-5xl font-bold text-indigo-800">{view.className ? `${view.className} Jobs` : 'Class Jobs'}</h1>
+                {view.weekLabel && <p className="text-2xl text-indigo-600 mt-2">{view.weekLabel}</p>}
+                <p className="text-lg text-gray-600 mt-2">Tap your name to see your job.</p>
+            </header>
+            <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-4">
+                {view.students.map(student => {
+                    const title = view.currentAssignments[student.id];
+                    return (
+                        <button
+                            key={student.id}
+                            onClick={() => setSelectedId(student.id)}
+                            className="bg-white hover:bg-indigo-100 rounded-xl shadow-md p-4 text-center"
+                        >
+                            <div className="text-2xl font-bold text-gray-800">{student.name}</div>
+                            <div className="text-lg text-indigo-700 mt-1">
+                                {title ? `${findJob(title).icon} ${title}` : <span className="text-gray-400">No job this week</span>}
+                            </div>
+                        </button>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default StudentView;
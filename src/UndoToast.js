@@ -0,0 +1,31 @@
+import React, { useEffect } from 'react';
+
+// How long the toast stays on screen before dismissing itself (ms)
+const TOAST_DURATION = 8000;
+
+// Toast shown after a destructive action, offering to undo it
+const UndoToast = ({ message, onUndo, onDismiss }) => {
+    // Dismiss automatically after a while; restart the timer if a new action replaces the message
+    useEffect(() => {
+        const timer = setTimeout(onDismiss, TOAST_DURATION);
+        return () => clearTimeout(timer);
+    }, [message, onDismiss]);
+
+    return (
+        <div
+            role="status"
+            className="fixed bottom-6 left-1/2 -translate-x-1/2 transform flex items-center gap-4 bg-gray-800 text-white px-5 py-3 rounded-lg shadow-lg"
+            style={{ zIndex: 1100 }}
+        >
+            <span>{message}</span>
+            <button onClick={onUndo} className="font-bold text-yellow-300 hover:text-yellow-200 uppercase text-sm">
+                Undo
+            </button>
+            <button onClick={onDismiss} aria-label="Dismiss" className="text-gray-400 hover:text-white font-bold">
+                &times;
+            </button>
+        </div>
+    );
+};
+
+export default UndoToast;
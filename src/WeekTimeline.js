@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { ASSIGNMENT_STRATEGIES } from './assignmentEngine';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import { getWeekDiagnostics } from './diagnostics';
+import { describeArchivedWeek } from './schoolCalendar';
+import { findStudent } from './students';
+
+// Timeline for stepping back through archived weeks and viewing each full roster and the checks made on its draw.
+// `weeks` is the archive sorted oldest first, as loaded from the weeks subcollection;
+// `students` is the current roster, used to show names. With `onDismiss(weekId, diagnosticId)`, a week's checks can
+// be dismissed here as they can under this week's assignments.
+const WeekTimeline = ({ weeks, students, onDismiss = null }) => {
+    // Index of the week being viewed (defaults to the most recent one)
+    const [selectedIndex, setSelectedIndex] = useState(weeks.length - 1);
+
+    // Jump to the newest week whenever a new one is archived
+    useEffect(() => {
+        setSelectedIndex(weeks.length - 1);
+    }, [weeks.length]);
+
+    if (weeks.length === 0) {
+        return <p className="text-gray-500 italic">No weeks archived yet.</p>;
+    }
+
+    const index = Math.min(Math.max(selectedIndex, 0), weeks.length - 1);
+    const week = weeks[index];
+    const roster = Object.entries(week.assignments || {})
+        .sort(([s1], [s2]) => parseInt(s1) - parseInt(s2)); // Sort roster by student number
+    // Students whose job this week was set by hand rather than by the engine
+    const overriddenStudents = new Set((week.manualOverrides || [])
+        .filter(override => override.job !== null)
+        .map(override => String(override.student)));
+    const diagnostics = getWeekDiagnostics(week);
+
+    return (
+        <div className="bg-white p-3 rounded-md border border-gray-200">
+            <div className="flex items-center justify-between mb-3">
+                <button
+                    onClick={() => setSelectedIndex(index - 1)}
+                    disabled={index === 0}
+                    className="bg-gray-200 hover:bg-gray-300 disabled:opacity-50 text-gray-700 font-bold py-1 px-3 rounded-lg"
+                >
+                    &larr; Older
+                </button>
+                <div className="text-center">
+                    <p className="font-semibold text-gray-700">
+                        {describeArchivedWeek(week)}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                        {index + 1} of {weeks.length}
+                        {week.termName && ` · ${week.termName}`}
+                        {week.strategy && ` · ${ASSIGNMENT_STRATEGIES[week.strategy]?.label || week.strategy}`}
+                        {week.seed !== undefined && ` · seed ${week.seed}`}
+                    </p>
+                </div>
+                <button
+                    onClick={() => setSelectedIndex(index + 1)}
+                    disabled={index === weeks.length - 1}
+                    className="bg-gray-200 hover:bg-gray-300 disabled:opacity-50 text-gray-700 font-bold py-1 px-3 rounded-lg"
+                >
+                    Newer &rarr;
+                </button>
+            </div>
+            {roster.length > 0 ? (
+                <ul className="max-h-48 overflow-y-auto space-y-1">
+                    {roster.map(([studentNum, jobTitle]) => (
+                        <li key={`week-${week.id}-${studentNum}`} className="flex justify-between text-sm text-gray-700">
+                            <span className="font-semibold">
+                                {findStudent(students, studentNum)?.name || week.studentNames?.[studentNum] || `Student ${studentNum}`}
+                                {overriddenStudents.has(studentNum) && (
+                                    <span className="ml-2 text-xs font-normal bg-yellow-100 text-yellow-700 px-1 rounded">manual</span>
+                                )}
+                            </span>
+                            <span>{jobTitle}</span>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-gray-500 italic text-sm">No jobs were assigned this week.</p>
+            )}
+            {diagnostics.length > 0 && (
+                <div className="border-t border-gray-200 mt-3 pt-2">
+                    <DiagnosticsPanel
+                        key={week.id}
+                        title="Checks"
+                        diagnostics={diagnostics}
+                        dismissedIds={week.dismissedDiagnostics}
+                        onDismiss={onDismiss && ((diagnosticId) => onDismiss(week.id, diagnosticId))}
+                    />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default WeekTimeline;
@@ -0,0 +1,47 @@
+// Student absences and availability.
+// An absence is { id, studentId, startDate, endDate, reason } with dates stored as local "YYYY-MM-DD" strings.
+
+// Function to format a Date as a local "YYYY-MM-DD" string
+export const toISODate = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Function to parse a "YYYY-MM-DD" string as a local date (new Date() would read it as UTC)
+export const fromISODate = (isoDate) => {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Function to get the school week (Monday to Friday) that a draw made on `date` is for.
+// Draws made at the weekend are for the coming week.
+export const getAssignmentWeek = (date = new Date()) => {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const dayOfWeek = monday.getDay(); // 0 = Sunday, 6 = Saturday
+    const daysToMonday = dayOfWeek === 0 ? 1 : dayOfWeek === 6 ? 2 : 1 - dayOfWeek;
+    monday.setDate(monday.getDate() + daysToMonday);
+    const friday = new Date(monday);
+    friday.setDate(monday.getDate() + 4);
+    return { startDate: toISODate(monday), endDate: toISODate(friday) };
+};
+
+// Function to create an absence record
+export const createAbsence = (studentId, startDate, endDate, reason = '') => ({
+    id: `${studentId}-${startDate}-${Date.now().toString(36)}`,
+    studentId,
+    startDate,
+    endDate: endDate < startDate ? startDate : endDate,
+    reason: reason.trim(),
+});
+
+// Function to check whether an absence overlaps a date range (ISO date strings compare correctly as text)
+export const overlapsRange = (absence, { startDate, endDate }) => absence.startDate <= endDate && absence.endDate >= startDate;
+
+// Function to get the IDs of students who are unavailable at any point in a date range
+export const getUnavailableStudentIds = (absences, range) => [
+    ...new Set(absences.filter(absence => overlapsRange(absence, range)).map(absence => absence.studentId)),
+];
+
+// Function to drop absences that ended before a date (keeps the stored list short)
+export const pruneAbsences = (absences, beforeDate) => absences.filter(absence => absence.endDate >= beforeDate);
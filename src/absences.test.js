@@ -0,0 +1,86 @@
+import { createAbsence, getUnavailableStudentIds, overlapsRange, pruneAbsences } from './absences';
+import { drawAssignments } from './draws';
+import { createJob, NO_JOB } from './jobs';
+import { DEFAULT_SCHEDULE } from './schedule';
+import { DEFAULT_CALENDAR } from './schoolCalendar';
+import { createStudent } from './students';
+
+// Absences over a range of dates: a student absent on any day of the rotation being drawn sits it out, keeps their
+// place in the cycle and is served first once back.
+
+const ABSENCES = [
+    createAbsence(2, '2026-10-14', '2026-10-20', 'Trip'), // Wednesday to the next Tuesday
+    createAbsence(3, '2026-10-05', '2026-10-09'), // The week before
+    createAbsence(5, '2026-10-19', '2026-10-19'), // An inactive student
+];
+
+describe('absences', () => {
+    test('an absence ending before it starts is cut to a single day', () => {
+        expect(createAbsence(1, '2026-10-14', '2026-10-12', '  Sick ')).toMatchObject({
+            studentId: 1,
+            startDate: '2026-10-14',
+            endDate: '2026-10-14',
+            reason: 'Sick',
+        });
+    });
+
+    test('an absence overlapping any day of a range makes the student unavailable for it', () => {
+        const week = { startDate: '2026-10-19', endDate: '2026-10-23' };
+        expect(overlapsRange(ABSENCES[0], week)).toBe(true);
+        expect(overlapsRange(ABSENCES[0], { startDate: '2026-10-12', endDate: '2026-10-13' })).toBe(false);
+        expect(overlapsRange(ABSENCES[0], { startDate: '2026-10-20', endDate: '2026-10-20' })).toBe(true);
+        expect(getUnavailableStudentIds(ABSENCES, week)).toEqual([2, 5]);
+        expect(getUnavailableStudentIds(ABSENCES, { startDate: '2026-10-05', endDate: '2026-10-16' })).toEqual([2, 3]);
+        expect(getUnavailableStudentIds([...ABSENCES, createAbsence(2, '2026-10-22', '2026-10-23')], week)).toEqual([2, 5]);
+    });
+
+    test('absences that ended before a date are pruned', () => {
+        expect(pruneAbsences(ABSENCES, '2026-10-19')).toEqual([ABSENCES[0], ABSENCES[2]]);
+    });
+});
+
+describe('drawing with absences', () => {
+    const state = {
+        students: [createStudent(1, 'Ava'), createStudent(2, 'Ben'), createStudent(3, 'Cal'), createStudent(4, 'Dee'), createStudent(5, 'Eve', '', false)],
+        jobs: [createJob('Line Leader'), createJob('Plant Waterer')],
+        studentJobHistory: { 1: ['Line Leader'], 4: ['Plant Waterer'] },
+        remainingStudentsInCycle: [2, 3],
+        currentAssignments: { 1: 'Line Leader', 4: 'Plant Waterer' },
+        priorityStudents: [],
+        absences: ABSENCES,
+        studentPreferences: {},
+        assignmentStrategy: 'leastRecent',
+        rotationSchedule: DEFAULT_SCHEDULE,
+        schoolCalendar: DEFAULT_CALENDAR,
+    };
+
+    test('a student absent during the rotation sits it out but stays owed a job and gets priority', () => {
+        // Drawn on Monday October 19, for the week of October 19–23
+        const { inputs, result, assignmentWeek } = drawAssignments(state, 3, new Date(2026, 9, 19));
+        expect(assignmentWeek).toEqual({ startDate: '2026-10-19', endDate: '2026-10-23' });
+        // Inactive students aren't in the draw even when absent
+        expect(inputs.unavailableStudents).toEqual([2]);
+        expect(result.skippedStudents).toEqual([2]);
+        expect(result.assignments[2]).toBeUndefined();
+        expect(result.assignments[3]).toBeDefined();
+        expect(result.studentJobHistory[2]).toEqual([NO_JOB]);
+        // Nobody else present is owed a job, so a new cycle starts, which Ben is still owed a job in
+        expect(result.cycleCompleted).toBe(true);
+        expect(result.remainingStudentsInCycle).toContain(2);
+        expect(result.priorityStudents).toEqual([2]);
+    });
+
+    test('a priority student back from an absence is served first', () => {
+        const { result } = drawAssignments({
+            ...state,
+            studentJobHistory: { 1: ['Line Leader'], 2: [NO_JOB], 3: ['Plant Waterer'], 4: ['Plant Waterer'] },
+            remainingStudentsInCycle: [1, 2, 3, 4],
+            priorityStudents: [2],
+        }, 3, new Date(2026, 9, 24));
+        // Drawn on Saturday October 24, for the week of October 26–30, when Ben is back
+        expect(result.skippedStudents).toEqual([]);
+        expect(result.assignments[2]).toBeDefined();
+        expect(result.remainingStudentsInCycle).not.toContain(2);
+        expect(result.priorityStudents).toEqual([]);
+    });
+});
@@ -0,0 +1,71 @@
+import {
+    EmailAuthProvider,
+    GoogleAuthProvider,
+    linkWithCredential,
+    linkWithPopup,
+    sendEmailVerification,
+    signInWithEmailAndPassword,
+    signInWithPopup,
+    signOut,
+} from 'firebase/auth';
+
+// Account helpers: turning the anonymous guest account into a real one, and signing in and out.
+// Upgrading links a credential to the current (anonymous) user, so the user ID and all its data are kept.
+
+// Function to reduce a Firebase user to the fields the UI needs
+export const toAccount = (user) => (user ? {
+    uid: user.uid,
+    email: user.email,
+    displayName: user.displayName,
+    isAnonymous: user.isAnonymous,
+    emailVerified: user.emailVerified,
+} : null);
+
+// Function to upgrade the guest account to an email/password account, keeping its data.
+// A verification email is sent, as invitations to shared classes need a verified address.
+export const upgradeWithEmail = async (auth, email, password) => {
+    const { user } = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email.trim(), password));
+    await sendEmailVerification(user);
+    return user;
+};
+
+// Function to upgrade the guest account by linking a Google account, keeping its data
+export const upgradeWithGoogle = async (auth) => (await linkWithPopup(auth.currentUser, new GoogleAuthProvider())).user;
+
+// Function to sign in to an existing email/password account (the guest account's data stays behind)
+export const signInWithEmail = async (auth, email, password) => (
+    await signInWithEmailAndPassword(auth, email.trim(), password)
+).user;
+
+// Function to sign in to an existing Google account (the guest account's data stays behind)
+export const signInWithGoogle = async (auth) => (await signInWithPopup(auth, new GoogleAuthProvider())).user;
+
+// Function to send the verification email again
+export const resendVerification = (auth) => sendEmailVerification(auth.currentUser);
+
+// Function to reload the user after they verify their email, refreshing the sign-in token the security rules read
+export const refreshAccount = async (auth) => {
+    await auth.currentUser.reload();
+    await auth.currentUser.getIdToken(true);
+    return auth.currentUser;
+};
+
+// Function to sign out. The app then starts a fresh guest session.
+export const signOutOfAccount = (auth) => signOut(auth);
+
+// Messages for the auth errors a teacher is likely to hit
+const AUTH_ERROR_MESSAGES = {
+    'auth/email-already-in-use': 'That email already has an account. Sign in to it instead.',
+    'auth/credential-already-in-use': 'That Google account already has its own data. Sign in to it instead.',
+    'auth/provider-already-linked': 'This account is already linked to a sign-in method.',
+    'auth/invalid-email': 'Please enter a valid email address.',
+    'auth/weak-password': 'Please choose a password of at least 6 characters.',
+    'auth/invalid-credential': 'Wrong email or password.',
+    'auth/wrong-password': 'Wrong email or password.',
+    'auth/user-not-found': 'Wrong email or password.',
+    'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.',
+    'auth/too-many-requests': 'Too many attempts. Please wait a moment and try again.',
+};
+
+// Function to turn an auth error into a message for the user
+export const getAuthErrorMessage = (error) => AUTH_ERROR_MESSAGES[error.code] || 'Something went wrong. Please try again.';
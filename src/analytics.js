@@ -0,0 +1,116 @@
+import { getHeldJobs, getJobTitles } from './jobs';
+import { toCsv } from './rosterIO';
+import { describeArchivedWeek } from './schoolCalendar';
+import { getActiveStudentIds, getStudentName } from './students';
+
+// Fairness analytics built from the job history and the weeks archive, to show how evenly jobs are rotated.
+
+// A student holding the same job this many times is flagged
+export const REPEAT_FLAG_COUNT = 3;
+// A student going this many archived weeks in a row without a job is flagged
+export const SKIP_FLAG_WEEKS = 3;
+
+// Function to count how often each student held each job.
+// Returns { studentIds, jobTitles, counts, totals, maxCount }: rows are the active students plus anyone else with
+// history, columns are the current jobs followed by any job only found in the history, `counts[studentId][title]`
+// is the number of times held, `totals[studentId]` the student's number of jobs and `maxCount` the largest count.
+// Weeks a student had no job (NO_JOB entries) aren't counted.
+export const buildJobMatrix = (studentJobHistory, students, jobs) => {
+    const historyIds = Object.keys(studentJobHistory).map(Number);
+    const studentIds = [...new Set([...getActiveStudentIds(students), ...historyIds])].sort((a, b) => a - b);
+    const jobTitles = getJobTitles(jobs);
+    const counts = {};
+    const totals = {};
+    let maxCount = 0;
+    studentIds.forEach(studentId => {
+        counts[studentId] = {};
+        const heldJobs = getHeldJobs(studentJobHistory[studentId] || []);
+        heldJobs.forEach(title => {
+            if (!jobTitles.includes(title)) jobTitles.push(title);
+            counts[studentId][title] = (counts[studentId][title] || 0) + 1;
+            maxCount = Math.max(maxCount, counts[studentId][title]);
+        });
+        totals[studentId] = heldJobs.length;
+    });
+    return { studentIds, jobTitles, counts, totals, maxCount };
+};
+
+// Function to find each student's longest run of archived weeks without a job, as { studentId: { weeks, endWeek } }
+// (endWeek names the run's last week, e.g. "Week 7, Oct 13–17"). Weeks a student was absent neither count nor break a run,
+// and weeks before a student's first job or archived week aren't known, so runs only cover the archive.
+export const findSkippedRuns = (weeks, studentIds) => {
+    const runs = {};
+    studentIds.forEach(studentId => {
+        let current = 0;
+        let longest = { weeks: 0, endWeek: null };
+        weeks.forEach(week => {
+            const key = String(studentId);
+            if ((week.absentStudents || []).map(String).includes(key)) {
+                return;
+            }
+            if (week.assignments && key in week.assignments) {
+                current = 0;
+                return;
+            }
+            current += 1;
+            if (current > longest.weeks) {
+                longest = { weeks: current, endWeek: describeArchivedWeek(week) };
+            }
+        });
+        runs[studentId] = longest;
+    });
+    return runs;
+};
+
+// Function to list the fairness flags: { type: 'repeatedJob', studentId, job, count } for a student who held
+// a job at least REPEAT_FLAG_COUNT times, and { type: 'skipped', studentId, weeks, endWeek } for a student who went
+// at least SKIP_FLAG_WEEKS archived weeks in a row without a job. Only active students are flagged.
+export const findFairnessFlags = (matrix, weeks, students) => {
+    const activeIds = getActiveStudentIds(students);
+    const flags = [];
+    activeIds.forEach(studentId => {
+        Object.entries(matrix.counts[studentId] || {}).forEach(([job, count]) => {
+            if (count >= REPEAT_FLAG_COUNT) {
+                flags.push({ type: 'repeatedJob', studentId, job, count });
+            }
+        });
+    });
+    const skippedRuns = findSkippedRuns(weeks, activeIds);
+    activeIds.forEach(studentId => {
+        if (skippedRuns[studentId].weeks >= SKIP_FLAG_WEEKS) {
+            flags.push({ type: 'skipped', studentId, ...skippedRuns[studentId] });
+        }
+    });
+    return flags;
+};
+
+// Function to measure how evenly each job has been spread across the class, as a list of
+// { job, timesAssigned, distinctStudents, mostByOneStudent, evenness }. `evenness` (0-1) is the share of the job's
+// assignments that went to a student who hadn't had it yet, out of the most that could have: 1 means nobody got the
+// job a second time before every active student had it once. It is null for jobs never assigned.
+export const measureJobSpread = (matrix, students) => {
+    const activeCount = getActiveStudentIds(students).length;
+    return matrix.jobTitles.map(job => {
+        const perStudent = matrix.studentIds.map(studentId => matrix.counts[studentId][job] || 0).filter(count => count > 0);
+        const timesAssigned = perStudent.reduce((total, count) => total + count, 0);
+        const distinctStudents = perStudent.length;
+        const possibleDistinct = Math.min(timesAssigned, Math.max(activeCount, distinctStudents));
+        return {
+            job,
+            timesAssigned,
+            distinctStudents,
+            mostByOneStudent: Math.max(0, ...perStudent),
+            evenness: timesAssigned > 0 ? distinctStudents / possibleDistinct : null,
+        };
+    });
+};
+
+// Function to export the student × job matrix as CSV, with each student's total in the last column
+export const exportJobMatrix = (matrix, students) => toCsv([
+    ['student', ...matrix.jobTitles, 'total'],
+    ...matrix.studentIds.map(studentId => [
+        getStudentName(students, studentId),
+        ...matrix.jobTitles.map(job => String(matrix.counts[studentId][job] || 0)),
+        String(matrix.totals[studentId]),
+    ]),
+]);
@@ -0,0 +1,89 @@
+import { buildJobMatrix, findFairnessFlags, findSkippedRuns, measureJobSpread } from './analytics';
+import { createJob, NO_JOB } from './jobs';
+import { createStudent } from './students';
+
+// Fairness analytics: weeks without a job aren't counted as jobs, and students who left the class or were made
+// inactive keep their history in the numbers without being flagged.
+
+// Cal is inactive, and student 5 was removed from the roster but still has job history
+const STUDENTS = [createStudent(1, 'Ava'), createStudent(2, 'Ben'), createStudent(3, 'Cal', '', false)];
+// "Messenger" was deleted from the job list but is still in the history
+const JOBS = [createJob('Line Leader'), createJob('Plant Waterer'), createJob('Door Holder')];
+const HISTORY = {
+    1: ['Line Leader', NO_JOB, 'Line Leader', 'Messenger'],
+    2: [NO_JOB, 'Plant Waterer', NO_JOB, 'Plant Waterer'],
+    3: ['Line Leader'],
+    5: ['Line Leader'],
+};
+
+describe('buildJobMatrix', () => {
+    test('counts held jobs for active students and anyone with history, leaving out weeks without a job', () => {
+        expect(buildJobMatrix(HISTORY, STUDENTS, JOBS)).toEqual({
+            studentIds: [1, 2, 3, 5],
+            jobTitles: ['Line Leader', 'Plant Waterer', 'Door Holder', 'Messenger'],
+            counts: {
+                1: { 'Line Leader': 2, Messenger: 1 },
+                2: { 'Plant Waterer': 2 },
+                3: { 'Line Leader': 1 },
+                5: { 'Line Leader': 1 },
+            },
+            totals: { 1: 3, 2: 2, 3: 1, 5: 1 },
+            maxCount: 2,
+        });
+    });
+
+    test('gives active students without history an empty row, and skips inactive ones', () => {
+        const matrix = buildJobMatrix({ 2: [NO_JOB, NO_JOB] }, STUDENTS, JOBS);
+        expect(matrix.studentIds).toEqual([1, 2]);
+        expect(matrix.counts).toEqual({ 1: {}, 2: {} });
+        expect(matrix.totals).toEqual({ 1: 0, 2: 0 });
+        expect(matrix.maxCount).toBe(0);
+    });
+});
+
+describe('findSkippedRuns', () => {
+    const weeks = [
+        { id: 'w1', weekLabel: 'Week 1', assignments: { 1: 'Line Leader' }, absentStudents: [2] },
+        { id: 'w2', weekLabel: 'Week 2', assignments: { 1: 'Plant Waterer' } },
+        { id: 'w3', weekLabel: 'Week 3', assignments: { 2: 'Line Leader' } },
+        { id: 'w4', weekLabel: 'Week 4', assignments: { 1: 'Line Leader', 5: 'Plant Waterer' } },
+        { id: 'w5', weekLabel: 'Week 5', assignments: {} },
+    ];
+
+    test('finds each student\'s longest run of weeks without a job, not counting weeks they were absent', () => {
+        expect(findSkippedRuns(weeks, [1, 2, 5, 9])).toEqual({
+            1: { weeks: 1, endWeek: 'Week 3' },
+            2: { weeks: 2, endWeek: 'Week 5' },
+            5: { weeks: 3, endWeek: 'Week 3' },
+            9: { weeks: 5, endWeek: 'Week 5' },
+        });
+    });
+
+    test('finds no runs in an empty archive', () => {
+        expect(findSkippedRuns([], [1])).toEqual({ 1: { weeks: 0, endWeek: null } });
+    });
+
+    test('flags only active students who were skipped or held a job too often', () => {
+        const history = { ...HISTORY, 1: ['Line Leader', 'Line Leader', NO_JOB, 'Line Leader'], 3: ['Line Leader', 'Line Leader', 'Line Leader'] };
+        const matrix = buildJobMatrix(history, STUDENTS, JOBS);
+        expect(findFairnessFlags(matrix, weeks, STUDENTS)).toEqual([
+            { type: 'repeatedJob', studentId: 1, job: 'Line Leader', count: 3 },
+        ]);
+        expect(findFairnessFlags(matrix, [...weeks, { id: 'w6', weekLabel: 'Week 6', assignments: {} }], STUDENTS)).toContainEqual(
+            { type: 'skipped', studentId: 2, weeks: 3, endWeek: 'Week 6' }
+        );
+    });
+});
+
+describe('measureJobSpread', () => {
+    test('measures how evenly each job went round, counting students no longer in the class', () => {
+        expect(measureJobSpread(buildJobMatrix(HISTORY, STUDENTS, JOBS), STUDENTS)).toEqual([
+            // Held by Ava twice, but by three different students out of four times, as many as could have had it
+            { job: 'Line Leader', timesAssigned: 4, distinctStudents: 3, mostByOneStudent: 2, evenness: 1 },
+            // Ben held it both times although Ava hadn't had it yet
+            { job: 'Plant Waterer', timesAssigned: 2, distinctStudents: 1, mostByOneStudent: 2, evenness: 0.5 },
+            { job: 'Door Holder', timesAssigned: 0, distinctStudents: 0, mostByOneStudent: 0, evenness: null },
+            { job: 'Messenger', timesAssigned: 1, distinctStudents: 1, mostByOneStudent: 1, evenness: 1 },
+        ]);
+    });
+});
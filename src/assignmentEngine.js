@@ -0,0 +1,651 @@
+import { createDiagnostic, DIAGNOSTIC_TYPES } from './diagnostics';
+import { solveAssignment } from './hungarian';
+import { countJobSeats, DEFAULT_JOB_WEIGHT, getHeldJobs, getJobWeight, HEAVY_JOB_WEIGHT, isEligibleForJob, NO_JOB } from './jobs';
+import { getFavoriteScore, getStudentPreferences, isExcludedJob } from './preferences';
+import { createRng, generateSeed, shuffleArray } from './random';
+
+// Pure assignment engine: takes students, jobs, history and a seed and returns the week's assignments.
+// Nothing in here touches React or Firestore, so the same inputs always produce the same draw.
+
+// Number of most recent jobs in a student's history that count as "recent"
+export const RECENT_JOB_WINDOW = 2;
+
+// Fairness cost weights: a job held last week costs RECENCY_PENALTY, two weeks ago half that, and so on,
+// plus FREQUENCY_PENALTY for every earlier time the student has held it
+export const RECENCY_PENALTY = 100;
+export const FREQUENCY_PENALTY = 10;
+// Cost reduction for priority students (e.g. absent last week) in the optimal strategy.
+// Large enough that the solver gives them a job before anyone else whenever there are fewer jobs than students.
+export const PRIORITY_BONUS = 100000;
+// Cost reduction for students still owed a job this cycle in the optimal strategy. Smaller than PRIORITY_BONUS but
+// larger than any fairness cost, so nobody gets a second job in a cycle while someone is still waiting for their first.
+export const CYCLE_BONUS = 10000;
+// Workload balancing (job weights, see jobs.js): a student's last WORKLOAD_WINDOW jobs make up their recent workload.
+// Heavier-than-medium jobs cost more for students whose recent jobs were heavy, and less for those whose were light.
+export const WORKLOAD_WINDOW = 3;
+export const WORKLOAD_PENALTY = 30;
+// Most heavy jobs a student should get in a row, and what one more costs in the optimal strategy
+export const HEAVY_STREAK_LIMIT = 2;
+export const HEAVY_STREAK_PENALTY = 200;
+// Cost reduction per point of favourite score (see preferences.js) in the optimal strategy. A first favourite
+// comes off less than FREQUENCY_PENALTY, so wanting a job never outweighs having held it more often than others.
+export const FAVORITE_BONUS = 3;
+
+// Helper function to count how many draws ago a student last held a job (Infinity if never)
+const drawsSinceJob = (history, job) => {
+    const index = history.lastIndexOf(job);
+    return index === -1 ? Infinity : history.length - index;
+};
+
+// Function to score how unfair it would be to give a student a job, based on their job history (0 = never held)
+export const fairnessCost = (history, job) => {
+    const timesHeld = history.filter(pastJob => pastJob === job).length;
+    if (timesHeld === 0) {
+        return 0;
+    }
+    return RECENCY_PENALTY / drawsSinceJob(history, job) + FREQUENCY_PENALTY * timesHeld;
+};
+
+// Helper function to build the workload checks for a draw from the job history and each job title's weight:
+// `extendsHeavyStreak(studentNum, job)` is true when the job would be one heavy job too many in a row, and
+// `cost(studentNum, job)` is the workload part of the fairness cost (0 whenever all jobs weigh the same)
+const createWorkload = (studentJobHistory, weightOf) => {
+    const isHeavy = (job) => weightOf(job) >= HEAVY_JOB_WEIGHT;
+    const extendsHeavyStreak = (studentNum, job) => {
+        const recentJobs = (studentJobHistory[studentNum] || []).slice(-HEAVY_STREAK_LIMIT);
+        return isHeavy(job) && recentJobs.length === HEAVY_STREAK_LIMIT && recentJobs.every(isHeavy);
+    };
+    const cost = (studentNum, job) => {
+        const recentLoad = (studentJobHistory[studentNum] || []).slice(-WORKLOAD_WINDOW)
+            .reduce((total, pastJob) => total + weightOf(pastJob) - DEFAULT_JOB_WEIGHT, 0);
+        return WORKLOAD_PENALTY * (weightOf(job) - DEFAULT_JOB_WEIGHT) * recentLoad / WORKLOAD_WINDOW
+            + (extendsHeavyStreak(studentNum, job) ? HEAVY_STREAK_PENALTY : 0);
+    };
+    return { extendsHeavyStreak, cost };
+};
+
+// Helper function to compare two lists of ranking values in order (positive if `a` ranks higher)
+const compareRanks = (a, b) => {
+    const index = a.findIndex((value, i) => value !== b[i]);
+    if (index === -1) return 0;
+    return a[index] > b[index] ? 1 : -1;
+};
+
+// Strategies receive the week's job slots (each job title repeated once per open seat) and must only
+// give a slot to a student for whom `isEligible(studentNum, job)` is true. `workload` (see createWorkload)
+// lets them avoid giving anyone too many heavy jobs in a row, and `favoriteScore(studentNum, job)` (0 unless the
+// job is one of the student's favourites) lets them lean towards what students asked for. `cycleStudents` are the
+// students still owed a job this cycle, who must be given one before anyone who already had one.
+
+// Strategy: walk the shuffled jobs and give each one to the first free student who hasn't had it in their last 2 jobs
+// (and wouldn't get too many heavy jobs in a row), preferring a student who ranked it among their favourites
+const assignAvoidingRecent = ({ shuffledStudents, shuffledJobSlots, studentJobHistory, priorityStudents, cycleStudents, isEligible, workload, favoriteScore }) => {
+    const assignedStudents = new Set();
+    const pairs = [];
+    shuffledJobSlots.forEach(job => {
+        const eligibleStudents = shuffledStudents.filter(studentNum =>
+            !assignedStudents.has(studentNum) && isEligible(studentNum, job)
+        );
+        if (eligibleStudents.length === 0) {
+            return; // No students left for this job
+        }
+        // Students owed a job this cycle are picked before students who already had one
+        const owedStudents = eligibleStudents.filter(studentNum => cycleStudents.has(studentNum));
+        const pool = owedStudents.length > 0 ? owedStudents : eligibleStudents;
+        // Prefer students who haven't had this job recently and aren't on a run of heavy jobs, then either of those,
+        // otherwise fall back to every eligible student
+        const notRecent = (studentNum) => !(studentJobHistory[studentNum] || []).slice(-RECENT_JOB_WINDOW).includes(job);
+        const notOverloaded = (studentNum) => !workload.extendsHeavyStreak(studentNum, job);
+        const candidates = [
+            (studentNum) => notRecent(studentNum) && notOverloaded(studentNum),
+            notOverloaded,
+            notRecent,
+            () => true,
+        ].map(test => pool.filter(test)).find(group => group.length > 0);
+        // Within that group priority students go first, then whoever ranks the job highest among their favourites
+        // (ties keep the earliest student in shuffled order)
+        const rankOf = (studentNum) => [priorityStudents.has(studentNum) ? 1 : 0, favoriteScore(studentNum, job)];
+        const student = candidates.reduce((best, studentNum) => (
+            compareRanks(rankOf(studentNum), rankOf(best)) > 0 ? studentNum : best
+        ));
+        assignedStudents.add(student);
+        pairs.push({ student, job });
+    });
+    return pairs;
+};
+
+// Strategy: walk the shuffled jobs and give each one to the free student who held it least recently
+// (priority students are always picked before everyone else, then students owed a job this cycle, and students on a
+// run of heavy jobs after everyone else). Between students who held it equally long ago, such as everyone who never
+// had it, favourites decide.
+const assignLeastRecentlyHeld = ({ shuffledStudents, shuffledJobSlots, studentJobHistory, priorityStudents, cycleStudents, isEligible, workload, favoriteScore }) => {
+    const assignedStudents = new Set();
+    const pairs = [];
+    shuffledJobSlots.forEach(job => {
+        let bestStudent = null;
+        let bestRank = null;
+        // Ties keep the earliest student in shuffled order, so the seed decides between equals
+        shuffledStudents.forEach(studentNum => {
+            if (assignedStudents.has(studentNum) || !isEligible(studentNum, job)) return;
+            // Compared in order: priority, then owed a job this cycle, then not overloaded, then draws since the
+            // student last held the job, then how highly the student ranked it among their favourites
+            const rank = [
+                priorityStudents.has(studentNum) ? 1 : 0,
+                cycleStudents.has(studentNum) ? 1 : 0,
+                workload.extendsHeavyStreak(studentNum, job) ? 0 : 1,
+                drawsSinceJob(studentJobHistory[studentNum] || [], job),
+                favoriteScore(studentNum, job),
+            ];
+            if (bestRank === null || compareRanks(rank, bestRank) > 0) {
+                bestStudent = studentNum;
+                bestRank = rank;
+            }
+        });
+        if (bestStudent === null) {
+            return; // No students left for this job
+        }
+        assignedStudents.add(bestStudent);
+        pairs.push({ student: bestStudent, job });
+    });
+    return pairs;
+};
+
+// Strategy: strict round-robin. Students and jobs keep their list order and every student
+// moves one job along each week, continuing from where last week's assignments left off.
+// A student who isn't eligible for their turn's job passes it to the next eligible student in line, and when there
+// are fewer places than students, each place goes to the next student in line who is owed priority, then to the next
+// still owed a job this cycle, so the rotation reaches everyone before anyone gets a second job.
+const assignRoundRobin = ({ students, jobSlots, previousAssignments, priorityStudents, cycleStudents, isEligible }) => {
+    const studentCount = students.length;
+    if (studentCount === 0) return [];
+    // Work out last week's rotation offset from the first job that was assigned
+    let previousOffset = null;
+    jobSlots.some((job, slotIndex) => {
+        const studentIndex = students.findIndex(studentNum => previousAssignments[studentNum] === job);
+        if (studentIndex === -1) return false;
+        previousOffset = (studentIndex - slotIndex + studentCount) % studentCount;
+        return true;
+    });
+    const offset = previousOffset === null ? 0 : (previousOffset + 1) % studentCount;
+    // Fill the most constrained jobs first so their few eligible students aren't used up elsewhere,
+    // while each job keeps its own place in the rotation
+    const eligibleCount = (job) => students.filter(studentNum => isEligible(studentNum, job)).length;
+    const slotOrder = jobSlots.map((job, slotIndex) => slotIndex)
+        .sort((a, b) => eligibleCount(jobSlots[a]) - eligibleCount(jobSlots[b]));
+    const assignedStudents = new Set();
+    const pairs = [];
+    const turns = [
+        (studentNum) => priorityStudents.has(studentNum),
+        (studentNum) => cycleStudents.has(studentNum),
+        () => true,
+    ];
+    slotOrder.forEach(slotIndex => {
+        const job = jobSlots[slotIndex];
+        turns.some(hasTurn => {
+            for (let step = 0; step < studentCount; step++) {
+                const student = students[(slotIndex + offset + step) % studentCount];
+                if (!assignedStudents.has(student) && hasTurn(student) && isEligible(student, job)) {
+                    assignedStudents.add(student);
+                    pairs.push({ student, job });
+                    return true;
+                }
+            }
+            return false;
+        });
+    });
+    return pairs;
+};
+
+// Cost used for student/job pairs the solver must never pick (the pair is dropped if it is picked anyway)
+const INELIGIBLE_COST = 1e9;
+
+// Strategy: solve the whole week at once, choosing the assignment with the lowest total fairness cost
+// (less a small bonus for favourite jobs, and large ones for priority students and students owed a job this cycle).
+// Students and jobs are fed to the solver in shuffled order so the seed breaks ties between equal solutions.
+const assignOptimally = ({ shuffledStudents, shuffledJobSlots, studentJobHistory, priorityStudents, cycleStudents, isEligible, workload, favoriteScore }) => {
+    const costMatrix = shuffledStudents.map(studentNum =>
+        shuffledJobSlots.map(job => (isEligible(studentNum, job)
+            ? fairnessCost(studentJobHistory[studentNum] || [], job) + workload.cost(studentNum, job)
+                - FAVORITE_BONUS * favoriteScore(studentNum, job)
+                - (priorityStudents.has(studentNum) ? PRIORITY_BONUS : 0)
+                - (cycleStudents.has(studentNum) ? CYCLE_BONUS : 0)
+            : INELIGIBLE_COST))
+    );
+    const solution = solveAssignment(costMatrix);
+    return shuffledStudents
+        .map((student, row) => ({ student, job: shuffledJobSlots[solution[row]] }))
+        .filter(({ student, job }) => job !== undefined && isEligible(student, job));
+};
+
+// Available assignment strategies, keyed by the value stored in app state
+export const ASSIGNMENT_STRATEGIES = {
+    avoidRecent: {
+        label: 'Avoid last 2 jobs',
+        description: 'Random draw that gives jobs to students still waiting for one this cycle first, skipping students who held the job in their last 2 assignments and favouring students who asked for it.',
+        assign: assignAvoidingRecent,
+    },
+    roundRobin: {
+        label: 'Strict round-robin',
+        description: 'Every student moves to the next job in the list each week. Students still waiting for a job this cycle take the next free places. Ignores the seed, job weights and favourite jobs.',
+        assign: assignRoundRobin,
+    },
+    leastRecent: {
+        label: 'Least recently held',
+        description: 'Each job goes to the student who has gone longest without it, students still waiting for a job this cycle first, with favourite jobs breaking ties.',
+        assign: assignLeastRecentlyHeld,
+    },
+    optimal: {
+        label: 'Optimal fairness',
+        description: "Solves the whole week at once for the lowest total fairness cost based on how recently and how often each job was held, and how heavy each student's recent jobs were, with a small bonus for favourite jobs. Students still waiting for a job this cycle are served first.",
+        assign: assignOptimally,
+    },
+};
+
+// Fairness constraints that a draw may have to relax, keyed by the value used in the fairness summary
+export const FAIRNESS_CONSTRAINTS = {
+    notRecent: `No job held in the last ${RECENT_JOB_WINDOW} assignments`,
+    neverRepeated: 'No job repeated at all',
+    heavyStreak: `No more than ${HEAVY_STREAK_LIMIT} heavy jobs in a row`,
+};
+
+export const DEFAULT_STRATEGY = 'avoidRecent';
+
+// Function to check whether a student may be given a job: they must be eligible for it (see jobs.js) and it mustn't
+// be one of their never-assign jobs (see preferences.js). Jobs no longer on the list are only checked for exclusions.
+export const canTakeJob = (jobs, studentPreferences, studentNum, title) => {
+    const job = jobs.find(candidate => candidate.title === title);
+    return (!job || isEligibleForJob(job, studentNum))
+        && !isExcludedJob(getStudentPreferences(studentPreferences, studentNum), title);
+};
+
+// Helper function to build what both drawing and reviewing a week need to know about its inputs
+const createDrawContext = ({ students, jobs, studentJobHistory, unavailableStudents, studentPreferences }) => {
+    const unavailable = new Set(unavailableStudents);
+    const jobsByTitle = new Map(jobs.map(job => [job.title, job]));
+    const preferencesOf = (studentNum) => getStudentPreferences(studentPreferences, studentNum);
+    // Fairness is judged on the jobs each student actually held, leaving out weeks they had no job
+    const heldJobHistory = Object.fromEntries(Object.entries(studentJobHistory)
+        .map(([studentNum, history]) => [studentNum, getHeldJobs(history)]));
+    return {
+        unavailable,
+        availableStudents: students.filter(studentNum => !unavailable.has(studentNum)),
+        jobsByTitle,
+        preferencesOf,
+        isEligible: (studentNum, title) => jobsByTitle.has(title) && canTakeJob(jobs, studentPreferences, studentNum, title),
+        favoriteScore: (studentNum, title) => getFavoriteScore(preferencesOf(studentNum), title),
+        heldJobHistory,
+        workload: createWorkload(heldJobHistory, (title) => getJobWeight(jobsByTitle.get(title))),
+    };
+};
+
+// Function to review a week's assignments ({ studentId: job }) against the draw's inputs (see generateAssignments),
+// e.g. again after a draft was changed by hand. Pins and locked jobs that hold are the teacher's choice and don't count
+// against fairness. Returns the diagnostics found (see diagnostics.js), a fairness summary (total cost and which
+// constraints had to be relaxed for whom) and how many of the students taking part who have favourites got one
+// (`preferredJobs: { granted, requested }`).
+export const reviewAssignments = ({
+    students,
+    jobs,
+    studentJobHistory = {},
+    unavailableStudents = [],
+    studentPreferences = {},
+    lockedAssignments = {},
+    getStudentName = (studentId) => `Student ${studentId}`,
+}, assignments) => {
+    const { availableStudents, jobsByTitle, preferencesOf, isEligible, favoriteScore, heldJobHistory, workload } = createDrawContext({
+        students, jobs, studentJobHistory, unavailableStudents, studentPreferences,
+    });
+    const diagnostics = [];
+    const assignedStudents = availableStudents.filter(studentNum => assignments[studentNum] !== undefined);
+    const isLocked = (studentNum) => lockedAssignments[studentNum] !== undefined
+        && lockedAssignments[studentNum] === assignments[studentNum];
+    const isPinned = (studentNum) => isLocked(studentNum)
+        || Boolean(jobsByTitle.get(assignments[studentNum])?.pinnedStudents.includes(studentNum));
+
+    if (availableStudents.length < countJobSeats(jobs)) {
+        diagnostics.push(createDiagnostic(
+            DIAGNOSTIC_TYPES.MORE_JOBS_THAN_STUDENTS,
+            'More job places than students. Some jobs may not be assigned.'
+        ));
+    }
+
+    // Explain every pin that isn't held
+    jobs.forEach(job => {
+        job.pinnedStudents.forEach(studentNum => {
+            if (assignments[studentNum] === job.title || (isLocked(studentNum) && availableStudents.includes(studentNum))) {
+                return; // Held, or replaced by a job the teacher locked
+            }
+            const pinWarning = (reason) => diagnostics.push(createDiagnostic(
+                DIAGNOSTIC_TYPES.PIN_UNMET,
+                `${getStudentName(studentNum)} is pinned to "${job.title}" but ${reason}.`,
+                { student: studentNum, job: job.title }
+            ));
+            const otherJob = assignments[studentNum];
+            if (!availableStudents.includes(studentNum)) {
+                pinWarning(students.includes(studentNum) ? 'is unavailable this week' : 'is not an active student');
+            } else if (isExcludedJob(preferencesOf(studentNum), job.title)) {
+                diagnostics.push(createDiagnostic(
+                    DIAGNOSTIC_TYPES.PIN_EXCLUDED,
+                    `${getStudentName(studentNum)} is pinned to "${job.title}" but must never be given it, so the pin was skipped.`,
+                    { student: studentNum, job: job.title }
+                ));
+            } else if (otherJob !== undefined && isPinned(studentNum)) {
+                pinWarning(`is already pinned to "${otherJob}"`);
+            } else if (assignedStudents.filter(holder => assignments[holder] === job.title && isPinned(holder)).length >= job.headcount) {
+                pinWarning(`the job only needs ${job.headcount} student${job.headcount === 1 ? '' : 's'}`);
+            } else {
+                pinWarning(otherJob === undefined ? 'has no job this week' : `was given "${otherJob}" instead`);
+            }
+        });
+    });
+
+    const fairness = {
+        totalCost: 0,
+        relaxedConstraints: Object.fromEntries(Object.keys(FAIRNESS_CONSTRAINTS).map(key => [key, []])),
+    };
+    assignedStudents.filter(studentNum => !isPinned(studentNum)).forEach(student => {
+        const job = assignments[student];
+        const history = heldJobHistory[student] || [];
+        // A light job after heavy ones lowers the solver's cost, but never counts as fairer than no cost at all
+        fairness.totalCost += fairnessCost(history, job) + Math.max(0, workload.cost(student, job));
+        if (workload.extendsHeavyStreak(student, job)) {
+            fairness.relaxedConstraints.heavyStreak.push({ student, job });
+            diagnostics.push(createDiagnostic(
+                DIAGNOSTIC_TYPES.HEAVY_STREAK,
+                `${getStudentName(student)} was given "${job}", making ${HEAVY_STREAK_LIMIT + 1} heavy jobs in a row, as no better option was available.`,
+                { student, job }
+            ));
+        }
+        if (history.includes(job)) {
+            fairness.relaxedConstraints.neverRepeated.push({ student, job });
+        }
+        if (history.slice(-RECENT_JOB_WINDOW).includes(job)) {
+            fairness.relaxedConstraints.notRecent.push({ student, job });
+            diagnostics.push(createDiagnostic(
+                DIAGNOSTIC_TYPES.RECENT_REPEAT,
+                `${getStudentName(student)} was assigned job "${job}" even though it's in their recent history, as no better option was available.`,
+                { student, job }
+            ));
+        }
+    });
+
+    // Report any job place that couldn't be filled, and why
+    const freeStudents = availableStudents.filter(studentNum => !isPinned(studentNum));
+    const studentsLeftOver = freeStudents.some(studentNum => assignments[studentNum] === undefined);
+    jobs.forEach(job => {
+        const missing = job.headcount - assignedStudents.filter(studentNum => assignments[studentNum] === job.title).length;
+        if (missing <= 0) return;
+        const places = missing === 1 ? '1 place' : `${missing} places`;
+        if (!freeStudents.some(studentNum => isEligible(studentNum, job.title))) {
+            diagnostics.push(createDiagnostic(
+                DIAGNOSTIC_TYPES.NO_ELIGIBLE_STUDENTS,
+                `No eligible students were available for "${job.title}" this week (${places} unfilled).`,
+                { job: job.title }
+            ));
+        } else if (studentsLeftOver) {
+            diagnostics.push(createDiagnostic(
+                DIAGNOSTIC_TYPES.NO_ELIGIBLE_STUDENTS,
+                `Every student eligible for "${job.title}" already had another job this week (${places} unfilled).`,
+                { job: job.title }
+            ));
+        } else {
+            diagnostics.push(createDiagnostic(
+                DIAGNOSTIC_TYPES.JOB_UNASSIGNED,
+                `Not enough unique students to fill "${job.title}" this week (${places} unfilled).`,
+                { job: job.title }
+            ));
+        }
+    });
+
+    // Note the students who sat the draw out
+    unavailableStudents.filter(studentNum => students.includes(studentNum)).forEach(studentNum => {
+        diagnostics.push(createDiagnostic(
+            DIAGNOSTIC_TYPES.STUDENT_ABSENT,
+            `${getStudentName(studentNum)} was skipped as absent and will get priority next week.`,
+            { student: studentNum }
+        ));
+    });
+
+    // Count the students taking part who have favourites, and how many of them got one
+    const withFavorites = availableStudents.filter(studentNum => preferencesOf(studentNum).favorites.length > 0);
+    const preferredJobs = {
+        granted: withFavorites.filter(studentNum => favoriteScore(studentNum, assignments[studentNum]) > 0).length,
+        requested: withFavorites.length,
+    };
+
+    return {
+        diagnostics,
+        fairness: { ...fairness, totalCost: Math.round(fairness.totalCost * 10) / 10 },
+        preferredJobs,
+    };
+};
+
+// Function to generate one week's assignments.
+// `students` is the list of student IDs taking part and `jobs` the job objects (see jobs.js), whose
+// headcount, eligibility and pins are respected and whose weights are balanced across each student's draws. `getStudentName` is only used to word diagnostics.
+// `remainingStudentsInCycle` are the students still owed a job this cycle: every strategy gives them jobs before
+// anyone who already had one, so when there are fewer places than students everyone gets a job before anyone gets
+// a second. Once none are left who could take a job, the cycle is complete and the next
+// starts (students who got a job this week without being owed one count as already served in it).
+// `unavailableStudents` (e.g. absent this week) are skipped but keep their place in the cycle, and
+// `priorityStudents` (e.g. absent last week) still owed a job this cycle are placed before everyone else.
+// Every student in `students` gets one job history entry per draw, unavailable ones included: their job, or NO_JOB
+// (see jobs.js) if they had none.
+// `studentPreferences` (see preferences.js) lists the jobs each student must never get, which are never assigned
+// (not even when pinned), and their favourites, which the strategies lean towards without overriding fairness.
+// `lockedAssignments` ({ studentId: job }, e.g. rows the teacher locked in a draft) are kept like pins, ahead of them.
+// Returns the new assignments, updated history, cycle and priority list, the students skipped as unavailable,
+// the review of the assignments (diagnostics, fairness and preferred jobs, see reviewAssignments) and the seed used.
+export const generateAssignments = (inputs) => {
+    const {
+        students,
+        jobs,
+        studentJobHistory = {},
+        remainingStudentsInCycle = [],
+        previousAssignments = {},
+        unavailableStudents = [],
+        priorityStudents = [],
+        studentPreferences = {},
+        lockedAssignments = {},
+        strategy = DEFAULT_STRATEGY,
+        seed = generateSeed(),
+    } = inputs;
+    const strategyDefinition = ASSIGNMENT_STRATEGIES[strategy];
+    if (!strategyDefinition) {
+        throw new Error(`Unknown assignment strategy "${strategy}".`);
+    }
+
+    const random = createRng(seed);
+    const { unavailable, availableStudents, preferencesOf, isEligible, favoriteScore, heldJobHistory, workload } = createDrawContext({
+        students, jobs, studentJobHistory, unavailableStudents, studentPreferences,
+    });
+
+    // If no students are left in the current cycle, start a new one
+    let newRemainingStudentsInCycle = [...remainingStudentsInCycle];
+    const cycleStarted = newRemainingStudentsInCycle.length === 0;
+    if (cycleStarted) {
+        newRemainingStudentsInCycle = shuffleArray([...students], random);
+    }
+    const cycleStudents = new Set(newRemainingStudentsInCycle);
+    // Priority only counts for students still owed a job this cycle, so nobody owed one is passed over for a
+    // student who already had theirs (who keeps their priority for the next cycle instead)
+    const priority = new Set(priorityStudents.filter(studentNum => !unavailable.has(studentNum) && cycleStudents.has(studentNum)));
+
+    // Locked students keep their job, and pinned students get theirs, before the strategy runs
+    // (pins that can't be met are explained by reviewAssignments)
+    const pinnedPairs = [];
+    const pinnedStudents = new Set();
+    Object.entries(lockedAssignments).forEach(([studentId, title]) => {
+        const studentNum = Number(studentId);
+        if (availableStudents.includes(studentNum) && isEligible(studentNum, title)) {
+            pinnedStudents.add(studentNum);
+            pinnedPairs.push({ student: studentNum, job: title });
+        }
+    });
+    jobs.forEach(job => {
+        job.pinnedStudents.forEach(studentNum => {
+            if (availableStudents.includes(studentNum) && !isExcludedJob(preferencesOf(studentNum), job.title)
+                && !pinnedStudents.has(studentNum)
+                && pinnedPairs.filter(pair => pair.job === job.title).length < job.headcount) {
+                pinnedStudents.add(studentNum);
+                pinnedPairs.push({ student: studentNum, job: job.title });
+            }
+        });
+    });
+
+    // One slot per remaining seat. Jobs with the fewest eligible students go first (the shuffle
+    // still decides between equally constrained jobs) so greedy strategies don't use up their only candidates.
+    const freeStudents = availableStudents.filter(studentNum => !pinnedStudents.has(studentNum));
+    const eligibleCount = new Map(jobs.map(job => [
+        job.title,
+        freeStudents.filter(studentNum => isEligible(studentNum, job.title)).length,
+    ]));
+    const jobSlots = jobs.flatMap(job => Array(
+        Math.max(0, job.headcount - pinnedPairs.filter(pair => pair.job === job.title).length)
+    ).fill(job.title));
+    const shuffledJobSlots = shuffleArray([...jobSlots], random)
+        .sort((a, b) => eligibleCount.get(a) - eligibleCount.get(b));
+
+    // Shuffle the available students, then move priority students to the front, followed by students owed a job
+    // this cycle (keeping their shuffled order)
+    const shuffledStudents = shuffleArray([...freeStudents], random);
+    const pairs = [...pinnedPairs, ...strategyDefinition.assign({
+        students: freeStudents,
+        jobSlots,
+        studentJobHistory: heldJobHistory,
+        previousAssignments,
+        priorityStudents: priority,
+        cycleStudents,
+        isEligible,
+        workload,
+        favoriteScore,
+        shuffledStudents: [
+            ...shuffledStudents.filter(studentNum => priority.has(studentNum)),
+            ...shuffledStudents.filter(studentNum => !priority.has(studentNum) && cycleStudents.has(studentNum)),
+            ...shuffledStudents.filter(studentNum => !priority.has(studentNum) && !cycleStudents.has(studentNum)),
+        ],
+        shuffledJobSlots,
+    })];
+
+    const assignments = {};
+    const newStudentJobHistory = { ...studentJobHistory };
+    pairs.forEach(({ student, job }) => {
+        assignments[student] = job;
+        newStudentJobHistory[student] = [...(studentJobHistory[student] || []), job];
+        newRemainingStudentsInCycle = newRemainingStudentsInCycle.filter(studentNum => studentNum !== student);
+    });
+    // Students who got no job this week, unavailable ones included, have that recorded too, so every history keeps
+    // one entry per draw
+    students.filter(studentNum => assignments[studentNum] === undefined).forEach(studentNum => {
+        newStudentJobHistory[studentNum] = [...(studentJobHistory[studentNum] || []), NO_JOB];
+    });
+
+    // The cycle is complete once nobody still owed a job could have taken one this week. Students left owed (absent,
+    // or unable to do any job) stay owed in the next cycle, and students who got a job this week without being owed
+    // one have already been served in it.
+    const cycleCompleted = students.length > 0 && !newRemainingStudentsInCycle.some(studentNum => (
+        availableStudents.includes(studentNum) && jobs.some(job => isEligible(studentNum, job.title))
+    ));
+    const servedEarly = pairs.map(pair => pair.student).filter(studentNum => !cycleStudents.has(studentNum));
+    if (cycleCompleted && (newRemainingStudentsInCycle.length > 0 || servedEarly.length > 0)) {
+        newRemainingStudentsInCycle = shuffleArray(students.filter(studentNum => !servedEarly.includes(studentNum)), random);
+    }
+
+    // Students who were skipped this week or are still owed priority carry it into next week
+    const newPriorityStudents = [...new Set([...priorityStudents, ...unavailableStudents])]
+        .filter(studentNum => students.includes(studentNum) && assignments[studentNum] === undefined);
+
+    return {
+        assignments,
+        studentJobHistory: newStudentJobHistory,
+        remainingStudentsInCycle: newRemainingStudentsInCycle,
+        priorityStudents: newPriorityStudents,
+        skippedStudents: students.filter(studentNum => unavailable.has(studentNum)),
+        cycleStarted,
+        cycleCompleted,
+        ...reviewAssignments(inputs, assignments),
+        seed,
+        strategy,
+    };
+};
+
+// Function to take a week's assignments back out of the job history, so the draw can be re-run.
+// `drawnStudents` are the students who took part in the draw, whose NO_JOB entry is removed if they had no job.
+export const revertAssignments = (currentAssignments, studentJobHistory, drawnStudents = []) => {
+    const revertedHistory = { ...studentJobHistory };
+    const studentIds = new Set([...Object.keys(currentAssignments), ...drawnStudents.map(String)]);
+    studentIds.forEach(studentNum => {
+        const history = revertedHistory[studentNum] || [];
+        const thisWeeksEntry = currentAssignments[studentNum] ?? NO_JOB;
+        if (history.length > 0 && history[history.length - 1] === thisWeeksEntry) {
+            revertedHistory[studentNum] = history.slice(0, -1);
+        }
+    });
+    return revertedHistory;
+};
+
+// Function to check a change made by hand (see reassignJob) against who may be given each job (see canTakeJob):
+// the student given the job, and in a swap the student given theirs in exchange. Returns the first problem found as
+// { student, job, reason }, with reason 'ineligible' or 'excluded' (a never-assign job), or null if there is none.
+export const findReassignmentProblem = ({ currentAssignments, jobs, studentPreferences = {} }, job, fromStudent, toStudent) => {
+    const targetJob = currentAssignments[toStudent];
+    const moves = [{ student: toStudent, job }];
+    if (fromStudent !== null && targetJob !== undefined) {
+        moves.push({ student: fromStudent, job: targetJob });
+    }
+    const move = moves.find(({ student, job: title }) => !canTakeJob(jobs, studentPreferences, student, title));
+    if (!move) {
+        return null;
+    }
+    const excluded = isExcludedJob(getStudentPreferences(studentPreferences, move.student), move.job);
+    return { ...move, reason: excluded ? 'excluded' : 'ineligible' };
+};
+
+// Function to hand a job to a different student by hand (drag and drop).
+// `fromStudent` is the student currently holding the job, or null for a job nobody holds this week.
+// If the target student already has a job, the two students swap; otherwise the previous holder is left
+// without a job and goes back into the cycle. Each affected student's latest history entry (this week's job)
+// is replaced to match. Returns the updated fields plus the overrides to record, or null if nothing changes.
+export const reassignJob = ({ currentAssignments, studentJobHistory, remainingStudentsInCycle }, job, fromStudent, toStudent) => {
+    if (fromStudent === toStudent || currentAssignments[toStudent] === job) {
+        return null;
+    }
+    const targetJob = currentAssignments[toStudent];
+    const assignments = { ...currentAssignments, [toStudent]: job };
+    const history = { ...studentJobHistory };
+    let remaining = remainingStudentsInCycle.filter(studentNum => studentNum !== toStudent);
+
+    // Helper to swap this week's entry (a job, or NO_JOB for no job) at the end of a student's history
+    const replaceThisWeeksJob = (student, oldJob, newJob) => {
+        const entries = [...(history[student] || [])];
+        if (entries.length > 0 && entries[entries.length - 1] === (oldJob ?? NO_JOB)) {
+            entries.pop();
+        }
+        entries.push(newJob ?? NO_JOB);
+        history[student] = entries;
+    };
+
+    replaceThisWeeksJob(toStudent, targetJob, job);
+    const overrides = [{ student: toStudent, job, previousJob: targetJob ?? null }];
+
+    if (fromStudent !== null) {
+        if (targetJob !== undefined) {
+            assignments[fromStudent] = targetJob;
+        } else {
+            delete assignments[fromStudent];
+            // The student lost this week's job, so they are still owed one this cycle
+            if (!remaining.includes(fromStudent)) {
+                remaining = [...remaining, fromStudent];
+            }
+        }
+        replaceThisWeeksJob(fromStudent, job, targetJob);
+        overrides.push({ student: fromStudent, job: targetJob ?? null, previousJob: job });
+    }
+
+    return {
+        currentAssignments: assignments,
+        studentJobHistory: history,
+        remainingStudentsInCycle: remaining,
+        overrides,
+    };
+};
@@ -0,0 +1,239 @@
+import {
+    ASSIGNMENT_STRATEGIES,
+    findReassignmentProblem,
+    generateAssignments,
+    reassignJob,
+    revertAssignments,
+    reviewAssignments,
+} from './assignmentEngine';
+import { createJob, NO_JOB } from './jobs';
+import { createRng } from './random';
+
+// Simulations of a full school year of weekly draws, checking the rotation properties every strategy must keep
+// whatever the seed: the cycle reaches everyone, every draw leaves one history entry per student, and students
+// who were absent are served first while they are still owed a job this cycle.
+
+const SCHOOL_YEAR_WEEKS = 40;
+
+// Class sizes to simulate, including fewer places than students and more places than students
+const ROSTERS = [
+    { studentCount: 13, jobs: [createJob('Line Leader'), createJob('Door Holder'), createJob('Librarian', { headcount: 2 }), createJob('Messenger')] },
+    { studentCount: 10, jobs: [createJob('Line Leader'), createJob('Door Holder'), createJob('Librarian')] },
+    { studentCount: 6, jobs: [createJob('Line Leader'), createJob('Door Holder'), createJob('Librarian'), createJob('Messenger'), createJob('Plant Waterer'), createJob('Board Cleaner'), createJob('Pet Feeder')] },
+];
+
+const SEEDS = [1, 42, 2024];
+
+// Helper function to run a school year of draws, marking a random student absent about one week in four.
+// Returns each week's inputs (the state the draw started from and who was absent) with the draw's result.
+const simulateSchoolYear = ({ studentCount, jobs }, strategy, seed) => {
+    const random = createRng(seed);
+    const students = Array.from({ length: studentCount }, (_, index) => index + 1);
+    let state = { studentJobHistory: {}, remainingStudentsInCycle: [], previousAssignments: {}, priorityStudents: [] };
+    const weeks = [];
+    for (let week = 0; week < SCHOOL_YEAR_WEEKS; week++) {
+        const unavailableStudents = random() < 0.25 ? [students[Math.floor(random() * studentCount)]] : [];
+        const result = generateAssignments({
+            students,
+            jobs,
+            ...state,
+            unavailableStudents,
+            strategy,
+            seed: seed * 1000 + week,
+        });
+        weeks.push({ state, unavailableStudents, result });
+        state = {
+            studentJobHistory: result.studentJobHistory,
+            remainingStudentsInCycle: result.remainingStudentsInCycle,
+            previousAssignments: result.assignments,
+            priorityStudents: result.priorityStudents,
+        };
+    }
+    return { students, weeks };
+};
+
+describe.each(Object.keys(ASSIGNMENT_STRATEGIES))('a school year of %s draws', (strategy) => {
+    const cases = ROSTERS.flatMap(roster => SEEDS.map(seed => [roster.studentCount, roster.jobs.length, seed, roster]));
+
+    test('the same seed and inputs always give the same draw', () => {
+        const inputs = {
+            students: [1, 2, 3, 4, 5, 6],
+            jobs: ROSTERS[0].jobs,
+            studentJobHistory: { 1: ['Line Leader'], 2: ['Messenger', NO_JOB], 4: ['Librarian'] },
+            remainingStudentsInCycle: [2, 3, 5, 6],
+            previousAssignments: { 1: 'Line Leader' },
+            unavailableStudents: [6],
+            priorityStudents: [3],
+            strategy,
+        };
+        SEEDS.forEach(seed => {
+            expect(generateAssignments({ ...inputs, seed })).toEqual(generateAssignments({ ...inputs, seed }));
+        });
+    });
+
+    test.each(cases)('%i students and %i jobs (seed %i) never skip a student twice in a cycle', (studentCount, jobCount, seed, roster) => {
+        const { students, weeks } = simulateSchoolYear(roster, strategy, seed);
+        weeks.forEach(({ state, unavailableStudents, result }) => {
+            // Students owed a job at the start of the draw (everyone, when a new cycle starts)
+            const owed = state.remainingStudentsInCycle.length > 0 ? state.remainingStudentsInCycle : students;
+            const owedAndPresent = owed.filter(studentNum => !unavailableStudents.includes(studentNum));
+            const servedAgain = Object.keys(result.assignments).map(Number).filter(studentNum => !owed.includes(studentNum));
+            // Nobody gets a second job in a cycle while someone present is still waiting for their first
+            if (servedAgain.length > 0) {
+                expect(owedAndPresent.filter(studentNum => result.assignments[studentNum] === undefined)).toEqual([]);
+            }
+        });
+    });
+
+    test.each(cases)('%i students and %i jobs (seed %i) record a NO_JOB entry for every week without a job', (studentCount, jobCount, seed, roster) => {
+        const { students, weeks } = simulateSchoolYear(roster, strategy, seed);
+        weeks.forEach(({ state, result }, week) => {
+            students.forEach(studentNum => {
+                const history = result.studentJobHistory[studentNum];
+                expect(history).toHaveLength(week + 1);
+                expect(history[week]).toBe(result.assignments[studentNum] ?? NO_JOB);
+            });
+            // Taking the draw back out restores the history it started from
+            const reverted = revertAssignments(result.assignments, result.studentJobHistory, students);
+            students.forEach(studentNum => {
+                expect(reverted[studentNum]).toEqual(state.studentJobHistory[studentNum] || []);
+            });
+        });
+        if (studentCount > roster.jobs.reduce((total, job) => total + job.headcount, 0)) {
+            expect(students.some(studentNum => weeks[weeks.length - 1].result.studentJobHistory[studentNum].includes(NO_JOB))).toBe(true);
+        }
+    });
+
+    test.each(cases)('%i students and %i jobs (seed %i) serve priority students first', (studentCount, jobCount, seed, roster) => {
+        const { students, weeks } = simulateSchoolYear(roster, strategy, seed);
+        weeks.forEach(({ state, unavailableStudents, result }) => {
+            // Priority counts for students still owed a job this cycle
+            const owed = state.remainingStudentsInCycle.length > 0 ? state.remainingStudentsInCycle : students;
+            state.priorityStudents
+                .filter(studentNum => !unavailableStudents.includes(studentNum) && owed.includes(studentNum))
+                .forEach(studentNum => {
+                    expect(result.assignments[studentNum]).toBeDefined();
+                });
+        });
+        // Students absent in a week carry priority into the next
+        weeks.forEach(({ unavailableStudents, result }) => {
+            expect(result.priorityStudents).toEqual(expect.arrayContaining(unavailableStudents));
+        });
+    });
+});
+
+describe('a single draw', () => {
+    test('an unavailable student gets a NO_JOB history entry like a student left without a job', () => {
+        const result = generateAssignments({
+            students: [1, 2, 3],
+            jobs: [createJob('Line Leader')],
+            studentJobHistory: { 1: ['Line Leader'], 2: [NO_JOB], 3: [NO_JOB] },
+            remainingStudentsInCycle: [2, 3],
+            unavailableStudents: [3],
+            seed: 5,
+        });
+        expect(result.assignments).toEqual({ 2: 'Line Leader' });
+        expect(result.skippedStudents).toEqual([3]);
+        expect(result.studentJobHistory).toEqual({
+            1: ['Line Leader', NO_JOB],
+            2: [NO_JOB, 'Line Leader'],
+            3: [NO_JOB, NO_JOB],
+        });
+    });
+});
+
+describe('the optimal strategy', () => {
+    // Student 2 held both jobs lately and student 3 held "Door Holder", so only student 3 taking "Line Leader" and
+    // student 1 "Door Holder" avoids a recent repeat. With this seed the greedy strategies hand out "Line Leader" first.
+    const inputs = {
+        students: [1, 2, 3],
+        jobs: [createJob('Line Leader'), createJob('Door Holder')],
+        studentJobHistory: { 2: ['Line Leader', 'Door Holder'], 3: ['Door Holder'] },
+        seed: 5,
+    };
+
+    test.each(['avoidRecent', 'leastRecent'])('avoids the repeat that %s has to report', (strategy) => {
+        const greedy = generateAssignments({ ...inputs, strategy });
+        expect(greedy.assignments).toEqual({ 1: 'Line Leader', 3: 'Door Holder' });
+        expect(greedy.fairness.totalCost).toBeGreaterThan(0);
+        expect(greedy.fairness.relaxedConstraints).toEqual({
+            notRecent: [{ student: 3, job: 'Door Holder' }],
+            neverRepeated: [{ student: 3, job: 'Door Holder' }],
+            heavyStreak: [],
+        });
+        expect(greedy.diagnostics.map(diagnostic => diagnostic.id)).toContain('recent-repeat:3:Door Holder');
+
+        const optimal = generateAssignments({ ...inputs, strategy: 'optimal' });
+        expect(optimal.assignments).toEqual({ 1: 'Door Holder', 3: 'Line Leader' });
+        expect(optimal.fairness).toEqual({
+            totalCost: 0,
+            relaxedConstraints: { notRecent: [], neverRepeated: [], heavyStreak: [] },
+        });
+        expect(optimal.diagnostics.map(diagnostic => diagnostic.rule)).not.toContain('recent-repeat');
+    });
+
+    test('reports a heavy streak it could not avoid', () => {
+        const jobs = [createJob('Recycling', { weight: 3 }), createJob('Floor Sweeper', { weight: 3 })];
+        const result = generateAssignments({
+            students: [1, 2],
+            jobs,
+            studentJobHistory: { 1: ['Recycling', 'Floor Sweeper', 'Recycling'], 2: ['Floor Sweeper', 'Recycling', 'Floor Sweeper'] },
+            strategy: 'optimal',
+            seed: 1,
+        });
+        expect(result.fairness.relaxedConstraints.heavyStreak).toHaveLength(2);
+        expect(result.diagnostics.filter(diagnostic => diagnostic.rule === 'heavy-streak')).toHaveLength(2);
+    });
+});
+
+describe('changing a draw by hand', () => {
+    const jobs = [
+        createJob('Line Leader', { pinnedStudents: [1] }),
+        createJob('Door Holder', { eligibleStudents: [1, 2] }),
+        createJob('Plant Waterer'),
+    ];
+    const inputs = {
+        students: [1, 2, 3, 4],
+        jobs,
+        studentJobHistory: { 3: ['Plant Waterer'] },
+        studentPreferences: { 4: { favorites: ['Plant Waterer'], exclusions: ['Line Leader'] } },
+        strategy: 'leastRecent',
+        seed: 7,
+    };
+
+    test('reviewing a draw\'s own assignments gives the draw\'s checks, fairness and favourites', () => {
+        const result = generateAssignments(inputs);
+        expect(reviewAssignments(inputs, result.assignments)).toEqual({
+            diagnostics: result.diagnostics,
+            fairness: result.fairness,
+            preferredJobs: result.preferredJobs,
+        });
+    });
+
+    test('reviewing edited assignments reports the broken pin and the repeated job', () => {
+        const { diagnostics, fairness } = reviewAssignments(inputs, { 1: 'Door Holder', 3: 'Plant Waterer', 2: 'Line Leader' });
+        expect(diagnostics.map(diagnostic => diagnostic.id)).toEqual(expect.arrayContaining([
+            'pin-unmet:1:Line Leader',
+            'recent-repeat:3:Plant Waterer',
+        ]));
+        expect(fairness.relaxedConstraints.notRecent).toEqual([{ student: 3, job: 'Plant Waterer' }]);
+    });
+
+    test('a swap is refused when either student may not be given their new job', () => {
+        const state = { currentAssignments: { 1: 'Line Leader', 2: 'Door Holder', 3: 'Plant Waterer' }, jobs, studentPreferences: inputs.studentPreferences };
+        // Student 3 would take "Door Holder", which only students 1 and 2 may have
+        expect(findReassignmentProblem(state, 'Plant Waterer', 3, 2)).toEqual({ student: 3, job: 'Door Holder', reason: 'ineligible' });
+        expect(findReassignmentProblem(state, 'Line Leader', 1, 4)).toEqual({ student: 4, job: 'Line Leader', reason: 'excluded' });
+        expect(findReassignmentProblem(state, 'Door Holder', 2, 1)).toBeNull();
+    });
+
+    test('a student left without a job gets a NO_JOB history entry instead', () => {
+        const change = reassignJob({
+            currentAssignments: { 1: 'Line Leader' },
+            studentJobHistory: { 1: ['Line Leader'], 2: [NO_JOB] },
+            remainingStudentsInCycle: [2],
+        }, 'Line Leader', 1, 2);
+        expect(change.studentJobHistory).toEqual({ 1: [NO_JOB], 2: ['Line Leader'] });
+        expect(change.remainingStudentsInCycle).toEqual([1]);
+    });
+});
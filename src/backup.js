@@ -0,0 +1,228 @@
+import { ASSIGNMENT_STRATEGIES, DEFAULT_STRATEGY } from './assignmentEngine';
+import { getJobTitles, normalizeJobs } from './jobs';
+import { MAX_SEED } from './random';
+import { setStudentPreferences } from './preferences';
+import { DEFAULT_SCHEDULE, normalizeSchedule, SCHEDULE_MODES } from './schedule';
+import { normalizeCalendar } from './schoolCalendar';
+import { normalizeStudents } from './students';
+
+// Full-state backup files: everything needed to rebuild a teacher's data on another device or account.
+// Files carry a schema version so backups made by other versions of the app can be recognised before they are restored.
+
+// Marker written into every backup so unrelated JSON files are rejected
+export const BACKUP_KIND = 'student-job-assigner-backup';
+// Current backup schema version. Bump it (and upgrade older files in validateBackup) when the shape of the file changes.
+export const BACKUP_VERSION = 1;
+
+// Fields of the app state that live in the defaults document rather than the state document
+const DEFAULTS_FIELDS = ['userDefaultStudents', 'userDefaultJobs'];
+
+// Function to build a backup object from the app state and the archived weeks
+export const createBackup = (appState, weeks) => {
+    const state = { ...appState };
+    DEFAULTS_FIELDS.forEach(field => delete state[field]);
+    return {
+        kind: BACKUP_KIND,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        state,
+        defaults: {
+            students: appState.userDefaultStudents,
+            jobs: appState.userDefaultJobs,
+        },
+        weeks,
+    };
+};
+
+// Helper function to check that a value is a plain object
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Helper function to check that an entry (an absence, term or holiday) has "YYYY-MM-DD" start and end dates
+const hasDateRange = (entry) => isObject(entry)
+    && [entry.startDate, entry.endDate].every(date => typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date));
+
+// Helper function to keep the entries of a list that pass a check (a missing or damaged list becomes empty)
+const keepValid = (list, isValid) => (Array.isArray(list) ? list.filter(isValid) : []);
+
+// Helper function to check that every value of an object passes a check (a missing object counts as empty)
+const hasValidValues = (value, isValid) => value === undefined || (isObject(value) && Object.values(value).every(isValid));
+
+// Helper function to check that a list holds only IDs of the given students (a missing list counts as empty)
+const hasStudentIds = (list, students) => list === undefined
+    || (Array.isArray(list) && list.every(studentId => students.some(student => student.id === studentId)));
+
+// Helper function to check a student's job history: job titles, with null for the weeks they had no job
+const isHistory = (history) => Array.isArray(history) && history.every(entry => entry === null || typeof entry === 'string');
+
+// Helper function to check a job title assigned to a student
+const isJobTitle = (title) => typeof title === 'string';
+
+// Helper function to read the last draw a backup can re-run (null if there is none or it is damaged)
+const readLastDraw = (lastDraw, students) => {
+    const usable = isObject(lastDraw)
+        && Number.isInteger(lastDraw.seed) && lastDraw.seed >= 0 && lastDraw.seed <= MAX_SEED
+        && Boolean(ASSIGNMENT_STRATEGIES[lastDraw.strategy])
+        && hasStudentIds(lastDraw.remainingStudentsInCycle, students)
+        && hasStudentIds(lastDraw.priorityStudents, students)
+        && hasStudentIds(lastDraw.studentIds, students)
+        && hasValidValues(lastDraw.previousAssignments, isJobTitle);
+    return usable ? lastDraw : null;
+};
+
+// Helper function to read the school week a backup's assignments are for (null if there is none or it is damaged)
+const readCurrentWeek = (currentWeek) => (hasDateRange(currentWeek) && typeof currentWeek.label === 'string' ? currentWeek : null);
+
+// Helper function to read a backup's student preferences, keeping only students and jobs that are in the backup
+const readPreferences = (studentPreferences, students, jobs) => Object.entries(isObject(studentPreferences) ? studentPreferences : {})
+    .filter(([studentId, preferences]) => isObject(preferences) && students.some(student => String(student.id) === studentId))
+    .reduce((kept, [studentId, preferences]) => setStudentPreferences(kept, studentId, {
+        favorites: keepValid(preferences.favorites, title => typeof title === 'string'),
+        exclusions: keepValid(preferences.exclusions, title => typeof title === 'string'),
+    }, jobs), {});
+
+// Helper function to read a backup's rotation schedule, falling back to manual rotations for an unknown mode
+const readSchedule = (rotationSchedule) => {
+    const schedule = normalizeSchedule(isObject(rotationSchedule) ? rotationSchedule : null);
+    return SCHEDULE_MODES[schedule.mode] ? schedule : { ...schedule, mode: DEFAULT_SCHEDULE.mode };
+};
+
+// Helper function to read a backup's school calendar, keeping the terms and holidays with valid dates
+const readCalendar = (schoolCalendar) => {
+    const calendar = normalizeCalendar(isObject(schoolCalendar) ? schoolCalendar : null);
+    return { terms: keepValid(calendar.terms, hasDateRange), holidays: keepValid(calendar.holidays, hasDateRange) };
+};
+
+// Function to validate a parsed backup file.
+// Returns { backup, error }: a normalized backup ready to restore, or a message explaining why it can't be used.
+// Damaged assignments, history or cycle are refused, as the draws depend on them; damaged optional sections
+// (absences, preferences, strategy, last draw, week, schedule and calendar) are dropped or reset instead.
+export const validateBackup = (data) => {
+    if (!isObject(data) || data.kind !== BACKUP_KIND) {
+        return { backup: null, error: 'This file is not a Student Job Assigner backup.' };
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        return { backup: null, error: 'The backup has no valid schema version.' };
+    }
+    if (data.version > BACKUP_VERSION) {
+        return { backup: null, error: `The backup was made by a newer version of the app (schema ${data.version}). Please update the app first.` };
+    }
+
+    const { defaults = {}, weeks = [] } = data;
+    const state = isObject(data.state) ? data.state : {};
+    const { jobs } = state;
+    const defaultJobs = isObject(defaults) ? defaults.jobs || [] : null;
+    if (!isObject(data.state) || !Array.isArray(state.students) || !Array.isArray(jobs)) {
+        return { backup: null, error: 'The backup is missing its student or job lists.' };
+    }
+    // Weeks are listed in the order they were created, so each needs its creation time
+    if (!Array.isArray(defaultJobs) || !Array.isArray(weeks)
+        || !weeks.every(week => isObject(week) && typeof week.id === 'string' && typeof week.createdAt === 'string')) {
+        return { backup: null, error: 'The backup has a damaged defaults or weeks section.' };
+    }
+
+    const students = normalizeStudents(state.students).students;
+    const normalizedJobs = normalizeJobs(jobs).jobs;
+    if (!hasValidValues(state.studentJobHistory, isHistory)) {
+        return { backup: null, error: 'The backup has a damaged job history.' };
+    }
+    if (!hasValidValues(state.currentAssignments, isJobTitle)) {
+        return { backup: null, error: "The backup has damaged current assignments." };
+    }
+    if (!hasStudentIds(state.remainingStudentsInCycle, students) || !hasStudentIds(state.priorityStudents, students)) {
+        return { backup: null, error: "The backup's cycle or priority list names students who aren't in it." };
+    }
+
+    return {
+        backup: {
+            ...data,
+            version: BACKUP_VERSION,
+            state: {
+                ...state,
+                students,
+                jobs: normalizedJobs,
+                currentAssignments: state.currentAssignments || {},
+                remainingStudentsInCycle: state.remainingStudentsInCycle || [],
+                studentJobHistory: state.studentJobHistory || {},
+                priorityStudents: state.priorityStudents || [],
+                lastAssignmentDate: state.lastAssignmentDate || null,
+                assignmentStrategy: ASSIGNMENT_STRATEGIES[state.assignmentStrategy] ? state.assignmentStrategy : DEFAULT_STRATEGY,
+                lastDraw: readLastDraw(state.lastDraw, students),
+                currentWeek: readCurrentWeek(state.currentWeek),
+                absences: keepValid(state.absences, absence => hasDateRange(absence)
+                    && students.some(student => student.id === absence.studentId)),
+                studentPreferences: readPreferences(state.studentPreferences, students, normalizedJobs),
+                rotationSchedule: readSchedule(state.rotationSchedule),
+                schoolCalendar: readCalendar(state.schoolCalendar),
+            },
+            defaults: {
+                students: normalizeStudents(defaults.students || []).students,
+                jobs: normalizeJobs(defaultJobs).jobs,
+            },
+            weeks,
+        },
+        error: null,
+    };
+};
+
+// Helper function to describe how a list changes, e.g. "3 added, 1 removed"
+const describeListChange = (currentItems, backupItems) => {
+    const current = new Set(currentItems);
+    const restored = new Set(backupItems);
+    const added = [...restored].filter(item => !current.has(item)).length;
+    const removed = [...current].filter(item => !restored.has(item)).length;
+    if (added === 0 && removed === 0) return 'unchanged';
+    return `${added} added, ${removed} removed`;
+};
+
+// Helper function to count all job history entries
+const countHistoryEntries = (studentJobHistory) => Object.values(studentJobHistory)
+    .reduce((total, history) => total + history.length, 0);
+
+// Function to summarise what restoring a backup would change, as a list of { label, current, backup, change } rows
+export const summarizeBackupDiff = (appState, weeks, backup) => {
+    const { state, defaults } = backup;
+    return [
+        {
+            label: 'Students',
+            current: appState.students.length,
+            backup: state.students.length,
+            change: describeListChange(appState.students.map(s => s.name), state.students.map(s => s.name)),
+        },
+        {
+            label: 'Jobs',
+            current: appState.jobs.length,
+            backup: state.jobs.length,
+            change: describeListChange(getJobTitles(appState.jobs), getJobTitles(state.jobs)),
+        },
+        {
+            label: 'Current assignments',
+            current: Object.keys(appState.currentAssignments).length,
+            backup: Object.keys(state.currentAssignments).length,
+        },
+        {
+            label: 'Students left in cycle',
+            current: appState.remainingStudentsInCycle.length,
+            backup: state.remainingStudentsInCycle.length,
+        },
+        {
+            label: 'Job history entries',
+            current: countHistoryEntries(appState.studentJobHistory),
+            backup: countHistoryEntries(state.studentJobHistory),
+        },
+        {
+            label: 'Archived weeks',
+            current: weeks.length,
+            backup: backup.weeks.length,
+        },
+        {
+            label: 'Default students',
+            current: appState.userDefaultStudents.length,
+            backup: defaults.students.length,
+        },
+        {
+            label: 'Default jobs',
+            current: appState.userDefaultJobs.length,
+            backup: defaults.jobs.length,
+        },
+    ];
+};
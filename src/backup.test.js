@@ -0,0 +1,127 @@
+import { BACKUP_KIND, BACKUP_VERSION, createBackup, validateBackup } from './backup';
+import { createJob } from './jobs';
+import { DEFAULT_SCHEDULE } from './schedule';
+import { createStudent } from './students';
+
+// Checking backup files before they are restored: required lists must be there and readable by the draws, and
+// damaged optional sections are cleaned up rather than written back into the class.
+
+const APP_STATE = {
+    version: 4,
+    students: [createStudent(1, 'Ava'), createStudent(2, 'Ben')],
+    jobs: [createJob('Line Leader'), createJob('Plant Waterer')],
+    currentAssignments: { 1: 'Line Leader' },
+    remainingStudentsInCycle: [2],
+    studentJobHistory: { 1: ['Line Leader'], 2: [null] },
+    lastAssignmentDate: '2026-10-12T08:00:00.000Z',
+    assignmentStrategy: 'optimal',
+    lastDraw: { seed: 42, strategy: 'optimal', remainingStudentsInCycle: [1, 2], priorityStudents: [], previousAssignments: {}, studentIds: [1, 2] },
+    currentWeek: { startDate: '2026-10-12', endDate: '2026-10-16', number: 7, termName: 'Autumn', label: 'Week 7, Oct 12–16' },
+    absences: [{ id: 'a1', studentId: 2, startDate: '2026-10-19', endDate: '2026-10-20', reason: 'Trip' }],
+    priorityStudents: [2],
+    studentPreferences: { 1: { favorites: ['Plant Waterer'], exclusions: [] } },
+    rotationSchedule: { ...DEFAULT_SCHEDULE, mode: 'weekly' },
+    schoolCalendar: { terms: [{ id: 't1', name: 'Autumn', startDate: '2026-09-01', endDate: '2026-12-18' }], holidays: [] },
+    userDefaultStudents: [],
+    userDefaultJobs: [],
+};
+
+const WEEKS = [{ id: 'w1', createdAt: '2026-10-12T08:00:00.000Z', weekLabel: 'Week 7, Oct 12–16', assignments: { 1: 'Line Leader' } }];
+
+// Helper function to make a backup of APP_STATE with some state fields replaced
+const backupWith = (stateChanges) => {
+    const backup = createBackup(APP_STATE, WEEKS);
+    return { ...backup, state: { ...backup.state, ...stateChanges } };
+};
+
+describe('validateBackup', () => {
+    test('accepts its own backups unchanged', () => {
+        const { backup, error } = validateBackup(createBackup(APP_STATE, WEEKS));
+        expect(error).toBeNull();
+        const { userDefaultStudents, userDefaultJobs, ...state } = APP_STATE;
+        expect(backup.state).toEqual(state);
+        expect(backup.weeks).toEqual(WEEKS);
+    });
+
+    test('refuses files that are not backups or lack the student or job lists', () => {
+        expect(validateBackup({ kind: 'other' }).backup).toBeNull();
+        expect(validateBackup({ kind: BACKUP_KIND, version: BACKUP_VERSION, state: { students: [] } }).error)
+            .toBe('The backup is missing its student or job lists.');
+    });
+
+    test('defaults sections missing from older backups', () => {
+        const { backup } = validateBackup(backupWith({
+            absences: undefined,
+            priorityStudents: undefined,
+            studentPreferences: undefined,
+            assignmentStrategy: undefined,
+            lastDraw: undefined,
+            currentWeek: undefined,
+            rotationSchedule: undefined,
+            schoolCalendar: undefined,
+        }));
+        expect(backup.state).toMatchObject({
+            absences: [],
+            priorityStudents: [],
+            studentPreferences: {},
+            assignmentStrategy: 'avoidRecent',
+            lastDraw: null,
+            currentWeek: null,
+            rotationSchedule: DEFAULT_SCHEDULE,
+            schoolCalendar: { terms: [], holidays: [] },
+        });
+    });
+
+    test('drops damaged entries and ones for students or jobs not in the backup', () => {
+        const { backup } = validateBackup(backupWith({
+            absences: [...APP_STATE.absences, { id: 'a2', studentId: 9, startDate: '2026-10-19', endDate: '2026-10-19' }, { studentId: 1 }],
+            studentPreferences: { 1: { favorites: ['Plant Waterer', 'Juggler'], exclusions: 'Line Leader' }, 9: { favorites: ['Line Leader'] }, 2: 'none' },
+            rotationSchedule: { mode: 'hourly', weekday: 3 },
+            schoolCalendar: { terms: [{ name: 'Broken' }], holidays: 'none' },
+        }));
+        expect(backup.state.absences).toEqual(APP_STATE.absences);
+        expect(backup.state.studentPreferences).toEqual({ 1: { favorites: ['Plant Waterer'], exclusions: [] } });
+        expect(backup.state.rotationSchedule).toEqual({ ...DEFAULT_SCHEDULE, weekday: 3 });
+        expect(backup.state.schoolCalendar).toEqual({ terms: [], holidays: [] });
+    });
+
+    test('resets an unknown strategy and a damaged last draw or week', () => {
+        const { backup } = validateBackup(backupWith({
+            assignmentStrategy: 'coinFlip',
+            lastDraw: { ...APP_STATE.lastDraw, seed: -1 },
+            currentWeek: { label: 'Week 7' },
+        }));
+        expect(backup.state).toMatchObject({ assignmentStrategy: 'avoidRecent', lastDraw: null, currentWeek: null });
+        expect(validateBackup(backupWith({ lastDraw: { ...APP_STATE.lastDraw, studentIds: [1, 9] } })).backup.state.lastDraw).toBeNull();
+        expect(validateBackup(backupWith({ lastDraw: { ...APP_STATE.lastDraw, strategy: 'coinFlip' } })).backup.state.lastDraw).toBeNull();
+    });
+
+    test('refuses a job history that isn\'t lists of job titles and empty weeks', () => {
+        ['A', null, [1], { 0: 'Line Leader' }].forEach(history => {
+            expect(validateBackup(backupWith({ studentJobHistory: { 1: ['Line Leader'], 2: history } }))).toEqual({
+                backup: null,
+                error: 'The backup has a damaged job history.',
+            });
+        });
+        expect(validateBackup(backupWith({ studentJobHistory: ['Line Leader'] })).error).toBe('The backup has a damaged job history.');
+    });
+
+    test('refuses current assignments that aren\'t job titles', () => {
+        [{ 1: null }, { 1: ['Line Leader'] }, ['Line Leader']].forEach(currentAssignments => {
+            expect(validateBackup(backupWith({ currentAssignments })).error).toBe('The backup has damaged current assignments.');
+        });
+    });
+
+    test('refuses a cycle or priority list naming students who aren\'t in the backup', () => {
+        const error = "The backup's cycle or priority list names students who aren't in it.";
+        expect(validateBackup(backupWith({ remainingStudentsInCycle: ['x'] })).error).toBe(error);
+        expect(validateBackup(backupWith({ remainingStudentsInCycle: [2, 9] })).error).toBe(error);
+        expect(validateBackup(backupWith({ remainingStudentsInCycle: 2 })).error).toBe(error);
+        expect(validateBackup(backupWith({ priorityStudents: [9] })).error).toBe(error);
+    });
+
+    test('refuses archived weeks without their creation time', () => {
+        const backup = { ...createBackup(APP_STATE, WEEKS), weeks: [{ id: 'w1', weekLabel: 'Week 7, Oct 12–16' }] };
+        expect(validateBackup(backup).error).toBe('The backup has a damaged defaults or weeks section.');
+    });
+});
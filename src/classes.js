@@ -0,0 +1,80 @@
+// Classes (rosters) belonging to one teacher, and classes other teachers have shared with them.
+// Each class is a document { name, archived, createdAt, members } in its owner's `classes` collection, and keeps
+// its own state, defaults and weeks archive under `<class data path>/job_assigner`.
+// `members` maps the user ID of each co-teacher to { role, email }, and `shareToken` is the token of the class's
+// student view link (see studentLinks.js), if it has one.
+
+// ID of the class that owns the data saved before classes existed. Its documents stay where they were
+// (directly under the user), so nothing has to be copied when an existing teacher first sees classes.
+export const LEGACY_CLASS_ID = 'default';
+// Name given to the class created automatically for a new or existing teacher
+export const FIRST_CLASS_NAME = 'My Class';
+
+// What a user may do with a class. Owners and editors can change it; viewers can only look.
+export const CLASS_ROLES = {
+    OWNER: 'owner',
+    EDITOR: 'editor',
+    VIEWER: 'viewer',
+};
+
+// Roles a class can be shared with, and how they are described to the owner
+export const SHARE_ROLES = {
+    [CLASS_ROLES.EDITOR]: 'Editor (can make changes)',
+    [CLASS_ROLES.VIEWER]: 'Viewer (read-only)',
+};
+
+// Function to get the path of the collection holding a user's class list
+export const getClassesPath = (appId, userId) => `artifacts/${appId}/users/${userId}/classes`;
+
+// Function to get the path of the collection listing the classes other teachers have shared with a user.
+// Each entry is { ownerId, classId, name, role, ownerEmail }.
+export const getSharedClassesPath = (appId, userId) => `artifacts/${appId}/users/${userId}/sharedClasses`;
+
+// Function to get the path of the collection of pending invitations to shared classes
+export const getInvitesPath = (appId) => `artifacts/${appId}/invites`;
+
+// Function to get the path of the collection of read-only student views published through share links
+export const getStudentViewsPath = (appId) => `artifacts/${appId}/studentViews`;
+
+// Function to get the path of the `job_assigner` collection holding one class's state, defaults and weeks
+export const getClassDataPath = (appId, ownerId, classId) => (classId === LEGACY_CLASS_ID
+    ? `artifacts/${appId}/users/${ownerId}/job_assigner`
+    : `${getClassesPath(appId, ownerId)}/${classId}/job_assigner`);
+
+// Function to get the key identifying a class across owners (used by the class switcher)
+export const getClassKey = (ownerId, classId) => `${ownerId}/${classId}`;
+
+// Function to get the ID of an invitation. It is derived from the class and the invited email
+// so that the security rules can look the invitation up when the invitee accepts it.
+export const getInviteId = (ownerId, classId, email) => `${ownerId}_${classId}_${email.trim().toLowerCase()}`;
+
+// Function to check whether a role may change a class
+export const canEditClass = (role) => role === CLASS_ROLES.OWNER || role === CLASS_ROLES.EDITOR;
+
+// Function to create a class record
+export const createClassRecord = (name) => ({
+    name: name.trim(),
+    archived: false,
+    createdAt: new Date().toISOString(),
+    members: {},
+});
+
+// Function to pick the class to show: the requested one if it still exists and is active,
+// otherwise the first active class, otherwise null
+export const chooseClassKey = (classes, requestedKey) => {
+    const activeClasses = classes.filter(classRecord => !classRecord.archived);
+    if (activeClasses.some(classRecord => classRecord.key === requestedKey)) {
+        return requestedKey;
+    }
+    return activeClasses.length > 0 ? activeClasses[0].key : null;
+};
+
+// Function to suggest a name for a copy of a class that doesn't clash with an existing class
+export const getCopyName = (classes, name) => {
+    const names = new Set(classes.map(classRecord => classRecord.name));
+    let copyName = `${name} (copy)`;
+    for (let n = 2; names.has(copyName); n++) {
+        copyName = `${name} (copy ${n})`;
+    }
+    return copyName;
+};
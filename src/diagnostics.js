@@ -0,0 +1,118 @@
+import { countJobSeats, isEligibleForJob } from './jobs';
+import { getStudentPreferences, isExcludedJob } from './preferences';
+import { getActiveStudentIds, getStudentName } from './students';
+
+// Diagnostics: the problems found in a draw or in the roster, each as { id, rule, severity, message, student, job }.
+// `rule` is the DIAGNOSTIC_TYPES value of the rule that was broken, `severity` a key of SEVERITIES, and `student`
+// (a student ID) and `job` (a job title) are null when the problem isn't about one. `id` stays the same when the
+// same problem is found again, so a dismissed diagnostic stays dismissed.
+
+// How serious a diagnostic is, most serious first
+export const SEVERITIES = {
+    error: 'Error',
+    warning: 'Warning',
+    info: 'Note',
+};
+
+// Rules a draw or roster can break
+export const DIAGNOSTIC_TYPES = {
+    // Found by the assignment engine in a draw
+    MORE_JOBS_THAN_STUDENTS: 'more-jobs-than-students',
+    JOB_UNASSIGNED: 'job-unassigned',
+    NO_ELIGIBLE_STUDENTS: 'no-eligible-students',
+    PIN_UNMET: 'pin-unmet',
+    PIN_EXCLUDED: 'pin-excluded',
+    RECENT_REPEAT: 'recent-repeat',
+    HEAVY_STREAK: 'heavy-streak',
+    STUDENT_ABSENT: 'student-absent',
+    // Found by checking the roster before any draw
+    NO_ACTIVE_STUDENTS: 'no-active-students',
+    NO_JOBS: 'no-jobs',
+    JOB_WITHOUT_STUDENTS: 'job-without-students',
+    PIN_INACTIVE: 'pin-inactive',
+    STUDENT_WITHOUT_JOBS: 'student-without-jobs',
+};
+
+// Each rule's description and the severity of breaking it
+export const DIAGNOSTIC_RULES = {
+    [DIAGNOSTIC_TYPES.MORE_JOBS_THAN_STUDENTS]: { label: 'More job places than students', severity: 'warning' },
+    [DIAGNOSTIC_TYPES.JOB_UNASSIGNED]: { label: 'Job place left empty', severity: 'warning' },
+    [DIAGNOSTIC_TYPES.NO_ELIGIBLE_STUDENTS]: { label: 'No eligible student free', severity: 'error' },
+    [DIAGNOSTIC_TYPES.PIN_UNMET]: { label: 'Pin not honoured', severity: 'warning' },
+    [DIAGNOSTIC_TYPES.PIN_EXCLUDED]: { label: 'Pinned to a never-assign job', severity: 'warning' },
+    [DIAGNOSTIC_TYPES.RECENT_REPEAT]: { label: 'Recent job repeated', severity: 'warning' },
+    [DIAGNOSTIC_TYPES.HEAVY_STREAK]: { label: 'Too many heavy jobs in a row', severity: 'warning' },
+    [DIAGNOSTIC_TYPES.STUDENT_ABSENT]: { label: 'Absent this week', severity: 'info' },
+    [DIAGNOSTIC_TYPES.NO_ACTIVE_STUDENTS]: { label: 'No active students', severity: 'error' },
+    [DIAGNOSTIC_TYPES.NO_JOBS]: { label: 'No jobs', severity: 'error' },
+    [DIAGNOSTIC_TYPES.JOB_WITHOUT_STUDENTS]: { label: 'Job nobody can do', severity: 'error' },
+    [DIAGNOSTIC_TYPES.PIN_INACTIVE]: { label: 'Pinned student inactive', severity: 'warning' },
+    [DIAGNOSTIC_TYPES.STUDENT_WITHOUT_JOBS]: { label: 'Student can do no job', severity: 'warning' },
+};
+
+// Function to create a diagnostic for a broken rule, about a student and/or a job if given
+export const createDiagnostic = (rule, message, { student = null, job = null } = {}) => ({
+    id: [rule, student ?? '', job ?? ''].join(':'),
+    rule,
+    severity: DIAGNOSTIC_RULES[rule]?.severity || 'warning',
+    message,
+    student,
+    job,
+});
+
+// Function to get the diagnostics recorded with an archived week (none if there is no week)
+export const getWeekDiagnostics = (week) => week?.diagnostics || [];
+
+// Function to count diagnostics by severity, as { error, warning, info }
+export const countBySeverity = (diagnostics) => Object.fromEntries(Object.keys(SEVERITIES)
+    .map(severity => [severity, diagnostics.filter(diagnostic => diagnostic.severity === severity).length]));
+
+// Function to check a roster before drawing: whether there is anyone and anything to assign, whether every job can
+// be filled by someone, whether pins point at active students and whether every student can do at least one job
+export const validateRoster = ({ students, jobs, studentPreferences = {} }) => {
+    const diagnostics = [];
+    const activeIds = getActiveStudentIds(students);
+    const name = (studentId) => getStudentName(students, studentId);
+    const canDo = (studentId, job) => isEligibleForJob(job, studentId)
+        && !isExcludedJob(getStudentPreferences(studentPreferences, studentId), job.title);
+
+    if (activeIds.length === 0) {
+        diagnostics.push(createDiagnostic(DIAGNOSTIC_TYPES.NO_ACTIVE_STUDENTS, 'There are no active students to give jobs to.'));
+    }
+    if (jobs.length === 0) {
+        diagnostics.push(createDiagnostic(DIAGNOSTIC_TYPES.NO_JOBS, 'There are no jobs to assign.'));
+    }
+    const seats = countJobSeats(jobs);
+    if (activeIds.length > 0 && seats > activeIds.length) {
+        diagnostics.push(createDiagnostic(
+            DIAGNOSTIC_TYPES.MORE_JOBS_THAN_STUDENTS,
+            `The jobs need ${seats} students but there are only ${activeIds.length} active students, so some places will stay empty.`
+        ));
+    }
+    jobs.forEach(job => {
+        if (activeIds.length > 0 && !activeIds.some(studentId => canDo(studentId, job))) {
+            diagnostics.push(createDiagnostic(
+                DIAGNOSTIC_TYPES.JOB_WITHOUT_STUDENTS,
+                `No active student can be given "${job.title}" (check who it's open to and students' never-assign jobs).`,
+                { job: job.title }
+            ));
+        }
+        job.pinnedStudents.filter(studentId => !activeIds.includes(studentId)).forEach(studentId => {
+            diagnostics.push(createDiagnostic(
+                DIAGNOSTIC_TYPES.PIN_INACTIVE,
+                `${name(studentId)} is pinned to "${job.title}" but isn't an active student.`,
+                { student: studentId, job: job.title }
+            ));
+        });
+    });
+    if (jobs.length > 0) {
+        activeIds.filter(studentId => !jobs.some(job => canDo(studentId, job))).forEach(studentId => {
+            diagnostics.push(createDiagnostic(
+                DIAGNOSTIC_TYPES.STUDENT_WITHOUT_JOBS,
+                `${name(studentId)} can't be given any job, so they will never get one.`,
+                { student: studentId }
+            ));
+        });
+    }
+    return diagnostics;
+};
@@ -0,0 +1,44 @@
+import { generateAssignments } from './assignmentEngine';
+import { fromISODate, getUnavailableStudentIds } from './absences';
+import { getRotationPeriod } from './schedule';
+import { getSchoolWeek } from './schoolCalendar';
+import { getActiveStudentIds, getStudentName } from './students';
+
+// Drawing a class's assignments from its app state, for drafts and scheduled rotations alike.
+
+// Function to run the assignment engine against a state for the rotation drawn on `drawDate`, without saving anything.
+// `lockedAssignments` ({ studentId: job }, from a draft) are kept as they are.
+// Returns { result, inputs, assignmentWeek, schoolWeek }, or null if the class has no active students or no jobs.
+export const drawAssignments = (baseState, seed, drawDate, lockedAssignments = {}) => {
+    const students = getActiveStudentIds(baseState.students);
+    if (students.length === 0 || baseState.jobs.length === 0) {
+        return null;
+    }
+    // Students absent at any point in the rotation being assigned sit this draw out
+    const assignmentWeek = getRotationPeriod(baseState.rotationSchedule, baseState.schoolCalendar, drawDate);
+    // School week the draw is for, e.g. "Week 7, Oct 13–17"
+    const schoolWeek = getSchoolWeek(baseState.schoolCalendar, fromISODate(assignmentWeek.startDate));
+    const unavailableStudents = getUnavailableStudentIds(baseState.absences, assignmentWeek)
+        .filter(studentNum => students.includes(studentNum));
+    // The engine's inputs are kept with the draw so a draft changed by hand can be reviewed again (see reviewAssignments)
+    const inputs = {
+        students,
+        jobs: baseState.jobs,
+        studentJobHistory: baseState.studentJobHistory,
+        remainingStudentsInCycle: baseState.remainingStudentsInCycle,
+        previousAssignments: baseState.currentAssignments,
+        unavailableStudents,
+        priorityStudents: baseState.priorityStudents,
+        studentPreferences: baseState.studentPreferences,
+        lockedAssignments,
+        strategy: baseState.assignmentStrategy,
+        getStudentName: (studentId) => getStudentName(baseState.students, studentId),
+    };
+    const result = generateAssignments({ ...inputs, seed });
+    return { result, inputs, assignmentWeek, schoolWeek };
+};
+
+// Function to word why a job can't be given by hand (see findReassignmentProblem)
+export const describeReassignmentProblem = (students, { student, job, reason }) => (reason === 'excluded'
+    ? `${getStudentName(students, student)} must never be given "${job}" (see their job preferences).`
+    : `${getStudentName(students, student)} isn't eligible for "${job}".`);
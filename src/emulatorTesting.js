@@ -0,0 +1,17 @@
+import { readFileSync } from 'fs';
+import { ReadableStream, TransformStream, WritableStream } from 'stream/web';
+
+// Shared setup for the tests that run against the Firebase emulators (only used by tests). Import it before the
+// Firebase SDK: the SDK's Node build needs web streams, which Jest's Node environment doesn't pass through.
+Object.assign(global, { ReadableStream, TransformStream, WritableStream });
+
+// `describe` for tests that need the Firestore emulator: they only run when FIRESTORE_EMULATOR_HOST is set, as
+// `npm run test:emulators` does, and are skipped otherwise
+export const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+// Settings for initializeTestEnvironment (see @firebase/rules-unit-testing): the emulator project and the app's
+// security rules
+export const TEST_ENVIRONMENT = {
+    projectId: 'demo-job-assigner',
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+};
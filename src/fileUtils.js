@@ -0,0 +1,31 @@
+// Browser helpers for saving and reading text files.
+
+// MIME types for the formats the app writes
+export const MIME_TYPES = {
+    csv: 'text/csv',
+    json: 'application/json',
+};
+
+// Function to offer text content to the user as a file download
+export const downloadTextFile = (fileName, content, mimeType = 'text/plain') => {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+// Function to read an uploaded File as text
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+});
+
+// Function to build a dated file name such as "students-2024-09-02.csv"
+export const datedFileName = (baseName, extension) => `${baseName}-${new Date().toISOString().slice(0, 10)}.${extension}`;
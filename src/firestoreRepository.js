@@ -0,0 +1,6 @@
+import * as firestore from 'firebase/firestore';
+import { createRepository } from './repository';
+
+// Function to create a repository backed by Cloud Firestore (see repository.js). It is kept apart from the other
+// repositories so that only this module pulls in the Firestore SDK.
+export const createFirestoreRepository = (db, appId) => createRepository(firestore, db, { appId, remote: true });
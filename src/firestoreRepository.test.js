@@ -0,0 +1,150 @@
+/**
+ * @jest-environment node
+ */
+import { describeWithEmulator, TEST_ENVIRONMENT } from './emulatorTesting';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { disableNetwork, enableNetwork, waitForPendingWrites } from 'firebase/firestore';
+import { createClassRecord } from './classes';
+import { createFirestoreRepository } from './firestoreRepository';
+import { prepareStateSave } from './stateMerge';
+
+// Saving a class's state through Cloud Firestore from two clients at once, against the Firestore emulator with the
+// app's security rules: online saves run in a transaction, offline saves are queued, and the rules decide who may
+// save. These only run with the emulator (`npm run test:emulators`, see emulatorTesting.js).
+
+const APP_ID = 'test-app';
+const CLASS_REF = { ownerId: 'teacher', classId: 'class-1' };
+
+const INITIAL_STATE = {
+    version: 1,
+    students: [{ id: 1, name: 'Ava' }, { id: 2, name: 'Ben' }],
+    jobs: [{ title: 'Line Leader', headcount: 1 }],
+    assignmentStrategy: 'avoidRecent',
+};
+
+// Helper function to save an edit made from `base` the way the app does, as the user `userId`
+const saveEdit = (repository, base, edit, userId) => repository.saveState(
+    CLASS_REF,
+    (stored) => prepareStateSave(stored, { ...base, ...edit }, base, userId)
+);
+
+// Helper function to follow a class's state until it matches `isReady`, so the client has it cached.
+// Resolves to the function that stops following it.
+const followStateUntil = (repository, isReady) => new Promise((resolve) => {
+    const unsubscribe = repository.subscribeState(CLASS_REF, (state) => {
+        if (state && isReady(state)) resolve(unsubscribe);
+    });
+});
+
+describeWithEmulator('saving state from two clients through Firestore', () => {
+    let testEnv;
+    let ownerDb;
+    let owner;
+    let coTeacher;
+
+    jest.setTimeout(20000);
+
+    beforeAll(async () => {
+        testEnv = await initializeTestEnvironment(TEST_ENVIRONMENT);
+    });
+
+    afterAll(() => testEnv?.cleanup());
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        // The owner's class, shared with an editor and a viewer
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const repository = createFirestoreRepository(context.firestore(), APP_ID);
+            await repository.setClass(CLASS_REF.ownerId, CLASS_REF.classId, {
+                ...createClassRecord('Room 4'),
+                members: {
+                    assistant: { role: 'editor', email: 'assistant@example.com' },
+                    visitor: { role: 'viewer', email: 'visitor@example.com' },
+                },
+            });
+            await repository.createState(CLASS_REF, INITIAL_STATE);
+        });
+        ownerDb = testEnv.authenticatedContext('teacher').firestore();
+        owner = createFirestoreRepository(ownerDb, APP_ID);
+        coTeacher = createFirestoreRepository(testEnv.authenticatedContext('assistant').firestore(), APP_ID);
+    });
+
+    afterEach(() => {
+        delete global.navigator;
+    });
+
+    test('a save made from an old version merges in the other client\'s changes', async () => {
+        await saveEdit(owner, INITIAL_STATE, { jobs: [...INITIAL_STATE.jobs, { title: 'Librarian', headcount: 1 }] }, 'teacher');
+        const outcome = await saveEdit(coTeacher, INITIAL_STATE, { students: [{ id: 1, name: 'Ava B.' }, { id: 2, name: 'Ben' }] }, 'assistant');
+        expect(outcome.merged).toBe(true);
+        const { state } = await owner.loadClassData(CLASS_REF);
+        expect(state.version).toBe(3);
+        expect(state.jobs.map(job => job.title)).toEqual(['Line Leader', 'Librarian']);
+        expect(state.students[0].name).toBe('Ava B.');
+        expect(state.updatedBy).toBe('assistant');
+    });
+
+    test('a clashing save is refused and leaves the stored state alone', async () => {
+        await saveEdit(owner, INITIAL_STATE, { assignmentStrategy: 'roundRobin' }, 'teacher');
+        const outcome = await saveEdit(coTeacher, INITIAL_STATE, { assignmentStrategy: 'optimal' }, 'assistant');
+        expect(outcome.state).toBeUndefined();
+        expect(outcome.conflict.conflicts).toEqual([{ field: 'assignmentStrategy', keys: [] }]);
+        const { state } = await coTeacher.loadClassData(CLASS_REF);
+        expect(state).toMatchObject({ version: 2, assignmentStrategy: 'roundRobin', updatedBy: 'teacher' });
+    });
+
+    test('saves made at the same time are both written, one version after the other', async () => {
+        const outcomes = await Promise.all([
+            saveEdit(owner, INITIAL_STATE, { jobs: [...INITIAL_STATE.jobs, { title: 'Librarian', headcount: 1 }] }, 'teacher'),
+            saveEdit(coTeacher, INITIAL_STATE, { assignmentStrategy: 'optimal' }, 'assistant'),
+        ]);
+        // The transaction that lost the race ran again over the other's save and merged it in
+        expect(outcomes.map(outcome => outcome.merged).sort()).toEqual([false, true]);
+        const { state } = await owner.loadClassData(CLASS_REF);
+        expect(state.version).toBe(3);
+        expect(state.jobs).toHaveLength(2);
+        expect(state.assignmentStrategy).toBe('optimal');
+    });
+
+    test('a save made offline is queued and reaches the other client once back online', async () => {
+        const stopFollowing = await followStateUntil(owner, state => state.version === 1);
+        await disableNetwork(ownerDb);
+        global.navigator = { onLine: false };
+
+        const outcome = await saveEdit(owner, INITIAL_STATE, { assignmentStrategy: 'optimal' }, 'teacher');
+        expect(outcome.state).toMatchObject({ version: 2, assignmentStrategy: 'optimal' });
+        expect((await coTeacher.loadClassData(CLASS_REF)).state.version).toBe(1);
+
+        delete global.navigator;
+        await enableNetwork(ownerDb);
+        await waitForPendingWrites(ownerDb);
+        stopFollowing();
+        expect((await coTeacher.loadClassData(CLASS_REF)).state).toMatchObject({ version: 2, assignmentStrategy: 'optimal' });
+    });
+
+    test('a save made offline is checked against the last state the client saw', async () => {
+        await saveEdit(coTeacher, INITIAL_STATE, { assignmentStrategy: 'roundRobin' }, 'assistant');
+        const stopFollowing = await followStateUntil(owner, state => state.version === 2);
+        await disableNetwork(ownerDb);
+        global.navigator = { onLine: false };
+
+        const outcome = await saveEdit(owner, INITIAL_STATE, { assignmentStrategy: 'optimal' }, 'teacher');
+        expect(outcome.conflict.latest).toMatchObject({ version: 2, assignmentStrategy: 'roundRobin' });
+
+        delete global.navigator;
+        await enableNetwork(ownerDb);
+        stopFollowing();
+    });
+
+    test('the security rules refuse saves from a viewer and from someone outside the class', async () => {
+        const viewer = createFirestoreRepository(testEnv.authenticatedContext('visitor').firestore(), APP_ID);
+        const stranger = createFirestoreRepository(testEnv.authenticatedContext('stranger').firestore(), APP_ID);
+        await expect(saveEdit(viewer, INITIAL_STATE, { assignmentStrategy: 'optimal' }, 'visitor'))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(saveEdit(stranger, INITIAL_STATE, { assignmentStrategy: 'optimal' }, 'stranger'))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+        // The viewer can still read the class, which neither save changed
+        const { state } = await viewer.loadClassData(CLASS_REF);
+        expect(state).toMatchObject({ version: 1, assignmentStrategy: 'avoidRecent' });
+    });
+});
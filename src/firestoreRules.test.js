@@ -0,0 +1,151 @@
+/**
+ * @jest-environment node
+ */
+import { describeWithEmulator, TEST_ENVIRONMENT } from './emulatorTesting';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { collection, deleteDoc, deleteField, doc, getDoc, getDocs, setDoc, updateDoc } from 'firebase/firestore';
+import { createClassRecord, getClassDataPath, getClassesPath, getInviteId, getInvitesPath } from './classes';
+import { createFirestoreRepository } from './firestoreRepository';
+
+// The security rules in firestore.rules, against the Firestore emulator: who may read and write a shared class,
+// and how invitations are accepted, declined and classes left. These only run with the emulator
+// (`npm run test:emulators`, see emulatorTesting.js).
+
+const APP_ID = 'test-app';
+const OWNER = 'teacher';
+const CLASS_ID = 'class-1';
+const MEMBERS = {
+    assistant: { role: 'editor', email: 'assistant@example.com' },
+    visitor: { role: 'viewer', email: 'visitor@example.com' },
+};
+// An invitation to join the class as a viewer, sent to a teacher who isn't a member yet
+const INVITE = {
+    ownerId: OWNER,
+    classId: CLASS_ID,
+    email: 'newcomer@example.com',
+    role: 'viewer',
+    className: 'Room 4',
+    ownerEmail: 'teacher@example.com',
+};
+const INVITE_ID = getInviteId(OWNER, CLASS_ID, INVITE.email);
+
+const CLASS_PATH = `${getClassesPath(APP_ID, OWNER)}/${CLASS_ID}`;
+const STATE_PATH = `${getClassDataPath(APP_ID, OWNER, CLASS_ID)}/state`;
+const WEEKS_PATH = `${STATE_PATH}/weeks`;
+const INVITE_PATH = `${getInvitesPath(APP_ID)}/${INVITE_ID}`;
+
+describeWithEmulator('firestore.rules', () => {
+    let testEnv;
+
+    // Helper function to get the Firestore client of a signed-in teacher, with a verified email if given
+    const clientFor = (userId, email = null) => testEnv
+        .authenticatedContext(userId, email ? { email, email_verified: true } : {})
+        .firestore();
+
+    jest.setTimeout(20000);
+
+    beforeAll(async () => {
+        testEnv = await initializeTestEnvironment(TEST_ENVIRONMENT);
+    });
+
+    afterAll(() => testEnv?.cleanup());
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await setDoc(doc(db, CLASS_PATH), { ...createClassRecord('Room 4'), members: MEMBERS });
+            await setDoc(doc(db, STATE_PATH), { version: 1, students: [], jobs: [] });
+            await setDoc(doc(db, WEEKS_PATH, 'w1'), { createdAt: '2026-10-12T08:00:00.000Z', assignments: {} });
+            await setDoc(doc(db, INVITE_PATH), INVITE);
+        });
+    });
+
+    describe('writing a class', () => {
+        test('the owner and an editor may save its state and weeks, a viewer may only read them', async () => {
+            await assertSucceeds(updateDoc(doc(clientFor(OWNER), STATE_PATH), { version: 2 }));
+            await assertSucceeds(updateDoc(doc(clientFor('assistant'), STATE_PATH), { version: 3 }));
+            await assertSucceeds(setDoc(doc(clientFor('assistant'), WEEKS_PATH, 'w2'), { createdAt: '2026-10-19T08:00:00.000Z' }));
+
+            const viewerDb = clientFor('visitor');
+            await assertFails(updateDoc(doc(viewerDb, STATE_PATH), { version: 4 }));
+            await assertFails(setDoc(doc(viewerDb, WEEKS_PATH, 'w3'), { createdAt: '2026-10-26T08:00:00.000Z' }));
+            await assertSucceeds(getDoc(doc(viewerDb, STATE_PATH)));
+            await assertSucceeds(getDocs(collection(viewerDb, WEEKS_PATH)));
+        });
+
+        test('only the owner may rename the class or change who is in it', async () => {
+            await assertSucceeds(updateDoc(doc(clientFor(OWNER), CLASS_PATH), { name: 'Room 5' }));
+            await assertFails(updateDoc(doc(clientFor('assistant'), CLASS_PATH), { name: 'Room 6' }));
+            await assertFails(updateDoc(doc(clientFor('assistant'), CLASS_PATH), { 'members.visitor.role': 'editor' }));
+            await assertFails(updateDoc(doc(clientFor('visitor'), CLASS_PATH), { 'members.visitor.role': 'editor' }));
+            await assertFails(deleteDoc(doc(clientFor('assistant'), CLASS_PATH)));
+            await assertSucceeds(updateDoc(doc(clientFor(OWNER), CLASS_PATH), { 'members.visitor': deleteField() }));
+        });
+    });
+
+    describe('invitations', () => {
+        test('the invited teacher may accept with the role they were given', async () => {
+            const repository = createFirestoreRepository(clientFor('newcomer', INVITE.email), APP_ID);
+            await assertSucceeds(repository.acceptInvite('newcomer', { id: INVITE_ID, ...INVITE }));
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                const classSnap = await getDoc(doc(context.firestore(), CLASS_PATH));
+                expect(classSnap.data().members.newcomer).toEqual({ role: 'viewer', email: INVITE.email });
+                expect((await getDoc(doc(context.firestore(), INVITE_PATH))).exists()).toBe(false);
+            });
+            await assertSucceeds(getDoc(doc(clientFor('newcomer', INVITE.email), STATE_PATH)));
+        });
+
+        test('accepting is refused with another role, an unverified email or without an invitation', async () => {
+            const classDoc = (db) => doc(db, CLASS_PATH);
+            await assertFails(updateDoc(classDoc(clientFor('newcomer', INVITE.email)), {
+                'members.newcomer': { role: 'editor', email: INVITE.email },
+            }));
+            const unverified = testEnv.authenticatedContext('newcomer', { email: INVITE.email, email_verified: false }).firestore();
+            await assertFails(updateDoc(classDoc(unverified), { 'members.newcomer': { role: 'viewer', email: INVITE.email } }));
+            await assertFails(updateDoc(classDoc(clientFor('stranger', 'stranger@example.com')), {
+                'members.stranger': { role: 'viewer', email: 'stranger@example.com' },
+            }));
+        });
+
+        test('the invited teacher or the owner may decline or withdraw it, nobody else', async () => {
+            await assertFails(deleteDoc(doc(clientFor('stranger', 'stranger@example.com'), INVITE_PATH)));
+            await assertFails(getDoc(doc(clientFor('stranger', 'stranger@example.com'), INVITE_PATH)));
+            await assertSucceeds(getDoc(doc(clientFor(OWNER), INVITE_PATH)));
+            const repository = createFirestoreRepository(clientFor('newcomer', INVITE.email), APP_ID);
+            await assertSucceeds(repository.deleteInvite(INVITE_ID));
+            // Declining doesn't make them a member
+            await assertFails(getDoc(doc(clientFor('newcomer', INVITE.email), STATE_PATH)));
+        });
+
+        test('only the owner of a class may invite teachers to it', async () => {
+            const invite = { ...INVITE, email: 'other@example.com' };
+            const inviteId = getInviteId(OWNER, CLASS_ID, invite.email);
+            await assertFails(setDoc(doc(clientFor('assistant'), getInvitesPath(APP_ID), inviteId), invite));
+            await assertSucceeds(setDoc(doc(clientFor(OWNER), getInvitesPath(APP_ID), inviteId), invite));
+        });
+    });
+
+    describe('leaving a class', () => {
+        test('a member may remove themselves, but nobody else', async () => {
+            await assertFails(updateDoc(doc(clientFor('visitor'), CLASS_PATH), { 'members.assistant': deleteField() }));
+            await assertSucceeds(updateDoc(doc(clientFor('visitor'), CLASS_PATH), { 'members.visitor': deleteField() }));
+            // Having left, they can no longer read the class
+            await assertFails(getDoc(doc(clientFor('visitor'), STATE_PATH)));
+            await assertFails(getDoc(doc(clientFor('visitor'), CLASS_PATH)));
+        });
+    });
+
+    describe('reading a class', () => {
+        test('a teacher outside the class, or nobody signed in, may not read any of it', async () => {
+            const strangerDb = clientFor('stranger', 'stranger@example.com');
+            const signedOutDb = testEnv.unauthenticatedContext().firestore();
+            for (const db of [strangerDb, signedOutDb]) {
+                await assertFails(getDoc(doc(db, CLASS_PATH)));
+                await assertFails(getDoc(doc(db, STATE_PATH)));
+                await assertFails(getDocs(collection(db, WEEKS_PATH)));
+                await assertFails(setDoc(doc(db, STATE_PATH), { version: 9 }));
+            }
+        });
+    });
+});
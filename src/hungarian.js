@@ -0,0 +1,74 @@
+// Hungarian algorithm (Kuhn-Munkres) for the minimum-cost assignment problem.
+// Used by the assignment engine to solve a whole week as one matching problem.
+
+// Function to find the cheapest one-to-one assignment of rows to columns.
+// Takes a cost matrix (array of rows, each an array of numbers) that may be rectangular.
+// Returns an array where entry i is the column assigned to row i, or -1 if row i was left out.
+export const solveAssignment = (costMatrix) => {
+    const rowCount = costMatrix.length;
+    const columnCount = rowCount > 0 ? costMatrix[0].length : 0;
+    if (rowCount === 0 || columnCount === 0) {
+        return Array(rowCount).fill(-1);
+    }
+
+    // Pad to a square matrix with zero-cost dummy rows/columns
+    const size = Math.max(rowCount, columnCount);
+    const cost = (row, column) => (row < rowCount && column < columnCount ? costMatrix[row][column] : 0);
+
+    // Potentials and matching use 1-based indices, with index 0 as a sentinel
+    const rowPotential = Array(size + 1).fill(0);
+    const columnPotential = Array(size + 1).fill(0);
+    const columnMatch = Array(size + 1).fill(0); // Row matched to each column
+    const way = Array(size + 1).fill(0);
+
+    for (let row = 1; row <= size; row++) {
+        columnMatch[0] = row;
+        let column = 0;
+        const minSlack = Array(size + 1).fill(Infinity);
+        const used = Array(size + 1).fill(false);
+        // Grow an alternating path until it reaches a free column
+        do {
+            used[column] = true;
+            const currentRow = columnMatch[column];
+            let delta = Infinity;
+            let nextColumn = 0;
+            for (let candidate = 1; candidate <= size; candidate++) {
+                if (used[candidate]) continue;
+                const slack = cost(currentRow - 1, candidate - 1) - rowPotential[currentRow] - columnPotential[candidate];
+                if (slack < minSlack[candidate]) {
+                    minSlack[candidate] = slack;
+                    way[candidate] = column;
+                }
+                if (minSlack[candidate] < delta) {
+                    delta = minSlack[candidate];
+                    nextColumn = candidate;
+                }
+            }
+            for (let candidate = 0; candidate <= size; candidate++) {
+                if (used[candidate]) {
+                    rowPotential[columnMatch[candidate]] += delta;
+                    columnPotential[candidate] -= delta;
+                } else {
+                    minSlack[candidate] -= delta;
+                }
+            }
+            column = nextColumn;
+        } while (columnMatch[column] !== 0);
+        // Flip the matching along the path
+        do {
+            const previousColumn = way[column];
+            columnMatch[column] = columnMatch[previousColumn];
+            column = previousColumn;
+        } while (column !== 0);
+    }
+
+    // Translate the column matching back into a row -> column result, dropping dummies
+    const result = Array(rowCount).fill(-1);
+    for (let column = 1; column <= columnCount; column++) {
+        const row = columnMatch[column] - 1;
+        if (row >= 0 && row < rowCount) {
+            result[row] = column - 1;
+        }
+    }
+    return result;
+};
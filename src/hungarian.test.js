@@ -0,0 +1,77 @@
+import { solveAssignment } from './hungarian';
+
+// The solver behind the optimal strategy: it must find the cheapest matching, whatever the shape of the matrix.
+
+// Helper function to add up the cost of a solution, skipping rows that were left out
+const totalCost = (costMatrix, solution) => solution
+    .reduce((total, column, row) => (column === -1 ? total : total + costMatrix[row][column]), 0);
+
+// Helper function to find the cheapest cost by trying every matching (for checking small matrices)
+const bruteForceCost = (costMatrix, row = 0, usedColumns = new Set()) => {
+    if (row === costMatrix.length) return 0;
+    const columnCount = costMatrix[0].length;
+    // A row may only be left out when there are more rows than columns
+    let best = costMatrix.length - row > columnCount - usedColumns.size
+        ? bruteForceCost(costMatrix, row + 1, usedColumns)
+        : Infinity;
+    for (let column = 0; column < columnCount; column++) {
+        if (usedColumns.has(column)) continue;
+        const cost = costMatrix[row][column] + bruteForceCost(costMatrix, row + 1, new Set([...usedColumns, column]));
+        best = Math.min(best, cost);
+    }
+    return best;
+};
+
+describe('solveAssignment', () => {
+    test('finds the cheapest matching of a square matrix', () => {
+        const costMatrix = [
+            [4, 1, 3],
+            [2, 0, 5],
+            [3, 2, 2],
+        ];
+        const solution = solveAssignment(costMatrix);
+        expect(solution).toEqual([1, 0, 2]);
+        expect(totalCost(costMatrix, solution)).toBe(5);
+    });
+
+    test('gives every row a column when there are more columns than rows', () => {
+        const costMatrix = [
+            [9, 2, 7, 8],
+            [6, 4, 3, 7],
+        ];
+        const solution = solveAssignment(costMatrix);
+        expect(solution).toEqual([1, 2]);
+        expect(totalCost(costMatrix, solution)).toBe(bruteForceCost(costMatrix));
+    });
+
+    test('leaves out the rows that would cost most when there are more rows than columns', () => {
+        const costMatrix = [
+            [5, 9],
+            [1, 8],
+            [7, 2],
+        ];
+        const solution = solveAssignment(costMatrix);
+        expect(solution).toEqual([-1, 0, 1]);
+        expect(totalCost(costMatrix, solution)).toBe(3);
+    });
+
+    test('matches the cheapest cost found by trying every matching, including negative costs', () => {
+        const costMatrices = [
+            [[3, -2, 7, 1], [0, 4, -1, 6], [5, 5, 2, -3], [8, 1, 0, 2]],
+            [[10, 3, 6], [4, 4, 9], [7, 1, 2], [2, 8, 5], [6, 0, 3]],
+            [[1, 1, 1], [1, 1, 1]],
+        ];
+        costMatrices.forEach(costMatrix => {
+            const solution = solveAssignment(costMatrix);
+            const columns = solution.filter(column => column !== -1);
+            expect(new Set(columns).size).toBe(columns.length);
+            expect(columns).toHaveLength(Math.min(costMatrix.length, costMatrix[0].length));
+            expect(totalCost(costMatrix, solution)).toBe(bruteForceCost(costMatrix));
+        });
+    });
+
+    test('leaves every row out of an empty problem', () => {
+        expect(solveAssignment([])).toEqual([]);
+        expect(solveAssignment([[], []])).toEqual([-1, -1]);
+    });
+});
@@ -0,0 +1,168 @@
+// Helpers for the job list.
+// Each job is an object: { title, description, icon, category, weight, headcount, eligibleStudents,
+// ineligibleStudents, pinnedStudents }. The title identifies the job (assignments and job history store titles),
+// so titles are unique. Student lists hold student IDs: an empty `eligibleStudents` list means everyone is eligible.
+// `icon` is an emoji chosen by the teacher (empty to pick one from the title) and `weight` the job's workload.
+
+// Job categories, for grouping and describing jobs
+export const JOB_CATEGORIES = {
+    classroom: 'Classroom',
+    line: 'Line',
+    tech: 'Tech',
+    cleaning: 'Cleaning',
+    materials: 'Materials',
+    care: 'Plants & pets',
+    messages: 'Messages & greeting',
+    other: 'Other',
+};
+export const DEFAULT_JOB_CATEGORY = 'classroom';
+
+// Workload weights: how much effort a job takes. The assignment engine balances them across each student's draws
+export const JOB_WEIGHTS = {
+    1: 'Light',
+    2: 'Medium',
+    3: 'Heavy',
+};
+export const DEFAULT_JOB_WEIGHT = 2;
+export const HEAVY_JOB_WEIGHT = 3;
+
+// Job history entry for a week a student took part in the draw but had no job (absent, or more students than
+// places), so each student's history has one entry per draw
+export const NO_JOB = null;
+
+// Helper function to keep a weight within JOB_WEIGHTS
+const toJobWeight = (weight) => {
+    const rounded = Math.round(Number(weight));
+    return JOB_WEIGHTS[rounded] ? rounded : DEFAULT_JOB_WEIGHT;
+};
+
+// Function to create a job record
+export const createJob = (title, {
+    description = '',
+    icon = '',
+    category = DEFAULT_JOB_CATEGORY,
+    weight = DEFAULT_JOB_WEIGHT,
+    headcount = 1,
+    eligibleStudents = [],
+    ineligibleStudents = [],
+    pinnedStudents = [],
+} = {}) => ({
+    title: title.trim(),
+    description: typeof description === 'string' ? description.trim() : '',
+    icon: typeof icon === 'string' ? icon.trim() : '',
+    category: JOB_CATEGORIES[category] ? category : DEFAULT_JOB_CATEGORY,
+    weight: toJobWeight(weight),
+    headcount: Math.max(1, Math.floor(headcount) || 1),
+    eligibleStudents,
+    ineligibleStudents,
+    pinnedStudents,
+});
+
+// Helper function to keep only student IDs from a stored list
+const toStudentIds = (list) => (Array.isArray(list) ? list.filter(Number.isInteger) : []);
+
+// Function to migrate a stored job list to job objects.
+// Older documents stored plain job title strings, which become single-student jobs with no constraints.
+// Returns the normalized list and whether anything had to change.
+export const normalizeJobs = (jobs = []) => {
+    let migrated = false;
+    const seenTitles = new Set();
+    const normalized = jobs
+        .map(job => {
+            if (typeof job === 'string') {
+                migrated = true;
+                return createJob(job);
+            }
+            if (!job || typeof job.title !== 'string') {
+                migrated = true;
+                return null; // Drop unreadable entries
+            }
+            const normalizedJob = {
+                ...job,
+                ...createJob(job.title, {
+                    description: job.description,
+                    icon: job.icon,
+                    category: job.category,
+                    weight: job.weight,
+                    headcount: job.headcount,
+                    eligibleStudents: toStudentIds(job.eligibleStudents),
+                    ineligibleStudents: toStudentIds(job.ineligibleStudents),
+                    pinnedStudents: toStudentIds(job.pinnedStudents),
+                }),
+            };
+            if (JSON.stringify(normalizedJob) !== JSON.stringify(job)) {
+                migrated = true;
+            }
+            return normalizedJob;
+        })
+        .filter(job => {
+            if (!job || !job.title || seenTitles.has(job.title)) {
+                migrated = migrated || Boolean(job);
+                return false;
+            }
+            seenTitles.add(job.title);
+            return true;
+        });
+    return { jobs: normalized, migrated };
+};
+
+// Function to get the titles of a job list, in order
+export const getJobTitles = (jobs) => jobs.map(job => job.title);
+
+// Function to get the jobs a student actually held from their job history, leaving out weeks without a job
+export const getHeldJobs = (history) => history.filter(title => title !== NO_JOB);
+
+// Function to describe a job history entry, e.g. for a list of past jobs
+export const describeHistoryEntry = (title) => (title === NO_JOB ? 'No job' : title);
+
+// Function to get a job's workload weight (jobs missing from the list, e.g. removed ones, count as medium)
+export const getJobWeight = (job) => (job ? toJobWeight(job.weight) : DEFAULT_JOB_WEIGHT);
+
+// Function to move the job at `index` up (offset -1) or down (offset 1) the list
+export const moveJob = (jobs, index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= jobs.length) {
+        return jobs;
+    }
+    const reordered = [...jobs];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    return reordered;
+};
+
+// Function to count how many students a job list needs in total
+export const countJobSeats = (jobs) => jobs.reduce((total, job) => total + job.headcount, 0);
+
+// Function to check whether a student may hold a job
+export const isEligibleForJob = (job, studentId) => (
+    (job.eligibleStudents.length === 0 || job.eligibleStudents.includes(studentId))
+    && !job.ineligibleStudents.includes(studentId)
+);
+
+// Function to remove a student from every job's eligibility and pin lists (used when a student is deleted)
+export const removeStudentFromJobs = (jobs, studentId) => jobs.map(job => ({
+    ...job,
+    eligibleStudents: job.eligibleStudents.filter(id => id !== studentId),
+    ineligibleStudents: job.ineligibleStudents.filter(id => id !== studentId),
+    pinnedStudents: job.pinnedStudents.filter(id => id !== studentId),
+}));
+
+// Icons for common jobs, matched against words in the job title (the first match wins)
+const JOB_ICON_KEYWORDS = [
+    ['line leader', '🚶'], ['door', '🚪'], ['caboose', '🚃'], ['calendar', '📅'], ['weather', '⛅'],
+    ['pencil', '✏️'], ['snack', '🍎'], ['lunch', '🍱'], ['table', '🧽'], ['librar', '📚'], ['book', '📚'],
+    ['supply', '📦'], ['chair', '🪑'], ['plant', '🪴'], ['pet', '🐾'], ['board', '🧹'], ['clean', '🧹'],
+    ['technology', '💻'], ['computer', '💻'], ['recycl', '♻️'], ['paper', '📄'], ['greet', '👋'],
+    ['messenger', '✉️'], ['quiet', '🤫'], ['time', '⏰'], ['flag', '🚩'], ['light', '💡'],
+];
+// Icon for jobs that match none of the keywords
+const DEFAULT_JOB_ICON = '⭐';
+
+// Function to get the icon shown next to a job: the one chosen for it, or one picked from its title
+export const getJobIcon = (job) => {
+    if (job.icon) {
+        return job.icon;
+    }
+    const title = job.title.toLowerCase();
+    const match = JOB_ICON_KEYWORDS.find(([keyword]) => title.includes(keyword));
+    return match ? match[1] : DEFAULT_JOB_ICON;
+};
@@ -0,0 +1,328 @@
+// Local stand-in for Firestore, used when the app runs without a Firebase project.
+// It offers the same functions the app calls from 'firebase/firestore' (doc, collection, query, onSnapshot, getDoc,
+// setDoc, updateDoc, deleteDoc, writeBatch, runTransaction, ...), so the app code is the same either way.
+// Documents are kept in memory, keyed by their path, and saved to IndexedDB so they survive reloads.
+// Other tabs of the same browser are told about every write, so their listeners stay up to date.
+// Only the parts of the Firestore API the app uses are supported.
+
+// Names of the IndexedDB database and object store holding the documents ({ path, data } records)
+const DATABASE_NAME = 'jobAssigner';
+const STORE_NAME = 'documents';
+// Name of the channel tabs use to tell each other about writes
+const CHANNEL_NAME = 'jobAssigner.localStore';
+
+// Sentinel value that removes a field in setDoc/updateDoc, like Firestore's deleteField()
+const DELETE_FIELD = { localStoreSentinel: 'deleteField' };
+
+// Error with a Firestore-style `code`, so callers can handle both stores alike
+class LocalStoreError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'LocalStoreError';
+        this.code = code;
+    }
+}
+
+// Helper function to copy stored data, so callers never share objects with the store
+const copyData = (data) => JSON.parse(JSON.stringify(data));
+
+// Helper function to join path segments, ignoring empty ones and stray slashes
+const joinPath = (...segments) => segments.flatMap(segment => String(segment).split('/')).filter(Boolean).join('/');
+
+// Helper function to get the collection path a document path belongs to
+const getParentPath = (path) => path.slice(0, path.lastIndexOf('/'));
+
+// Helper function to get the last segment of a path
+const getLastSegment = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+// Helper function to make a random document ID, like Firestore's auto IDs
+const createId = () => {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    return Array.from({ length: 20 }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
+};
+
+// Helper function to wrap an IndexedDB request in a promise
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Helper function to open the IndexedDB database (resolves to null where IndexedDB isn't available)
+const openDatabase = async () => {
+    if (typeof indexedDB === 'undefined') {
+        return null;
+    }
+    const request = indexedDB.open(DATABASE_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'path' });
+    return requestToPromise(request);
+};
+
+// Function to create a local store. With `persist` false (or where IndexedDB isn't available) documents are
+// only kept in memory, which is what tests want.
+export const getLocalStore = ({ persist = true } = {}) => {
+    const store = {
+        documents: new Map(), // Document path -> data
+        listeners: new Set(), // Active onSnapshot listeners ({ matches, notify })
+        database: null,
+        channel: null,
+        ready: null, // Resolves once saved documents are loaded
+        lastTransaction: Promise.resolve(), // Transactions run one after another
+    };
+    store.ready = (async () => {
+        if (!persist) return;
+        try {
+            store.database = await openDatabase();
+            if (store.database) {
+                const records = await requestToPromise(
+                    store.database.transaction(STORE_NAME).objectStore(STORE_NAME).getAll()
+                );
+                records.forEach(record => store.documents.set(record.path, record.data));
+            }
+        } catch (error) {
+            console.error("Local storage unavailable, keeping data in memory only:", error);
+            store.database = null;
+        }
+        if (typeof BroadcastChannel !== 'undefined') {
+            store.channel = new BroadcastChannel(CHANNEL_NAME);
+            store.channel.onmessage = ({ data: changes }) => applyChanges(store, changes, { fromOtherTab: true });
+        }
+    })();
+    return store;
+};
+
+// Helper function to apply a set of document changes ({ path, data }, with data null for a deletion):
+// update memory, save to IndexedDB, tell other tabs and notify the listeners they affect
+const applyChanges = (store, changes, { fromOtherTab = false } = {}) => {
+    changes.forEach(({ path, data }) => {
+        if (data === null) {
+            store.documents.delete(path);
+        } else {
+            store.documents.set(path, data);
+        }
+    });
+    if (!fromOtherTab) {
+        if (store.database) {
+            const transaction = store.database.transaction(STORE_NAME, 'readwrite');
+            transaction.onerror = () => console.error("Error saving to local storage:", transaction.error);
+            const objectStore = transaction.objectStore(STORE_NAME);
+            changes.forEach(({ path, data }) => (data === null ? objectStore.delete(path) : objectStore.put({ path, data })));
+        }
+        store.channel?.postMessage(changes);
+    }
+    store.listeners.forEach(listener => {
+        if (changes.some(change => listener.matches(change.path))) {
+            listener.notify();
+        }
+    });
+};
+
+// Function to get a reference to a collection: collection(store, path, ...segments)
+export const collection = (store, ...segments) => ({ type: 'collection', store, path: joinPath(...segments) });
+
+// Function to get a reference to a document: doc(store, path, ...segments), or doc(collectionRef, id?)
+// (a new random ID when none is given)
+export const doc = (parent, ...segments) => {
+    const path = parent.type === 'collection'
+        ? joinPath(parent.path, segments.length > 0 ? joinPath(...segments) : createId())
+        : joinPath(...segments);
+    const store = parent.type === 'collection' ? parent.store : parent;
+    return { type: 'document', store, path, id: getLastSegment(path) };
+};
+
+// Functions to build queries, supporting equality filters and ordering like the app uses
+export const where = (field, op, value) => {
+    if (op !== '==') {
+        throw new LocalStoreError('invalid-argument', `Unsupported query operator: ${op}`);
+    }
+    return { type: 'where', field, value };
+};
+export const orderBy = (field, direction = 'asc') => ({ type: 'orderBy', field, direction });
+export const query = (ref, ...constraints) => ({ ...ref, constraints: [...(ref.constraints || []), ...constraints] });
+
+// Function returning the sentinel that removes a field
+export const deleteField = () => DELETE_FIELD;
+
+// Snapshot metadata: local writes are never waiting for a server, and local data is the real thing, not a cached copy
+const LOCAL_METADATA = { hasPendingWrites: false, fromCache: false };
+
+// Helper function to build a document snapshot
+const toDocumentSnapshot = (ref, data) => ({
+    id: ref.id,
+    ref,
+    exists: () => data !== undefined,
+    data: () => (data === undefined ? undefined : copyData(data)),
+    metadata: LOCAL_METADATA,
+});
+
+// Helper function to build a query snapshot for a collection or query
+const toQuerySnapshot = (ref) => {
+    const { store, path, constraints = [] } = ref;
+    let docs = [...store.documents.entries()]
+        .filter(([docPath]) => getParentPath(docPath) === path)
+        .map(([docPath, data]) => toDocumentSnapshot(doc(store, docPath), data));
+    constraints.filter(c => c.type === 'where').forEach(({ field, value }) => {
+        docs = docs.filter(docSnap => docSnap.data()[field] === value);
+    });
+    constraints.filter(c => c.type === 'orderBy').reverse().forEach(({ field, direction }) => {
+        const sign = direction === 'desc' ? -1 : 1;
+        docs = [...docs].sort((a, b) => {
+            const [valueA, valueB] = [a.data()[field], b.data()[field]];
+            if (valueA === valueB) return 0;
+            return (valueA < valueB ? -1 : 1) * sign;
+        });
+    });
+    return {
+        docs,
+        empty: docs.length === 0,
+        size: docs.length,
+        forEach: (callback) => docs.forEach(callback),
+        metadata: LOCAL_METADATA,
+    };
+};
+
+// Helper function to take a snapshot of whatever a reference points to
+const takeSnapshot = (ref) => (ref.type === 'document'
+    ? toDocumentSnapshot(ref, ref.store.documents.get(ref.path))
+    : toQuerySnapshot(ref));
+
+// Functions to read a document or a collection/query once
+export const getDoc = async (ref) => {
+    await ref.store.ready;
+    return takeSnapshot(ref);
+};
+export const getDocs = async (ref) => {
+    await ref.store.ready;
+    return takeSnapshot(ref);
+};
+// Local data is always at hand, so reading "from the cache" is the same as reading
+export const getDocFromCache = getDoc;
+export const getDocsFromCache = getDocs;
+
+// Function to listen to a document or a collection/query: onSnapshot(ref, [options,] onNext, onError).
+// The listener gets the current data once loaded, then again after every write that affects it.
+export const onSnapshot = (ref, ...args) => {
+    const [onNext, onError] = typeof args[0] === 'function' ? args : args.slice(1);
+    const { store } = ref;
+    let active = true;
+    const listener = {
+        matches: (path) => (ref.type === 'document' ? path === ref.path : getParentPath(path) === ref.path),
+        notify: () => {
+            if (!active) return;
+            try {
+                onNext(takeSnapshot(ref));
+            } catch (error) {
+                console.error("Error in local store listener:", error);
+            }
+        },
+    };
+    store.ready.then(() => {
+        if (!active) return;
+        store.listeners.add(listener);
+        listener.notify();
+    }).catch(error => onError?.(error));
+    return () => {
+        active = false;
+        store.listeners.delete(listener);
+    };
+};
+
+// Helper function to set a field by dotted path ("members.abc"), removing it for the delete sentinel
+const setFieldPath = (data, fieldPath, value) => {
+    const keys = fieldPath.split('.');
+    const lastKey = keys.pop();
+    let target = data;
+    keys.forEach(key => {
+        if (target[key] === null || typeof target[key] !== 'object') {
+            target[key] = {};
+        }
+        target = target[key];
+    });
+    if (value === DELETE_FIELD) {
+        delete target[lastKey];
+    } else {
+        target[lastKey] = copyData(value);
+    }
+};
+
+// Helper function to work out a document's data after a set (optionally merging) or an update.
+// `current` is the document's data (undefined if it doesn't exist).
+const writeData = (current, data, { update = false, merge = false } = {}) => {
+    if (update && current === undefined) {
+        throw new LocalStoreError('not-found', 'No document to update.');
+    }
+    const result = update || merge ? copyData(current || {}) : {};
+    Object.entries(data).forEach(([field, value]) => {
+        if (update) {
+            setFieldPath(result, field, value);
+        } else if (value === DELETE_FIELD) {
+            delete result[field];
+        } else {
+            result[field] = copyData(value);
+        }
+    });
+    return result;
+};
+
+// Function to create a batch of writes that are applied together by commit()
+export const writeBatch = (store) => {
+    const operations = []; // Functions from pending document data to { path, data }
+    const batch = {
+        set: (ref, data, options = {}) => {
+            operations.push((documents) => ({ path: ref.path, data: writeData(documents.get(ref.path), data, options) }));
+            return batch;
+        },
+        update: (ref, data) => {
+            operations.push((documents) => ({ path: ref.path, data: writeData(documents.get(ref.path), data, { update: true }) }));
+            return batch;
+        },
+        delete: (ref) => {
+            operations.push(() => ({ path: ref.path, data: null }));
+            return batch;
+        },
+        commit: async () => {
+            await store.ready;
+            // Work out every change before applying any, so a failed update leaves nothing half written
+            const pending = new Map(store.documents);
+            const changes = operations.map(operation => {
+                const change = operation(pending);
+                if (change.data === null) {
+                    pending.delete(change.path);
+                } else {
+                    pending.set(change.path, change.data);
+                }
+                return change;
+            });
+            applyChanges(store, changes);
+        },
+    };
+    return batch;
+};
+
+// Functions to write a single document
+export const setDoc = (ref, data, options) => writeBatch(ref.store).set(ref, data, options).commit();
+export const updateDoc = (ref, data) => writeBatch(ref.store).update(ref, data).commit();
+export const deleteDoc = (ref) => writeBatch(ref.store).delete(ref).commit();
+
+// Function to run reads and writes as one unit. Transactions in this tab run one at a time, so nothing else
+// written from here can change the data between the reads and the writes, which are applied together once
+// `updateFunction` resolves.
+export const runTransaction = (store, updateFunction) => {
+    const run = store.lastTransaction.then(async () => {
+        await store.ready;
+        const batch = writeBatch(store);
+        const transaction = {
+            get: async (ref) => takeSnapshot(ref),
+            set: (ref, data, options) => { batch.set(ref, data, options); return transaction; },
+            update: (ref, data) => { batch.update(ref, data); return transaction; },
+            delete: (ref) => { batch.delete(ref); return transaction; },
+        };
+        const result = await updateFunction(transaction);
+        await batch.commit();
+        return result;
+    });
+    store.lastTransaction = run.catch(() => {}); // A failed transaction doesn't hold up the next one
+    return run;
+};
+
+// Function that resolves once all writes have been saved. Local writes are never queued, so it resolves at once.
+export const waitForPendingWrites = async (store) => store.ready;
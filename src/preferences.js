@@ -0,0 +1,67 @@
+import { getJobTitles } from './jobs';
+
+// Student job preferences: the jobs a student would most like, ranked (favourites, which the assignment engine
+// leans towards when the draw is otherwise fair), and the jobs they must never get, e.g. "Plant Waterer" for a
+// student with a plant allergy (exclusions, which the engine never breaks). Kept in the state as
+// `studentPreferences`: { [studentId]: { favorites, exclusions } }, both lists of job titles.
+
+// Most favourites a student can rank
+export const MAX_FAVORITES = 3;
+
+// Preferences of a student who hasn't given any
+const NO_PREFERENCES = { favorites: [], exclusions: [] };
+
+// Function to get a student's preferences (empty lists if they have none)
+export const getStudentPreferences = (studentPreferences, studentId) => ({
+    ...NO_PREFERENCES,
+    ...studentPreferences?.[studentId],
+});
+
+// Function to set a student's preferences. Only jobs on the list are kept, a job the student must never get can't
+// also be a favourite, and a student left with no preferences is dropped.
+export const setStudentPreferences = (studentPreferences, studentId, { favorites, exclusions }, jobs) => {
+    const titles = getJobTitles(jobs);
+    const keptExclusions = [...new Set(exclusions)].filter(title => titles.includes(title));
+    const keptFavorites = [...new Set(favorites)]
+        .filter(title => titles.includes(title) && !keptExclusions.includes(title))
+        .slice(0, MAX_FAVORITES);
+    const updated = { ...studentPreferences };
+    if (keptFavorites.length === 0 && keptExclusions.length === 0) {
+        delete updated[studentId];
+    } else {
+        updated[studentId] = { favorites: keptFavorites, exclusions: keptExclusions };
+    }
+    return updated;
+};
+
+// Function to remove a job from every student's preferences (used when a job is deleted)
+export const removeJobFromPreferences = (studentPreferences, title) => Object.fromEntries(
+    Object.entries(studentPreferences)
+        .map(([studentId, preferences]) => [studentId, {
+            favorites: preferences.favorites.filter(favorite => favorite !== title),
+            exclusions: preferences.exclusions.filter(exclusion => exclusion !== title),
+        }])
+        .filter(([, preferences]) => preferences.favorites.length > 0 || preferences.exclusions.length > 0)
+);
+
+// Function to score how much a student wants a job: MAX_FAVORITES for their first favourite, one less for each
+// favourite after it, and 0 for jobs that aren't favourites
+export const getFavoriteScore = (preferences, title) => {
+    const rank = preferences.favorites.indexOf(title);
+    return rank === -1 ? 0 : MAX_FAVORITES - rank;
+};
+
+// Function to check whether a student must never get a job
+export const isExcludedJob = (preferences, title) => preferences.exclusions.includes(title);
+
+// Function to describe a student's preferences in a few words, e.g. "2 favourites, 1 never"
+export const describePreferences = (preferences) => {
+    const parts = [];
+    if (preferences.favorites.length > 0) {
+        parts.push(`${preferences.favorites.length} favourite${preferences.favorites.length === 1 ? '' : 's'}`);
+    }
+    if (preferences.exclusions.length > 0) {
+        parts.push(`${preferences.exclusions.length} never`);
+    }
+    return parts.length > 0 ? parts.join(', ') : 'Preferences';
+};
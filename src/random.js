@@ -0,0 +1,45 @@
+// Seedable random number helpers used by the assignment engine.
+// Every draw is made from a numeric seed so a week's assignments can be reproduced exactly.
+
+// Largest seed value (seeds are unsigned 32-bit integers)
+export const MAX_SEED = 0xFFFFFFFF;
+
+// Function to generate a fresh random seed for a new draw
+export const generateSeed = () => Math.floor(Math.random() * MAX_SEED);
+
+// Function to parse a user-entered seed, returning null if it isn't a valid seed
+export const parseSeed = (value) => {
+    const seed = Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+        return null;
+    }
+    return seed;
+};
+
+// Function to create a deterministic random number generator (mulberry32) from a seed.
+// The returned function behaves like Math.random, producing numbers in [0, 1).
+export const createRng = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Helper function to shuffle an array in place (Fisher-Yates shuffle algorithm)
+// Pass a seeded generator from createRng to make the shuffle reproducible.
+export const shuffleArray = (array, random = Math.random) => {
+    let currentIndex = array.length, randomIndex;
+    // While there remain elements to shuffle.
+    while (currentIndex !== 0) {
+        // Pick a remaining element.
+        randomIndex = Math.floor(random() * currentIndex);
+        currentIndex--;
+        // And swap it with the current element.
+        [array[currentIndex], array[randomIndex]] = [array[randomIndex], array[currentIndex]];
+    }
+    return array;
+};
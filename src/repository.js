@@ -0,0 +1,305 @@
+import {
+    getClassDataPath,
+    getClassesPath,
+    getInviteId,
+    getInvitesPath,
+    getSharedClassesPath,
+    getStudentViewsPath,
+} from './classes';
+import * as localStore from './localStore';
+import { diffFields } from './stateMerge';
+
+// Repository: every read and write of the app's data goes through one of these objects, so the app doesn't
+// depend on where the data lives. All implementations share the code below, written against the Firestore API;
+// they differ in the store behind it:
+// - createFirestoreRepository (firestoreRepository.js): Cloud Firestore, with offline queueing and sharing
+// - createLocalRepository: the local store, saved to IndexedDB in this browser
+// - createMemoryRepository: the local store kept in memory only (for tests; no Firebase SDK needed)
+//
+// A class's data is addressed by a class reference { ownerId, classId }. Subscriptions call `onNext` with the
+// current data and again on every change, call `onError` if listening fails, and return an unsubscribe function.
+
+// Function to check whether the browser thinks it is online
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine;
+
+// Helper function to turn a query snapshot into a list of { id, ...data } records
+const toRecords = (snapshot) => snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+
+// Function to create a repository over `api`, an object with the Firestore data functions (the
+// 'firebase/firestore' module or the local store), and `db`, the store to use with them.
+// `remote` marks a server-backed store: writes are queued while offline, pending writes can be followed,
+// and classes can be shared with other accounts.
+export const createRepository = (api, db, { appId, remote = false }) => {
+    const {
+        collection,
+        deleteDoc,
+        deleteField,
+        doc,
+        getDoc,
+        getDocFromCache,
+        getDocs,
+        onSnapshot,
+        orderBy,
+        query,
+        runTransaction,
+        setDoc,
+        updateDoc,
+        where,
+        writeBatch,
+    } = api;
+
+    // Helper function to wait for a write to be saved. Offline, Firestore applies a write to its cache at once but
+    // only resolves it once the server has it, so the write is left to sync in the background instead of holding
+    // up the app.
+    const settleWrite = (writePromise) => {
+        if (!remote || isOnline()) {
+            return writePromise;
+        }
+        writePromise.catch(error => console.error("Error syncing a queued write:", error));
+        return Promise.resolve();
+    };
+
+    // Helper functions to get the references behind a class reference
+    const classDataDoc = ({ ownerId, classId }, name) => doc(db, getClassDataPath(appId, ownerId, classId), name);
+    const weeksCollection = ({ ownerId, classId }) => collection(db, `${getClassDataPath(appId, ownerId, classId)}/state/weeks`);
+    const classDoc = (ownerId, classId) => doc(db, getClassesPath(appId, ownerId), classId);
+    const inviteDoc = (inviteId) => doc(db, getInvitesPath(appId), inviteId);
+    const studentViewDoc = (token) => doc(db, getStudentViewsPath(appId), token);
+
+    // Helper function to build an update from changed fields and the names of fields to remove
+    const toUpdate = (changes, removedFields = []) => ({
+        ...changes,
+        ...Object.fromEntries(removedFields.map(field => [field, deleteField()])),
+    });
+
+    // Helper function to subscribe to one document: onNext(data, { fromCache }), with data null if it doesn't exist.
+    // `fromCache` is true when an offline cache answered, so a missing document may still exist on the server.
+    const subscribeDocument = (ref, onNext, onError) => onSnapshot(ref, (docSnap) => {
+        onNext(docSnap.exists() ? docSnap.data() : null, { fromCache: docSnap.metadata.fromCache });
+    }, onError);
+
+    // Helper function to subscribe to a collection or query: onNext(records, { fromCache })
+    const subscribeRecords = (ref, onNext, onError) => onSnapshot(ref, (snapshot) => {
+        onNext(toRecords(snapshot), { fromCache: snapshot.metadata.fromCache });
+    }, onError);
+
+    // Helper function to read a document's data (null if it doesn't exist)
+    const readDocument = async (ref) => {
+        const docSnap = await getDoc(ref);
+        return docSnap.exists() ? docSnap.data() : null;
+    };
+
+    return {
+        remote,
+
+        // ----- A class's state, defaults and archived weeks -----
+
+        subscribeState: (classRef, onNext, onError) => subscribeDocument(classDataDoc(classRef, 'state'), onNext, onError),
+        subscribeDefaults: (classRef, onNext, onError) => subscribeDocument(classDataDoc(classRef, 'defaults'), onNext, onError),
+        // Archived weeks come oldest first, each as { id, ...weekRecord }
+        subscribeWeeks: (classRef, onNext, onError) => subscribeRecords(
+            query(weeksCollection(classRef), orderBy('createdAt')), onNext, onError
+        ),
+
+        // Function to follow whether a class's state, defaults or weeks have writes waiting to reach the server:
+        // onChange(true or false). Local stores never have any.
+        subscribePendingWrites: (classRef, onChange) => {
+            if (!remote) {
+                onChange(false);
+                return () => {};
+            }
+            const pending = {};
+            const refs = {
+                state: classDataDoc(classRef, 'state'),
+                defaults: classDataDoc(classRef, 'defaults'),
+                weeks: weeksCollection(classRef),
+            };
+            const unsubscribes = Object.entries(refs).map(([name, ref]) => onSnapshot(ref, { includeMetadataChanges: true }, (snapshot) => {
+                pending[name] = snapshot.metadata.hasPendingWrites;
+                onChange(Object.values(pending).some(Boolean));
+            }, (error) => {
+                console.error("Error following sync status:", error);
+            }));
+            return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+        },
+
+        // Function to read a class's state and defaults once, as { state, defaults } (null where missing)
+        loadClassData: async (classRef) => {
+            const [state, defaults] = await Promise.all([
+                readDocument(classDataDoc(classRef, 'state')),
+                readDocument(classDataDoc(classRef, 'defaults')),
+            ]);
+            return { state, defaults };
+        },
+
+        // Functions to write a class's documents: create (or overwrite) them, or change some fields
+        // and remove others (`removedFields`, e.g. when upgrading an old document)
+        createState: (classRef, state) => setDoc(classDataDoc(classRef, 'state'), state),
+        updateState: (classRef, changes, removedFields) => updateDoc(classDataDoc(classRef, 'state'), toUpdate(changes, removedFields)),
+        setDefaults: (classRef, defaults) => settleWrite(setDoc(classDataDoc(classRef, 'defaults'), defaults)),
+        updateDefaults: (classRef, changes, removedFields) => settleWrite(
+            updateDoc(classDataDoc(classRef, 'defaults'), toUpdate(changes, removedFields))
+        ),
+
+        // Function to save a class's state with a check against what is stored. `buildSave(stored)` gets the stored
+        // state (null if there is none) and returns { state } to save, or anything without `state` to save nothing.
+        // Only the fields that differ from the stored state are written. Its result is returned.
+        // Online this runs in a transaction; offline it checks against the cached copy and queues the write.
+        saveState: async (classRef, buildSave) => {
+            const ref = classDataDoc(classRef, 'state');
+            // Helper function to write the built state over the stored one with the given writer
+            const writeSave = (writer, stored, save) => {
+                if (!save.state) {
+                    return null;
+                }
+                if (!stored) {
+                    return writer.set(ref, save.state);
+                }
+                const { changed, removed } = diffFields(stored, save.state);
+                return writer.update(ref, toUpdate(
+                    Object.fromEntries(changed.map(field => [field, save.state[field]])),
+                    removed
+                ));
+            };
+            // Offline, transactions can't run, so the save is queued for Firestore to send once the connection returns
+            const saveToQueue = async () => {
+                const cached = await getDocFromCache(ref).catch(() => null);
+                const stored = cached?.exists() ? cached.data() : null;
+                const save = buildSave(stored);
+                writeSave({ set: setDoc, update: updateDoc }, stored, save)
+                    ?.catch(error => console.error("Error syncing queued save:", error));
+                return save;
+            };
+            if (remote && !isOnline()) {
+                return saveToQueue();
+            }
+            return runTransaction(db, async (transaction) => {
+                const docSnap = await transaction.get(ref);
+                const stored = docSnap.exists() ? docSnap.data() : null;
+                const save = buildSave(stored);
+                writeSave(transaction, stored, save);
+                return save;
+            }).catch(error => {
+                if (!remote || error.code !== 'unavailable') throw error;
+                return saveToQueue(); // The connection dropped during the save
+            });
+        },
+
+        // Function to get an ID for a new archived week
+        createWeekId: (classRef) => doc(weeksCollection(classRef)).id,
+        // Function to save an archived week under the given ID (replacing any week with that ID)
+        saveWeek: (classRef, weekId, weekRecord) => settleWrite(setDoc(doc(weeksCollection(classRef), weekId), weekRecord)),
+        // Function to replace all of a class's archived weeks with the given ones ({ id, ...weekRecord })
+        replaceWeeks: async (classRef, weeks) => {
+            const snapshot = await getDocs(weeksCollection(classRef));
+            const keptIds = new Set(weeks.map(week => week.id));
+            const batch = writeBatch(db);
+            snapshot.docs
+                .filter(weekDoc => !keptIds.has(weekDoc.id))
+                .forEach(weekDoc => batch.delete(weekDoc.ref));
+            weeks.forEach(({ id, ...weekRecord }) => batch.set(doc(weeksCollection(classRef), id), weekRecord));
+            await settleWrite(batch.commit());
+        },
+
+        // ----- A teacher's classes -----
+
+        // Function to follow a teacher's own classes, oldest first: onNext(classes, { fromCache })
+        subscribeClasses: (userId, onNext, onError) => subscribeRecords(
+            query(collection(db, getClassesPath(appId, userId)), orderBy('createdAt')), onNext, onError
+        ),
+        // Function to save a class record under a given ID (used for the first class, whose ID is fixed)
+        setClass: (userId, classId, classRecord) => setDoc(classDoc(userId, classId), classRecord),
+        // Function to create a class with its state and defaults in one write (resolves to the new class ID)
+        createClass: async (userId, classRecord, state, defaults) => {
+            const classDocRef = doc(collection(db, getClassesPath(appId, userId)));
+            const classRef = { ownerId: userId, classId: classDocRef.id };
+            const batch = writeBatch(db);
+            batch.set(classDataDoc(classRef, 'state'), state);
+            batch.set(classDataDoc(classRef, 'defaults'), defaults);
+            batch.set(classDocRef, classRecord);
+            await settleWrite(batch.commit());
+            return classDocRef.id;
+        },
+        // Function to change fields of a class record (e.g. its name or archived flag)
+        updateClass: (ownerId, classId, changes) => settleWrite(updateDoc(classDoc(ownerId, classId), changes)),
+        // Function to set a co-teacher's { role, email } in a class's members, or remove them (member null)
+        setClassMember: (ownerId, classId, memberId, member) => updateDoc(classDoc(ownerId, classId), {
+            [`members.${memberId}`]: member || deleteField(),
+        }),
+
+        // ----- Read-only student view links (see studentLinks.js) -----
+
+        // Function to follow a published student view: onNext(view, { fromCache }), with view null once revoked
+        subscribeStudentView: (token, onNext, onError) => subscribeDocument(studentViewDoc(token), onNext, onError),
+        // Function to publish a class's student view again after the class changed
+        publishStudentView: (token, view) => settleWrite(setDoc(studentViewDoc(token), view)),
+        // Function to create a class's student view link: record its token on the class and publish the view,
+        // in one write
+        createStudentLink: (ownerId, classId, token, view) => {
+            const batch = writeBatch(db);
+            batch.update(classDoc(ownerId, classId), { shareToken: token });
+            batch.set(studentViewDoc(token), view);
+            return settleWrite(batch.commit());
+        },
+        // Function to revoke a class's student view link: delete the published view and forget the token
+        revokeStudentLink: (ownerId, classId, token) => {
+            const batch = writeBatch(db);
+            batch.update(classDoc(ownerId, classId), { shareToken: deleteField() });
+            batch.delete(studentViewDoc(token));
+            return settleWrite(batch.commit());
+        },
+
+        // ----- Sharing classes between teachers (remote stores only) -----
+
+        // Function to follow the classes shared with a user: onNext(sharedClasses)
+        subscribeSharedClasses: (userId, onNext, onError) => subscribeRecords(
+            collection(db, getSharedClassesPath(appId, userId)), onNext, onError
+        ),
+        // Function to follow the invitations sent to an email address: onNext(invites)
+        subscribeInvitesForEmail: (email, onNext, onError) => subscribeRecords(
+            query(collection(db, getInvitesPath(appId)), where('email', '==', email.toLowerCase())), onNext, onError
+        ),
+        // Function to follow the pending invitations to one of a user's classes: onNext(invites)
+        subscribeClassInvites: (ownerId, classId, onNext, onError) => subscribeRecords(
+            query(collection(db, getInvitesPath(appId)), where('ownerId', '==', ownerId), where('classId', '==', classId)),
+            onNext,
+            onError
+        ),
+        // Function to send an invitation ({ ownerId, classId, email, role, ... })
+        createInvite: (invite) => setDoc(inviteDoc(getInviteId(invite.ownerId, invite.classId, invite.email)), invite),
+        // Function to withdraw or decline an invitation
+        deleteInvite: (inviteId) => deleteDoc(inviteDoc(inviteId)),
+        // Function to accept an invitation: join the owner's class, add it to the user's shared classes
+        // and use up the invitation, all in one write so none of it happens without the rest
+        acceptInvite: (userId, invite) => {
+            const batch = writeBatch(db);
+            batch.update(classDoc(invite.ownerId, invite.classId), {
+                [`members.${userId}`]: { role: invite.role, email: invite.email },
+            });
+            batch.set(doc(db, getSharedClassesPath(appId, userId), `${invite.ownerId}_${invite.classId}`), {
+                ownerId: invite.ownerId,
+                classId: invite.classId,
+                name: invite.className,
+                role: invite.role,
+                ownerEmail: invite.ownerEmail,
+            });
+            batch.delete(inviteDoc(invite.id));
+            return batch.commit();
+        },
+        // Function to leave a class someone else shared: remove the user from its members and drop it from their
+        // shared classes. If the owner already removed the user, only the shared class entry is left to delete.
+        leaveClass: async (userId, { ownerId, classId, sharedDocId }) => {
+            await updateDoc(classDoc(ownerId, classId), { [`members.${userId}`]: deleteField() })
+                .catch(error => console.error("Error leaving class members:", error));
+            await deleteDoc(doc(db, getSharedClassesPath(appId, userId), sharedDocId));
+        },
+    };
+};
+
+// Function to create a repository that keeps everything in this browser's IndexedDB
+export const createLocalRepository = (appId) => createRepository(localStore, localStore.getLocalStore(), { appId });
+
+// Function to create a repository that keeps everything in memory, e.g. to test the app's data flows
+export const createMemoryRepository = (appId = 'test-app') => (
+    createRepository(localStore, localStore.getLocalStore({ persist: false }), { appId })
+);
@@ -0,0 +1,86 @@
+import { createMemoryRepository } from './repository';
+import { prepareStateSave } from './stateMerge';
+
+// Saving a class's state through the repository, as two clients editing the same class at once would. Both
+// clients share one in-memory store, and each saves with the state version it last loaded, like the app does.
+
+const CLASS_REF = { ownerId: 'teacher', classId: 'class-1' };
+
+const INITIAL_STATE = {
+    version: 1,
+    students: [{ id: 1, name: 'Ava' }, { id: 2, name: 'Ben' }],
+    jobs: [{ title: 'Line Leader', headcount: 1 }],
+    assignmentStrategy: 'avoidRecent',
+};
+
+// Helper function to save an edit made from `base` the way the app does, as the user `userId`
+const saveEdit = (repository, base, edit, userId) => repository.saveState(
+    CLASS_REF,
+    (stored) => prepareStateSave(stored, { ...base, ...edit }, base, userId)
+);
+
+describe('saving state from two clients', () => {
+    let repository;
+
+    beforeEach(async () => {
+        repository = createMemoryRepository();
+        await repository.createState(CLASS_REF, INITIAL_STATE);
+    });
+
+    test('a save from the latest version is written with the next version', async () => {
+        const outcome = await saveEdit(repository, INITIAL_STATE, { assignmentStrategy: 'optimal' }, 'teacher');
+        expect(outcome.merged).toBe(false);
+        const { state } = await repository.loadClassData(CLASS_REF);
+        expect(state).toMatchObject({ version: 2, assignmentStrategy: 'optimal', updatedBy: 'teacher' });
+    });
+
+    test('a save made from an old version merges in the other client\'s changes', async () => {
+        await saveEdit(repository, INITIAL_STATE, { jobs: [...INITIAL_STATE.jobs, { title: 'Librarian', headcount: 1 }] }, 'teacher');
+        const outcome = await saveEdit(repository, INITIAL_STATE, { students: [{ id: 1, name: 'Ava B.' }, { id: 2, name: 'Ben' }] }, 'assistant');
+        expect(outcome.merged).toBe(true);
+        const { state } = await repository.loadClassData(CLASS_REF);
+        expect(state.version).toBe(3);
+        expect(state.jobs.map(job => job.title)).toEqual(['Line Leader', 'Librarian']);
+        expect(state.students[0].name).toBe('Ava B.');
+        expect(state.updatedBy).toBe('assistant');
+    });
+
+    test('a clashing save is refused and leaves the stored state alone', async () => {
+        await saveEdit(repository, INITIAL_STATE, { assignmentStrategy: 'roundRobin' }, 'teacher');
+        const outcome = await saveEdit(repository, INITIAL_STATE, { assignmentStrategy: 'optimal' }, 'assistant');
+        expect(outcome.state).toBeUndefined();
+        expect(outcome.conflict.conflicts).toEqual([{ field: 'assignmentStrategy', keys: [] }]);
+        expect(outcome.conflict.latest.version).toBe(2);
+        const { state } = await repository.loadClassData(CLASS_REF);
+        expect(state).toMatchObject({ version: 2, assignmentStrategy: 'roundRobin', updatedBy: 'teacher' });
+    });
+
+    test('resolving a conflict by saving over the latest version succeeds', async () => {
+        await saveEdit(repository, INITIAL_STATE, { assignmentStrategy: 'roundRobin' }, 'teacher');
+        const { conflict } = await saveEdit(repository, INITIAL_STATE, { assignmentStrategy: 'optimal' }, 'assistant');
+        const resolved = { ...conflict.mine, version: conflict.latest.version };
+        const outcome = await saveEdit(repository, resolved, {}, 'assistant');
+        expect(outcome.merged).toBe(false);
+        const { state } = await repository.loadClassData(CLASS_REF);
+        expect(state).toMatchObject({ version: 3, assignmentStrategy: 'optimal' });
+    });
+
+    test('concurrent saves run one after another, so neither is lost', async () => {
+        await Promise.all([
+            saveEdit(repository, INITIAL_STATE, { jobs: [...INITIAL_STATE.jobs, { title: 'Librarian', headcount: 1 }] }, 'teacher'),
+            saveEdit(repository, INITIAL_STATE, { assignmentStrategy: 'optimal' }, 'assistant'),
+        ]);
+        const { state } = await repository.loadClassData(CLASS_REF);
+        expect(state.version).toBe(3);
+        expect(state.jobs).toHaveLength(2);
+        expect(state.assignmentStrategy).toBe('optimal');
+    });
+
+    test('followers of the state see each saved version', async () => {
+        const versions = [];
+        const unsubscribe = repository.subscribeState(CLASS_REF, (state) => versions.push(state?.version), () => {});
+        await saveEdit(repository, INITIAL_STATE, { assignmentStrategy: 'optimal' }, 'teacher');
+        unsubscribe();
+        expect(versions).toContain(2);
+    });
+});
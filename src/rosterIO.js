@@ -0,0 +1,276 @@
+import { JOB_CATEGORIES, JOB_WEIGHTS } from './jobs';
+
+// Import/export of student and job lists as CSV or JSON.
+// Parsing never throws: every input row comes back with a status so the UI can preview it before saving.
+
+export const IMPORT_FORMATS = ['csv', 'json'];
+
+// Statuses given to each row in an import preview
+export const ROW_STATUS = {
+    NEW: 'new',
+    DUPLICATE: 'duplicate',
+    INVALID: 'invalid',
+};
+
+// Function to guess the format of pasted or uploaded text (file extension wins if there is one)
+export const detectFormat = (text, fileName = '') => {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (IMPORT_FORMATS.includes(extension)) {
+        return extension;
+    }
+    const trimmed = text.trim();
+    return trimmed.startsWith('[') || trimmed.startsWith('{') ? 'json' : 'csv';
+};
+
+// Helper function to drop the byte-order mark that spreadsheet apps put at the start of UTF-8 exports
+const stripBom = (text) => text.replace(/^\uFEFF/, '');
+
+// Helper function to parse CSV text into { cells, line } rows, where line is the file line the row starts on
+// (handles quoted cells, escaped quotes and CRLF line endings)
+const readCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    text = stripBom(text);
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                // A line break inside a quoted cell still moves the following rows down a line
+                if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push({ cells: row, line: rowLine });
+            row = [];
+            cell = '';
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push({ cells: row, line: rowLine });
+    // Drop blank lines
+    return rows.filter(({ cells }) => cells.some(value => value.trim() !== ''));
+};
+
+// Function to parse CSV text into rows of cells
+export const parseCsv = (text) => readCsvRows(text).map(({ cells }) => cells);
+
+// Function to turn rows of cells into CSV text, quoting cells where needed
+export const toCsv = (rows) => rows
+    .map(cells => cells
+        .map(value => {
+            const text = String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(','))
+    .join('\n');
+
+// Helper function to read "active" cells such as yes/no, true/false, 1/0 (blank means active)
+const parseActive = (value) => {
+    if (value === undefined || value === null || String(value).trim() === '') return true;
+    if (typeof value === 'boolean') return value;
+    return !['false', 'no', 'n', '0', 'inactive'].includes(String(value).trim().toLowerCase());
+};
+
+// Helper function to read a job category given by key or label (e.g. "tech" or "Tech"); undefined if unknown
+const parseCategory = (value) => {
+    const text = String(value ?? '').trim().toLowerCase();
+    return Object.keys(JOB_CATEGORIES).find(key => key.toLowerCase() === text || JOB_CATEGORIES[key].toLowerCase() === text);
+};
+
+// Helper function to read a job weight given as a number or a label (e.g. 3 or "Heavy"); undefined if unknown
+const parseWeight = (value) => {
+    const text = String(value ?? '').trim().toLowerCase();
+    return Object.keys(JOB_WEIGHTS).map(Number)
+        .find(weight => String(weight) === text || JOB_WEIGHTS[weight].toLowerCase() === text);
+};
+
+// Helper function to find a column in a header row by any of its accepted names
+const findColumn = (header, names) => header.findIndex(cell => names.includes(cell.trim().toLowerCase()));
+
+// Helper function to read student records from CSV rows.
+// A header row is optional; it may use "name" or separate "first name"/"last name" columns as in SIS exports.
+const readStudentCsv = (text) => {
+    const rows = readCsvRows(text);
+    if (rows.length === 0) return [];
+    const header = rows[0].cells.map(cell => cell.trim().toLowerCase());
+    const columns = {
+        name: findColumn(header, ['name', 'student', 'student name', 'display name']),
+        firstName: findColumn(header, ['first name', 'first', 'firstname', 'given name']),
+        lastName: findColumn(header, ['last name', 'last', 'lastname', 'surname', 'family name']),
+        nickname: findColumn(header, ['nickname', 'initials', 'nickname/initials']),
+        active: findColumn(header, ['active']),
+    };
+    const hasHeader = columns.name !== -1 || columns.firstName !== -1;
+    if (!hasHeader) {
+        // Without a header the columns are: name, nickname, active
+        return rows.map(({ cells, line }) => ({ line, name: cells[0], nickname: cells[1], active: cells[2] }));
+    }
+    const cellAt = (cells, index) => (index === -1 ? undefined : cells[index]);
+    return rows.slice(1).map(({ cells, line }) => ({
+        line,
+        name: columns.name !== -1
+            ? cellAt(cells, columns.name)
+            : [cellAt(cells, columns.firstName), cellAt(cells, columns.lastName)].filter(Boolean).join(' '),
+        nickname: cellAt(cells, columns.nickname),
+        active: cellAt(cells, columns.active),
+    }));
+};
+
+// Helper function to read student records from JSON (an array of names or of { name, nickname, active } objects).
+// JSON has no rows to point at, so each record's line is its position in the array.
+const readStudentJson = (text) => {
+    const data = JSON.parse(stripBom(text));
+    const list = Array.isArray(data) ? data : data.students;
+    if (!Array.isArray(list)) {
+        throw new Error('Expected a JSON array of students.');
+    }
+    return list.map((entry, index) => ({ ...(typeof entry === 'string' ? { name: entry } : entry || {}), line: index + 1 }));
+};
+
+// Function to parse and validate a student import.
+// Returns { rows, error } where each row is { line, name, nickname, active, status, reason }; line is the row's line in
+// a CSV file or the entry's position in a JSON array.
+export const parseStudentImport = (text, format, existingStudents = []) => {
+    let records;
+    try {
+        records = format === 'json' ? readStudentJson(text) : readStudentCsv(text);
+    } catch (error) {
+        return { rows: [], error: `Could not read ${format.toUpperCase()}: ${error.message}` };
+    }
+    const seenNames = new Set(existingStudents.map(student => student.name.toLowerCase()));
+    const rows = records.map((record) => {
+        const name = typeof record.name === 'string' || typeof record.name === 'number' ? String(record.name).trim() : '';
+        const nickname = typeof record.nickname === 'string' ? record.nickname.trim() : '';
+        const row = { line: record.line, name, nickname, active: parseActive(record.active) };
+        if (!name) {
+            return { ...row, status: ROW_STATUS.INVALID, reason: 'Missing name' };
+        }
+        if (seenNames.has(name.toLowerCase())) {
+            return { ...row, status: ROW_STATUS.DUPLICATE, reason: 'Already on the list' };
+        }
+        seenNames.add(name.toLowerCase());
+        return { ...row, status: ROW_STATUS.NEW };
+    });
+    return { rows, error: null };
+};
+
+// Helper function to read a job headcount cell: blank means 1, anything else must be a whole number of at least 1
+const parseHeadcount = (value) => {
+    if (value === undefined || value === null || String(value).trim() === '') return 1;
+    const headcount = Number(String(value).trim());
+    return Number.isInteger(headcount) && headcount >= 1 ? headcount : null;
+};
+
+// Function to parse and validate a job import.
+// CSV takes one job per row: title in the first column and an optional headcount in the second. With a
+// "title"/"job" header, the headcount and the optional description, icon, category and weight are read from their
+// named columns. JSON takes an array of titles or of { title, headcount, description, icon, category, weight } objects.
+// Returns { rows, error } where each row is { line, title, headcount, description, icon, category, weight, status, reason };
+// line is counted as for students, and unknown categories and weights are left out, so the job gets the default.
+export const parseJobImport = (text, format, existingJobTitles = []) => {
+    let records;
+    try {
+        if (format === 'json') {
+            const data = JSON.parse(stripBom(text));
+            const list = Array.isArray(data) ? data : data.jobs || data.jobTitles;
+            if (!Array.isArray(list)) {
+                throw new Error('Expected a JSON array of jobs.');
+            }
+            records = list.map((entry, index) => ({ ...(entry && typeof entry === 'object' ? entry : { title: entry }), line: index + 1 }));
+        } else {
+            const rows = readCsvRows(text);
+            const header = rows.length > 0 ? rows[0].cells : [];
+            const hasHeader = findColumn(header, ['title', 'job', 'job title']) === 0;
+            const headcountColumn = hasHeader ? findColumn(header, ['headcount', 'students', 'places']) : 1;
+            const columns = {
+                description: hasHeader ? findColumn(header, ['description', 'duties']) : -1,
+                icon: hasHeader ? findColumn(header, ['icon', 'emoji']) : -1,
+                category: hasHeader ? findColumn(header, ['category']) : -1,
+                weight: hasHeader ? findColumn(header, ['weight', 'workload']) : -1,
+            };
+            records = (hasHeader ? rows.slice(1) : rows).map(({ cells, line }) => ({
+                line,
+                title: cells[0],
+                headcount: headcountColumn === -1 ? undefined : cells[headcountColumn],
+                ...Object.fromEntries(Object.entries(columns)
+                    .filter(([, column]) => column !== -1)
+                    .map(([field, column]) => [field, cells[column]])),
+            }));
+        }
+    } catch (error) {
+        return { rows: [], error: `Could not read ${format.toUpperCase()}: ${error.message}` };
+    }
+    const seenTitles = new Set(existingJobTitles.map(title => title.toLowerCase()));
+    const rows = records.map((record) => {
+        const title = typeof record.title === 'string' ? record.title.trim() : '';
+        const headcount = parseHeadcount(record.headcount);
+        const row = {
+            line: record.line,
+            title,
+            headcount,
+            description: typeof record.description === 'string' ? record.description.trim() : '',
+            icon: typeof record.icon === 'string' ? record.icon.trim() : '',
+            category: parseCategory(record.category),
+            weight: parseWeight(record.weight),
+        };
+        if (!title) {
+            return { ...row, status: ROW_STATUS.INVALID, reason: 'Missing title' };
+        }
+        if (headcount === null) {
+            return { ...row, status: ROW_STATUS.INVALID, reason: 'Headcount must be a whole number of at least 1' };
+        }
+        if (seenTitles.has(title.toLowerCase())) {
+            return { ...row, status: ROW_STATUS.DUPLICATE, reason: 'Already on the list' };
+        }
+        seenTitles.add(title.toLowerCase());
+        return { ...row, status: ROW_STATUS.NEW };
+    });
+    return { rows, error: null };
+};
+
+// Function to export students in the given format (the same shape the importer reads back)
+export const exportStudents = (students, format) => {
+    if (format === 'json') {
+        return JSON.stringify(students.map(({ name, nickname, active }) => ({ name, nickname, active })), null, 2);
+    }
+    return toCsv([
+        ['name', 'nickname', 'active'],
+        ...students.map(({ name, nickname, active }) => [name, nickname, active ? 'yes' : 'no']),
+    ]);
+};
+
+// Function to export jobs in the given format (the catalogue fields and headcount; eligibility and pins refer to
+// student IDs, so they only travel in full backups)
+export const exportJobs = (jobs, format) => {
+    if (format === 'json') {
+        return JSON.stringify(jobs.map(({ title, headcount, description, icon, category, weight }) => (
+            { title, headcount, description, icon, category, weight }
+        )), null, 2);
+    }
+    return toCsv([
+        ['title', 'headcount', 'description', 'icon', 'category', 'weight'],
+        ...jobs.map(({ title, headcount, description, icon, category, weight }) => (
+            [title, String(headcount), description, icon, category, String(weight)]
+        )),
+    ]);
+};
@@ -0,0 +1,57 @@
+import { exportStudents, parseCsv, parseJobImport, parseStudentImport, ROW_STATUS } from './rosterIO';
+
+// Reading student and job lists exported from spreadsheets and student information systems.
+
+describe('parseCsv', () => {
+    test('reads quoted cells, escaped quotes and CRLF line endings, and drops blank lines', () => {
+        expect(parseCsv('name,nickname\r\n"Smith, Ava","A ""Ace"""\r\n\r\nBen,\r\n')).toEqual([
+            ['name', 'nickname'],
+            ['Smith, Ava', 'A "Ace"'],
+            ['Ben', ''],
+        ]);
+    });
+
+    test('ignores the byte-order mark spreadsheet apps write at the start of UTF-8 files', () => {
+        expect(parseCsv('\uFEFFname\nAva')).toEqual([['name'], ['Ava']]);
+    });
+});
+
+describe('parseStudentImport', () => {
+    test('finds the header after a byte-order mark', () => {
+        const { rows } = parseStudentImport('\uFEFFFirst Name,Last Name\nAva,Smith\n', 'csv');
+        expect(rows).toEqual([{ line: 2, name: 'Ava Smith', nickname: '', active: true, status: ROW_STATUS.NEW }]);
+    });
+
+    test('numbers preview rows by their line in the file', () => {
+        const { rows } = parseStudentImport('name,active\nAva,yes\n\n"Ben\nJr",no\nCleo\nava\n', 'csv', [{ name: 'Dev' }]);
+        expect(rows.map(row => [row.line, row.status])).toEqual([
+            [2, ROW_STATUS.NEW],
+            [4, ROW_STATUS.NEW],
+            [6, ROW_STATUS.NEW],
+            [7, ROW_STATUS.DUPLICATE],
+        ]);
+        expect(rows[1].active).toBe(false);
+    });
+
+    test('numbers rows from the first line when there is no header', () => {
+        const { rows } = parseStudentImport('Ava,A\nBen,B\n', 'csv');
+        expect(rows.map(row => row.line)).toEqual([1, 2]);
+    });
+
+    test('numbers JSON entries by their position and reads back an export', () => {
+        const students = [{ name: 'Ava', nickname: 'A', active: true }, { name: 'Ben', nickname: '', active: false }];
+        const { rows } = parseStudentImport(`\uFEFF${exportStudents(students, 'json')}`, 'json');
+        expect(rows).toEqual(students.map((student, index) => ({ line: index + 1, ...student, status: ROW_STATUS.NEW })));
+    });
+});
+
+describe('parseJobImport', () => {
+    test('numbers preview rows by their line in the file and checks headcounts', () => {
+        const { rows } = parseJobImport('\uFEFFtitle,headcount\nLine Leader,1\nLibrarian,two\nMessenger\n', 'csv', ['Messenger']);
+        expect(rows.map(row => [row.line, row.title, row.status])).toEqual([
+            [2, 'Line Leader', ROW_STATUS.NEW],
+            [3, 'Librarian', ROW_STATUS.INVALID],
+            [4, 'Messenger', ROW_STATUS.DUPLICATE],
+        ]);
+    });
+});
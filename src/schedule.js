@@ -0,0 +1,121 @@
+import { fromISODate, getAssignmentWeek, toISODate } from './absences';
+import { isSchoolDay } from './schoolCalendar';
+
+// Rotation schedules: when a new set of jobs is due, so the app can draw it without the teacher clicking "Assign".
+// A schedule is { mode, weekday, intervalDays, startDate, autoGenerate }. Rotations only fall on school days of the
+// class's school calendar (see schoolCalendar.js), which every function here takes as `calendar`.
+
+// Rotation modes and their descriptions
+export const SCHEDULE_MODES = {
+    manual: 'Manual – only when I click "Assign"',
+    weekly: 'Weekly, on a chosen day',
+    everyNDays: 'Every few school days',
+    schoolDay: 'Every school day',
+};
+
+// Day names by Date.getDay() number; weekly rotations can be on any school day (Monday to Friday)
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+export const SCHOOL_WEEKDAYS = [1, 2, 3, 4, 5];
+
+// Schedule used by classes that haven't set one
+export const DEFAULT_SCHEDULE = {
+    mode: 'manual',
+    weekday: 1, // Weekly mode: Monday
+    intervalDays: 5, // Every-few-days mode: school days between rotations
+    startDate: null, // Every-few-days mode: the first rotation (counting starts here)
+    autoGenerate: false, // Draw due rotations by themselves rather than asking first
+};
+
+// Most missed rotations drawn in one catch-up (after a long time without opening the app only the latest are drawn)
+export const MAX_CATCH_UP = 10;
+
+// How far ahead to look for the next rotation, in days
+const LOOKAHEAD_DAYS = 366;
+
+// Helper function to add days to a date
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Function to fill in any missing schedule settings
+export const normalizeSchedule = (schedule) => ({ ...DEFAULT_SCHEDULE, ...schedule });
+
+// Helper function to get the first school day on or after a date (null if none within the lookahead)
+const nextSchoolDay = (date, calendar) => {
+    for (let day = date, i = 0; i < LOOKAHEAD_DAYS; day = addDays(day, 1), i++) {
+        if (isSchoolDay(day, calendar)) return day;
+    }
+    return null;
+};
+
+// Function to list the rotation dates from `fromDate` to `toDate` ("YYYY-MM-DD", inclusive), oldest first.
+// Weekly rotations move to the next school day of the same week when the chosen day is a holiday, and a week with
+// no school day left is skipped. Every-few-days rotations count school days from the schedule's start date.
+export const getRotationDates = (schedule, calendar, fromDate, toDate) => {
+    const settings = normalizeSchedule(schedule);
+    const from = fromISODate(fromDate);
+    const to = fromISODate(toDate);
+    const dates = [];
+    if (settings.mode === 'weekly') {
+        const firstMonday = addDays(from, -((from.getDay() + 6) % 7));
+        for (let monday = firstMonday; monday <= to; monday = addDays(monday, 7)) {
+            const sunday = addDays(monday, 6);
+            let day = addDays(monday, (settings.weekday + 6) % 7);
+            while (day <= sunday && !isSchoolDay(day, calendar)) day = addDays(day, 1);
+            if (day <= sunday && day >= from && day <= to) dates.push(toISODate(day));
+        }
+    } else if (settings.mode === 'everyNDays' || settings.mode === 'schoolDay') {
+        const interval = settings.mode === 'schoolDay' ? 1 : Math.max(1, Math.round(settings.intervalDays) || 1);
+        const start = settings.startDate ? fromISODate(settings.startDate) : from;
+        let count = 0;
+        for (let day = nextSchoolDay(start, calendar); day && day <= to; day = nextSchoolDay(addDays(day, 1), calendar)) {
+            if (count % interval === 0 && day >= from) dates.push(toISODate(day));
+            count++;
+        }
+    }
+    return dates;
+};
+
+// Function to get the rotations that are due by `today` and haven't been drawn, oldest first (at most MAX_CATCH_UP).
+// A draw counts for every rotation up to its date; a draw made on a day off counts for the next school day too,
+// so jobs drawn on a Sunday are Monday's jobs. A class that has never drawn only gets its latest rotation.
+export const getDueRotations = (schedule, calendar, lastAssignmentDate, today = new Date()) => {
+    const settings = normalizeSchedule(schedule);
+    if (settings.mode === 'manual') return [];
+    const todayISO = toISODate(today);
+    if (!lastAssignmentDate) {
+        const lookback = toISODate(addDays(today, -7 * Math.max(1, settings.intervalDays)));
+        return getRotationDates(settings, calendar, lookback, todayISO).slice(-1);
+    }
+    const lastDraw = new Date(lastAssignmentDate);
+    const coveredUntil = isSchoolDay(lastDraw, calendar) ? lastDraw : nextSchoolDay(lastDraw, calendar) || lastDraw;
+    const fromDate = toISODate(addDays(coveredUntil, 1));
+    return fromDate > todayISO ? [] : getRotationDates(settings, calendar, fromDate, todayISO).slice(-MAX_CATCH_UP);
+};
+
+// Function to get the next rotation after `today` ("YYYY-MM-DD"), or null if there is none
+export const getNextRotation = (schedule, calendar, today = new Date()) => (
+    getRotationDates(schedule, calendar, toISODate(addDays(today, 1)), toISODate(addDays(today, LOOKAHEAD_DAYS)))[0] || null
+);
+
+// Function to get the dates ({ startDate, endDate }) that jobs drawn on `date` are for: the school week for manual
+// and weekly schedules, otherwise from the draw's school day until the day before the next rotation
+export const getRotationPeriod = (schedule, calendar, date = new Date()) => {
+    const settings = normalizeSchedule(schedule);
+    if (settings.mode !== 'everyNDays' && settings.mode !== 'schoolDay') {
+        return getAssignmentWeek(date);
+    }
+    const firstDay = nextSchoolDay(date, calendar) || date;
+    const nextRotation = getNextRotation(settings, calendar, firstDay);
+    return {
+        startDate: toISODate(firstDay),
+        endDate: nextRotation ? toISODate(addDays(fromISODate(nextRotation), -1)) : toISODate(firstDay),
+    };
+};
+
+// Function to describe a schedule in a few words, e.g. "Weekly on Monday"
+export const describeSchedule = (schedule) => {
+    const settings = normalizeSchedule(schedule);
+    if (settings.mode === 'weekly') return `Weekly on ${WEEKDAY_NAMES[settings.weekday]}`;
+    if (settings.mode === 'everyNDays') return `Every ${settings.intervalDays} school days`;
+    if (settings.mode === 'schoolDay') return 'Every school day';
+    return 'Manual';
+};
@@ -0,0 +1,93 @@
+import { DEFAULT_SCHEDULE, getDueRotations, getRotationDates, getRotationPeriod, MAX_CATCH_UP } from './schedule';
+
+// When rotations are due: only on school days, moved past holidays, and never more than one catch-up's worth.
+
+// Autumn term with a holiday on Monday October 12 and a week-long half term from October 26
+const CALENDAR = {
+    terms: [{ id: 't1', name: 'Autumn', startDate: '2026-09-01', endDate: '2026-12-18' }],
+    holidays: [
+        { id: 'h1', name: 'Founders Day', startDate: '2026-10-12', endDate: '2026-10-12' },
+        { id: 'h2', name: 'Half Term', startDate: '2026-10-26', endDate: '2026-10-30' },
+    ],
+};
+
+const WEEKLY = { ...DEFAULT_SCHEDULE, mode: 'weekly', weekday: 1 };
+const EVERY_THREE_DAYS = { ...DEFAULT_SCHEDULE, mode: 'everyNDays', intervalDays: 3, startDate: '2026-10-05' };
+const SCHOOL_DAY = { ...DEFAULT_SCHEDULE, mode: 'schoolDay' };
+
+// Helper function to get a local date and time in October 2026
+const october = (day, hour = 9) => new Date(2026, 9, day, hour);
+
+describe('getRotationDates', () => {
+    test('a weekly rotation on a holiday moves to the next school day, and a week without school is skipped', () => {
+        expect(getRotationDates(WEEKLY, CALENDAR, '2026-10-05', '2026-11-06')).toEqual([
+            '2026-10-05',
+            '2026-10-13',
+            '2026-10-19',
+            '2026-11-02',
+        ]);
+    });
+
+    test('every-few-days rotations count school days from the start date, leaving out holidays and weekends', () => {
+        expect(getRotationDates(EVERY_THREE_DAYS, CALENDAR, '2026-10-05', '2026-10-19')).toEqual([
+            '2026-10-05',
+            '2026-10-08',
+            '2026-10-14',
+            '2026-10-19',
+        ]);
+        // Counting keeps its place when the range starts later
+        expect(getRotationDates(EVERY_THREE_DAYS, CALENDAR, '2026-10-09', '2026-10-19')).toEqual(['2026-10-14', '2026-10-19']);
+    });
+
+    test('every-school-day rotations fall on each school day', () => {
+        expect(getRotationDates(SCHOOL_DAY, CALENDAR, '2026-10-09', '2026-10-14')).toEqual(['2026-10-09', '2026-10-13', '2026-10-14']);
+    });
+
+    test('manual schedules have no rotations', () => {
+        expect(getRotationDates(DEFAULT_SCHEDULE, CALENDAR, '2026-10-05', '2026-10-19')).toEqual([]);
+    });
+});
+
+describe('getDueRotations', () => {
+    test('a class that has never drawn only gets its latest rotation', () => {
+        expect(getDueRotations(WEEKLY, CALENDAR, null, october(14))).toEqual(['2026-10-13']);
+        expect(getDueRotations(SCHOOL_DAY, CALENDAR, null, october(14))).toEqual(['2026-10-14']);
+        expect(getDueRotations(DEFAULT_SCHEDULE, CALENDAR, null, october(14))).toEqual([]);
+    });
+
+    test('a draw covers every rotation up to its date', () => {
+        expect(getDueRotations(WEEKLY, CALENDAR, october(13).toISOString(), october(16))).toEqual([]);
+        expect(getDueRotations(WEEKLY, CALENDAR, october(13).toISOString(), october(20))).toEqual(['2026-10-19']);
+        expect(getDueRotations(EVERY_THREE_DAYS, CALENDAR, october(5).toISOString(), october(15))).toEqual(['2026-10-08', '2026-10-14']);
+    });
+
+    test('a draw made at the weekend or on a holiday counts for the next school day', () => {
+        // Drawn on Sunday: Monday is a holiday, so it covers Tuesday's rotation
+        expect(getDueRotations(WEEKLY, CALENDAR, october(11).toISOString(), october(13))).toEqual([]);
+        // Drawn on Saturday before a normal Monday
+        expect(getDueRotations(WEEKLY, CALENDAR, october(17).toISOString(), october(19))).toEqual([]);
+        expect(getDueRotations(SCHOOL_DAY, CALENDAR, october(17).toISOString(), october(20))).toEqual(['2026-10-20']);
+    });
+
+    test(`only the latest ${MAX_CATCH_UP} missed rotations are caught up, oldest first`, () => {
+        const due = getDueRotations(SCHOOL_DAY, CALENDAR, new Date(2026, 8, 1, 9).toISOString(), october(23));
+        expect(due).toHaveLength(MAX_CATCH_UP);
+        expect(due[0]).toBe('2026-10-09');
+        expect(due[MAX_CATCH_UP - 1]).toBe('2026-10-23');
+        expect([...due].sort()).toEqual(due);
+    });
+});
+
+describe('getRotationPeriod', () => {
+    test('weekly and manual draws are for the school week, and weekend draws for the coming one', () => {
+        expect(getRotationPeriod(WEEKLY, CALENDAR, october(14))).toEqual({ startDate: '2026-10-12', endDate: '2026-10-16' });
+        expect(getRotationPeriod(DEFAULT_SCHEDULE, CALENDAR, october(17))).toEqual({ startDate: '2026-10-19', endDate: '2026-10-23' });
+    });
+
+    test('every-few-days draws last until the day before the next rotation', () => {
+        expect(getRotationPeriod(EVERY_THREE_DAYS, CALENDAR, october(8))).toEqual({ startDate: '2026-10-08', endDate: '2026-10-13' });
+        // Drawn on Saturday: the period starts on the next school day, after the Monday holiday
+        expect(getRotationPeriod(EVERY_THREE_DAYS, CALENDAR, october(10))).toEqual({ startDate: '2026-10-13', endDate: '2026-10-13' });
+        expect(getRotationPeriod(SCHOOL_DAY, CALENDAR, october(23))).toEqual({ startDate: '2026-10-23', endDate: '2026-11-01' });
+    });
+});
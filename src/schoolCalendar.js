@@ -0,0 +1,194 @@
+import { fromISODate, getAssignmentWeek, toISODate } from './absences';
+
+// School calendar: the terms a class meets in and the holidays within them, so draws can be tied to named school
+// weeks ("Week 7, Oct 13–17") instead of timestamps. A calendar is { terms, holidays }, both lists of
+// { id, name, startDate, endDate } ("YYYY-MM-DD", inclusive). With no terms, every weekday outside a holiday is a
+// school day; once terms are set, days between terms are holidays too.
+
+// Calendar used by classes that haven't set one
+export const DEFAULT_CALENDAR = { terms: [], holidays: [] };
+
+// Events longer than this many days whose name mentions a term are suggested as terms
+const MIN_TERM_DAYS = 14;
+const TERM_NAME_PATTERN = /\b(term|semester|trimester|quarter)\b/i;
+// All-day events named like a day without school are suggested as holidays; other events (e.g. "Picture Day") aren't
+// imported unless the teacher picks them
+const HOLIDAY_NAME_PATTERN = /\b(holidays?|break|vacation|recess|half[- ]term|closed|closure|no school|day off|inset|in-?service|pd day|professional (development|learning)|teacher (work|planning|workday)|bank holiday|christmas|easter|thanksgiving|new year|good friday|labou?r day|memorial day|independence day|juneteenth|veterans day|presidents'? day|martin luther king|mlk|lunar new year|diwali|eid)\b/i;
+
+// Ways an imported event can be used, keyed by the value used in the import preview
+export const CALENDAR_EVENT_KINDS = {
+    terms: 'Term',
+    holidays: 'Holiday',
+    skip: "Don't import",
+};
+
+// Helper function to add days to a date
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Helper function to check whether a date ("YYYY-MM-DD") falls within an entry's dates
+const isWithin = (entry, isoDate) => entry.startDate <= isoDate && isoDate <= entry.endDate;
+
+// Function to fill in any missing calendar lists
+export const normalizeCalendar = (calendar) => ({
+    terms: Array.isArray(calendar?.terms) ? calendar.terms : [],
+    holidays: Array.isArray(calendar?.holidays) ? calendar.holidays : [],
+});
+
+// Function to create a term or holiday record
+export const createCalendarEntry = (name, startDate, endDate) => ({
+    id: `${startDate}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: name.trim(),
+    startDate,
+    endDate: endDate < startDate ? startDate : endDate,
+});
+
+// Function to find the term a date falls in (null if none)
+export const findTerm = (calendar, date) => {
+    const isoDate = toISODate(date);
+    return normalizeCalendar(calendar).terms.find(term => isWithin(term, isoDate)) || null;
+};
+
+// Function to check whether a date is a school day: a weekday within a term (if any are set) and outside every holiday
+export const isSchoolDay = (date, calendar) => {
+    const { terms, holidays } = normalizeCalendar(calendar);
+    const dayOfWeek = date.getDay();
+    const isoDate = toISODate(date);
+    return dayOfWeek !== 0 && dayOfWeek !== 6
+        && (terms.length === 0 || terms.some(term => isWithin(term, isoDate)))
+        && !holidays.some(holiday => isWithin(holiday, isoDate));
+};
+
+// Helper function to format a date range compactly, e.g. "Oct 13–17" or "Oct 30 – Nov 3"
+const formatDateRange = (startDate, endDate) => {
+    const start = fromISODate(startDate);
+    const end = fromISODate(endDate);
+    const startText = start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    if (startDate === endDate) return startText;
+    if (start.getMonth() === end.getMonth()) return `${startText}–${end.getDate()}`;
+    return `${startText} – ${end.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`;
+};
+
+// Helper function to list the school days ("YYYY-MM-DD") of the week starting on `monday`
+const getWeekSchoolDays = (calendar, monday) => [0, 1, 2, 3, 4]
+    .map(offset => addDays(monday, offset))
+    .filter(day => isSchoolDay(day, calendar))
+    .map(toISODate);
+
+// Function to get the school week a date belongs to (draws made at the weekend are for the coming week), as
+// { startDate, endDate, schoolDays, short, number, termName, label }: Monday to Friday, the school days in it, whether
+// holidays make it a short week, its number within the term (counting weeks with school days; null outside terms)
+// and a label such as "Week 7, Oct 13–17"
+export const getSchoolWeek = (calendar, date = new Date()) => {
+    const { startDate, endDate } = getAssignmentWeek(date);
+    const monday = fromISODate(startDate);
+    const schoolDays = getWeekSchoolDays(calendar, monday);
+    const term = findTerm(calendar, fromISODate(schoolDays[0] || startDate))
+        || findTerm(calendar, fromISODate(endDate));
+    let number = null;
+    if (term) {
+        // Count the term's weeks that have school days, up to and including this one
+        const termStart = fromISODate(term.startDate);
+        const termFirstMonday = addDays(termStart, -((termStart.getDay() + 6) % 7));
+        number = 0;
+        for (let weekStart = termFirstMonday; weekStart <= monday; weekStart = addDays(weekStart, 7)) {
+            if (getWeekSchoolDays(calendar, weekStart).length > 0) number++;
+        }
+    }
+    const short = schoolDays.length > 0 && schoolDays.length < 5;
+    const range = schoolDays.length > 0
+        ? formatDateRange(schoolDays[0], schoolDays[schoolDays.length - 1])
+        : formatDateRange(startDate, endDate);
+    let label = number ? `Week ${number}, ${range}` : `Week of ${range}`;
+    if (short) label += ' (short week)';
+    if (schoolDays.length === 0) label += ' (no school)';
+    return { startDate, endDate, schoolDays, short, number, termName: term?.name || null, label };
+};
+
+// Function to list the school weeks from the week of `fromDate` for `count` weeks (for previewing a calendar)
+export const listSchoolWeeks = (calendar, fromDate, count) => {
+    const firstMonday = fromISODate(getAssignmentWeek(fromDate).startDate);
+    return Array.from({ length: count }, (_, index) => getSchoolWeek(calendar, addDays(firstMonday, 7 * index)));
+};
+
+// Function to describe an archived week record by the school week it was drawn for, e.g. "Week 7, Oct 13–17"
+export const describeArchivedWeek = (week) => week.weekLabel;
+
+// Helper function to read an iCalendar date or date-time value ("20261221" or "20261221T090000Z") as "YYYY-MM-DD"
+const parseIcsDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value.trim());
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+// Function to read the events of an iCalendar (.ics) file as { name, startDate, endDate, allDay } (inclusive dates).
+// All-day events end the day before their DTEND, as the format specifies; events without usable dates are skipped.
+export const parseIcs = (text) => {
+    // Long lines are folded onto continuation lines that start with a space or tab
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            current = {};
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            if (current?.startDate) {
+                let endDate = current.endDate || current.startDate;
+                if (current.allDay && current.endDate && current.endDate > current.startDate) {
+                    endDate = toISODate(addDays(fromISODate(current.endDate), -1));
+                }
+                events.push({ name: current.name || 'Untitled event', startDate: current.startDate, endDate, allDay: Boolean(current.allDay) });
+            }
+            current = null;
+            return;
+        }
+        if (!current) return;
+        const separator = line.indexOf(':');
+        if (separator < 0) return;
+        const [property, ...params] = line.slice(0, separator).split(';');
+        const value = line.slice(separator + 1);
+        if (property === 'SUMMARY') {
+            current.name = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').trim();
+        } else if (property === 'DTSTART') {
+            current.startDate = parseIcsDate(value);
+            current.allDay = params.includes('VALUE=DATE') || /^\d{8}$/.test(value.trim());
+        } else if (property === 'DTEND') {
+            current.endDate = parseIcsDate(value);
+        }
+    });
+    return events;
+};
+
+// Function to suggest how to use an imported event (a key of CALENDAR_EVENT_KINDS): long events named like a term
+// are terms, all-day events named like a day without school are holidays, and anything else isn't imported
+export const suggestEventKind = (event) => {
+    const days = (fromISODate(event.endDate) - fromISODate(event.startDate)) / (24 * 60 * 60 * 1000) + 1;
+    if (TERM_NAME_PATTERN.test(event.name) && days >= MIN_TERM_DAYS) return 'terms';
+    if (event.allDay && HOLIDAY_NAME_PATTERN.test(event.name)) return 'holidays';
+    return 'skip';
+};
+
+// Function to add imported events to a calendar, each as its `kind` (a key of CALENDAR_EVENT_KINDS, chosen in the
+// import preview; suggestEventKind if not given). Events already in the calendar (same name and dates) are skipped.
+// Returns { calendar, termsAdded, holidaysAdded }
+export const importCalendarEvents = (calendar, events) => {
+    const { terms, holidays } = normalizeCalendar(calendar);
+    const isKnown = (list, event) => list.some(entry => entry.name === event.name
+        && entry.startDate === event.startDate && entry.endDate === event.endDate);
+    const newTerms = [];
+    const newHolidays = [];
+    events.forEach(event => {
+        const kind = event.kind || suggestEventKind(event);
+        if (kind === 'skip') return;
+        const isTerm = kind === 'terms';
+        const list = isTerm ? newTerms : newHolidays;
+        if (!isKnown(isTerm ? terms : holidays, event) && !isKnown(list, event)) {
+            list.push(createCalendarEntry(event.name, event.startDate, event.endDate));
+        }
+    });
+    return {
+        calendar: { terms: [...terms, ...newTerms], holidays: [...holidays, ...newHolidays] },
+        termsAdded: newTerms.length,
+        holidaysAdded: newHolidays.length,
+    };
+};
@@ -0,0 +1,64 @@
+import { DEFAULT_CALENDAR, importCalendarEvents, parseIcs, suggestEventKind } from './schoolCalendar';
+
+// Importing a school district's .ics calendar: only terms and days without school should change the rotation.
+
+const ICS = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'SUMMARY:Autumn Term',
+    'DTSTART;VALUE=DATE:20260901',
+    'DTEND;VALUE=DATE:20261219',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Half Term Break',
+    'DTSTART;VALUE=DATE:20261026',
+    'DTEND;VALUE=DATE:20261031',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Picture Day',
+    'DTSTART;VALUE=DATE:20260915',
+    'DTEND;VALUE=DATE:20260916',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Parent Evening',
+    'DTSTART:20261008T170000Z',
+    'DTEND:20261008T200000Z',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Staff Holiday Party',
+    'DTSTART:20261218T150000Z',
+    'DTEND:20261218T180000Z',
+    'END:VEVENT',
+    'END:VCALENDAR',
+].join('\r\n');
+
+describe('importing an .ics calendar', () => {
+    const events = parseIcs(ICS);
+
+    test('reads each event with inclusive dates and whether it lasts all day', () => {
+        expect(events[0]).toEqual({ name: 'Autumn Term', startDate: '2026-09-01', endDate: '2026-12-18', allDay: true });
+        expect(events[3]).toEqual({ name: 'Parent Evening', startDate: '2026-10-08', endDate: '2026-10-08', allDay: false });
+    });
+
+    test('suggests terms and days without school, and leaves other school events out', () => {
+        expect(events.map(suggestEventKind)).toEqual(['terms', 'holidays', 'skip', 'skip', 'skip']);
+    });
+
+    test('imports the suggested kinds unless others were chosen', () => {
+        const suggested = importCalendarEvents(DEFAULT_CALENDAR, events);
+        expect(suggested.termsAdded).toBe(1);
+        expect(suggested.calendar.holidays.map(holiday => holiday.name)).toEqual(['Half Term Break']);
+
+        const chosen = importCalendarEvents(DEFAULT_CALENDAR, events.map(event => ({
+            ...event,
+            kind: event.name === 'Picture Day' ? 'holidays' : 'skip',
+        })));
+        expect(chosen).toMatchObject({ termsAdded: 0, holidaysAdded: 1 });
+        expect(chosen.calendar.holidays[0]).toMatchObject({ name: 'Picture Day', startDate: '2026-09-15', endDate: '2026-09-15' });
+    });
+
+    test('skips events already in the calendar', () => {
+        const { calendar } = importCalendarEvents(DEFAULT_CALENDAR, events);
+        expect(importCalendarEvents(calendar, events)).toMatchObject({ termsAdded: 0, holidaysAdded: 0 });
+    });
+});
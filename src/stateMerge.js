@@ -0,0 +1,129 @@
+// Three-way merging of the state document, used when a save finds that someone else saved first.
+// `base` is the state an edit started from, `mine` the edited state and `theirs` the state now stored.
+// Each top-level field is merged on its own. Maps (e.g. job history keyed by student) and lists of records
+// with an `id` or `title` (students, absences, jobs) are merged entry by entry, so two people editing
+// different students don't clash. Anything else changed on both sides is a conflict.
+
+// Fields that describe a save rather than the class, so they are never merged
+export const SAVE_METADATA_FIELDS = ['version', 'updatedAt', 'updatedBy'];
+
+// Helper function to check for a plain object (a map)
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Function to compare two JSON-like values, ignoring the order of object keys
+export const isEqual = (a, b) => {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => key in b && isEqual(a[key], b[key]));
+    }
+    return false;
+};
+
+// Helper function to get the identity of a record in a list (undefined if it has none)
+const getRecordKey = (item) => (isPlainObject(item) ? item.id ?? item.title : undefined);
+
+// Helper function to check that every item of a list is a record with an identity
+const isKeyedList = (list) => Array.isArray(list) && list.every(item => getRecordKey(item) !== undefined);
+
+// Helper function to merge one value that has no structure we can look inside.
+// Returns { mine, theirs, conflict }: the result if my side wins a conflict, the result if their side wins, and
+// whether both sides changed it differently. `undefined` stands for "not there" (removed or never added).
+const mergeLeaf = (base, mine, theirs) => {
+    if (isEqual(mine, base)) return { mine: theirs, theirs, conflict: false };
+    if (isEqual(theirs, base) || isEqual(mine, theirs)) return { mine, theirs: mine, conflict: false };
+    return { mine, theirs, conflict: true };
+};
+
+// Helper function to merge two maps key by key
+const mergeMaps = (base, mine, theirs) => {
+    const result = { mine: {}, theirs: {}, conflictKeys: [] };
+    [...new Set([...Object.keys(theirs), ...Object.keys(mine), ...Object.keys(base)])].forEach(key => {
+        const merged = mergeLeaf(base[key], mine[key], theirs[key]);
+        if (merged.mine !== undefined) result.mine[key] = merged.mine;
+        if (merged.theirs !== undefined) result.theirs[key] = merged.theirs;
+        if (merged.conflict) result.conflictKeys.push(key);
+    });
+    return result;
+};
+
+// Helper function to merge two lists of records by identity.
+// The result keeps their order, with records only I added appended in my order.
+const mergeKeyedLists = (base, mine, theirs) => {
+    const toMap = (list) => new Map(list.map(item => [getRecordKey(item), item]));
+    const baseMap = toMap(base);
+    const mineMap = toMap(mine);
+    const theirsMap = toMap(theirs);
+    const keys = [...new Set([...theirsMap.keys(), ...mineMap.keys(), ...baseMap.keys()])];
+    const result = { mine: [], theirs: [], conflictKeys: [] };
+    keys.forEach(key => {
+        const merged = mergeLeaf(baseMap.get(key), mineMap.get(key), theirsMap.get(key));
+        if (merged.mine !== undefined) result.mine.push(merged.mine);
+        if (merged.theirs !== undefined) result.theirs.push(merged.theirs);
+        if (merged.conflict) result.conflictKeys.push(key);
+    });
+    return result;
+};
+
+// Function to merge my edit of the state with the state someone else saved meanwhile.
+// Returns { mine, theirs, conflicts }: the merged state if my side wins every conflict, the merged state if their
+// side does, and a list of { field, keys } describing each conflict (keys is empty when the whole field clashes).
+// Both merged states include every change that didn't conflict, from either side.
+export const mergeStates = (base, mine, theirs) => {
+    const merged = { mine: {}, theirs: {}, conflicts: [] };
+    const fields = [...new Set([...Object.keys(theirs), ...Object.keys(mine), ...Object.keys(base)])]
+        .filter(field => !SAVE_METADATA_FIELDS.includes(field));
+    fields.forEach(field => {
+        const [baseValue, mineValue, theirsValue] = [base[field], mine[field], theirs[field]];
+        let result;
+        if (isEqual(mineValue, baseValue) || isEqual(theirsValue, baseValue) || isEqual(mineValue, theirsValue)) {
+            result = { ...mergeLeaf(baseValue, mineValue, theirsValue), conflictKeys: [] };
+        } else if ([baseValue, mineValue, theirsValue].every(value => value === undefined || isPlainObject(value))) {
+            result = mergeMaps(baseValue || {}, mineValue || {}, theirsValue || {});
+        } else if ([baseValue, mineValue, theirsValue].every(value => value === undefined || isKeyedList(value))) {
+            result = mergeKeyedLists(baseValue || [], mineValue || [], theirsValue || []);
+        } else {
+            result = { mine: mineValue, theirs: theirsValue, conflictKeys: [], conflict: true };
+        }
+        if (result.mine !== undefined) merged.mine[field] = result.mine;
+        if (result.theirs !== undefined) merged.theirs[field] = result.theirs;
+        if (result.conflict || result.conflictKeys.length > 0) {
+            merged.conflicts.push({ field, keys: result.conflictKeys });
+        }
+    });
+    return merged;
+};
+
+// Function to work out how to save `mine` (an edit made from version `mine.version`, starting from `base`) over the
+// stored state document (null if there is none). Returns { conflict } if someone else changed the same things since,
+// otherwise { state, merged }: the state to save and whether other changes were merged into it
+export const prepareStateSave = (stored, mine, base, userId) => {
+    const storedVersion = stored?.version || 0;
+    let stateToSave = mine;
+    if (stored && storedVersion !== (mine.version || 0)) {
+        // Someone else saved since this edit started
+        const merged = mergeStates(base, mine, stored);
+        if (merged.conflicts.length > 0) {
+            return { conflict: { ...merged, latest: stored } };
+        }
+        stateToSave = merged.mine;
+    }
+    return {
+        state: {
+            ...stateToSave,
+            version: storedVersion + 1,
+            updatedAt: new Date().toISOString(),
+            updatedBy: userId,
+        },
+        merged: stateToSave !== mine,
+    };
+};
+
+// Function to list the fields of `next` that differ from `base`, as { changed, removed }
+export const diffFields = (base, next) => ({
+    changed: Object.keys(next).filter(field => !isEqual(next[field], base[field])),
+    removed: Object.keys(base).filter(field => !(field in next)),
+});
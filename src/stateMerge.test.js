@@ -0,0 +1,105 @@
+import { diffFields, isEqual, mergeStates, prepareStateSave } from './stateMerge';
+
+// Three-way merges of the state document: `base` is what both edits started from, `mine` the local edit and
+// `theirs` what another client saved meanwhile.
+
+const BASE = {
+    version: 3,
+    students: [{ id: 1, name: 'Ava' }, { id: 2, name: 'Ben' }],
+    jobs: [{ title: 'Line Leader', headcount: 1 }, { title: 'Librarian', headcount: 1 }],
+    studentJobHistory: { 1: ['Line Leader'], 2: ['Librarian'] },
+    assignmentStrategy: 'avoidRecent',
+};
+
+describe('isEqual', () => {
+    test('ignores the order of object keys but not of list items', () => {
+        expect(isEqual({ a: 1, b: [1, 2] }, { b: [1, 2], a: 1 })).toBe(true);
+        expect(isEqual([1, 2], [2, 1])).toBe(false);
+        expect(isEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+    });
+});
+
+describe('mergeStates', () => {
+    test('keeps changes each side made to different fields', () => {
+        const mine = { ...BASE, assignmentStrategy: 'optimal' };
+        const theirs = { ...BASE, version: 4, studentJobHistory: { ...BASE.studentJobHistory, 2: ['Librarian', 'Line Leader'] } };
+        const merged = mergeStates(BASE, mine, theirs);
+        expect(merged.conflicts).toEqual([]);
+        expect(merged.mine.assignmentStrategy).toBe('optimal');
+        expect(merged.mine.studentJobHistory[2]).toEqual(['Librarian', 'Line Leader']);
+        expect(merged.mine).toEqual(merged.theirs);
+    });
+
+    test('never merges save metadata', () => {
+        const merged = mergeStates(BASE, { ...BASE, version: 3 }, { ...BASE, version: 4, updatedBy: 'other' });
+        expect(merged.mine).not.toHaveProperty('version');
+        expect(merged.mine).not.toHaveProperty('updatedBy');
+    });
+
+    test('merges students by ID, so edits to different students both survive', () => {
+        const mine = { ...BASE, students: [{ id: 1, name: 'Ava B.' }, { id: 2, name: 'Ben' }, { id: 3, name: 'Cleo' }] };
+        const theirs = { ...BASE, students: [{ id: 1, name: 'Ava' }, { id: 2, name: 'Benjamin' }] };
+        const merged = mergeStates(BASE, mine, theirs);
+        expect(merged.conflicts).toEqual([]);
+        expect(merged.mine.students).toEqual([{ id: 1, name: 'Ava B.' }, { id: 2, name: 'Benjamin' }, { id: 3, name: 'Cleo' }]);
+    });
+
+    test('keeps a removal made on one side', () => {
+        const mine = { ...BASE, jobs: [BASE.jobs[0]] };
+        const theirs = { ...BASE, assignmentStrategy: 'leastRecent' };
+        const merged = mergeStates(BASE, mine, theirs);
+        expect(merged.mine.jobs).toEqual([BASE.jobs[0]]);
+        expect(merged.mine.assignmentStrategy).toBe('leastRecent');
+    });
+
+    test('reports the keys both sides changed differently, with each side winning its own result', () => {
+        const mine = { ...BASE, studentJobHistory: { ...BASE.studentJobHistory, 1: ['Line Leader', 'Librarian'] } };
+        const theirs = { ...BASE, studentJobHistory: { ...BASE.studentJobHistory, 1: [] } };
+        const merged = mergeStates(BASE, mine, theirs);
+        expect(merged.conflicts).toEqual([{ field: 'studentJobHistory', keys: ['1'] }]);
+        expect(merged.mine.studentJobHistory[1]).toEqual(['Line Leader', 'Librarian']);
+        expect(merged.theirs.studentJobHistory[1]).toEqual([]);
+        expect(merged.mine.studentJobHistory[2]).toEqual(['Librarian']);
+    });
+
+    test('reports a whole-field conflict for values it cannot look inside', () => {
+        const merged = mergeStates(BASE, { ...BASE, assignmentStrategy: 'optimal' }, { ...BASE, assignmentStrategy: 'roundRobin' });
+        expect(merged.conflicts).toEqual([{ field: 'assignmentStrategy', keys: [] }]);
+        expect(merged.mine.assignmentStrategy).toBe('optimal');
+        expect(merged.theirs.assignmentStrategy).toBe('roundRobin');
+    });
+});
+
+describe('prepareStateSave', () => {
+    test('saves over an unchanged document with the next version', () => {
+        const mine = { ...BASE, assignmentStrategy: 'optimal' };
+        const save = prepareStateSave(BASE, mine, BASE, 'teacher');
+        expect(save.merged).toBe(false);
+        expect(save.state).toMatchObject({ ...mine, version: 4, updatedBy: 'teacher' });
+    });
+
+    test('merges in changes saved since the edit started', () => {
+        const stored = { ...BASE, version: 4, jobs: [...BASE.jobs, { title: 'Messenger', headcount: 1 }] };
+        const save = prepareStateSave(stored, { ...BASE, assignmentStrategy: 'optimal' }, BASE, 'teacher');
+        expect(save.merged).toBe(true);
+        expect(save.state.version).toBe(5);
+        expect(save.state.assignmentStrategy).toBe('optimal');
+        expect(save.state.jobs).toHaveLength(3);
+    });
+
+    test('returns the conflict and the latest document instead of saving over clashing changes', () => {
+        const stored = { ...BASE, version: 4, assignmentStrategy: 'roundRobin' };
+        const save = prepareStateSave(stored, { ...BASE, assignmentStrategy: 'optimal' }, BASE, 'teacher');
+        expect(save.state).toBeUndefined();
+        expect(save.conflict.conflicts).toEqual([{ field: 'assignmentStrategy', keys: [] }]);
+        expect(save.conflict.latest).toBe(stored);
+    });
+});
+
+describe('diffFields', () => {
+    test('lists changed and removed fields', () => {
+        const next = { ...BASE, assignmentStrategy: 'optimal' };
+        delete next.jobs;
+        expect(diffFields(BASE, next)).toEqual({ changed: ['assignmentStrategy'], removed: ['jobs'] });
+    });
+});
@@ -0,0 +1,33 @@
+import { getJobIcon } from './jobs';
+
+// Read-only student view links. The teacher's app publishes a copy of what students and families may see (names,
+// jobs and who holds them, and each student's past jobs) under an unguessable token, and anyone with the link can
+// read that copy but nothing else of the class. Revoking the link deletes the copy, so the link stops working.
+
+// Function to create a share token (32 random hex characters)
+export const createShareToken = () => {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Function to build the student view published for a class: { ownerId, classId, className, weekLabel, students,
+// jobs, currentAssignments, studentJobHistory }. Only active students are listed, by display name, and jobs keep only
+// what students need to know (title, duties and icon), so eligibility and pins stay private.
+export const buildStudentView = ({ ownerId, classId, className }, state) => {
+    const students = state.students.filter(student => student.active).map(({ id, name }) => ({ id, name }));
+    const studentIds = new Set(students.map(student => String(student.id)));
+    const onlyListedStudents = (byStudent) => Object.fromEntries(
+        Object.entries(byStudent).filter(([studentId]) => studentIds.has(studentId))
+    );
+    return {
+        ownerId,
+        classId,
+        className: className || '',
+        weekLabel: state.currentWeek?.label || null,
+        students,
+        jobs: state.jobs.map(job => ({ title: job.title, description: job.description || '', icon: getJobIcon(job) })),
+        currentAssignments: onlyListedStudents(state.currentAssignments),
+        studentJobHistory: onlyListedStudents(state.studentJobHistory),
+    };
+};
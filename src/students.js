@@ -0,0 +1,54 @@
+// Helpers for the student roster.
+// Each student is an object: { id, name, nickname, active }. The numeric `id` is what the
+// assignments, job history and cycle refer to, so renaming a student never loses their history.
+
+// Function to create a student record (defaults to the old "Student {n}" label)
+export const createStudent = (id, name = '', nickname = '', active = true) => ({
+    id,
+    name: name.trim() || `Student ${id}`,
+    nickname: nickname.trim(),
+    active,
+});
+
+// Function to migrate a stored student list to student objects.
+// Older state documents stored bare positive integers, which become "Student {n}".
+// Returns the normalized list and whether anything had to change.
+export const normalizeStudents = (students = []) => {
+    let migrated = false;
+    const normalized = students
+        .map(student => {
+            if (typeof student === 'number' || typeof student === 'string') {
+                migrated = true;
+                return createStudent(parseInt(student, 10));
+            }
+            if (!student || !Number.isInteger(student.id)) {
+                migrated = true;
+                return null; // Drop unreadable entries
+            }
+            if (typeof student.name !== 'string' || typeof student.nickname !== 'string' || typeof student.active !== 'boolean') {
+                migrated = true;
+                return createStudent(student.id, student.name || '', student.nickname || '', student.active !== false);
+            }
+            return student;
+        })
+        .filter(student => student && student.id > 0);
+    return { students: normalized, migrated };
+};
+
+// Function to get the next free student ID
+export const nextStudentId = (students) => students.reduce((maxId, student) => Math.max(maxId, student.id), 0) + 1;
+
+// Function to get the IDs of the students who take part in assignments
+export const getActiveStudentIds = (students) => students.filter(student => student.active).map(student => student.id);
+
+// Function to find a student by ID (IDs may arrive as strings when read from object keys)
+export const findStudent = (students, studentId) => students.find(student => student.id === Number(studentId));
+
+// Function to get a student's display name, falling back to "Student {n}" for students no longer on the roster
+export const getStudentName = (students, studentId) => findStudent(students, studentId)?.name || `Student ${studentId}`;
+
+// Function to get a student's short label (nickname/initials if set, otherwise their name)
+export const getStudentShortName = (students, studentId) => {
+    const student = findStudent(students, studentId);
+    return student?.nickname || student?.name || `Student ${studentId}`;
+};
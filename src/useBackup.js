@@ -0,0 +1,109 @@
+import { useState, useCallback } from 'react';
+import { createBackup, summarizeBackupDiff, validateBackup } from './backup';
+import { datedFileName, downloadTextFile, MIME_TYPES, readFileAsText } from './fileUtils';
+
+// Hook for backing a class up to a file and restoring it from one (see backup.js): downloading a backup, checking a
+// chosen file and previewing what restoring it would change, then writing it back.
+// `repository` and `classRef` are where the class is saved, `appState` and `weeks` what is shown now, and
+// `appStateRef` and `weeksRef` the latest of them. `saveState` (see App) saves the restored state over defaults for
+// any fields missing from it (`stateDefaults`); `setSaveConflict` drops a clash it leaves behind, and `setMessage`
+// reports what happened.
+const useBackup = ({
+    repository,
+    classRef,
+    appState,
+    weeks,
+    appStateRef,
+    weeksRef,
+    stateDefaults,
+    saveState,
+    setSaveConflict,
+    setMessage,
+}) => {
+    // Backup chosen for restore, with its validation result and diff summary (null when the restore modal is closed)
+    const [restorePreview, setRestorePreview] = useState(null);
+
+    // Function to download the whole app state (including defaults and archived weeks) as a versioned JSON file
+    const downloadBackup = () => {
+        const backup = createBackup(appState, weeks);
+        downloadTextFile(datedFileName('job-assigner-backup', 'json'), JSON.stringify(backup, null, 2), MIME_TYPES.json);
+        setMessage("Backup downloaded.");
+    };
+
+    // Function to read and validate a backup file, then open the restore modal with a diff summary
+    const chooseBackupFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow choosing the same file again
+        if (!file) return;
+        try {
+            const { backup, error } = validateBackup(JSON.parse(await readFileAsText(file)));
+            setRestorePreview({
+                fileName: file.name,
+                backup,
+                error,
+                diff: backup ? summarizeBackupDiff(appState, weeks, backup) : [],
+            });
+        } catch (error) {
+            console.error("Error reading backup file:", error);
+            setRestorePreview({ fileName: file.name, backup: null, error: 'The file could not be read as JSON.', diff: [] });
+        }
+    };
+
+    // Function to close the restore modal without restoring anything
+    const closeRestorePreview = () => setRestorePreview(null);
+
+    // Function to write a validated backup back to Firestore (defaults, weeks archive, then state).
+    // If a write fails, the ones made before it are put back so the class isn't left half-restored.
+    const restoreBackup = useCallback(async () => {
+        const { backup } = restorePreview;
+        const previousWeeks = weeksRef.current;
+        const previousDefaults = { students: appStateRef.current.userDefaultStudents, jobs: appStateRef.current.userDefaultJobs };
+        setRestorePreview(null);
+
+        // Helper function to put back the defaults, and the weeks archive if it was already replaced
+        const rollBack = async (weeksReplaced) => {
+            try {
+                await repository.setDefaults(classRef, previousDefaults);
+                if (weeksReplaced) {
+                    await repository.replaceWeeks(classRef, previousWeeks);
+                }
+                setMessage("The backup could not be restored. Nothing was changed.");
+            } catch (error) {
+                console.error("Error undoing a partial backup restore:", error);
+                setMessage("The backup was only partly restored and the earlier data could not be put back. Please restore it again.");
+            }
+        };
+
+        try {
+            await repository.setDefaults(classRef, backup.defaults);
+        } catch (error) {
+            console.error("Error restoring defaults:", error);
+            setMessage("Error restoring backup. Nothing was changed.");
+            return;
+        }
+        try {
+            await repository.replaceWeeks(classRef, backup.weeks);
+        } catch (error) {
+            console.error("Error restoring weeks archive:", error);
+            await rollBack(false);
+            return;
+        }
+        const saved = await saveState({
+            ...stateDefaults,
+            ...backup.state,
+            version: appStateRef.current.version, // The backup replaces the version being shown
+            userDefaultStudents: backup.defaults.students,
+            userDefaultJobs: backup.defaults.jobs,
+        }, { undoLabel: 'Restore backup', previousWeeks, offerUndo: true });
+        if (!saved) {
+            setSaveConflict(null); // Keeping either side of a clash would now save the state without its archive
+            await rollBack(true);
+            return;
+        }
+        setMessage(`Backup from ${new Date(backup.createdAt).toLocaleString()} restored.`);
+    }, [restorePreview, repository, classRef, appStateRef, weeksRef, stateDefaults, saveState, setSaveConflict, setMessage]); // Dependencies for this memoized function
+
+    return { restorePreview, downloadBackup, chooseBackupFile, closeRestorePreview, restoreBackup };
+};
+
+export default useBackup;
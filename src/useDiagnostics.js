@@ -0,0 +1,36 @@
+import { useCallback, useMemo } from 'react';
+import { validateRoster } from './diagnostics';
+
+// Hook for the checks shown alongside the roster and the archived weeks (see diagnostics.js): the roster's own
+// problems, worked out again as the roster changes, and dismissing the checks made on an archived week's draw.
+// `repository` and `classRef` are where the class's weeks are saved; `setMessage` reports failed saves.
+const useDiagnostics = ({ repository, classRef, appState, weeks, setMessage }) => {
+    const { students, jobs, studentPreferences } = appState;
+
+    // Problems with the roster itself, whatever is drawn (e.g. more job places than students)
+    const rosterDiagnostics = useMemo(
+        () => validateRoster({ students, jobs, studentPreferences }),
+        [students, jobs, studentPreferences]
+    );
+
+    // Function to dismiss one of the checks made on an archived week's draw (kept in the week's record), from this
+    // week's assignments or the timeline
+    const dismissDiagnostic = useCallback(async (weekId, diagnosticId) => {
+        const week = weeks.find(w => w.id === weekId);
+        if (!week) return;
+        const { id, ...weekRecord } = week;
+        try {
+            await repository.saveWeek(classRef, id, {
+                ...weekRecord,
+                dismissedDiagnostics: [...(weekRecord.dismissedDiagnostics || []), diagnosticId],
+            });
+        } catch (error) {
+            console.error("Error dismissing check:", error);
+            setMessage("Error dismissing the check. Please try again.");
+        }
+    }, [repository, classRef, weeks, setMessage]); // Dependencies for this memoized function
+
+    return { rosterDiagnostics, dismissDiagnostic };
+};
+
+export default useDiagnostics;
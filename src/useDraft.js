@@ -0,0 +1,127 @@
+import { useState, useCallback } from 'react';
+import { findReassignmentProblem, reassignJob, reviewAssignments } from './assignmentEngine';
+import { describeReassignmentProblem, drawAssignments } from './draws';
+
+// Hook holding the draft of a new draw, for the teacher to check, change and publish before anything is saved.
+// The draft is { baseState, draw, weekIdToReplace, drawDate, locked, overrides }: the state it was drawn from, the
+// draw (see drawAssignments), the archived week it replaces (if any), the rows locked against re-rolling and the
+// changes made by hand. `setMessage` reports drafts that can't be drawn and changes that are refused.
+const useDraft = (setMessage) => {
+    const [draft, setDraft] = useState(null);
+
+    // Function to draw a draft of new assignments from a given state.
+    // Pass the ID of an archived week when re-running the last draw.
+    const startDraft = useCallback((baseState, seed, weekIdToReplace = null) => {
+        const drawDate = new Date();
+        const draw = drawAssignments(baseState, seed, drawDate);
+        if (!draw) {
+            setMessage("Please add students and jobs before assigning jobs.");
+            return;
+        }
+        setDraft({ baseState, draw, weekIdToReplace, drawDate, locked: [], overrides: [] });
+    }, [setMessage]); // Dependencies for this memoized function
+
+    // Function to drop the draft without saving it
+    const discardDraft = useCallback(() => setDraft(null), []);
+
+    // Function to draw the draft again with a fresh seed, keeping the locked rows' jobs
+    const rerollDraft = () => {
+        const { assignments } = draft.draw.result;
+        const lockedAssignments = Object.fromEntries(draft.locked
+            .filter(studentId => assignments[studentId] !== undefined)
+            .map(studentId => [studentId, assignments[studentId]]));
+        setDraft({
+            ...draft,
+            draw: drawAssignments(draft.baseState, undefined, draft.drawDate, lockedAssignments),
+            // Changes made by hand only survive in rows that stay locked
+            overrides: draft.overrides.filter(override => lockedAssignments[override.student] === override.job),
+        });
+    };
+
+    // Function to lock or unlock a row of the draft, so re-rolling keeps or redraws that student's job
+    const toggleDraftLock = (studentId) => {
+        setDraft(prev => ({
+            ...prev,
+            locked: prev.locked.includes(studentId)
+                ? prev.locked.filter(id => id !== studentId)
+                : [...prev.locked, studentId],
+        }));
+    };
+
+    // Helper function to work out who gives up a job when a student is given it in the draft: nobody if a place is
+    // free, otherwise one of its holders (preferably one whose row isn't locked), who gets the student's job instead
+    const getDraftJobHolder = (studentId, job) => {
+        const { assignments } = draft.draw.result;
+        const holders = Object.keys(assignments).map(Number)
+            .filter(id => id !== studentId && assignments[id] === job);
+        const headcount = draft.baseState.jobs.find(j => j.title === job)?.headcount || 1;
+        return holders.length < headcount ? null : holders.find(id => !draft.locked.includes(id)) ?? holders[0];
+    };
+
+    // Function to give a student a different job in the draft (see getDraftJobHolder). The change is refused if
+    // either student can't be given their new job; otherwise the changed row is locked and the draft's checks,
+    // fairness and favourites are worked out again.
+    const changeDraftJob = (studentId, job) => {
+        const { result, inputs } = draft.draw;
+        const fromStudent = getDraftJobHolder(studentId, job);
+        const problem = findReassignmentProblem({ ...draft.baseState, currentAssignments: result.assignments }, job, fromStudent, studentId);
+        if (problem) {
+            setMessage(describeReassignmentProblem(draft.baseState.students, problem));
+            return;
+        }
+        const change = reassignJob({
+            currentAssignments: result.assignments,
+            studentJobHistory: result.studentJobHistory,
+            remainingStudentsInCycle: result.remainingStudentsInCycle,
+        }, job, fromStudent, studentId);
+        if (!change) return;
+        setDraft({
+            ...draft,
+            draw: {
+                ...draft.draw,
+                result: {
+                    ...result,
+                    assignments: change.currentAssignments,
+                    studentJobHistory: change.studentJobHistory,
+                    remainingStudentsInCycle: change.remainingStudentsInCycle,
+                    ...reviewAssignments(inputs, change.currentAssignments),
+                },
+            },
+            locked: draft.locked.includes(studentId) ? draft.locked : [...draft.locked, studentId],
+            overrides: [...draft.overrides, ...change.overrides],
+        });
+    };
+
+    // Function to list the jobs a student may be given by hand in the draft: their own, and those that both they and
+    // whoever would give the job up in exchange (see getDraftJobHolder) may be given
+    const getDraftJobOptions = (studentId) => draft.baseState.jobs.filter(job => (
+        draft.draw.result.assignments[studentId] === job.title
+        || !findReassignmentProblem(
+            { ...draft.baseState, currentAssignments: draft.draw.result.assignments },
+            job.title, getDraftJobHolder(studentId, job.title), studentId
+        )
+    ));
+
+    // Function to list the changes made by hand that the draft still shows: each student's last change, if it is
+    // still their job, stamped with the time the draft is published
+    const getDraftOverrides = () => {
+        const latestOverrides = new Map(draft.overrides.map(override => [override.student, override]));
+        const overriddenAt = new Date().toISOString();
+        return [...latestOverrides.values()]
+            .filter(override => (draft.draw.result.assignments[override.student] ?? null) === override.job)
+            .map(override => ({ ...override, overriddenAt }));
+    };
+
+    return {
+        draft,
+        startDraft,
+        discardDraft,
+        rerollDraft,
+        toggleDraftLock,
+        changeDraftJob,
+        getDraftJobOptions,
+        getDraftOverrides,
+    };
+};
+
+export default useDraft;
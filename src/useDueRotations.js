@@ -0,0 +1,70 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { fromISODate } from './absences';
+import { getDueRotations } from './schedule';
+
+// Hook for the scheduled rotations that are due but haven't been drawn (see schedule.js): working them out once the
+// class's state has loaded (`stateLoadedFor` is the classRef whose state has), drawing them in turn with `runDraw`
+// (see App), by themselves for schedules set to, and letting the teacher put them off until another one is due.
+// `appStateRef` holds the latest state for each draw to start from, `today` is "YYYY-MM-DD", and viewers
+// (`readOnly`) never draw. `setMessage` reports what was drawn.
+const useDueRotations = ({ classRef, stateLoadedFor, appState, appStateRef, today, readOnly, runDraw, setMessage }) => {
+    const { rotationSchedule, schoolCalendar, lastAssignmentDate } = appState;
+
+    // Scheduled rotations that are due but haven't been drawn ("YYYY-MM-DD", oldest first)
+    const dueRotations = useMemo(() => (stateLoadedFor === classRef && classRef
+        ? getDueRotations(rotationSchedule, schoolCalendar, lastAssignmentDate, fromISODate(today))
+        : []), [stateLoadedFor, classRef, rotationSchedule, schoolCalendar, lastAssignmentDate, today]);
+    const dueRotationsKey = dueRotations.join(',');
+    // Due rotations the teacher chose not to draw, so they aren't offered again until another one is due
+    const [dismissedRotations, setDismissedRotations] = useState(null);
+    // Whether due rotations are being drawn, and which ones were last tried automatically (so they're tried once)
+    const drawingRotationsRef = useRef(false);
+    const autoRotationsRef = useRef(null);
+
+    // Effect to offer every class's due rotations again when switching to it
+    useEffect(() => {
+        setDismissedRotations(null);
+    }, [classRef]); // Dependencies for this effect
+
+    // Function to draw every due rotation in turn, each from the state the previous one saved
+    const generateDueRotations = useCallback(async () => {
+        if (dueRotations.length === 0 || drawingRotationsRef.current) {
+            return;
+        }
+        drawingRotationsRef.current = true;
+        let state = appStateRef.current;
+        for (const rotationDate of dueRotations) {
+            state = await runDraw(state, undefined, null, fromISODate(rotationDate));
+            if (!state) {
+                drawingRotationsRef.current = false;
+                return; // The draw explained why it stopped
+            }
+        }
+        drawingRotationsRef.current = false;
+        setMessage(dueRotations.length === 1
+            ? `Drew the scheduled rotation for ${fromISODate(dueRotations[0]).toLocaleDateString()}.`
+            : `Caught up on ${dueRotations.length} scheduled rotations (${dueRotations
+                .map(date => fromISODate(date).toLocaleDateString()).join(', ')}).`);
+    }, [dueRotations, appStateRef, runDraw, setMessage]); // Dependencies for this memoized function
+
+    // Effect to draw due rotations as soon as the class loads, for schedules set to do so by themselves
+    useEffect(() => {
+        if (dueRotations.length > 0 && !readOnly && rotationSchedule.autoGenerate
+            && autoRotationsRef.current !== dueRotationsKey) {
+            autoRotationsRef.current = dueRotationsKey;
+            generateDueRotations();
+        }
+    }, [dueRotations, dueRotationsKey, readOnly, rotationSchedule.autoGenerate, generateDueRotations]); // Dependencies for this effect
+
+    // Function to put off the rotations due now, until another one is due
+    const dismissDueRotations = () => setDismissedRotations(dueRotationsKey);
+
+    return {
+        dueRotations,
+        rotationsDismissed: dismissedRotations === dueRotationsKey,
+        generateDueRotations,
+        dismissDueRotations,
+    };
+};
+
+export default useDueRotations;
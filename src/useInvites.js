@@ -0,0 +1,148 @@
+import { useState, useEffect } from 'react';
+import { CLASS_ROLES, getClassKey } from './classes';
+
+// Hook for sharing classes between teachers: the invitations waiting for this user's answer, the sharing settings of
+// one of their own classes (its pending invitations and the invite form), and accepting, declining and leaving.
+// `repository` is where invitations and classes are saved (sharing needs a remote one), `userId` and `account` the
+// signed-in teacher, `classes` their classes (see App), `setClassKey` switches to a class joined and `setMessage`
+// reports what happened.
+const useInvites = ({ repository, userId, account, classes, setClassKey, setMessage }) => {
+    // Invitations to other teachers' classes waiting for this user's answer
+    const [pendingInvites, setPendingInvites] = useState([]);
+    // Own class whose sharing settings are open in the classes modal, its pending invitations and the invite form
+    const [sharingClassKey, setSharingClassKey] = useState(null);
+    const [classInvites, setClassInvites] = useState([]);
+    const [newInvite, setNewInvite] = useState({ email: '', role: CLASS_ROLES.EDITOR });
+
+    // Effect for loading the invitations sent to this user's (verified) email address
+    const email = account?.emailVerified ? account.email : null;
+    useEffect(() => {
+        if (!email || !repository.remote) {
+            setPendingInvites([]);
+            return;
+        }
+        const unsubscribeInvites = repository.subscribeInvitesForEmail(email, setPendingInvites, (error) => {
+            console.error("Error listening to invitations:", error);
+        });
+        return () => unsubscribeInvites();
+    }, [repository, email]); // Dependencies for this effect
+
+    // Effect for loading the pending invitations of the class whose sharing settings are open
+    const sharingClassId = classes.find(classRecord => classRecord.key === sharingClassKey)?.id;
+    useEffect(() => {
+        if (!sharingClassId || !repository.remote) {
+            setClassInvites([]);
+            return;
+        }
+        const unsubscribeInvites = repository.subscribeClassInvites(userId, sharingClassId, setClassInvites, (error) => {
+            console.error("Error listening to class invitations:", error);
+        });
+        return () => unsubscribeInvites();
+    }, [repository, sharingClassId, userId]); // Dependencies for this effect
+
+    // Function to invite a co-teacher to one of the user's own classes by email.
+    // They see the invitation once they sign in with that (verified) address.
+    const inviteToClass = async (classRecord) => {
+        const inviteEmail = newInvite.email.trim().toLowerCase();
+        if (!/^[^@\s]+@[^@\s]+$/.test(inviteEmail)) {
+            setMessage("Please enter the email address of the teacher to invite.");
+            return;
+        }
+        if (Object.values(classRecord.members || {}).some(member => member.email === inviteEmail)) {
+            setMessage(`${inviteEmail} already has access to this class.`);
+            return;
+        }
+        try {
+            await repository.createInvite({
+                ownerId: userId,
+                ownerEmail: account?.email || null,
+                classId: classRecord.id,
+                className: classRecord.name,
+                email: inviteEmail,
+                role: newInvite.role,
+                createdAt: new Date().toISOString(),
+            });
+            setNewInvite(prev => ({ ...prev, email: '' }));
+            setMessage(`Invited ${inviteEmail} to "${classRecord.name}".`);
+        } catch (error) {
+            console.error("Error inviting to class:", error);
+            setMessage("Error sending the invitation. Please try again.");
+        }
+    };
+
+    // Function to withdraw an invitation that hasn't been accepted yet
+    const revokeInvite = async (invite) => {
+        try {
+            await repository.deleteInvite(invite.id);
+        } catch (error) {
+            console.error("Error revoking invitation:", error);
+            setMessage("Error withdrawing the invitation. Please try again.");
+        }
+    };
+
+    // Function to change a co-teacher's role in one of the user's own classes, or remove them (role null)
+    const setMemberRole = async (classRecord, memberId, role) => {
+        try {
+            await repository.setClassMember(userId, classRecord.id, memberId, role ? { ...classRecord.members[memberId], role } : null);
+        } catch (error) {
+            console.error("Error updating class member:", error);
+            setMessage("Error updating the co-teacher's access. Please try again.");
+        }
+    };
+
+    // Function to accept an invitation: join the owner's class, add it to the user's shared classes
+    // and use up the invitation, all in one write so none of it happens without the rest
+    const acceptInvite = async (invite) => {
+        try {
+            await repository.acceptInvite(userId, invite);
+            setClassKey(getClassKey(invite.ownerId, invite.classId));
+            setMessage(`You joined "${invite.className}" as ${invite.role === CLASS_ROLES.EDITOR ? 'an editor' : 'a viewer'}.`);
+        } catch (error) {
+            console.error("Error accepting invitation:", error);
+            setMessage("Error accepting the invitation. It may have been withdrawn.");
+        }
+    };
+
+    // Function to decline an invitation
+    const declineInvite = async (invite) => {
+        try {
+            await repository.deleteInvite(invite.id);
+        } catch (error) {
+            console.error("Error declining invitation:", error);
+            setMessage("Error declining the invitation. Please try again.");
+        }
+    };
+
+    // Function to stop sharing a class someone else owns: leave its members and drop it from the switcher.
+    // If the owner already removed the user, only the switcher entry is left to delete.
+    const leaveClass = async (classRecord) => {
+        try {
+            await repository.leaveClass(userId, {
+                ownerId: classRecord.ownerId,
+                classId: classRecord.id,
+                sharedDocId: classRecord.sharedDocId,
+            });
+            setMessage(`You left "${classRecord.name}".`);
+        } catch (error) {
+            console.error("Error leaving class:", error);
+            setMessage("Error leaving the class. Please try again.");
+        }
+    };
+
+    return {
+        pendingInvites,
+        sharingClassKey,
+        setSharingClassKey,
+        classInvites,
+        newInvite,
+        setNewInvite,
+        inviteToClass,
+        revokeInvite,
+        setMemberRole,
+        acceptInvite,
+        declineInvite,
+        leaveClass,
+    };
+};
+
+export default useInvites;
@@ -0,0 +1,35 @@
+import { useState } from 'react';
+import { setStudentPreferences } from './preferences';
+import { getStudentName } from './students';
+
+// Hook for editing students' job preferences (see preferences.js) from the students modal: which student's
+// preferences are open, and saving their changes through `saveState` as an undoable edit.
+const usePreferences = (appState, saveState) => {
+    // Student whose job preferences are open (null if none)
+    const [preferencesStudentId, setPreferencesStudentId] = useState(null);
+
+    // Student whose job preferences are open in the students modal (null if none, or if they were removed)
+    const preferencesStudent = appState.students.find(student => student.id === preferencesStudentId) || null;
+
+    // Function to open a student's preferences, or close them if they are already open
+    const togglePreferences = (studentId) => {
+        setPreferencesStudentId(prevId => (prevId === studentId ? null : studentId));
+    };
+
+    // Function to set a student's favourite and never-assign jobs
+    const updateStudentPreferences = (studentId, preferences) => {
+        saveState({
+            ...appState,
+            studentPreferences: setStudentPreferences(appState.studentPreferences, studentId, preferences, appState.jobs),
+        }, { undoLabel: `Edit ${getStudentName(appState.students, studentId)}'s job preferences` });
+    };
+
+    return {
+        preferencesStudent,
+        togglePreferences,
+        closePreferences: () => setPreferencesStudentId(null),
+        updateStudentPreferences,
+    };
+};
+
+export default usePreferences;
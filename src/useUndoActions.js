@@ -0,0 +1,76 @@
+import { useEffect, useCallback } from 'react';
+
+// Hook for undoing and redoing changes from the snapshots kept by useUndoHistory (`undoHistory`), by button or with
+// the keyboard. `appStateRef` and `weeksRef` hold what is shown now, `saveState` and `replaceWeekArchive` (see App)
+// write a snapshot back, `setSaveConflict` drops a clash it leaves behind, `setUndoToast` hides the undo toast and
+// `setMessage` reports what was undone.
+const useUndoActions = ({
+    undoHistory,
+    appStateRef,
+    weeksRef,
+    saveState,
+    replaceWeekArchive,
+    setSaveConflict,
+    setUndoToast,
+    setMessage,
+}) => {
+    const { undo: takeUndoEntry, redo: takeRedoEntry } = undoHistory;
+
+    // Function to restore an undo/redo snapshot, rewriting the weeks archive only if it differs.
+    // If the state then isn't saved, the archive is put back as it was.
+    const applySnapshot = useCallback(async (snapshot) => {
+        const previousWeeks = weeksRef.current;
+        const weeksChanged = JSON.stringify(snapshot.weeks) !== JSON.stringify(previousWeeks);
+        if (weeksChanged && !(await replaceWeekArchive(snapshot.weeks))) {
+            return false;
+        }
+        // The snapshot replaces the version being shown, not the one it was taken from
+        const saved = await saveState({ ...snapshot.state, version: appStateRef.current.version }, { recordUndo: false });
+        if (!saved && weeksChanged) {
+            setSaveConflict(null); // Keeping either side of a clash would now save the state without its archive
+            if (await replaceWeekArchive(previousWeeks)) {
+                setMessage("The change could not be saved. Nothing was changed.");
+            }
+        }
+        return saved;
+    }, [appStateRef, weeksRef, replaceWeekArchive, saveState, setSaveConflict, setMessage]); // Dependencies for this memoized function
+
+    // Function to undo the most recent change
+    const undo = useCallback(async () => {
+        setUndoToast(null);
+        const entry = takeUndoEntry({ state: appStateRef.current, weeks: weeksRef.current });
+        if (entry && await applySnapshot(entry)) {
+            setMessage(`Undid: ${entry.label}.`);
+        }
+    }, [appStateRef, weeksRef, takeUndoEntry, applySnapshot, setUndoToast, setMessage]); // Dependencies for this memoized function
+
+    // Function to redo the most recently undone change
+    const redo = useCallback(async () => {
+        const entry = takeRedoEntry({ state: appStateRef.current, weeks: weeksRef.current });
+        if (entry && await applySnapshot(entry)) {
+            setMessage(`Redid: ${entry.label}.`);
+        }
+    }, [appStateRef, weeksRef, takeRedoEntry, applySnapshot, setMessage]); // Dependencies for this memoized function
+
+    // Keyboard shortcuts: Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y to redo.
+    // Text fields keep their own native undo.
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [undo, redo]); // Dependencies for this effect
+
+    return { undo, redo };
+};
+
+export default useUndoActions;
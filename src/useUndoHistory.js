@@ -0,0 +1,54 @@
+import { useState, useCallback } from 'react';
+
+// Maximum number of snapshots kept on the undo stack
+export const UNDO_LIMIT = 50;
+
+// Hook holding undo/redo stacks of app snapshots.
+// Each entry is { label, ...snapshot }, where the label names the action that replaced the snapshot.
+const useUndoHistory = (limit = UNDO_LIMIT) => {
+    const [past, setPast] = useState([]);
+    const [future, setFuture] = useState([]);
+
+    // Function to push the snapshot taken before an action (a new action clears the redo stack)
+    const record = useCallback((entry) => {
+        setPast(prevPast => [...prevPast, entry].slice(-limit));
+        setFuture([]);
+    }, [limit]);
+
+    // Function to step back: returns the snapshot to restore, and keeps `current` for redo
+    const undo = useCallback((current) => {
+        if (past.length === 0) return null;
+        const entry = past[past.length - 1];
+        setPast(past.slice(0, -1));
+        setFuture(prevFuture => [...prevFuture, { ...current, label: entry.label }]);
+        return entry;
+    }, [past]);
+
+    // Function to step forward again: returns the snapshot to restore, and keeps `current` for undo
+    const redo = useCallback((current) => {
+        if (future.length === 0) return null;
+        const entry = future[future.length - 1];
+        setFuture(future.slice(0, -1));
+        setPast(prevPast => [...prevPast, { ...current, label: entry.label }].slice(-limit));
+        return entry;
+    }, [future, limit]);
+
+    // Function to forget everything (used when the underlying data is replaced wholesale)
+    const clear = useCallback(() => {
+        setPast([]);
+        setFuture([]);
+    }, []);
+
+    return {
+        record,
+        undo,
+        redo,
+        clear,
+        canUndo: past.length > 0,
+        canRedo: future.length > 0,
+        undoLabel: past.length > 0 ? past[past.length - 1].label : null,
+        redoLabel: future.length > 0 ? future[future.length - 1].label : null,
+    };
+};
+
+export default useUndoHistory;